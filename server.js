@@ -6,6 +6,11 @@ import passport from 'passport';
 import { Strategy as DiscordStrategy } from 'passport-discord';
 import path from 'path';
 import fs from 'fs';
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+import dns from 'dns';
+import net from 'net';
 import multer from 'multer';
 import MarkdownIt from 'markdown-it';
 import sanitizeHtml from 'sanitize-html';
@@ -13,7 +18,10 @@ import pg from 'pg';
 import pgSession from 'connect-pg-simple';
 import Database from 'better-sqlite3';
 import axios from 'axios'; // 追加
-import { diffChars } from 'diff';
+import { diffChars, diffLines, diffWordsWithSpace, structuredPatch, applyPatch } from 'diff';
+import nodemailer from 'nodemailer';
+import AdmZip from 'adm-zip';
+import { XMLParser } from 'fast-xml-parser';
 import SQLiteStore from 'connect-sqlite3';
 const SQLiteStoreSession = SQLiteStore(session);
 
@@ -45,52 +53,109 @@ const dataDir = path.join(process.cwd(), 'data');
 const uploadDir = path.join(dataDir, 'uploads');
 fs.mkdirSync(uploadDir, { recursive: true });
 
-const processStubs = (content, isAdmin = false) => {
-  return content.replace(/\[stab:(.+?)\]/g, (match, stubType) => {
-    // 削除候補は管理者のみ
-    if (stubType === '削除候補' && !isAdmin) {
-      return '';
-    }
-    return renderStub(stubType);
-  });
-};
-
 // --- Markdown renderer & sanitizer ---
 const md = new MarkdownIt({ html: false, linkify: true, breaks: true });
 
-const renderStub = (stubType) => {
-  const stubs = {
-    '書きかけ': {
-      title: 'この記事は書きかけです。',
-      content: 'ご存じの情報があれば加筆をお願いします。',
-      color: '#f39c12'
-    },
-    'うんこ': {
-      title: 'うんこ！w',
-      content: 'うんちうんちうんち！うんこ！ww',
-      color: '#8b4513'
-    },
-    '誤情報': {
-      title: 'この記事は正しくない情報が含まれているかもしれません',
-      content: 'でもRec Wikiでは誰もそんなこと気にしないし、処罰の対象にもなりません。',
-      color: '#e74c3c'
+// Wikiリンク: [[Page]] / [[Page|label]]
+// env.wikiAddress と env.existingPages (Set) を渡すと、存在しないページは編集画面への赤リンクになる
+const WIKI_LINK_PATTERN = /^\[\[([^\[\]\n|]+)(?:\|([^\[\]\n]*))?\]\]/;
+
+md.inline.ruler.before('link', 'wikilink', (state, silent) => {
+  if (state.src.charCodeAt(state.pos) !== 0x5B || state.src.charCodeAt(state.pos + 1) !== 0x5B) return false;
+  const match = WIKI_LINK_PATTERN.exec(state.src.slice(state.pos));
+  if (!match) return false;
+  const target = match[1].trim();
+  if (!target) return false;
+
+  if (!silent) {
+    const env = state.env || {};
+    const exists = env.existingPages ? env.existingPages.has(target) : true;
+    const href = `/${env.wikiAddress}/${encodeURIComponent(target)}`;
+    const open = state.push('link_open', 'a', 1);
+    open.attrs = [['href', exists ? href : `${href}/edit`], ['class', exists ? 'wikilink' : 'wikilink-new']];
+    open.meta = { wikiTarget: target };
+    const text = state.push('text', '', 0);
+    text.content = (match[2] || '').trim() || target;
+    state.push('link_close', 'a', -1);
+  }
+  state.pos += match[0].length;
+  return true;
+});
+
+// 本文中の [[...]] リンク先ページ名を重複なしで抽出（コードブロック内は対象外）
+const extractWikiLinks = (content) => {
+  const targets = new Set();
+  const walk = (tokens) => tokens.forEach(token => {
+    if (token.type === 'link_open' && token.meta && token.meta.wikiTarget) targets.add(token.meta.wikiTarget);
+    if (token.children) walk(token.children);
+  });
+  walk(md.parse(content || '', {}));
+  return [...targets];
+};
+
+// --- Notice boxes ([stab:種類]) ---
+// サイト共通の既定スタブ。種類名は予約済みで、Wikiごとの wiki_notices では上書きできない
+const DEFAULT_NOTICES = {
+  '書きかけ': {
+    title: { ja: 'この記事は書きかけです。', en: 'This article is a stub.' },
+    body: { ja: 'ご存じの情報があれば加筆をお願いします。', en: 'You can help by expanding it.' },
+    color: '#f39c12',
+    icon: '⚠️',
+    adminOnly: false
+  },
+  'うんこ': {
+    title: { ja: 'うんこ！w', en: 'Poop! lol' },
+    body: { ja: 'うんちうんちうんち！うんこ！ww', en: 'Poop poop poop! Poop! lol' },
+    color: '#8b4513',
+    icon: '⚠️',
+    adminOnly: false
+  },
+  '誤情報': {
+    title: { ja: 'この記事は正しくない情報が含まれているかもしれません', en: 'This article may contain inaccurate information' },
+    body: { ja: 'でもRec Wikiでは誰もそんなこと気にしないし、処罰の対象にもなりません。', en: 'But nobody on Rec Wiki cares, and nobody gets punished for it.' },
+    color: '#e74c3c',
+    icon: '⚠️',
+    adminOnly: false
+  },
+  // 削除候補はサイト管理者のみ（Wiki管理者には表示しない）
+  '削除候補': {
+    title: { ja: 'この記事は削除候補としてリストされています', en: 'This article is listed as a candidate for deletion' },
+    body: {
+      ja: 'Rec Wikiコミュニティガイドラインに違反している可能性が高いため、近日削除されるかもしれません。\nまた違反が見つからなかった場合このスタブは削除されます。',
+      en: 'It likely violates the Rec Wiki community guidelines and may be deleted soon.\nIf no violation is found, this notice will be removed.'
     },
-    '削除候補': {
-      title: 'この記事は削除候補としてリストされています',
-      content: 'Rec Wikiコミュニティガイドラインに違反している可能性が高いため、近日削除されるかもしれません。\nまた違反が見つからなかった場合このスタブは削除されます。',
-      color: '#c0392b'
-    }
-  };
+    color: '#c0392b',
+    icon: '⚠️',
+    adminOnly: true,
+    siteAdminOnly: true
+  }
+};
+
+const NOTICE_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+// 本文はサニタイズ後のHTMLに対して置換するため、HTMLエスケープされる文字は種類名に使えない
+const NOTICE_KEY_PATTERN = /^[^\[\]<>&"'\n]{1,50}$/;
 
-  const stub = stubs[stubType];
-  if (!stub) return '';
+const renderStub = (notice, lang = 'ja') => {
+  if (!notice) return '';
+  const pick = (text) => (lang === 'en' ? text.en || text.ja : text.ja || text.en) || '';
+  const color = NOTICE_COLOR_PATTERN.test(notice.color) ? notice.color : '#f39c12';
 
-  return `<div class="stub-notice" style="background-color: ${stub.color}20; border-left: 4px solid ${stub.color}; padding: 16px; margin: 20px 0; border-radius: 8px;">
-    <h3 style="margin: 0 0 8px 0; color: ${stub.color};">⚠️ ${stub.title}</h3>
-    <p style="margin: 0; white-space: pre-line;">${stub.content}</p>
+  return `<div class="stub-notice" style="background-color: ${color}20; border-left: 4px solid ${color}; padding: 16px; margin: 20px 0; border-radius: 8px;">
+    <h3 style="margin: 0 0 8px 0; color: ${color};">${escapeHtml(notice.icon || '')} ${escapeHtml(pick(notice.title))}</h3>
+    <p style="margin: 0; white-space: pre-line;">${escapeHtml(pick(notice.body))}</p>
   </div>`;
 };
 
+const isReservedNoticeKey = (key) => Object.hasOwn(DEFAULT_NOTICES, key);
+
+const processStubs = (content, { isAdmin = false, isSiteAdmin = false, notices = DEFAULT_NOTICES, lang = 'ja' } = {}) => {
+  return content.replace(/\[stab:(.+?)\]/g, (match, stubType) => {
+    const notice = Object.hasOwn(notices, stubType) ? notices[stubType] : null;
+    if (!notice || (notice.adminOnly && !isAdmin) || (notice.siteAdminOnly && !isSiteAdmin)) return '';
+    return renderStub(notice, lang);
+  });
+};
+
 const sanitize = (html) =>
   sanitizeHtml(html, {
     allowedTags: sanitizeHtml.defaults.allowedTags.concat(['img', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6']),
@@ -98,9 +163,22 @@ const sanitize = (html) =>
       a: ['href', 'name', 'target', 'rel'],
       img: ['src', 'alt', 'width', 'height']
     },
+    allowedClasses: {
+      a: ['wikilink', 'wikilink-new']
+    },
     allowedSchemes: ['http', 'https', 'mailto']
   });
 
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// ページ名(重み A)と本文(重み B)の全文検索ベクトル。日本語は分かち書きされないため検索側で ILIKE も併用する
+const SEARCH_VECTOR_SQL = "setweight(to_tsvector('simple', coalesce(name, '')), 'A') || setweight(to_tsvector('simple', coalesce(content, '')), 'B')";
+
 // --- Database Initialization ---
 async function initDatabase() {
   const client = await pool.connect();
@@ -194,6 +272,13 @@ async function initDatabase() {
         expires_at TIMESTAMP, -- NULL for permanent
         created_at TIMESTAMP DEFAULT NOW()
       );
+      CREATE TABLE IF NOT EXISTS anonymous_blocks (
+        anon_id TEXT PRIMARY KEY,
+        reason TEXT NOT NULL,
+        issued_by TEXT NOT NULL,
+        expires_at TIMESTAMP, -- NULL for permanent
+        created_at TIMESTAMP DEFAULT NOW()
+      );
       CREATE TABLE IF NOT EXISTS user_languages (
         user_id TEXT PRIMARY KEY,
         language TEXT DEFAULT 'ja'
@@ -206,6 +291,8 @@ async function initDatabase() {
         is_searchable INTEGER DEFAULT 1,
         allow_anonymous_edit INTEGER DEFAULT 0,
         max_page_size INTEGER DEFAULT 1048576,
+        max_pages INTEGER DEFAULT 1000,
+        max_upload_bytes BIGINT DEFAULT 104857600,
         theme TEXT DEFAULT 'light'
       );
       CREATE TABLE IF NOT EXISTS wiki_permissions (
@@ -222,6 +309,113 @@ async function initDatabase() {
         role TEXT DEFAULT 'editor',
         created_at TIMESTAMP DEFAULT NOW()
       );
+
+      /* Uploaded files, used for per-wiki upload volume limits */
+      CREATE TABLE IF NOT EXISTS uploads (
+        id SERIAL PRIMARY KEY,
+        wiki_id INTEGER REFERENCES wikis(id) ON DELETE CASCADE,
+        user_id TEXT NOT NULL,
+        filename TEXT NOT NULL,
+        size BIGINT NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      /* Link graph: [[Page]] links from source page to target page name */
+      CREATE TABLE IF NOT EXISTS page_links (
+        wiki_id INTEGER NOT NULL REFERENCES wikis(id) ON DELETE CASCADE,
+        source_page_id INTEGER NOT NULL REFERENCES pages(id) ON DELETE CASCADE,
+        target_name TEXT NOT NULL,
+        PRIMARY KEY(source_page_id, target_name)
+      );
+      CREATE TABLE IF NOT EXISTS template_usages (
+        wiki_id INTEGER NOT NULL REFERENCES wikis(id) ON DELETE CASCADE,
+        page_id INTEGER NOT NULL REFERENCES pages(id) ON DELETE CASCADE,
+        template_name TEXT NOT NULL,
+        PRIMARY KEY(page_id, template_name)
+      );
+      CREATE TABLE IF NOT EXISTS watches (
+        id SERIAL PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        wiki_id INTEGER NOT NULL REFERENCES wikis(id) ON DELETE CASCADE,
+        page_id INTEGER REFERENCES pages(id) ON DELETE CASCADE, -- NULL = Wiki全体
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE TABLE IF NOT EXISTS notifications (
+        id SERIAL PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        data JSONB NOT NULL DEFAULT '{}',
+        is_read INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE TABLE IF NOT EXISTS email_queue (
+        id SERIAL PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        notification_id INTEGER NOT NULL REFERENCES notifications(id) ON DELETE CASCADE,
+        attempts INTEGER DEFAULT 0,
+        last_error TEXT,
+        sent_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE TABLE IF NOT EXISTS page_drafts (
+        wiki_id INTEGER NOT NULL REFERENCES wikis(id) ON DELETE CASCADE,
+        page_name TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        content TEXT NOT NULL,
+        base_revision_id INTEGER,
+        updated_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY(wiki_id, page_name, user_id)
+      );
+      CREATE TABLE IF NOT EXISTS api_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL, -- SHA-256。平文は保存しない
+        token_prefix TEXT NOT NULL, -- 一覧で見分けるための先頭数文字
+        access TEXT NOT NULL DEFAULT 'read', -- 'read' or 'write'
+        wiki_ids INTEGER[], -- NULL = すべてのWiki
+        expires_at TIMESTAMP,
+        last_used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id SERIAL PRIMARY KEY,
+        wiki_id INTEGER NOT NULL REFERENCES wikis(id) ON DELETE CASCADE,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT NOT NULL, -- カンマ区切り
+        is_active INTEGER DEFAULT 1,
+        created_by TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id SERIAL PRIMARY KEY,
+        webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+        event TEXT NOT NULL,
+        payload JSONB NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending', -- 'pending' / 'success' / 'failed'
+        attempts INTEGER DEFAULT 0,
+        next_attempt_at TIMESTAMP DEFAULT NOW(),
+        response_status INTEGER,
+        response_body TEXT,
+        last_error TEXT,
+        delivered_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE TABLE IF NOT EXISTS wiki_notices (
+        id SERIAL PRIMARY KEY,
+        wiki_id INTEGER NOT NULL REFERENCES wikis(id) ON DELETE CASCADE,
+        key TEXT NOT NULL,
+        title_ja TEXT,
+        title_en TEXT,
+        body_ja TEXT,
+        body_en TEXT,
+        color TEXT DEFAULT '#f39c12',
+        icon TEXT DEFAULT '⚠️',
+        admin_only INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(wiki_id, key)
+      );
     `);
 
     // Add Indexes
@@ -232,6 +426,17 @@ async function initDatabase() {
       CREATE INDEX IF NOT EXISTS idx_wikis_address ON wikis(address);
       CREATE INDEX IF NOT EXISTS idx_user_profiles_user_id ON user_profiles(user_id);
       CREATE INDEX IF NOT EXISTS idx_revisions_page_id ON revisions(page_id);
+      CREATE INDEX IF NOT EXISTS idx_page_links_target ON page_links(wiki_id, target_name);
+      CREATE INDEX IF NOT EXISTS idx_template_usages_template ON template_usages(wiki_id, template_name);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_watches_unique ON watches(user_id, wiki_id, COALESCE(page_id, 0));
+      CREATE INDEX IF NOT EXISTS idx_watches_wiki ON watches(wiki_id, page_id);
+      CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, is_read, created_at);
+      CREATE INDEX IF NOT EXISTS idx_email_queue_pending ON email_queue(user_id) WHERE sent_at IS NULL;
+      CREATE INDEX IF NOT EXISTS idx_uploads_wiki_id ON uploads(wiki_id);
+      CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(user_id);
+      CREATE INDEX IF NOT EXISTS idx_webhooks_wiki ON webhooks(wiki_id);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_pending ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, id);
     `);
 
     // Seed Allowed User
@@ -269,6 +474,29 @@ async function initDatabase() {
     await addColumn('user_profiles', 'total_edits', 'INTEGER DEFAULT 0');
     await addColumn('wikis', 'page_count', 'INTEGER DEFAULT 0');
     await addColumn('user_profiles', 'email_notifications', 'INTEGER DEFAULT 1');
+    await addColumn('pages', 'search_vector', 'TSVECTOR');
+    await addColumn('pages', 'deleted_by', 'TEXT');
+    await addColumn('pages', 'delete_reason', 'TEXT');
+    await addColumn('pages', 'lock_expires_at', 'TIMESTAMP');
+    await addColumn('wiki_settings', 'max_pages', 'INTEGER DEFAULT 1000');
+    await addColumn('wiki_settings', 'max_upload_bytes', 'BIGINT DEFAULT 104857600');
+    await addColumn('pages', 'lock_reason', 'TEXT');
+    await addColumn('pages', 'locked_by', 'TEXT');
+    await addColumn('revisions', 'summary', 'TEXT');
+    await addColumn('revisions', 'is_minor', 'INTEGER DEFAULT 0');
+    await addColumn('user_profiles', 'discord_tag', 'TEXT');
+    await addColumn('user_profiles', 'email_frequency', "TEXT DEFAULT 'immediate'");
+    await addColumn('user_profiles', 'email_watch_edits', 'INTEGER DEFAULT 1');
+    await addColumn('user_profiles', 'email_invites', 'INTEGER DEFAULT 1');
+    await addColumn('user_profiles', 'email_moderation', 'INTEGER DEFAULT 1');
+    await addColumn('user_profiles', 'email_last_digest_at', 'TIMESTAMP');
+
+    // Full-text search index (built after search_vector exists)
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_pages_search_vector ON pages USING GIN(search_vector);
+      UPDATE pages SET search_vector = ${SEARCH_VECTOR_SQL}
+      WHERE search_vector IS NULL AND deleted_at IS NULL;
+    `);
 
     await client.query('COMMIT');
     console.log("✅ Database initialized & migrated!");
@@ -352,13 +580,14 @@ passport.use(new DiscordStrategy({
     try {
       const now = new Date();
       await pool.query(`
-        INSERT INTO user_profiles (user_id, display_name, email, created_at, last_login_at) 
-        VALUES ($1, $2, $3, $4, $5) 
+        INSERT INTO user_profiles (user_id, display_name, email, created_at, last_login_at, discord_tag) 
+        VALUES ($1, $2, $3, $4, $5, $6) 
         ON CONFLICT(user_id) DO UPDATE SET 
         display_name = EXCLUDED.display_name, 
         email = EXCLUDED.email,
-        last_login_at = EXCLUDED.last_login_at
-      `, [profile.id, profile.username, profile.email, now, now]);
+        last_login_at = EXCLUDED.last_login_at,
+        discord_tag = EXCLUDED.discord_tag
+      `, [profile.id, profile.username, profile.email, now, now, `${profile.username}#${profile.discriminator}`]);
       done(null, profile);
     } catch (err) {
       done(err, null);
@@ -366,8 +595,10 @@ passport.use(new DiscordStrategy({
 }));
 
 // --- Middlewares ---
-app.use(express.urlencoded({ extended: true }));
-app.use(express.json());
+// ページ本文のサイズはWikiごとの max_page_size で制限するため、ボディ上限はそれより大きくしておく
+const BODY_SIZE_LIMIT = '16mb';
+app.use(express.urlencoded({ extended: true, limit: BODY_SIZE_LIMIT }));
+app.use(express.json({ limit: BODY_SIZE_LIMIT }));
 app.use(session({
   store: new PgSession({
     pool: pool,
@@ -385,7 +616,12 @@ app.use(passport.initialize());
 app.use(passport.session());
 app.use('/public', express.static(path.join(process.cwd(), 'public')));
 app.use('/uploads', express.static(uploadDir));
-app.set('trust proxy', 1);
+// 前段のプロキシ段数（既定は1段）。req.ip はこの設定に従って X-Forwarded-For から決まる
+const TRUST_PROXY = process.env.TRUST_PROXY || '1';
+app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+// Cloudflare 配下で動かすときだけ CF-Connecting-IP を信用する
+const BEHIND_CLOUDFLARE = process.env.BEHIND_CLOUDFLARE === '1';
+const clientIp = (req) => (BEHIND_CLOUDFLARE && req.headers['cf-connecting-ip']) || req.ip || '';
 
 // Middleware to get user's language preference and suspension status
 app.use(async (req, res, next) => {
@@ -417,6 +653,19 @@ const createSuspensionBlock = (req) => {
     return renderLayout('Suspended', body, null, lang, req);
 };
 
+const createAnonymousBlock = (req, block) => {
+    const lang = req.userLang;
+    const until = block.expires_at ? new Date(block.expires_at).toLocaleString(lang === 'ja' ? 'ja-JP' : 'en-US') : null;
+    const body = `<div class="card"><p class="danger">❌ ${lang === 'ja' ? 'このIPからの匿名編集はブロックされています。' : 'Anonymous editing from this IP has been blocked.'}</p><p class="muted">${lang === 'ja' ? '理由' : 'Reason'}: ${escapeHtml(block.reason)}${until ? ` (${lang === 'ja' ? '期限' : 'until'} ${until})` : ''}</p><p class="muted">${lang === 'ja' ? 'ログインすると編集できる場合があります。' : 'You may still be able to edit after logging in.'}</p><a class="btn" href="/auth/discord">${getText('login', lang)}</a></div>`;
+    return renderLayout('Blocked', body, null, lang, req);
+};
+
+const createProtectionBlock = (req, wiki, page) => {
+    const lang = req.userLang;
+    const body = `${protectionNotice(page, lang)}<div class="card"><p class="danger">❌ ${lang === 'ja' ? 'このページは保護されているため編集できません。' : 'This page is protected and you cannot edit it.'}</p><a class="btn" href="/${wiki.address}/${encodeURIComponent(page.name)}">${lang === 'ja' ? '戻る' : 'Back'}</a></div>`;
+    return renderLayout('Protected', body, wiki.favicon, lang, req);
+};
+
 const ensureAuth = (req, res, next) => {
   if (req.isAuthenticated()) {
     return next();
@@ -450,10 +699,7 @@ const ensureCanAdministerWiki = async (req, res, next) => {
   const wiki = await wikiByAddress(address);
   if (!wiki) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ Wiki not found.</p></div>`, null, req.userLang, req));
 
-  const permRes = await pool.query('SELECT role FROM wiki_permissions WHERE wiki_id = $1 AND editor_id = $2', [wiki.id, req.user.id]);
-  const perm = permRes.rows[0];
-  
-  if (wiki.owner_id === req.user.id || (perm && perm.role === 'admin') || ADMIN_USERS.includes(req.user.id)) {
+  if (await canAdministerWiki(wiki, req.user.id)) {
     return next();
   }
 
@@ -461,1685 +707,5482 @@ const ensureCanAdministerWiki = async (req, res, next) => {
 };
 
 // Async DB Helpers
+// オーナー・Wikiのadminロール・サイト管理者はWikiを管理できる
+const canAdministerWiki = async (wiki, userId) => {
+  if (!userId) return false;
+  if (wiki.owner_id === userId || ADMIN_USERS.includes(userId)) return true;
+  const permRes = await pool.query('SELECT role FROM wiki_permissions WHERE wiki_id = $1 AND editor_id = $2', [wiki.id, userId]);
+  return !!(permRes.rows[0] && permRes.rows[0].role === 'admin');
+};
+
 const wikiByAddress = async (address) => {
   const res = await pool.query('SELECT * FROM wikis WHERE address = $1 AND deleted_at IS NULL', [address]);
   return res.rows[0];
 };
 
+// URLの数値ID。int4 の範囲外や数字以外は 0（該当なし）にして、Postgres の型エラーで落ちないようにする
+const MAX_INT4 = 2147483647;
+const parseIdParam = (value) => {
+  const id = Number(value);
+  return Number.isInteger(id) && id >= 1 && id <= MAX_INT4 ? id : 0;
+};
+
 const pageByWikiAndName = async (wikiId, name) => {
   const res = await pool.query('SELECT * FROM pages WHERE wiki_id = $1 AND name = $2 AND deleted_at IS NULL', [wikiId, name]);
   return res.rows[0];
 };
 
-const getText = (key, lang = 'ja') => i18n[lang] && i18n[lang][key] ? i18n[lang][key] : i18n.ja[key] || key;
+// /:address/<名前> の固定ルートが使う名前。同名のページは表示・編集できなくなるので、作成・移動先には使わせない
+// （Express のルーティングは大文字小文字を区別しない）
+const RESERVED_PAGE_NAMES = ['search', 'tag', 'trash', 'recent-changes', 'recent-changes.rss', 'recent-changes.atom', 'export', 'import', 'webhooks', 'watch'];
 
-const renderLayout = (title, body, favicon = null, lang = 'ja', req = null) => {
-    let suspensionBanner = '';
-    if (req && req.isSuspended) {
-        const details = req.suspensionDetails;
-        suspensionBanner = `
-          <div class="card" style="background-color: var(--danger-color); color: white; margin-bottom: 20px; border-color: var(--danger-color);">
-            <h3 style="margin-top:0; color: white;">${lang === 'ja' ? 'アカウントが停止されています' : 'Account Suspended'}</h3>
-            <p style="margin-bottom:0;">${lang === 'ja' ? '理由' : 'Reason'}: ${details.reason}</p>
-          </div>
-        `;
-    }
-    // 変更: デフォルトファビコンの設定
-    const faviconTag = favicon ? `<link rel="icon" href="${favicon}">` : '<link rel="icon" href="/public/Icon.png">';
+const isReservedPageName = (name) => RESERVED_PAGE_NAMES.includes(String(name).toLowerCase());
 
-    return `<!doctype html>
-<html lang="${lang}">
-<head>
-  <meta charset="utf-8">
-  <title>${title || 'Rec Wiki'}</title>
-  <meta name="viewport" content="width=device-width, initial-scale=1">
-  <meta property="og:site_name" content="Rec Wiki">
-  <meta property="og:title" content="${title || 'Rec Wiki'}">
-  <meta property="og:description" content="Rec Wikiで作成されたWikiページ">
-  <meta property="og:image" content="/public/RecWikiThumbnation.png">
-  <meta property="og:image:width" content="1200">
-  <meta property="og:image:height" content="630">
-  <meta name="theme-color" content="#3498db">
-  <meta name="twitter:card" content="summary_large_image">
-  ${faviconTag}
+const reservedPageNameMessage = (lang) => lang === 'ja'
+  ? 'この名前はWikiの機能で使われているため、ページ名にできません。'
+  : 'This name is used by a wiki feature and cannot be used as a page name.';
 
-    <link rel="manifest" href="/public/manifest.json">
-  <meta name="theme-color" content="#3498db">
-  <script>
-    if ('serviceWorker' in navigator) {
-      navigator.serviceWorker.register('/public/service-worker.js');
+// ページ保存時にリンクグラフを作り直す
+const updatePageLinks = async (wikiId, pageId, content) => {
+  const targets = extractWikiLinks(content);
+  await pool.query('DELETE FROM page_links WHERE source_page_id = $1', [pageId]);
+  if (targets.length) {
+    await pool.query(
+      'INSERT INTO page_links(wiki_id, source_page_id, target_name) SELECT $1, $2, unnest($3::text[]) ON CONFLICT DO NOTHING',
+      [wikiId, pageId, targets]
+    );
+  }
+};
+
+const updateSearchIndex = async (pageId) => {
+  await pool.query(`UPDATE pages SET search_vector = ${SEARCH_VECTOR_SQL} WHERE id = $1`, [pageId]);
+};
+
+// ページ本文を書き換えたルートは必ずこれを呼ぶ（リンクグラフ・テンプレート使用・全文検索インデックスの同期）
+const syncPageIndexes = async (wikiId, pageId, content) => {
+  await updatePageLinks(wikiId, pageId, content);
+  await updateTemplateUsages(wikiId, pageId, content);
+  await updateSearchIndex(pageId);
+};
+
+// 編集の要約と細部の編集フラグ（revisions.summary / revisions.is_minor）
+const MAX_SUMMARY_LENGTH = 300;
+
+const parseEditSummary = (body) => ({
+  summary: (body.summary || '').toString().replace(/\s+/g, ' ').trim().slice(0, MAX_SUMMARY_LENGTH),
+  isMinor: body.is_minor === 'on' || body.is_minor === true
+});
+
+const recordRevision = async (pageId, content, editorId, createdAt, { summary = '', isMinor = false } = {}) => {
+  const res = await pool.query(
+    'INSERT INTO revisions(page_id, content, editor_id, created_at, summary, is_minor) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id',
+    [pageId, content, editorId, createdAt, summary || null, isMinor ? 1 : 0]
+  );
+  return res.rows[0].id;
+};
+
+// ページ作成・更新の共通処理（pages 更新 → revisions 追加 → インデックス同期）
+const createPage = async (wikiId, name, content, editorId, revisionInfo = {}) => {
+  const now = new Date().toISOString();
+  const pageRes = await pool.query('INSERT INTO pages(wiki_id, name, content, updated_at) VALUES ($1, $2, $3, $4) RETURNING id', [wikiId, name, content, now]);
+  const pageId = pageRes.rows[0].id;
+  await recordRevision(pageId, content, editorId, now, { ...revisionInfo, isMinor: false });
+  await syncPageIndexes(wikiId, pageId, content);
+  return pageId;
+};
+
+const updatePageContent = async (wikiId, pageId, content, editorId, revisionInfo = {}) => {
+  const now = new Date().toISOString();
+  await pool.query('UPDATE pages SET content = $1, updated_at = $2 WHERE id = $3', [content, now, pageId]);
+  const revisionId = await recordRevision(pageId, content, editorId, now, revisionInfo);
+  await syncPageIndexes(wikiId, pageId, content);
+  return revisionId;
+};
+
+// 編集の要約の表示用HTML（細部の編集は「細」/「m」を付ける）
+const revisionSummaryHtml = (rev, lang) => `${rev.is_minor ? `<strong class="muted" title="${lang === 'ja' ? '細部の編集' : 'Minor edit'}">${lang === 'ja' ? '細' : 'm'}</strong> ` : ''}${rev.summary ? `<em class="muted">(${escapeHtml(rev.summary)})</em>` : ''}`;
+
+const latestRevision = async (pageId) => {
+  const res = await pool.query('SELECT id, content FROM revisions WHERE page_id = $1 ORDER BY id DESC LIMIT 1', [pageId]);
+  return res.rows[0];
+};
+
+// 三方向マージ: base から mine への差分を theirs に当てる。重なる変更があれば null
+const mergeThreeWay = (base, theirs, mine) => {
+  if (mine === theirs || theirs === base) return mine;
+  if (mine === base) return theirs;
+  const patch = structuredPatch('base', 'mine', base, mine, '', '', { context: 1 });
+  const merged = applyPatch(theirs, patch);
+  return merged === false ? null : merged;
+};
+
+// 編集画面の下書き（ユーザー×ページごとに1件、ページ名で持つので未作成ページにも使える）
+// 未作成ページの名前はいくらでも作れるので、ユーザーごと・Wikiごとの件数に上限を設ける
+const MAX_DRAFTS_PER_USER = 50;
+const draftFor = async (wikiId, pageName, userId) => {
+  const res = await pool.query('SELECT * FROM page_drafts WHERE wiki_id = $1 AND page_name = $2 AND user_id = $3', [wikiId, pageName, userId]);
+  return res.rows[0];
+};
+
+const deleteDraft = async (wikiId, pageName, userId) => {
+  await pool.query('DELETE FROM page_drafts WHERE wiki_id = $1 AND page_name = $2 AND user_id = $3', [wikiId, pageName, userId]);
+};
+
+// タグは pages.tags にカンマ区切り（小文字化・重複除去済み）で保存する
+const MAX_TAGS_PER_PAGE = 20;
+const MAX_TAG_LENGTH = 50;
+
+const parseTags = (input) => {
+  const tags = String(input || '')
+    .split(/[,、，]/)
+    .map(tag => tag.trim().replace(/\s+/g, ' ').toLowerCase().slice(0, MAX_TAG_LENGTH))
+    .filter(Boolean);
+  return [...new Set(tags)].slice(0, MAX_TAGS_PER_PAGE);
+};
+
+const tagsOf = (page) => (page && page.tags ? page.tags.split(',').filter(Boolean) : []);
+
+const setPageTags = async (pageId, tags) => {
+  await pool.query('UPDATE pages SET tags = $1 WHERE id = $2', [tags.length ? tags.join(',') : null, pageId]);
+};
+
+const pagesByTags = async (wikiId, tags, matchAll = false) => {
+  const res = await pool.query(`
+    SELECT id, name, tags, updated_at FROM pages
+    WHERE wiki_id = $1 AND deleted_at IS NULL
+      AND string_to_array(tags, ',') ${matchAll ? '@>' : '&&'} $2::text[]
+    ORDER BY name ASC
+  `, [wikiId, tags]);
+  return res.rows;
+};
+
+const tagCounts = async (wikiId) => {
+  const res = await pool.query(`
+    SELECT tag, COUNT(*) AS count
+    FROM pages p, unnest(string_to_array(p.tags, ',')) AS tag
+    WHERE p.wiki_id = $1 AND p.deleted_at IS NULL AND tag <> ''
+    GROUP BY tag
+    ORDER BY tag ASC
+  `, [wikiId]);
+  return res.rows.map(r => ({ tag: r.tag, count: parseInt(r.count, 10) }));
+};
+
+// --- Wiki Settings & Limits ---
+// オーナーが設定できる上限値。サイト管理者はこれを超えて設定できる
+const WIKI_LIMIT_CAPS = {
+  max_page_size: 1024 * 1024,        // 1 MiB
+  max_pages: 1000,
+  max_upload_bytes: 100 * 1024 * 1024 // 100 MiB
+};
+
+const DEFAULT_WIKI_SETTINGS = {
+  mode: 'loggedin',
+  is_searchable: 1,
+  allow_anonymous_edit: 0,
+  theme: 'light',
+  ...WIKI_LIMIT_CAPS
+};
+
+const getWikiSettings = async (wikiId) => {
+  const res = await pool.query('SELECT * FROM wiki_settings WHERE wiki_id = $1', [wikiId]);
+  const row = res.rows[0] || {};
+  const settings = { ...DEFAULT_WIKI_SETTINGS };
+  for (const [key, value] of Object.entries(row)) {
+    if (value !== null && value !== undefined) settings[key] = value;
+  }
+  // BIGINT は文字列で返るため数値化する
+  settings.max_page_size = Number(settings.max_page_size);
+  settings.max_pages = Number(settings.max_pages);
+  settings.max_upload_bytes = Number(settings.max_upload_bytes);
+  return settings;
+};
+
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1).replace(/\.0$/, '')} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1).replace(/\.0$/, '')} KB`;
+  return `${bytes} B`;
+};
+
+const countWikiPages = async (wikiId) => {
+  const res = await pool.query('SELECT COUNT(*) AS count FROM pages WHERE wiki_id = $1 AND deleted_at IS NULL', [wikiId]);
+  return parseInt(res.rows[0].count, 10);
+};
+
+const wikiUploadVolume = async (wikiId) => {
+  const res = await pool.query('SELECT COALESCE(SUM(size), 0) AS total FROM uploads WHERE wiki_id = $1', [wikiId]);
+  return Number(res.rows[0].total);
+};
+
+// ページ保護: pages.is_locked に保護レベルを保存（lock_expires_at を過ぎたら自動的に解除扱い）
+const PROTECTION_LEVELS = { none: 0, editors: 1, admins: 2 };
+
+const activeProtectionLevel = (page) => {
+  const level = parseInt(page.is_locked, 10) || 0;
+  if (!level) return PROTECTION_LEVELS.none;
+  if (page.lock_expires_at && new Date(page.lock_expires_at) <= new Date()) return PROTECTION_LEVELS.none;
+  return level;
+};
+
+// editors: オーナー・サイト管理者・明示的な編集者のみ / admins: Wiki管理者のみ
+const canEditProtectedPage = async (wiki, page, userId) => {
+  const level = activeProtectionLevel(page);
+  if (level === PROTECTION_LEVELS.none) return true;
+  if (!userId) return false;
+  if (level >= PROTECTION_LEVELS.admins) return canAdministerWiki(wiki, userId);
+  if (wiki.owner_id === userId || ADMIN_USERS.includes(userId)) return true;
+  const permRes = await pool.query('SELECT 1 FROM wiki_permissions WHERE wiki_id = $1 AND editor_id = $2', [wiki.id, userId]);
+  return permRes.rows.length > 0;
+};
+
+const protectionLabel = (level, lang) => {
+  if (level >= PROTECTION_LEVELS.admins) return lang === 'ja' ? 'Wiki管理者のみ編集可能' : 'Admins only';
+  return lang === 'ja' ? '既存の編集者のみ編集可能' : 'Existing editors only';
+};
+
+const protectionNotice = (page, lang) => {
+  const level = activeProtectionLevel(page);
+  if (!level) return '';
+  const locale = lang === 'ja' ? 'ja-JP' : 'en-US';
+  return `
+    <div class="card" style="border-left: 4px solid var(--warning-color); padding: 12px 16px;">
+      <strong>🔒 ${lang === 'ja' ? 'このページは保護されています' : 'This page is protected'}</strong> — ${protectionLabel(level, lang)}
+      ${page.lock_expires_at ? `<span class="muted">(${lang === 'ja' ? '期限' : 'until'} ${new Date(page.lock_expires_at).toLocaleString(locale)})</span>` : ''}
+      ${page.lock_reason ? `<div class="muted">${lang === 'ja' ? '理由' : 'Reason'}: ${escapeHtml(page.lock_reason)}</div>` : ''}
+    </div>
+  `;
+};
+
+// ゴミ箱: 論理削除したページは履歴ごと保持し、TRASH_RETENTION_DAYS 経過後に完全削除する
+const TRASH_RETENTION_DAYS = Math.max(1, parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10) || 30);
+
+const trashedPageByWikiAndName = async (wikiId, name) => {
+  const res = await pool.query('SELECT * FROM pages WHERE wiki_id = $1 AND name = $2 AND deleted_at IS NOT NULL', [wikiId, name]);
+  return res.rows[0];
+};
+
+const trashPage = async (pageId, userId, reason = null) => {
+  const res = await pool.query(
+    'UPDATE pages SET deleted_at = $1, deleted_by = $2, delete_reason = $3, search_vector = NULL WHERE id = $4 AND deleted_at IS NULL',
+    [new Date().toISOString(), userId, reason, pageId]
+  );
+  return res.rowCount > 0;
+};
+
+const restorePage = async (pageId) => {
+  const res = await pool.query('UPDATE pages SET deleted_at = NULL, deleted_by = NULL, delete_reason = NULL WHERE id = $1 AND deleted_at IS NOT NULL', [pageId]);
+  if (res.rowCount > 0) await updateSearchIndex(pageId);
+  return res.rowCount > 0;
+};
+
+// 保持期間を過ぎたページを完全削除（revisions / page_links は ON DELETE CASCADE）
+const purgeExpiredTrash = async () => {
+  const res = await pool.query(`
+    DELETE FROM pages p USING wikis w
+    WHERE p.wiki_id = w.id AND w.deleted_at IS NULL
+      AND p.deleted_at IS NOT NULL AND p.deleted_at < NOW() - make_interval(days => $1)
+  `, [TRASH_RETENTION_DAYS]);
+  if (res.rowCount > 0) console.log(`🗑️ Purged ${res.rowCount} trashed page(s)`);
+};
+
+// "#REDIRECT [[Target]]" で始まるページはリダイレクトとして扱う
+const REDIRECT_PATTERN = /^#REDIRECT\s*\[\[([^\[\]\n|]+)(?:\|[^\[\]\n]*)?\]\]/i;
+
+const redirectTargetOf = (content) => {
+  const match = REDIRECT_PATTERN.exec((content || '').trim());
+  return match ? match[1].trim() : null;
+};
+
+// [[Old]] / [[Old|label]] を [[New]] / [[New|label]] に置き換える
+const rewriteWikiLinks = (content, oldName, newName) => {
+  const escaped = oldName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`\\[\\[\\s*${escaped}\\s*(\\|[^\\[\\]\\n]*)?\\]\\]`, 'g');
+  return content.replace(pattern, (match, label) => `[[${newName}${label || ''}]]`);
+};
+
+const backlinksFor = async (wikiId, name) => {
+  const res = await pool.query(`
+    SELECT p.name FROM page_links l
+    JOIN pages p ON p.id = l.source_page_id
+    WHERE l.wiki_id = $1 AND l.target_name = $2 AND p.deleted_at IS NULL
+    ORDER BY p.name ASC
+  `, [wikiId, name]);
+  return res.rows;
+};
+
+// --- Templates ---
+// Template:Name のページを {{Name|a=b|位置引数}} で埋め込む。テンプレート内では {{{a}}} / {{{1}}} / {{{a|既定値}}} が引数に置き換わる
+const TEMPLATE_PREFIX = 'Template:';
+const MAX_TEMPLATE_DEPTH = 5;
+const MAX_TEMPLATE_EXPANSIONS = 100;
+// 引数の繰り返し埋め込みで展開結果が指数的に膨らむのを防ぐため、展開で生じる文字数の合計にも上限を設ける
+const MAX_TEMPLATE_OUTPUT = 1000000;
+
+// コードブロック・インラインコード内は展開しない
+const CODE_SEGMENT_PATTERN = /(```[\s\S]*?```|~~~[\s\S]*?~~~|`[^`\n]*`)/;
+
+// src[start] から始まる {{...}} の終端位置（閉じ括弧の直後）を返す。閉じていなければ -1
+const findTemplateEnd = (src, start) => {
+  let depth = 0;
+  let i = start;
+  while (i < src.length) {
+    if (src.startsWith('{{', i)) { depth++; i += 2; continue; }
+    if (src.startsWith('}}', i)) {
+      depth--; i += 2;
+      if (depth === 0) return i;
+      continue;
     }
-  </script>
-  
-  <style>
-    :root {
-      --bg-primary: #ffffff;
-      --bg-secondary: #f8f9fa;
-      --text-primary: #2c3e50;
-      --text-secondary: #6c757d;
-      --border-color: #dee2e6;
-      --button-bg: #ffffff;
-      --button-hover: #e9ecef;
-      --card-bg: #ffffff;
-      --code-bg: #f8f9fa;
-      --accent-color: #3498db;
-      --success-color: #27ae60;
-      --danger-color: #e74c3c;
-      --warning-color: #f39c12;
+    i++;
+  }
+  return -1;
+};
+
+// "Name|a=b|c" を名前と引数に分解する（入れ子の {{...}} や [[Page|label]] の | では区切らない）
+const parseTemplateCall = (inner) => {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (let i = 0; i < inner.length; i++) {
+    const pair = inner.slice(i, i + 2);
+    if (pair === '{{' || pair === '[[') { depth++; current += pair; i++; continue; }
+    if ((pair === '}}' || pair === ']]') && depth > 0) { depth--; current += pair; i++; continue; }
+    if (inner[i] === '|' && depth === 0) { parts.push(current); current = ''; continue; }
+    current += inner[i];
+  }
+  parts.push(current);
+
+  let name = parts.shift().trim();
+  if (name.startsWith(TEMPLATE_PREFIX)) name = name.slice(TEMPLATE_PREFIX.length).trim();
+  const params = {};
+  let position = 1;
+  for (const part of parts) {
+    const eq = part.indexOf('=');
+    const key = eq > 0 ? part.slice(0, eq).trim() : '';
+    if (key && !/[{}\[\]]/.test(key)) {
+      params[key] = part.slice(eq + 1).trim();
+    } else {
+      params[String(position++)] = part;
     }
-    [data-theme="dark"] {
-      --bg-primary: #1a1a1a;
-      --bg-secondary: #2d2d2d;
-      --text-primary: #e1e1e1;
-      --text-secondary: #a0a0a0;
-      --border-color: #404040;
-      --button-bg: #2d2d2d;
-      --button-hover: #404040;
-      --card-bg: #2d2d2d;
-      --code-bg: #1e1e1e;
-      --accent-color: #5dade2;
-      --success-color: #58d68d;
-      --danger-color: #ec7063;
-      --warning-color: #f7dc6f;
+  }
+  return { name, params };
+};
+
+// 置換後の長さが budget を超える場合は null を返す
+const substituteTemplateParams = (body, params, budget = Infinity) => {
+  let size = body.length;
+  const result = body.replace(/\{\{\{([^{}|]+?)(?:\|([^{}]*))?\}\}\}/g, (match, key, fallback) => {
+    key = key.trim();
+    let value = match;
+    if (Object.hasOwn(params, key)) value = params[key];
+    else if (fallback !== undefined) value = fallback;
+    size += value.length - match.length;
+    return size > budget ? '' : value;
+  });
+  return size > budget ? null : result;
+};
+
+// コード外にある {{...}} を順に列挙する（{{{param}}} は対象外）
+const eachTemplateCall = (content, callback) => {
+  content.split(CODE_SEGMENT_PATTERN).forEach((segment, index) => {
+    if (index % 2 === 1) return callback(segment, null);
+    let pos = 0;
+    while (pos < segment.length) {
+      const start = segment.indexOf('{{', pos);
+      if (start === -1) { callback(segment.slice(pos), null); break; }
+      callback(segment.slice(pos, start), null);
+      const end = segment[start + 2] === '{' ? -1 : findTemplateEnd(segment, start);
+      if (end === -1) {
+        callback(segment.slice(start, start + 2), null);
+        pos = start + 2;
+        continue;
+      }
+      callback(segment.slice(start, end), parseTemplateCall(segment.slice(start + 2, end - 2)));
+      pos = end;
     }
-    * { box-sizing: border-box; }
-    body {
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
-      max-width: 1200px;
-      margin: 0 auto;
-      padding: 20px 20px 80px 20px;
-      line-height: 1.7;
-      background-color: var(--bg-primary);
-      color: var(--text-primary);
-      transition: background-color 0.3s ease, color 0.3s ease;
-    }
-    header {
-      display: flex;
-      justify-content: space-between;
-      align-items: center;
-      gap: 16px;
-      margin-bottom: 32px;
-      padding-bottom: 16px;
-      border-bottom: 2px solid var(--border-color);
-      flex-wrap: wrap;
-    }
-    .header-left, .header-right { 
-      display: flex; 
-      align-items: center; 
-      gap: 12px; 
-      flex: 1;
+  });
+};
+
+// 本文から直接呼び出しているテンプレートのページ名を抽出（template_usages 用）
+const extractTemplateNames = (content) => {
+  const names = new Set();
+  eachTemplateCall(content || '', (text, call) => {
+    if (call && call.name && !/[{}\[\]|#<>]/.test(call.name)) names.add(TEMPLATE_PREFIX + call.name);
+  });
+  return [...names];
+};
+
+// テンプレートを再帰的に展開した Markdown を返す。存在しないテンプレートは赤リンクになる
+const expandTemplates = async (wiki, content, state = { cache: new Map(), stack: [], count: 0, size: 0 }) => {
+  const pieces = [];
+  eachTemplateCall(content || '', (text, call) => pieces.push({ text, call }));
+
+  let output = '';
+  for (const { text, call } of pieces) {
+    if (!call || !call.name || /[{}\[\]|#<>]/.test(call.name)) { output += text; continue; }
+    const pageName = TEMPLATE_PREFIX + call.name;
+    if (state.stack.includes(pageName)) { output += `**⚠️ Template loop: ${pageName}**`; continue; }
+    if (state.stack.length >= MAX_TEMPLATE_DEPTH) { output += `**⚠️ Template depth limit exceeded: ${pageName}**`; continue; }
+    if (state.count >= MAX_TEMPLATE_EXPANSIONS || state.size >= MAX_TEMPLATE_OUTPUT) { output += text; continue; }
+    state.count++;
+
+    if (!state.cache.has(pageName)) state.cache.set(pageName, await pageByWikiAndName(wiki.id, pageName));
+    const templatePage = state.cache.get(pageName);
+    if (!templatePage) { output += `[[${pageName}]]`; continue; }
+
+    // 引数は呼び出し元の文脈で先に展開する
+    const params = {};
+    for (const [key, value] of Object.entries(call.params)) params[key] = await expandTemplates(wiki, value, state);
+    const body = substituteTemplateParams((templatePage.content || '').replace(/\n+$/, ''), params, MAX_TEMPLATE_OUTPUT - state.size);
+    if (body === null) {
+      state.size = MAX_TEMPLATE_OUTPUT;
+      output += `**⚠️ Template size limit exceeded: ${pageName}**`;
+      continue;
     }
-    .desktop-header-items {
-      display: flex;
-      align-items: center;
-      gap: 12px;
+    state.size += body.length;
+    state.stack.push(pageName);
+    output += await expandTemplates(wiki, body, state);
+    state.stack.pop();
+  }
+  return output;
+};
+
+const updateTemplateUsages = async (wikiId, pageId, content) => {
+  const names = extractTemplateNames(content);
+  await pool.query('DELETE FROM template_usages WHERE page_id = $1', [pageId]);
+  if (names.length) {
+    await pool.query(
+      'INSERT INTO template_usages(wiki_id, page_id, template_name) SELECT $1, $2, unnest($3::text[]) ON CONFLICT DO NOTHING',
+      [wikiId, pageId, names]
+    );
+  }
+};
+
+// テンプレートを（他のテンプレート経由も含めて）使っているページ
+const pagesUsingTemplate = async (wikiId, templateName) => {
+  const res = await pool.query(`
+    WITH RECURSIVE users(id, name) AS (
+      SELECT p.id, p.name FROM template_usages u
+      JOIN pages p ON p.id = u.page_id
+      WHERE u.wiki_id = $1 AND u.template_name = $2 AND p.deleted_at IS NULL
+      UNION
+      SELECT p.id, p.name FROM users
+      JOIN template_usages u ON u.wiki_id = $1 AND u.template_name = users.name
+      JOIN pages p ON p.id = u.page_id
+      WHERE users.name LIKE $3 AND p.deleted_at IS NULL
+    )
+    SELECT DISTINCT name FROM users WHERE name <> $2 ORDER BY name ASC
+  `, [wikiId, templateName, `${TEMPLATE_PREFIX}%`]);
+  return res.rows;
+};
+
+// 既定のスタブに Wiki 独自の通知ボックスを重ねたもの。
+// 種類名は利用者が決めるので、__proto__ なども普通のキーとして扱えるようプロトタイプのないオブジェクトにする
+const noticesForWiki = async (wikiId) => {
+  const res = await pool.query('SELECT * FROM wiki_notices WHERE wiki_id = $1 ORDER BY key ASC', [wikiId]);
+  const notices = Object.assign(Object.create(null), DEFAULT_NOTICES);
+  for (const row of res.rows) {
+    if (isReservedNoticeKey(row.key)) continue;
+    notices[row.key] = {
+      id: row.id,
+      title: { ja: row.title_ja, en: row.title_en },
+      body: { ja: row.body_ja, en: row.body_en },
+      color: row.color,
+      icon: row.icon,
+      adminOnly: !!row.admin_only
+    };
+  }
+  return notices;
+};
+
+// Markdown → HTML（テンプレート展開 → md.render → sanitize → processStubs）。[[...]] の存在チェックもここで行う
+// isAdmin / isSiteAdmin は管理者限定・サイト管理者限定の通知ボックスを表示するかどうか
+const renderWikiContent = async (wiki, content, { isAdmin = false, isSiteAdmin = false, lang = 'ja' } = {}) => {
+  content = await expandTemplates(wiki, content);
+  const targets = extractWikiLinks(content);
+  let existingPages = new Set();
+  if (targets.length) {
+    const res = await pool.query('SELECT name FROM pages WHERE wiki_id = $1 AND name = ANY($2::text[]) AND deleted_at IS NULL', [wiki.id, targets]);
+    existingPages = new Set(res.rows.map(r => r.name));
+  }
+  const renderedMarkdown = md.render(content || '', { wikiAddress: wiki.address, existingPages });
+  const notices = await noticesForWiki(wiki.id);
+  return processStubs(sanitize(renderedMarkdown), { isAdmin, isSiteAdmin, notices, lang });
+};
+
+// --- Notifications & Watchlists ---
+// 通知は種類とデータだけを保存し、表示時に閲覧者の言語で文面を組み立てる
+const notify = async (userId, type, data = {}) => {
+  if (!userId || isAnonymousId(userId)) return;
+  const res = await pool.query('INSERT INTO notifications(user_id, type, data) VALUES ($1, $2, $3) RETURNING id', [userId, type, data]);
+  await enqueueNotificationEmail(userId, res.rows[0].id, type);
+};
+
+// ページまたはWiki全体をウォッチしているユーザーに通知（操作した本人は除く）
+const notifyWatchers = async (wiki, page, actorId, type, data = {}) => {
+  const res = await pool.query(
+    'SELECT DISTINCT user_id FROM watches WHERE wiki_id = $1 AND (page_id IS NULL OR page_id = $2) AND user_id <> $3',
+    [wiki.id, page.id, actorId]
+  );
+  for (const { user_id: userId } of res.rows) {
+    await notify(userId, type, { wikiAddress: wiki.address, wikiName: wiki.name, pageName: page.name, actorId, ...data });
+  }
+};
+
+const unreadNotificationCount = async (userId) => {
+  const res = await pool.query('SELECT COUNT(*) AS count FROM notifications WHERE user_id = $1 AND is_read = 0', [userId]);
+  return parseInt(res.rows[0].count, 10);
+};
+
+const isWatching = async (userId, wikiId, pageId = null) => {
+  const res = await pool.query('SELECT 1 FROM watches WHERE user_id = $1 AND wiki_id = $2 AND page_id IS NOT DISTINCT FROM $3', [userId, wikiId, pageId]);
+  return res.rows.length > 0;
+};
+
+const toggleWatch = async (userId, wikiId, pageId = null) => {
+  const removed = await pool.query('DELETE FROM watches WHERE user_id = $1 AND wiki_id = $2 AND page_id IS NOT DISTINCT FROM $3', [userId, wikiId, pageId]);
+  if (removed.rowCount === 0) {
+    await pool.query('INSERT INTO watches(user_id, wiki_id, page_id) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING', [userId, wikiId, pageId]);
+  }
+  return removed.rowCount === 0;
+};
+
+// 通知1件を { icon, text(エスケープ済みHTML), link } に変換する
+const describeNotification = (n, lang) => {
+  const d = n.data || {};
+  const ja = lang === 'ja';
+  const page = `<strong>${escapeHtml(d.pageName)}</strong>`;
+  const wiki = `<strong>${escapeHtml(d.wikiName)}</strong>`;
+  const summary = d.summary ? ` <em class="muted">(${escapeHtml(d.summary)})</em>` : '';
+  const pageUrl = d.wikiAddress && d.pageName ? `/${d.wikiAddress}/${encodeURIComponent(d.pageName)}` : null;
+  switch (n.type) {
+    case 'page_edit':
+      return {
+        icon: d.created ? '🆕' : '✏️',
+        text: d.created
+          ? (ja ? `${escapeHtml(d.actorId)} が ${wiki} に ${page} を作成しました` : `${escapeHtml(d.actorId)} created ${page} in ${wiki}`) + summary
+          : (ja ? `${escapeHtml(d.actorId)} が ${wiki} の ${page} を編集しました` : `${escapeHtml(d.actorId)} edited ${page} in ${wiki}`) + summary,
+        link: d.revisionId && !d.created ? `${pageUrl}/compare?to=${d.revisionId}` : pageUrl
+      };
+    case 'page_rollback':
+      return {
+        icon: '⏪',
+        text: ja ? `${escapeHtml(d.actorId)} が ${wiki} の ${page} を巻き戻しました` : `${escapeHtml(d.actorId)} rolled back ${page} in ${wiki}`,
+        link: d.revisionId ? `${pageUrl}/compare?to=${d.revisionId}` : pageUrl
+      };
+    case 'page_move':
+      return {
+        icon: '🚚',
+        text: ja
+          ? `${escapeHtml(d.actorId)} が ${wiki} の <strong>${escapeHtml(d.oldName)}</strong> を ${page} に移動しました`
+          : `${escapeHtml(d.actorId)} moved <strong>${escapeHtml(d.oldName)}</strong> to ${page} in ${wiki}`,
+        link: pageUrl
+      };
+    case 'page_restore':
+      return {
+        icon: '♻️',
+        text: ja ? `${escapeHtml(d.actorId)} が ${wiki} の ${page} をゴミ箱から復元しました` : `${escapeHtml(d.actorId)} restored ${page} in ${wiki} from the trash`,
+        link: pageUrl
+      };
+    case 'invite':
+      return {
+        icon: '✉️',
+        text: ja ? `${wiki} に ${escapeHtml(d.role)} として招待されました` : `You were invited to ${wiki} as ${escapeHtml(d.role)}`,
+        link: '/invites'
+      };
+    case 'warning':
+      return {
+        icon: '⚠️',
+        text: (ja ? '管理者から警告を受けました' : 'You received a warning from the site admins') + `: ${escapeHtml(d.reason)}`,
+        link: null
+      };
+    case 'suspension': {
+      const until = d.expiresAt ? new Date(d.expiresAt).toLocaleString(ja ? 'ja-JP' : 'en-US') : null;
+      return {
+        icon: '🚫',
+        text: (until
+          ? (ja ? `アカウントが ${until} まで停止されました` : `Your account was suspended until ${until}`)
+          : (ja ? 'アカウントが無期限に停止されました' : 'Your account was suspended permanently')) + `: ${escapeHtml(d.reason)}`,
+        link: null
+      };
     }
-    .header-center { 
-      flex: 1; 
-      text-align: center; 
-      display: flex;
-      justify-content: center;
-      align-items: center;
+    default:
+      return { icon: '🔔', text: escapeHtml(n.type), link: null };
+  }
+};
+
+// --- Email Delivery ---
+// 配信停止リンクはログイン不要で使えるよう、ユーザーIDの HMAC をトークンにする。
+// 配信停止リンクのないメールは送れないので、UNSUBSCRIBE_SECRET が未設定ならメール送信ごと無効にする
+const UNSUBSCRIBE_SECRET = process.env.UNSUBSCRIBE_SECRET || '';
+if (process.env.SMTP_HOST && !UNSUBSCRIBE_SECRET) {
+  console.warn('UNSUBSCRIBE_SECRET が設定されていないため、メール送信を無効にします。');
+}
+
+// SMTP_HOST が未設定ならメールは送らずアプリ内通知のみ。開発時は MailHog 等のローカル SMTP シンクに向ければ確認できる
+const mailTransport = process.env.SMTP_HOST && UNSUBSCRIBE_SECRET ? nodemailer.createTransport({
+  host: process.env.SMTP_HOST,
+  port: parseInt(process.env.SMTP_PORT || '587', 10),
+  secure: process.env.SMTP_SECURE === 'true',
+  auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+}) : null;
+const MAIL_FROM = process.env.MAIL_FROM || `Rec Wiki <no-reply@${new URL(BASE_URL).hostname}>`;
+const EMAIL_FREQUENCIES = ['immediate', 'daily'];
+const EMAIL_DIGEST_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const EMAIL_MAX_ATTEMPTS = 5;
+// 通知の種類 → 受信設定の列（user_profiles）。ここにない種類はメールしない
+const EMAIL_PREFERENCE_COLUMNS = {
+  page_edit: 'email_watch_edits',
+  page_rollback: 'email_watch_edits',
+  page_move: 'email_watch_edits',
+  page_restore: 'email_watch_edits',
+  invite: 'email_invites',
+  warning: 'email_moderation',
+  suspension: 'email_moderation'
+};
+
+const unsubscribeToken = (userId) => crypto.createHmac('sha256', UNSUBSCRIBE_SECRET).update(`unsubscribe:${userId}`).digest('hex').slice(0, 32);
+const unsubscribeUrl = (userId) => `${BASE_URL}/email/unsubscribe?u=${encodeURIComponent(userId)}&t=${unsubscribeToken(userId)}`;
+const isValidUnsubscribeToken = (userId, token) => {
+  if (!UNSUBSCRIBE_SECRET) return false;
+  const expected = Buffer.from(unsubscribeToken(userId));
+  const given = Buffer.from(String(token || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+const htmlToText = (html) => html
+  .replace(/<[^>]*>/g, '')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// 受信設定を満たす場合だけキューに積む。即時配信のユーザーにはその場で送信を試みる
+const enqueueNotificationEmail = async (userId, notificationId, type) => {
+  const column = EMAIL_PREFERENCE_COLUMNS[type];
+  if (!mailTransport || !column) return;
+  const res = await pool.query(`SELECT email, email_notifications, email_frequency, ${column} AS wanted FROM user_profiles WHERE user_id = $1`, [userId]);
+  const prefs = res.rows[0];
+  if (!prefs || !prefs.email || !prefs.email_notifications || !prefs.wanted) return;
+  await pool.query('INSERT INTO email_queue(user_id, notification_id) VALUES ($1, $2)', [userId, notificationId]);
+  if (prefs.email_frequency !== 'daily') {
+    processEmailQueue().catch(err => console.error('❌ Email delivery failed:', err.message));
+  }
+};
+
+// 1件なら通知そのものを件名に、複数件ならダイジェストとしてまとめる
+const composeNotificationEmail = (userId, items, lang) => {
+  const ja = lang === 'ja';
+  const entries = items.map(item => ({ ...describeNotification(item, lang), url: `${BASE_URL}/notifications/${item.notification_id}/open`, createdAt: item.created_at }));
+  const subject = entries.length === 1
+    ? `[Rec Wiki] ${htmlToText(entries[0].text)}`
+    : (ja ? `[Rec Wiki] ${entries.length} 件の新しい通知` : `[Rec Wiki] ${entries.length} new notifications`);
+  const preferencesUrl = `${BASE_URL}/user/${encodeURIComponent(userId)}#email-preferences`;
+  const footerText = ja
+    ? `メール設定の変更: ${preferencesUrl}\n配信停止: ${unsubscribeUrl(userId)}`
+    : `Email preferences: ${preferencesUrl}\nUnsubscribe: ${unsubscribeUrl(userId)}`;
+  const text = entries.map(e => `${e.icon} ${htmlToText(e.text)}\n${e.url}`).join('\n\n') + `\n\n--\n${footerText}\n`;
+  const html = `
+    <div style="font-family: sans-serif; line-height: 1.6;">
+      ${entries.map(e => `<p>${e.icon} ${e.text}<br><a href="${e.url}">${ja ? '開く' : 'Open'}</a> <small style="color: #888;">${new Date(e.createdAt).toLocaleString(ja ? 'ja-JP' : 'en-US')}</small></p>`).join('')}
+      <hr>
+      <p style="color: #888; font-size: 12px;">
+        <a href="${preferencesUrl}">${ja ? 'メール設定の変更' : 'Email preferences'}</a> ·
+        <a href="${unsubscribeUrl(userId)}">${ja ? '配信停止' : 'Unsubscribe'}</a>
+      </p>
+    </div>`;
+  return { subject, text, html };
+};
+
+const sendNotificationEmail = async (user, items) => {
+  const { subject, text, html } = composeNotificationEmail(user.user_id, items, user.language || 'ja');
+  await mailTransport.sendMail({
+    from: MAIL_FROM,
+    to: user.email,
+    subject,
+    text,
+    html,
+    headers: {
+      'List-Unsubscribe': `<${unsubscribeUrl(user.user_id)}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
     }
-    .header-right {
-      justify-content: flex-end;
+  });
+};
+
+// 未送信キューを処理する。即時配信は1通ずつ、ダイジェストは最古の未送信分が
+// 前回送信から EMAIL_DIGEST_INTERVAL_MS 経過したらまとめて1通にする。失敗分は次回再試行する
+let emailQueueRunning = false;
+const processEmailQueue = async () => {
+  if (!mailTransport || emailQueueRunning) return;
+  emailQueueRunning = true;
+  try {
+    const pendingRes = await pool.query(`
+      SELECT q.id, q.user_id, n.id AS notification_id, n.type, n.data, n.created_at,
+             p.email, p.email_notifications, p.email_frequency, p.email_last_digest_at, l.language
+      FROM email_queue q
+      JOIN notifications n ON n.id = q.notification_id
+      JOIN user_profiles p ON p.user_id = q.user_id
+      LEFT JOIN user_languages l ON l.user_id = q.user_id
+      WHERE q.sent_at IS NULL AND q.attempts < $1
+      ORDER BY q.user_id, n.created_at
+    `, [EMAIL_MAX_ATTEMPTS]);
+
+    const byUser = new Map();
+    for (const row of pendingRes.rows) {
+      if (!byUser.has(row.user_id)) byUser.set(row.user_id, []);
+      byUser.get(row.user_id).push(row);
     }
-    .header-left a, .header-left button { transition: all 0.2s ease; }
-    .desktop-only { display: inline-flex; }
-    .mobile-only { display: none; }
-    .diff-added { background-color: rgba(46, 160, 67, 0.2); text-decoration: none; }
-    .diff-removed { background-color: rgba(248, 81, 73, 0.2); text-decoration: line-through; }
-    
-    /* Button Styles */
-    .btn {
-      display: inline-flex;
-      align-items: center;
-      gap: 8px;
-      padding: 10px 16px;
-      border-radius: 8px;
-      border: 1px solid var(--border-color);
-      text-decoration: none;
-      background-color: var(--button-bg);
-      color: var(--text-primary);
-      transition: all 0.2s ease;
-      cursor: pointer;
-      font-size: 14px;
-      font-weight: 500;
+
+    for (const items of byUser.values()) {
+      const user = items[0];
+      // キューに積んだ後で配信停止された場合は送らずに破棄する
+      if (!user.email || !user.email_notifications) {
+        await pool.query('DELETE FROM email_queue WHERE id = ANY($1::int[])', [items.map(i => i.id)]);
+        continue;
+      }
+      const isDigest = user.email_frequency === 'daily';
+      if (isDigest) {
+        const since = Math.max(new Date(items[0].created_at).getTime(), user.email_last_digest_at ? new Date(user.email_last_digest_at).getTime() : 0);
+        if (Date.now() - since < EMAIL_DIGEST_INTERVAL_MS) continue;
+      }
+      for (const batch of isDigest ? [items] : items.map(i => [i])) {
+        const ids = batch.map(i => i.id);
+        try {
+          await sendNotificationEmail(user, batch);
+          await pool.query('UPDATE email_queue SET sent_at = NOW() WHERE id = ANY($1::int[])', [ids]);
+          if (isDigest) await pool.query('UPDATE user_profiles SET email_last_digest_at = NOW() WHERE user_id = $1', [user.user_id]);
+        } catch (err) {
+          await pool.query('UPDATE email_queue SET attempts = attempts + 1, last_error = $2 WHERE id = ANY($1::int[])', [ids, err.message]);
+        }
+      }
     }
-    .btn:hover { background-color: var(--button-hover); transform: translateY(-1px); }
-    .btn.primary { background-color: var(--accent-color); color: white; border-color: var(--accent-color); }
-    .btn.primary:hover { background-color: #2980b9; border-color: #2980b9; }
-    .btn.success { background-color: var(--success-color); color: white; border-color: var(--success-color); }
-    .btn.danger { background-color: var(--danger-color); color: white; border-color: var(--danger-color); }
-    .btn.warning { background-color: var(--warning-color); color: white; border-color: var(--warning-color); }
-    .btn.disabled, a.btn.disabled {
-      pointer-events: none;
-      cursor: not-allowed;
-      opacity: 0.6;
+
+    await pool.query("DELETE FROM email_queue WHERE sent_at < NOW() - INTERVAL '30 days'");
+  } finally {
+    emailQueueRunning = false;
+  }
+};
+
+// --- Webhooks ---
+// Wiki管理者が登録したURLへ、Wikiのイベントを署名付きJSONでPOSTする。
+// 配信は webhook_deliveries に積んでから送り、失敗したら間隔を倍にしながら再試行する
+const WEBHOOK_EVENTS = ['page.created', 'page.edited', 'page.moved', 'page.rolled_back', 'page.deleted', 'page.restored', 'permissions.changed'];
+const MAX_WEBHOOKS_PER_WIKI = 10;
+const WEBHOOK_MAX_ATTEMPTS = 6;
+const WEBHOOK_RETRY_BASE_MS = 60 * 1000; // 1分, 2分, 4分, 8分, 16分
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const WEBHOOK_RESPONSE_PREVIEW_LENGTH = 1000;
+// 同時に送信するWebhookの数。送信はWebhookごとに独立しているので、遅い送信先が他のWikiの配信を止めない
+const MAX_WEBHOOK_WORKERS = 20;
+
+// 送信先にできないアドレス（ループバック・プライベート・リンクローカル・ULA・マルチキャストなど）。
+// IPv4 射影アドレス (::ffff:a.b.c.d) は BlockList が IPv4 の規則で判定する。NAT64・6to4 など IPv4 を埋め込む範囲は拒否する
+const WEBHOOK_BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) WEBHOOK_BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+for (const [address, prefix] of [
+  ['::', 96], ['64:ff9b::', 96], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) WEBHOOK_BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+// 社内ネットワークの受信先に送る構成向け。1 のときは上のアドレスや localhost にも送信する
+const WEBHOOK_ALLOW_PRIVATE_TARGETS = process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === '1';
+
+// 受信側は X-RecWiki-Signature をリクエストボディの HMAC-SHA256 と比較して検証する
+const webhookSignature = (secret, body) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+const isBlockedWebhookAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return true;
+  if (WEBHOOK_ALLOW_PRIVATE_TARGETS) return false;
+  return WEBHOOK_BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const webhookHostOf = (url) => url.hostname.replace(/^\[(.*)\]$/, '$1');
+
+// 登録時の検査。ホスト名の解決結果は変わりうるので、送信時にも接続先のアドレスを検査する（webhookLookup）
+const isValidWebhookUrl = (value) => {
+  try {
+    const url = new URL(value);
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return false;
+    const host = webhookHostOf(url);
+    if (net.isIP(host)) return !isBlockedWebhookAddress(host);
+    return WEBHOOK_ALLOW_PRIVATE_TARGETS || (host !== 'localhost' && !host.endsWith('.localhost'));
+  } catch {
+    return false;
+  }
+};
+
+const webhookBlockedError = (host) => Object.assign(new Error(`Blocked private or reserved address: ${host}`), { code: 'EWEBHOOKBLOCKED' });
+
+// 接続直前の名前解決で、拒否するアドレスを除く。検査と接続に同じ解決結果を使うので DNS rebinding でもすり抜けられない
+const webhookLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const allowed = addresses.filter(a => !isBlockedWebhookAddress(a.address));
+    if (!allowed.length) return callback(webhookBlockedError(hostname));
+    if (options.all) return callback(null, allowed);
+    return callback(null, allowed[0].address, allowed[0].family);
+  });
+};
+
+// POST して状態コードと本文の先頭を返す。リダイレクトは追わない
+const postWebhook = (url, headers, body) => new Promise((resolve, reject) => {
+  const host = webhookHostOf(url);
+  if (net.isIP(host) && isBlockedWebhookAddress(host)) return reject(webhookBlockedError(host));
+  const request = (url.protocol === 'https:' ? https : http).request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: webhookLookup,
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  }, (response) => {
+    const chunks = [];
+    let size = 0;
+    const finish = () => resolve({ status: response.statusCode, text: Buffer.concat(chunks).toString('utf8') });
+    response.on('data', (chunk) => {
+      chunks.push(chunk);
+      size += chunk.length;
+      // 先頭だけ残せばよいので、それ以上は読まずに切る（UTF-8 は1文字最大4バイト）
+      if (size >= WEBHOOK_RESPONSE_PREVIEW_LENGTH * 4) {
+        finish();
+        response.destroy();
+      }
+    });
+    response.on('end', finish);
+    response.on('error', reject);
+  });
+  request.on('error', reject);
+  request.end(body);
+});
+
+const webhookPage = (wiki, name) => ({ name, url: `${BASE_URL}/${wiki.address}/${encodeURIComponent(name)}` });
+
+const webhookPayload = (wiki, event, actorId, data) => ({
+  event,
+  created_at: new Date().toISOString(),
+  wiki: { id: wiki.id, address: wiki.address, name: wiki.name, url: `${BASE_URL}/${wiki.address}` },
+  actor: actorId ? { id: actorId, anonymous: isAnonymousId(actorId) } : null,
+  data
+});
+
+const enqueueWebhookDelivery = async (webhookId, event, payload) => {
+  const res = await pool.query('INSERT INTO webhook_deliveries(webhook_id, event, payload) VALUES ($1, $2, $3) RETURNING id', [webhookId, event, payload]);
+  return res.rows[0].id;
+};
+
+// イベントを購読している有効なWebhookごとに配信を積み、すぐに送信を始める（応答は待たない）
+const emitWikiEvent = async (wiki, event, actorId, data = {}) => {
+  const hooksRes = await pool.query(
+    "SELECT id FROM webhooks WHERE wiki_id = $1 AND is_active = 1 AND $2 = ANY(string_to_array(events, ','))",
+    [wiki.id, event]
+  );
+  if (!hooksRes.rows.length) return;
+  const payload = webhookPayload(wiki, event, actorId, data);
+  for (const { id } of hooksRes.rows) {
+    await enqueueWebhookDelivery(id, event, payload);
+    startWebhookWorker(id);
+  }
+};
+
+const sendWebhookDelivery = async (delivery) => {
+  const body = JSON.stringify({ delivery_id: delivery.id, ...delivery.payload });
+  const attempts = delivery.attempts + 1;
+  let status = null;
+  let responseBody = null;
+  let error = null;
+  try {
+    const response = await postWebhook(new URL(delivery.url), {
+      'Content-Type': 'application/json',
+      'User-Agent': 'RecWiki-Webhooks/1.0',
+      'X-RecWiki-Event': delivery.event,
+      'X-RecWiki-Delivery': String(delivery.id),
+      'X-RecWiki-Signature': webhookSignature(delivery.secret, body)
+    }, body);
+    status = response.status;
+    // リダイレクトは追わず、失敗として扱う（転送先の内容は残さない）
+    if (status >= 300 && status < 400) {
+      error = `HTTP ${status} (redirects are not followed)`;
+    } else {
+      responseBody = response.text.slice(0, WEBHOOK_RESPONSE_PREVIEW_LENGTH);
+      if (status < 200 || status >= 300) error = `HTTP ${status}`;
     }
-    
-    /* Language Dropdown Styles */
-    .language-dropdown {
-      position: relative;
-      display: inline-block;
+  } catch (err) {
+    error = err.name === 'AbortError' ? `Timed out after ${WEBHOOK_TIMEOUT_MS / 1000}s` : err.message;
+  }
+
+  if (!error) {
+    await pool.query(`
+      UPDATE webhook_deliveries SET status = 'success', attempts = $2, response_status = $3, response_body = $4, last_error = NULL, delivered_at = NOW()
+      WHERE id = $1
+    `, [delivery.id, attempts, status, responseBody]);
+  } else if (attempts >= WEBHOOK_MAX_ATTEMPTS) {
+    await pool.query(`
+      UPDATE webhook_deliveries SET status = 'failed', attempts = $2, response_status = $3, response_body = $4, last_error = $5
+      WHERE id = $1
+    `, [delivery.id, attempts, status, responseBody, error]);
+  } else {
+    await pool.query(`
+      UPDATE webhook_deliveries SET attempts = $2, response_status = $3, response_body = $4, last_error = $5,
+        next_attempt_at = NOW() + $6::float8 * INTERVAL '1 millisecond'
+      WHERE id = $1
+    `, [delivery.id, attempts, status, responseBody, error, WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1)]);
+  }
+  return !error;
+};
+
+// 送信中の Webhook ID。1つのWebhookの配信は古い順に1件ずつ送る
+const activeWebhookWorkers = new Set();
+
+// 実行中に積まれた配信も拾えるよう、そのWebhookに送るものがなくなるまで繰り返す
+const runWebhookWorker = async (webhookId) => {
+  if (activeWebhookWorkers.has(webhookId) || activeWebhookWorkers.size >= MAX_WEBHOOK_WORKERS) return;
+  activeWebhookWorkers.add(webhookId);
+  try {
+    for (;;) {
+      const dueRes = await pool.query(`
+        SELECT d.id, d.event, d.payload, d.attempts, w.url, w.secret
+        FROM webhook_deliveries d
+        JOIN webhooks w ON w.id = d.webhook_id
+        WHERE d.webhook_id = $1 AND d.status = 'pending' AND d.next_attempt_at <= NOW() AND w.is_active = 1
+        ORDER BY d.id
+        LIMIT 20
+      `, [webhookId]);
+      if (!dueRes.rows.length) break;
+      for (const delivery of dueRes.rows) {
+        await sendWebhookDelivery(delivery);
+      }
     }
-    .language-button {
-      background: none;
-      border: 1px solid var(--border-color);
-      color: var(--text-primary);
-      padding: 10px 16px;
-      border-radius: 8px;
-      cursor: pointer;
-      transition: all 0.2s ease;
-      font-size: 14px;
-      font-weight: 500;
-      display: flex;
-      align-items: center;
-      gap: 8px;
+  } finally {
+    activeWebhookWorkers.delete(webhookId);
+  }
+};
+
+// 送信を始めて、完了は待たない
+const startWebhookWorker = (webhookId) => {
+  runWebhookWorker(webhookId).catch(err => console.error('❌ Webhook delivery failed:', err.message));
+};
+
+// 送るべき配信があるWebhookごとに送信を始める（定期実行用）
+const processWebhookQueue = async () => {
+  const dueRes = await pool.query(`
+    SELECT DISTINCT d.webhook_id
+    FROM webhook_deliveries d
+    JOIN webhooks w ON w.id = d.webhook_id
+    WHERE d.status = 'pending' AND d.next_attempt_at <= NOW() AND w.is_active = 1
+  `);
+  for (const { webhook_id: webhookId } of dueRes.rows) startWebhookWorker(webhookId);
+  await pool.query("DELETE FROM webhook_deliveries WHERE created_at < NOW() - INTERVAL '30 days'");
+};
+
+// --- Diff Helpers ---
+const DIFF_CONTEXT_LINES = 3;
+
+const splitLines = (text) => {
+  const lines = text.split('\n');
+  if (lines.length && lines[lines.length - 1] === '') lines.pop();
+  return lines;
+};
+
+// 変更された行のペアを単語単位で比較し、左右それぞれのハイライト済みHTMLを返す
+const wordDiffHtml = (oldLine, newLine) => {
+  let oldHtml = '';
+  let newHtml = '';
+  for (const part of diffWordsWithSpace(oldLine, newLine)) {
+    const text = escapeHtml(part.value);
+    if (part.added) newHtml += `<ins class="diff-added">${text}</ins>`;
+    else if (part.removed) oldHtml += `<del class="diff-removed">${text}</del>`;
+    else { oldHtml += text; newHtml += text; }
+  }
+  return { oldHtml, newHtml };
+};
+
+// 行単位の差分を表示用の行リストに変換する
+// type: same（変更なし） / change（変更行のペア） / del（削除のみ） / add（追加のみ）
+const buildLineDiff = (oldText, newText) => {
+  const parts = diffLines(oldText || '', newText || '');
+  const rows = [];
+  let oldNo = 1;
+  let newNo = 1;
+  for (let i = 0; i < parts.length; i++) {
+    const part = parts[i];
+    if (!part.added && !part.removed) {
+      for (const line of splitLines(part.value)) {
+        const html = escapeHtml(line);
+        rows.push({ type: 'same', oldNo: oldNo++, newNo: newNo++, oldHtml: html, newHtml: html });
+      }
+      continue;
     }
-    .language-button:hover { background-color: var(--button-hover); }
-    .language-menu {
-      position: absolute;
-      top: 100%;
-      right: 0;
-      margin-top: 4px;
-      min-width: 140px;
-      background: var(--card-bg);
-      border: 1px solid var(--border-color);
-      border-radius: 8px;
-      box-shadow: 0 4px 12px rgba(0,0,0,0.1);
-      display: none;
-      z-index: 1000;
-      overflow: hidden;
+    const removed = part.removed ? splitLines(part.value) : [];
+    const next = parts[i + 1];
+    const added = part.added ? splitLines(part.value) : (next && next.added ? splitLines(next.value) : []);
+    if (part.removed && next && next.added) i++;
+
+    const paired = Math.min(removed.length, added.length);
+    for (let j = 0; j < paired; j++) {
+      const { oldHtml, newHtml } = wordDiffHtml(removed[j], added[j]);
+      rows.push({ type: 'change', oldNo: oldNo++, newNo: newNo++, oldHtml, newHtml });
     }
-    .language-menu.show { display: block; }
-    .language-option {
-      display: flex;
-      align-items: center;
-      gap: 8px;
-      padding: 12px 16px;
-      color: var(--text-primary);
-      text-decoration: none;
-      font-size: 14px;
-      transition: background-color 0.2s ease;
-      border: none;
-      background: none;
-      width: 100%;
-      cursor: pointer;
+    for (const line of removed.slice(paired)) rows.push({ type: 'del', oldNo: oldNo++, oldHtml: escapeHtml(line) });
+    for (const line of added.slice(paired)) rows.push({ type: 'add', newNo: newNo++, newHtml: escapeHtml(line) });
+  }
+  return rows;
+};
+
+// 変更箇所の前後 DIFF_CONTEXT_LINES 行以外の変更なし行を折りたたむ
+const collapseDiffRows = (rows) => {
+  const keep = rows.map(() => false);
+  rows.forEach((row, i) => {
+    if (row.type === 'same') return;
+    for (let j = Math.max(0, i - DIFF_CONTEXT_LINES); j <= Math.min(rows.length - 1, i + DIFF_CONTEXT_LINES); j++) keep[j] = true;
+  });
+  const result = [];
+  let skipped = 0;
+  rows.forEach((row, i) => {
+    if (keep[i]) {
+      if (skipped) result.push({ type: 'skip', count: skipped });
+      skipped = 0;
+      result.push(row);
+    } else {
+      skipped++;
     }
-    .language-option:hover { background-color: var(--button-hover); }
-    .language-option.active { background-color: var(--accent-color); color: white; }
-    
-    /* Mobile Drawer Styles */
-    .mobile-drawer-button {
-      background: none;
-      border: 1px solid var(--border-color);
-      color: var(--text-primary);
-      padding: 8px;
-      border-radius: 6px;
-      cursor: pointer;
-      transition: all 0.2s ease;
-      font-size: 18px;
+  });
+  if (skipped) result.push({ type: 'skip', count: skipped });
+  return result;
+};
+
+// blame でたどる履歴の上限（差分計算は同期処理のため、件数と本文の合計サイズで打ち切る）
+const MAX_BLAME_REVISIONS = 200;
+const MAX_BLAME_BYTES = 5 * 1024 * 1024;
+
+// 各行を最後に変更したリビジョンに帰属させる（古い順に行差分をたどる）
+// truncated のときは revisions[0] を起点の版として扱い、その時点の行は帰属不明から始める
+const blameLines = (revisions, currentContent, { truncated = false } = {}) => {
+  let text = '';
+  let owners = [];
+  if (truncated && revisions.length) {
+    text = revisions[0].content || '';
+    revisions = revisions.slice(1);
+  }
+  const apply = (nextText, revision) => {
+    const nextOwners = [];
+    let index = 0;
+    for (const part of diffLines(text, nextText)) {
+      const count = splitLines(part.value).length;
+      if (part.removed) { index += count; continue; }
+      for (let j = 0; j < count; j++) nextOwners.push(part.added ? revision : owners[index + j]);
+      if (!part.added) index += count;
     }
-    .mobile-drawer-button:hover { background-color: var(--button-hover); }
-    .mobile-drawer {
-      position: fixed;
-      top: 0;
-      left: -300px;
-      width: 300px;
-      height: 100vh;
-      background: var(--card-bg);
-      border-right: 1px solid var(--border-color);
-      z-index: 2000;
-      transition: left 0.3s ease;
-      box-shadow: 2px 0 12px rgba(0,0,0,0.1);
+    text = nextText;
+    owners = nextOwners;
+  };
+  for (const revision of revisions) apply(revision.content || '', revision);
+  // 履歴に残らない変更があれば帰属不明として扱う
+  if ((currentContent || '') !== text) apply(currentContent || '', null);
+  return splitLines(text).map((line, i) => ({ line, revision: owners[i] || null }));
+};
+
+const diffSkipLabel = (count, lang) => lang === 'ja' ? `… 変更のない ${count} 行 …` : `… ${count} unchanged line(s) …`;
+
+const renderSideBySideDiff = (rows, lang) => `
+  <table class="diff-table">
+    ${collapseDiffRows(rows).map(row => {
+      if (row.type === 'skip') return `<tr class="diff-skip"><td colspan="4">${diffSkipLabel(row.count, lang)}</td></tr>`;
+      const oldClass = row.type === 'change' || row.type === 'del' ? 'diff-line-removed' : '';
+      const newClass = row.type === 'change' || row.type === 'add' ? 'diff-line-added' : '';
+      return `<tr>
+        <td class="ln">${row.oldNo ?? ''}</td><td class="${oldClass}">${row.oldHtml ?? ''}</td>
+        <td class="ln">${row.newNo ?? ''}</td><td class="${newClass}">${row.newHtml ?? ''}</td>
+      </tr>`;
+    }).join('')}
+  </table>
+`;
+
+const renderInlineDiff = (rows, lang) => `
+  <table class="diff-table">
+    ${collapseDiffRows(rows).map(row => {
+      if (row.type === 'skip') return `<tr class="diff-skip"><td colspan="4">${diffSkipLabel(row.count, lang)}</td></tr>`;
+      const lines = [];
+      if (row.type === 'same') lines.push(`<tr><td class="ln">${row.oldNo}</td><td class="ln">${row.newNo}</td><td class="ln"> </td><td>${row.oldHtml}</td></tr>`);
+      if (row.type === 'change' || row.type === 'del') lines.push(`<tr><td class="ln">${row.oldNo}</td><td class="ln"></td><td class="ln">-</td><td class="diff-line-removed">${row.oldHtml}</td></tr>`);
+      if (row.type === 'change' || row.type === 'add') lines.push(`<tr><td class="ln"></td><td class="ln">${row.newNo}</td><td class="ln">+</td><td class="diff-line-added">${row.newHtml}</td></tr>`);
+      return lines.join('');
+    }).join('')}
+  </table>
+`;
+
+// --- Recent Changes & Feeds ---
+const RECENT_CHANGES_LIMITS = [50, 100, 250, 500];
+const FEED_ITEM_LIMIT = 50;
+const DATE_PARAM_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// YYYY-MM-DD の形で、かつ実在する日付だけを受け付ける（2024-99-99 や 0 年などは Postgres の ::date でエラーになる）
+const parseDateParam = (value) => {
+  if (!DATE_PARAM_PATTERN.test(value || '') || value.startsWith('0000')) return null;
+  const time = Date.parse(`${value}T00:00:00Z`);
+  if (Number.isNaN(time) || new Date(time).toISOString().slice(0, 10) !== value) return null;
+  return value;
+};
+
+// クエリ文字列から最近の更新のフィルタを取り出す。不正な値は無視する
+const parseRecentChangesFilters = (query) => ({
+  page: query.page ? String(query.page).trim() || null : null,
+  editor: query.editor ? String(query.editor).trim() || null : null,
+  from: parseDateParam(query.from),
+  to: parseDateParam(query.to),
+  hideMine: query.hideMine === '1',
+  hideMinor: query.hideMinor === '1',
+  limit: RECENT_CHANGES_LIMITS.includes(parseInt(query.limit, 10)) ? parseInt(query.limit, 10) : RECENT_CHANGES_LIMITS[0]
+});
+
+// Wiki内のリビジョンを新しい順に返す。parent_id が NULL ならページ作成、size_delta は直前の版からの文字数の増減
+const recentChanges = async (wikiId, { page = null, editor = null, from = null, to = null, hideMinor = false, excludeEditor = null, limit = RECENT_CHANGES_LIMITS[0] } = {}) => {
+  const res = await pool.query(`
+    SELECT r.id, r.editor_id, r.created_at, r.summary, r.is_minor, p.name AS page_name,
+           parent.id AS parent_id, LENGTH(r.content) - COALESCE(parent.length, 0) AS size_delta
+    FROM revisions r
+    JOIN pages p ON p.id = r.page_id
+    LEFT JOIN LATERAL (
+      SELECT id, LENGTH(content) AS length FROM revisions WHERE page_id = r.page_id AND id < r.id ORDER BY id DESC LIMIT 1
+    ) parent ON true
+    WHERE p.wiki_id = $1 AND p.deleted_at IS NULL
+      AND ($2::text IS NULL OR p.name = $2)
+      AND ($3::text IS NULL OR r.editor_id = $3)
+      AND ($4::date IS NULL OR r.created_at >= $4::date)
+      AND ($5::date IS NULL OR r.created_at < $5::date + 1)
+      AND ($6::boolean = false OR COALESCE(r.is_minor, 0) = 0)
+      AND ($7::text IS NULL OR r.editor_id <> $7)
+    ORDER BY r.id DESC
+    LIMIT $8
+  `, [wikiId, page, editor, from, to, hideMinor, excludeEditor, limit]);
+  return res.rows;
+};
+
+const formatSizeDelta = (delta) => `(${delta > 0 ? '+' : ''}${delta})`;
+
+const sizeDeltaHtml = (delta) => {
+  const color = delta > 0 ? 'var(--success-color)' : delta < 0 ? 'var(--danger-color)' : 'var(--text-secondary)';
+  return `<span class="mono" style="color: ${color};">${formatSizeDelta(delta)}</span>`;
+};
+
+// RSS 2.0 / Atom 1.0 を同じ項目リストから組み立てる。escapeHtml の出力は XML でもそのまま使える
+const renderFeed = (format, { title, link, selfUrl, lang, items }) => {
+  const updated = items.length ? new Date(items[0].date) : new Date();
+  if (format === 'atom') {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${lang}">
+  <id>${escapeHtml(selfUrl)}</id>
+  <title>${escapeHtml(title)}</title>
+  <updated>${updated.toISOString()}</updated>
+  <link rel="self" type="application/atom+xml" href="${escapeHtml(selfUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeHtml(link)}"/>
+${items.map(item => `  <entry>
+    <id>${escapeHtml(item.id)}</id>
+    <title>${escapeHtml(item.title)}</title>
+    <updated>${new Date(item.date).toISOString()}</updated>
+    <author><name>${escapeHtml(item.author)}</name></author>
+    <link rel="alternate" type="text/html" href="${escapeHtml(item.link)}"/>
+    <summary type="html">${escapeHtml(item.summaryHtml)}</summary>
+  </entry>`).join('\n')}
+</feed>
+`;
+  }
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeHtml(title)}</title>
+    <link>${escapeHtml(link)}</link>
+    <description>${escapeHtml(title)}</description>
+    <language>${lang}</language>
+    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>
+    <atom:link rel="self" type="application/rss+xml" href="${escapeHtml(selfUrl)}"/>
+${items.map(item => `    <item>
+      <title>${escapeHtml(item.title)}</title>
+      <link>${escapeHtml(item.link)}</link>
+      <guid isPermaLink="false">${escapeHtml(item.id)}</guid>
+      <pubDate>${new Date(item.date).toUTCString()}</pubDate>
+      <dc:creator>${escapeHtml(item.author)}</dc:creator>
+      <description>${escapeHtml(item.summaryHtml)}</description>
+    </item>`).join('\n')}
+  </channel>
+</rss>
+`;
+};
+
+const revisionFeedItems = (wiki, changes, lang) => changes.map(change => {
+  const pageUrl = `${BASE_URL}/${wiki.address}/${encodeURIComponent(change.page_name)}`;
+  const created = change.parent_id === null;
+  return {
+    id: `${BASE_URL}/${wiki.address}/revision/${change.id}`,
+    title: created ? `${change.page_name} (${lang === 'ja' ? '新規作成' : 'created'})` : change.page_name,
+    link: `${pageUrl}/compare?to=${change.id}`,
+    author: change.editor_id,
+    date: change.created_at,
+    summaryHtml: `<p>${revisionSummaryHtml(change, lang) || escapeHtml(lang === 'ja' ? '（要約なし）' : '(no summary)')} ${formatSizeDelta(change.size_delta)}</p>`
+  };
+});
+
+const sendFeed = (res, format, feed) => {
+  res.type(format === 'atom' ? 'application/atom+xml' : 'application/rss+xml');
+  res.send(renderFeed(format, feed));
+};
+
+// --- Wiki Export ---
+const EXPORT_FORMAT_VERSION = 1;
+const UPLOAD_REFERENCE_PATTERN = /\/uploads\/([A-Za-z0-9._-]+)/g;
+// ZIP はメモリ上で組み立てるので、中身の合計サイズに上限を設ける
+const MAX_EXPORT_BYTES = 200 * 1024 * 1024;
+
+// アップロードのファイル名として安全なもの（先頭のドットや .. を含む名前は uploads の外や隠しファイルを指しうる）
+const isSafeUploadName = (name) => /^[A-Za-z0-9_-][A-Za-z0-9._-]*$/.test(name) && !name.includes('..');
+
+// 追加するたびに呼び、合計が MAX_EXPORT_BYTES を超えたら例外（code: EXPORT_TOO_LARGE）を投げる
+const exportSizeBudget = (lang) => {
+  let total = 0;
+  return (bytes) => {
+    total += bytes;
+    if (total > MAX_EXPORT_BYTES) {
+      throw Object.assign(new Error(lang === 'ja'
+        ? `エクスポートが大きすぎます（上限 ${formatBytes(MAX_EXPORT_BYTES)}）。履歴を含めずに試してください。`
+        : `The export is too large (limit ${formatBytes(MAX_EXPORT_BYTES)}). Try again without history.`), { code: 'EXPORT_TOO_LARGE' });
     }
-    .mobile-drawer.open { left: 0; }
-    .drawer-overlay {
-      position: fixed;
-      top: 0;
-      left: 0;
-      width: 100vw;
-      height: 100vh;
-      background: rgba(0,0,0,0.5);
-      z-index: 1999;
-      display: none;
+  };
+};
+
+const STATIC_EXPORT_CSS = `body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; line-height: 1.7; color: #2c3e50; background: #f8f9fa; margin: 0; }
+header { background: #fff; border-bottom: 1px solid #dee2e6; padding: 12px 24px; }
+header a { color: #2c3e50; font-weight: bold; text-decoration: none; }
+main { max-width: 960px; margin: 24px auto; padding: 0 24px; }
+.content { background: #fff; border: 1px solid #dee2e6; border-radius: 8px; padding: 24px; }
+.content img { max-width: 100%; }
+.content pre { background: #f1f3f5; padding: 12px; overflow-x: auto; }
+.content table { border-collapse: collapse; }
+.content th, .content td { border: 1px solid #dee2e6; padding: 6px 10px; }
+a.wikilink { color: #3498db; }
+a.wikilink-new { color: #e74c3c; text-decoration: underline dotted; }
+.muted { color: #6c757d; font-size: 14px; }
+`;
+
+// エクスポート対象のページ（削除済みを除く）を名前順で返す
+const exportablePages = async (wikiId) => {
+  const res = await pool.query('SELECT id, name, content, tags, updated_at, is_locked, lock_expires_at, lock_reason FROM pages WHERE wiki_id = $1 AND deleted_at IS NULL ORDER BY name', [wikiId]);
+  return res.rows;
+};
+
+// ページ名をZIP内のファイル名にする。使えない文字は _ に置き換え、大文字小文字違いや reserved と衝突したら連番を付ける
+const exportFileNames = (pages, reserved = []) => {
+  const used = new Set(reserved);
+  const names = new Map();
+  for (const page of pages) {
+    const base = page.name.replace(/[\\/:*?"<>|\x00-\x1f]/g, '_').replace(/^\./, '_').slice(0, 120) || '_';
+    let name = base;
+    for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base}_${n}`;
+    used.add(name.toLowerCase());
+    names.set(page.name, name);
+  }
+  return names;
+};
+
+// 本文から参照されている /uploads のファイルをZIPの uploads/ に入れ、入れたファイル名を返す
+const addReferencedUploads = (zip, texts, charge) => {
+  const files = new Set();
+  for (const text of texts) {
+    for (const match of (text || '').matchAll(UPLOAD_REFERENCE_PATTERN)) {
+      if (isSafeUploadName(match[1])) files.add(match[1]);
     }
-    .drawer-overlay.show { display: block; }
-    .drawer-header {
-      padding: 20px;
-      border-bottom: 1px solid var(--border-color);
-      display: flex;
-      justify-content: space-between;
-      align-items: center;
+  }
+  const added = [];
+  for (const file of files) {
+    const filePath = path.join(uploadDir, file);
+    let stat;
+    try { stat = fs.statSync(filePath); } catch { continue; }
+    if (!stat.isFile()) continue;
+    charge(stat.size);
+    zip.addFile(`uploads/${file}`, fs.readFileSync(filePath));
+    added.push(file);
+  }
+  return added;
+};
+
+// Markdown 形式: pages/*.md、history/*.json（任意）、uploads/、wiki.json（設定とページ一覧）
+const buildMarkdownExport = async (wiki, { includeHistory = false, lang = 'ja' } = {}) => {
+  const zip = new AdmZip();
+  const charge = exportSizeBudget(lang);
+  const addFile = (name, buffer) => {
+    charge(buffer.length);
+    zip.addFile(name, buffer);
+  };
+  const pages = await exportablePages(wiki.id);
+  const fileNames = exportFileNames(pages);
+  const texts = [wiki.favicon];
+  const manifestPages = [];
+
+  for (const page of pages) {
+    const file = fileNames.get(page.name);
+    addFile(`pages/${file}.md`, Buffer.from(page.content, 'utf8'));
+    texts.push(page.content);
+
+    let historyFile = null;
+    if (includeHistory) {
+      // 全版を読み込む前に本文の合計で上限を確かめる。JSON にして増えた分は追加時に数える
+      const sizeRes = await pool.query('SELECT COALESCE(SUM(OCTET_LENGTH(content)), 0) AS bytes FROM revisions WHERE page_id = $1', [page.id]);
+      const contentBytes = Number(sizeRes.rows[0].bytes);
+      charge(contentBytes);
+      const revsRes = await pool.query('SELECT id, editor_id, created_at, summary, is_minor, content FROM revisions WHERE page_id = $1 ORDER BY id', [page.id]);
+      const revisions = revsRes.rows.map(r => ({ id: r.id, editor: r.editor_id, createdAt: r.created_at, summary: r.summary, minor: !!r.is_minor, content: r.content }));
+      historyFile = `history/${file}.json`;
+      const historyBuffer = Buffer.from(JSON.stringify({ page: page.name, revisions }, null, 2), 'utf8');
+      charge(Math.max(0, historyBuffer.length - contentBytes));
+      zip.addFile(historyFile, historyBuffer);
+      texts.push(...revisions.map(r => r.content));
     }
-    .drawer-close {
-      background: none;
-      border: none;
-      font-size: 24px;
-      cursor: pointer;
-      color: var(--text-primary);
+
+    manifestPages.push({
+      name: page.name,
+      file: `pages/${file}.md`,
+      history: historyFile,
+      tags: tagsOf(page),
+      updatedAt: page.updated_at,
+      protection: page.is_locked > 0 ? { level: page.is_locked, expiresAt: page.lock_expires_at, reason: page.lock_reason } : null
+    });
+  }
+
+  const settings = await getWikiSettings(wiki.id);
+  const noticesRes = await pool.query('SELECT key, title_ja, title_en, body_ja, body_en, color, icon, admin_only FROM wiki_notices WHERE wiki_id = $1 ORDER BY key', [wiki.id]);
+  const uploads = addReferencedUploads(zip, texts, charge);
+  const manifest = {
+    formatVersion: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    source: BASE_URL,
+    wiki: { name: wiki.name, address: wiki.address, description: wiki.description, favicon: wiki.favicon, createdAt: wiki.created_at },
+    settings: {
+      mode: settings.mode,
+      is_searchable: settings.is_searchable,
+      allow_anonymous_edit: settings.allow_anonymous_edit,
+      max_page_size: settings.max_page_size,
+      max_pages: settings.max_pages,
+      max_upload_bytes: settings.max_upload_bytes,
+      theme: settings.theme
+    },
+    notices: noticesRes.rows,
+    pages: manifestPages,
+    uploads
+  };
+  addFile('wiki.json', Buffer.from(JSON.stringify(manifest, null, 2), 'utf8'));
+  return zip.toBuffer();
+};
+
+// 静的HTML形式: 表示と同じ renderWikiContent で描画し、Wikiリンクと画像をZIP内の相対パスに書き換える。
+// エクスポートに含まれないリンク先は元のサイトの絶対URLにする
+const buildStaticSiteExport = async (wiki, lang) => {
+  const zip = new AdmZip();
+  const charge = exportSizeBudget(lang);
+  const addFile = (name, buffer) => {
+    charge(buffer.length);
+    zip.addFile(name, buffer);
+  };
+  const pages = await exportablePages(wiki.id);
+  const fileNames = exportFileNames(pages, ['index']);
+  const htmlFileFor = (name) => `${encodeURIComponent(fileNames.get(name))}.html`;
+  const relink = (html) => html
+    .replace(/(href|src)="\/(?!\/)([^"]*)"/g, (match, attr, target) => {
+      if (attr === 'src' && target.startsWith('uploads/')) return `src="${target}"`;
+      const [address, encodedName, ...rest] = target.split(/[?#]/)[0].split('/');
+      if (address === wiki.address && encodedName && (rest.length === 0 || (rest.length === 1 && rest[0] === 'edit'))) {
+        let name = null;
+        try { name = decodeURIComponent(encodedName); } catch { /* 不正なエンコードはそのまま外部リンクにする */ }
+        if (name !== null && fileNames.has(name)) return `${attr}="${htmlFileFor(name)}"`;
+      }
+      return `${attr}="${BASE_URL}/${target}"`;
+    });
+  const pageDocument = (title, bodyHtml) => `<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} - ${escapeHtml(wiki.name)}</title>
+<link rel="stylesheet" href="style.css">
+</head>
+<body>
+<header><a href="index.html">📚 ${escapeHtml(wiki.name)}</a></header>
+<main>
+${bodyHtml}
+</main>
+</body>
+</html>
+`;
+
+  const texts = [];
+  for (const page of pages) {
+    texts.push(page.content);
+    const redirectTarget = redirectTargetOf(page.content);
+    let bodyHtml;
+    if (redirectTarget && fileNames.has(redirectTarget)) {
+      bodyHtml = `<meta http-equiv="refresh" content="0; url=${htmlFileFor(redirectTarget)}"><p>↪️ <a href="${htmlFileFor(redirectTarget)}">${escapeHtml(redirectTarget)}</a></p>`;
+    } else {
+      const rendered = relink(await renderWikiContent(wiki, page.content, { lang }));
+      bodyHtml = `<h1>${escapeHtml(page.name)}</h1>
+<div class="content">${rendered}</div>
+<p class="muted">${lang === 'ja' ? '最終更新' : 'Last updated'}: ${new Date(page.updated_at).toLocaleString(lang === 'ja' ? 'ja-JP' : 'en-US')}</p>`;
     }
-    .drawer-content {
-      padding: 20px;
+    addFile(`${fileNames.get(page.name)}.html`, Buffer.from(pageDocument(page.name, bodyHtml), 'utf8'));
+  }
+
+  const homeLink = fileNames.has('home') ? `<p><a href="${htmlFileFor('home')}">🏠 home</a></p>` : '';
+  const indexBody = `<h1>📚 ${escapeHtml(wiki.name)}</h1>
+${homeLink}
+<div class="content">
+<ul>
+${pages.map(p => `<li><a href="${htmlFileFor(p.name)}">${escapeHtml(p.name)}</a></li>`).join('\n')}
+</ul>
+</div>
+<p class="muted">${lang === 'ja' ? 'エクスポート日時' : 'Exported'}: ${new Date().toLocaleString(lang === 'ja' ? 'ja-JP' : 'en-US')}</p>`;
+  addFile('index.html', Buffer.from(pageDocument(lang === 'ja' ? 'ページ一覧' : 'All pages', indexBody), 'utf8'));
+  addFile('style.css', Buffer.from(STATIC_EXPORT_CSS, 'utf8'));
+  addReferencedUploads(zip, texts, charge);
+  return zip.toBuffer();
+};
+
+// --- MediaWiki Conversion ---
+// MediaWiki 記法 → Markdown。見出し・強調・リンク・リスト・表・整形済みテキストを変換する。
+// テンプレート呼び出し {{...}} と #REDIRECT [[...]] は Rec Wiki と同じ記法なのでそのまま残す
+const MEDIAWIKI_CATEGORY_PATTERN = /^(category|カテゴリ):/i;
+const MEDIAWIKI_FILE_PATTERN = /^(file|image|ファイル|画像):/i;
+
+// MediaWiki のページ名は _ と空白を区別せず、先頭文字は大文字に正規化される
+const normalizeMediaWikiTitle = (title) => {
+  const name = title.replace(/_/g, ' ').replace(/\s+/g, ' ').trim();
+  return name.charAt(0).toUpperCase() + name.slice(1);
+};
+
+const convertMediaWikiInline = (text, tags) => text
+  .replace(/'''''(.+?)'''''/g, '***$1***')
+  .replace(/'''(.+?)'''/g, '**$1**')
+  .replace(/''(.+?)''/g, '*$1*')
+  .replace(/\[\[([^\[\]|]*)(?:\|([^\[\]]*))?\]\]/g, (match, rawTarget, rawLabel) => {
+    const target = rawTarget.trim();
+    const label = (rawLabel || '').trim();
+    if (MEDIAWIKI_CATEGORY_PATTERN.test(target)) {
+      tags.push(target.replace(MEDIAWIKI_CATEGORY_PATTERN, ''));
+      return '';
     }
-    .drawer-section {
-      margin-bottom: 24px;
+    if (MEDIAWIKI_FILE_PATTERN.test(target)) return `*${label.split('|').pop() || target.replace(MEDIAWIKI_FILE_PATTERN, '')}*`;
+    const [pagePart] = target.replace(/^:/, '').split('#');
+    if (!pagePart.trim()) return label || target;
+    const name = normalizeMediaWikiTitle(pagePart);
+    return label && label !== name ? `[[${name}|${label}]]` : `[[${name}]]`;
+  })
+  .replace(/\[(https?:\/\/[^\s\]]+)(?:\s+([^\]]*))?\]/g, (match, url, label) => label ? `[${label}](${url})` : `<${url}>`)
+  .replace(/<ref[^>]*\/>/gi, '')
+  .replace(/<ref[^>]*>([\s\S]*?)<\/ref>/gi, ' ($1)')
+  .replace(/<references\s*\/?>/gi, '')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/?(b|strong)>/gi, '**')
+  .replace(/<\/?(i|em)>/gi, '*')
+  .replace(/<\/?(s|del|strike)>/gi, '~~')
+  .replace(/<\/?(span|div|center|small|big|font|u|sup|sub|p)(\s[^>]*)?>/gi, '')
+  .replace(/__[A-Z]+__/g, '');
+
+// 表のセル内の | をエスケープする（{{...}} の中はテンプレート引数なので残す）
+const escapeTablePipes = (cell) => {
+  let depth = 0;
+  let out = '';
+  for (let i = 0; i < cell.length; i++) {
+    if (cell.startsWith('{{', i)) { depth++; out += '{{'; i++; continue; }
+    if (cell.startsWith('}}', i) && depth > 0) { depth--; out += '}}'; i++; continue; }
+    out += cell[i] === '|' && depth === 0 ? '\\|' : cell[i];
+  }
+  return out;
+};
+
+// {| ... |} を GFM の表にする。rowspan/colspan などの属性は捨てる
+const convertMediaWikiTable = (lines, tags) => {
+  const rows = [];
+  let row = null;
+  let caption = '';
+  const cellContent = (cell) => {
+    const withAttributes = /^([^|[{]*=[^|[{]*)\|(?!\|)([\s\S]*)$/.exec(cell);
+    const text = withAttributes ? withAttributes[2] : cell;
+    return escapeTablePipes(convertMediaWikiInline(text.trim(), tags).replace(/\n/g, ' '));
+  };
+  for (const raw of lines.slice(1)) {
+    const line = raw.trim();
+    if (line.startsWith('|}')) break;
+    if (line.startsWith('|+')) { caption = convertMediaWikiInline(line.slice(2).trim(), tags); continue; }
+    if (line.startsWith('|-')) { row = null; continue; }
+    if (line.startsWith('!') || line.startsWith('|')) {
+      const isHeader = line.startsWith('!');
+      if (!row) { row = { header: isHeader, cells: [] }; rows.push(row); }
+      if (!isHeader) row.header = false;
+      row.cells.push(...line.slice(1).split(isHeader ? /!!|\|\|/ : /\|\|/).map(cellContent));
+    } else if (row && row.cells.length && line) {
+      row.cells[row.cells.length - 1] += ` ${cellContent(line)}`;
     }
-    .drawer-section h3 {
-      margin: 0 0 12px 0;
-      font-size: 16px;
-      color: var(--text-primary);
+  }
+  if (!rows.length) return caption;
+  const width = Math.max(...rows.map(r => r.cells.length));
+  const format = (cells) => `| ${Array.from({ length: width }, (_, i) => cells[i] || '').join(' | ')} |`;
+  // GFM の表には見出し行が必要なので、見出し行がなければ空の見出しを付ける
+  const [head, ...body] = rows[0].header ? rows : [{ cells: [] }, ...rows];
+  return [
+    caption ? `**${caption}**\n` : '',
+    format(head.cells),
+    `|${' --- |'.repeat(width)}`,
+    ...body.map(r => format(r.cells))
+  ].filter(Boolean).join('\n');
+};
+
+const convertMediaWikiToMarkdown = (text) => {
+  const tags = [];
+  const stash = [];
+  const keep = (value) => `\u0000${stash.push(value) - 1}\u0000`;
+  let src = String(text || '').replace(/\r\n?/g, '\n').replace(/<!--[\s\S]*?-->/g, '');
+
+  // 整形済みテキストは変換の対象外にする
+  src = src
+    .replace(/<(syntaxhighlight|source)([^>]*)>([\s\S]*?)<\/\1>/gi, (match, tag, attrs, code) => {
+      const lang = (/lang="?([\w+#-]+)/i.exec(attrs) || [])[1] || '';
+      return keep(`\n\`\`\`${lang}\n${code.replace(/^\n+|\n+$/g, '')}\n\`\`\`\n`);
+    })
+    .replace(/<pre[^>]*>([\s\S]*?)<\/pre>/gi, (match, code) => keep(`\n\`\`\`\n${code.replace(/^\n+|\n+$/g, '')}\n\`\`\`\n`))
+    .replace(/<code>([\s\S]*?)<\/code>/gi, (match, code) => keep(`\`${code}\``))
+    .replace(/<nowiki>([\s\S]*?)<\/nowiki>/gi, (match, raw) => keep(raw));
+
+  const lines = src.split('\n');
+  const out = [];
+  // リスト・引用・通常の段落が切り替わるところに空行を入れ、前のブロックに続けて解釈されないようにする
+  let previousKind = null;
+  const push = (kind, ...converted) => {
+    if (previousKind && kind !== previousKind && out[out.length - 1] !== '') out.push('');
+    out.push(...converted);
+    previousKind = kind;
+  };
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (/^\s*\{\|/.test(line)) {
+      const end = lines.findIndex((l, j) => j > i && /^\s*\|\}/.test(l));
+      const tableLines = lines.slice(i, end === -1 ? lines.length : end + 1);
+      out.push('', keep(convertMediaWikiTable(tableLines, tags)), '');
+      previousKind = null;
+      i += tableLines.length - 1;
+      continue;
     }
-    .drawer-option {
-      display: flex;
-      align-items: center;
-      gap: 12px;
-      padding: 12px;
-      margin: 8px 0;
-      border-radius: 8px;
-      color: var(--text-primary);
-      text-decoration: none;
-      background-color: var(--button-bg);
-      border: 1px solid var(--border-color);
-      transition: all 0.2s ease;
-      cursor: pointer;
-      font-size: 14px;
+    const heading = /^(={1,6})\s*(.+?)\s*\1\s*$/.exec(line);
+    if (heading) { out.push(`${'#'.repeat(heading[1].length)} ${heading[2]}`); previousKind = null; continue; }
+    if (/^-{4,}\s*$/.test(line)) { out.push('', '---', ''); previousKind = null; continue; }
+    const list = /^#REDIRECT/i.test(line) ? null : /^([*#:;]+)\s*(.*)$/.exec(line);
+    if (list) {
+      const [, prefix, item] = list;
+      const indent = '   '.repeat(prefix.length - 1);
+      const marker = prefix[prefix.length - 1];
+      if (marker === '*') push('list', `${indent}- ${item}`);
+      else if (marker === '#') push('list', `${indent}1. ${item}`);
+      else if (marker === ';') {
+        const [term, ...definition] = item.split(' : ');
+        push('term', `**${term.trim()}**`);
+        if (definition.length) push('quote', `> ${definition.join(' : ').trim()}`);
+      } else push('quote', `${'> '.repeat(prefix.length)}${item}`);
+      continue;
     }
-    .drawer-option:hover { background-color: var(--button-hover); }
-    .drawer-option.active { background-color: var(--accent-color); color: white; border-color: var(--accent-color); }
+    if (line.trim()) push('text', line);
+    else { out.push(line); previousKind = null; }
+  }
 
-    .bottom-nav {
-      position: fixed;
-      bottom: 0;
-      left: 0;
-      right: 0;
-      background: var(--card-bg);
-      border-top: 1px solid var(--border-color);
-      display: none;
-      justify-content: space-around;
-      align-items: center;
-      padding: 12px 0;
-      z-index: 1000;
+  let content = convertMediaWikiInline(out.join('\n'), tags);
+  while (/\u0000\d+\u0000/.test(content)) content = content.replace(/\u0000(\d+)\u0000/g, (match, n) => stash[n]);
+  return { content: content.replace(/\n{3,}/g, '\n\n').trim() + '\n', tags: parseTags(tags.join(',')) };
+};
+
+// --- Wiki Import ---
+// アップロードされたファイルを解析して計画を data/imports/<token>.json に保存し、
+// プレビューで衝突・スキップするページを確認してから確定する
+const importDir = path.join(dataDir, 'imports');
+fs.mkdirSync(importDir, { recursive: true });
+const IMPORT_TOKEN_PATTERN = /^[a-f0-9]{32}$/;
+const IMPORT_PLAN_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_IMPORT_BYTES = 50 * 1024 * 1024;
+// ZIP の展開後サイズの合計の上限（zip bomb 対策）
+const MAX_IMPORT_UNCOMPRESSED_BYTES = 200 * 1024 * 1024;
+// 取り込む画像1件の上限（エディタからのアップロードと同じ）
+const MAX_IMPORT_IMAGE_BYTES = 10 * 1024 * 1024;
+const MAX_IMPORT_PAGE_NAME_LENGTH = 100;
+const MARKDOWN_FILE_PATTERN = /\.(md|markdown)$/i;
+
+const importUpload = multer({ dest: importDir, limits: { fileSize: MAX_IMPORT_BYTES } });
+
+const importPlanPath = (token) => path.join(importDir, `${token}.json`);
+
+const loadImportPlan = (token) => {
+  if (!IMPORT_TOKEN_PATTERN.test(token || '')) return null;
+  try {
+    return JSON.parse(fs.readFileSync(importPlanPath(token), 'utf8'));
+  } catch {
+    return null;
+  }
+};
+
+// 計画とアップロードされた元ファイルを削除する
+const discardImportPlan = (plan) => {
+  fs.rm(importPlanPath(plan.token), { force: true }, () => {});
+  if (plan.archive) fs.rm(path.join(importDir, plan.archive), { force: true }, () => {});
+};
+
+// 確定されずに放置された計画とアップロードを掃除する
+const purgeStaleImportFiles = () => {
+  for (const file of fs.readdirSync(importDir)) {
+    const filePath = path.join(importDir, file);
+    if (Date.now() - fs.statSync(filePath).mtimeMs > IMPORT_PLAN_TTL_MS) fs.rm(filePath, { force: true }, () => {});
+  }
+};
+
+const importPageNameError = (name, lang) => {
+  if (!name) return lang === 'ja' ? 'ページ名が空です' : 'Empty page name';
+  if (name.length > MAX_IMPORT_PAGE_NAME_LENGTH) return lang === 'ja' ? 'ページ名が長すぎます' : 'Page name is too long';
+  if (isReservedPageName(name)) return reservedPageNameMessage(lang);
+  if (/[[\]|\x00-\x1f]/.test(name)) return lang === 'ja' ? 'ページ名に使えない文字が含まれています' : 'Page name contains characters that are not allowed';
+  return null;
+};
+
+const importTimestamp = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+};
+
+// 元の編集者は Rec Wiki のユーザーではないので、要約に残す
+const importSummary = (author, comment) => `[import] ${[author, comment].filter(Boolean).join(': ')}`.trim().slice(0, MAX_SUMMARY_LENGTH);
+
+// MediaWiki の Special:Export の XML。標準名前空間 (0) とテンプレート (10) のページを全リビジョンごと読む
+const parseMediaWikiExport = (xml, lang) => {
+  const parser = new XMLParser({
+    ignoreAttributes: true,
+    parseTagValue: false,
+    trimValues: false,
+    isArray: (name) => name === 'page' || name === 'revision'
+  });
+  const doc = parser.parse(xml);
+  if (!doc.mediawiki) throw new Error(lang === 'ja' ? 'MediaWiki のエクスポート XML ではありません' : 'Not a MediaWiki export XML file');
+  const pages = [];
+  const skipped = [];
+  for (const page of doc.mediawiki.page || []) {
+    const title = String(page.title || '').trim();
+    const ns = String(page.ns ?? '0').trim();
+    if (ns !== '0' && ns !== '10') {
+      skipped.push({ name: title, reason: lang === 'ja' ? `対応していない名前空間 (${ns})` : `Unsupported namespace (${ns})` });
+      continue;
     }
-    .nav-item {
-      display: flex;
-      flex-direction: column;
-      align-items: center;
-      text-decoration: none;
-      color: var(--text-secondary);
-      font-size: 12px;
-      transition: color 0.2s ease;
+    // テンプレート名前空間は Rec Wiki の "Template:" ページとして取り込む
+    const name = ns === '10' ? `${TEMPLATE_PREFIX}${normalizeMediaWikiTitle(title.replace(/^[^:]+:/, ''))}` : normalizeMediaWikiTitle(title);
+    const revisions = (page.revision || []).map(rev => {
+      const contributor = rev.contributor || {};
+      return {
+        ...convertMediaWikiToMarkdown(typeof rev.text === 'string' ? rev.text : ''),
+        timestamp: importTimestamp(rev.timestamp),
+        summary: importSummary(String(contributor.username || contributor.ip || '').trim(), String(rev.comment || '').trim()),
+        isMinor: rev.minor !== undefined
+      };
+    }).sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    // カテゴリは最新版のものをタグにする
+    const tags = revisions.length ? revisions[revisions.length - 1].tags : [];
+    pages.push({ name, tags, revisions: revisions.map(({ tags: revisionTags, ...rev }) => rev) });
+  }
+  return { source: 'mediawiki', pages, skipped };
+};
+
+// ZIP のエントリを展開する関数を返す。ヘッダーの展開後サイズを合計して上限を超えたら展開前に例外を投げる。
+// adm-zip はヘッダーのサイズを上限に展開するので、サイズを偽ったエントリでもそれ以上は膨らまない（0 は空として扱う）
+const importEntryReader = (lang) => {
+  let total = 0;
+  return (entry) => {
+    if (!entry.header.size) return Buffer.alloc(0);
+    total += entry.header.size;
+    if (total > MAX_IMPORT_UNCOMPRESSED_BYTES) {
+      throw new Error(lang === 'ja' ? `展開後のサイズが大きすぎます（上限 ${formatBytes(MAX_IMPORT_UNCOMPRESSED_BYTES)}）` : `The archive is too large when extracted (limit ${formatBytes(MAX_IMPORT_UNCOMPRESSED_BYTES)})`);
     }
-    .nav-item:hover, .nav-item.active { color: var(--accent-color); }
-    .nav-icon { font-size: 20px; margin-bottom: 4px; }
-    input, textarea, select { width: 100%; padding: 12px; border: 1px solid var(--border-color); border-radius: 8px; background-color: var(--card-bg); color: var(--text-primary); font-size: 14px; transition: border-color 0.2s ease; }
-    input:focus, textarea:focus, select:focus { outline: none; border-color: var(--accent-color); box-shadow: 0 0 0 3px rgba(52, 152, 219, 0.1); }
-    textarea { min-height: 400px; font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace; resize: vertical; }
-    .form-group { margin-bottom: 20px; }
-    label { display: block; margin-bottom: 6px; font-weight: 500; color: var(--text-primary); }
-    .form-help { font-size: 12px; color: var(--text-secondary); margin-top: 4px; }
-    .row { display: grid; grid-template-columns: repeat(auto-fit, minmax(250px, 1fr)); gap: 20px; }
-    .muted { color: var(--text-secondary); }
-    .card { border: 1px solid var(--border-color); padding: 24px; border-radius: 12px; background-color: var(--card-bg); box-shadow: 0 2px 4px rgba(0,0,0,0.05); margin-bottom: 20px; }
-    .chip { padding: 6px 12px; border: 1px solid var(--border-color); border-radius: 20px; background-color: var(--button-bg); color: var(--text-primary); text-decoration: none; font-size: 13px; transition: all 0.2s ease; }
-    .chip:hover { background-color: var(--button-hover); transform: translateY(-1px); }
-    .upload-zone { border: 2px dashed var(--border-color); border-radius: 8px; padding: 20px; text-align: center; background-color: var(--bg-secondary); transition: all 0.2s ease; cursor: pointer; margin-bottom: 16px; }
-    .preview-images { display: grid; grid-template-columns: repeat(auto-fill, minmax(150px, 1fr)); gap: 12px; margin-top: 16px; }
-    .preview-item { position: relative; border: 1px solid var(--border-color); border-radius: 8px; overflow: hidden; background-color: var(--card-bg); }
-    .preview-item img { width: 100%; height: 100px; object-fit: cover; }
-    pre { background-color: var(--code-bg); padding: 16px; border-radius: 8px; overflow-x: auto; border: 1px solid var(--border-color); }
-    code { background-color: var(--code-bg); padding: 2px 6px; border-radius: 4px; font-size: 13px; border: 1px solid var(--border-color); }
-    .content img { max-width: 100%; height: auto; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.1); }
-    .breadcrumb { margin-bottom: 20px; font-size: 14px; }
-    .breadcrumb a { color: var(--accent-color); text-decoration: none; }
-    .fade-in { animation: fadeIn 0.3s ease-in; }
-    @keyframes fadeIn { from { opacity: 0; transform: translateY(20px); } to { opacity: 1; transform: translateY(0); } }
-    
-    @media (max-width: 768px) {
-      body { padding: 16px 16px 80px 16px; }
-      header {
-        flex-direction: row;
-        justify-content: space-between;
+    return entry.getData();
+  };
+};
+
+// Markdown の ZIP。Rec Wiki のエクスポート (wiki.json あり) なら履歴・タグ・画像も復元し、
+// それ以外は .md ファイルのZIP内のパス（共通の最上位フォルダは除く）をページ名にする
+const parseMarkdownArchive = (zip, lang) => {
+  const entries = zip.getEntries().filter(e => !e.isDirectory && !e.entryName.startsWith('__MACOSX/'));
+  const manifestEntry = entries.find(e => e.entryName === 'wiki.json');
+  const readEntry = importEntryReader(lang);
+
+  if (manifestEntry) {
+    const manifest = JSON.parse(readEntry(manifestEntry).toString('utf8'));
+    const pages = [];
+    const skipped = [];
+    for (const page of manifest.pages || []) {
+      const file = page.file && zip.getEntry(page.file);
+      if (!file) {
+        skipped.push({ name: String(page.name || ''), reason: lang === 'ja' ? 'ZIP内にファイルがありません' : 'File missing from the archive' });
+        continue;
       }
-      .header-center { order: 0; text-align: center; }
-      .header-left { order: -1; }
-      .header-right { order: 1; }
-      .desktop-only { display: none; }
-      .mobile-only { display: inline-flex; }
-      .row { grid-template-columns: 1fr; }
-      .card { padding: 16px; }
-      .bottom-nav { display: flex; }
+      const historyEntry = page.history && zip.getEntry(page.history);
+      const history = historyEntry ? JSON.parse(readEntry(historyEntry).toString('utf8')).revisions || [] : [];
+      const revisions = history.length
+        ? history.map(r => ({ content: String(r.content ?? ''), timestamp: importTimestamp(r.createdAt), summary: importSummary(r.editor, r.summary), isMinor: !!r.minor }))
+        : [{ content: readEntry(file).toString('utf8'), timestamp: importTimestamp(page.updatedAt), summary: importSummary(null, page.file), isMinor: false }];
+      pages.push({ name: String(page.name || '').trim(), tags: parseTags((page.tags || []).join(',')), revisions });
+    }
+    const uploads = entries
+      .filter(e => e.entryName.startsWith('uploads/') && isSafeUploadName(e.entryName.slice('uploads/'.length)))
+      .map(e => e.entryName.slice('uploads/'.length));
+    return { source: 'rec-wiki', pages, skipped, uploads };
+  }
+
+  const markdownEntries = entries.filter(e => MARKDOWN_FILE_PATTERN.test(e.entryName));
+  const topDirs = new Set(markdownEntries.map(e => e.entryName.includes('/') ? e.entryName.split('/')[0] : ''));
+  const commonRoot = topDirs.size === 1 && !topDirs.has('') ? `${[...topDirs][0]}/` : '';
+  const pages = markdownEntries.map(e => ({
+    name: e.entryName.slice(commonRoot.length).replace(MARKDOWN_FILE_PATTERN, '').trim(),
+    tags: [],
+    revisions: [{ content: readEntry(e).toString('utf8'), timestamp: importTimestamp(e.header.time), summary: importSummary(null, e.entryName), isMinor: false }]
+  }));
+  return { source: 'markdown', pages, skipped: [] };
+};
+
+// 解析結果を検証し、取り込めないページを skipped に移した計画を保存する
+const saveImportPlan = ({ source, pages, skipped, uploads = [] }, { wiki, userId, archive, maxPageSize, lang }) => {
+  const plan = { token: crypto.randomBytes(16).toString('hex'), wikiId: wiki.id, userId, source, archive, createdAt: new Date().toISOString(), pages: [], skipped: [...skipped], uploads };
+  const seen = new Set();
+  for (const page of pages) {
+    const nameError = importPageNameError(page.name, lang);
+    if (nameError) {
+      plan.skipped.push({ name: page.name, reason: nameError });
+    } else if (seen.has(page.name)) {
+      plan.skipped.push({ name: page.name, reason: lang === 'ja' ? 'ファイル内で名前が重複しています' : 'Duplicate name in the file' });
+    } else if (!page.revisions.length) {
+      plan.skipped.push({ name: page.name, reason: lang === 'ja' ? 'リビジョンがありません' : 'No revisions' });
+    } else if (page.revisions.some(r => Buffer.byteLength(r.content, 'utf8') > maxPageSize)) {
+      plan.skipped.push({ name: page.name, reason: lang === 'ja' ? `ページが大きすぎます（上限 ${formatBytes(maxPageSize)}）` : `Page is too large (limit ${formatBytes(maxPageSize)})` });
+    } else {
+      seen.add(page.name);
+      plan.pages.push(page);
+    }
+  }
+  fs.writeFileSync(importPlanPath(plan.token), JSON.stringify(plan));
+  return plan;
+};
+
+// 取り込むページ名と同名の既存ページ・削除済みページ（名前を占有している）を調べる
+const importConflicts = async (wikiId, plan) => {
+  const res = await pool.query('SELECT id, name, deleted_at FROM pages WHERE wiki_id = $1 AND name = ANY($2::text[])', [wikiId, plan.pages.map(p => p.name)]);
+  return new Map(res.rows.map(r => [r.name, r]));
+};
+
+// リビジョンを元のタイムスタンプのまま追加する。既存ページでは履歴の末尾に積み、最後の版を現在の内容にする
+const importPageRevisions = async (wikiId, existing, page, editorId) => {
+  const last = page.revisions[page.revisions.length - 1];
+  let pageId;
+  if (existing) {
+    pageId = existing.id;
+    await pool.query('UPDATE pages SET content = $1, updated_at = NOW() WHERE id = $2', [last.content, pageId]);
+  } else {
+    const pageRes = await pool.query('INSERT INTO pages(wiki_id, name, content, updated_at) VALUES ($1, $2, $3, $4) RETURNING id', [wikiId, page.name, last.content, last.timestamp]);
+    pageId = pageRes.rows[0].id;
+  }
+  let revisionId;
+  for (const rev of page.revisions) {
+    revisionId = await recordRevision(pageId, rev.content, editorId, rev.timestamp, { summary: rev.summary, isMinor: rev.isMinor });
+  }
+  if (page.tags.length) await pool.query('UPDATE pages SET tags = $1 WHERE id = $2', [page.tags.join(','), pageId]);
+  await syncPageIndexes(wikiId, pageId, last.content);
+  return revisionId;
+};
+
+// 取り込みを許す画像形式（SVG などスクリプトを含みうる形式は除く）。先頭のバイト列で判定する
+const IMPORT_IMAGE_SIGNATURES = [
+  [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a], // PNG
+  [0xff, 0xd8, 0xff], // JPEG
+  [0x47, 0x49, 0x46, 0x38], // GIF
+  [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50] // WebP (RIFF....WEBP)
+];
+
+const isAllowedImportImage = (data) => IMPORT_IMAGE_SIGNATURES.some(signature =>
+  data.length >= signature.length && signature.every((byte, i) => byte === null || data[i] === byte));
+
+// Rec Wiki のエクスポートに含まれる画像を、アップロード容量の範囲で新しいファイル名（multer と同じく拡張子なしのランダム名）で取り込む。
+// 元の名前 → 新しい名前の Map を renamed に返すので、取り込むページの本文の参照を書き換えること
+const importArchiveUploads = async (plan, wikiId, userId, maxUploadBytes) => {
+  const result = { added: 0, skipped: 0, rejected: 0, renamed: new Map() };
+  if (!plan.archive || !plan.uploads.length) return result;
+  const zip = new AdmZip(path.join(importDir, plan.archive));
+  let used = await wikiUploadVolume(wikiId);
+  for (const file of plan.uploads) {
+    const entry = zip.getEntry(`uploads/${file}`);
+    if (!entry || !isSafeUploadName(file)) continue;
+    // 展開する前にヘッダーのサイズで判定する
+    const size = entry.header.size;
+    if (!size || size > MAX_IMPORT_IMAGE_BYTES) {
+      result.rejected++;
+      continue;
+    }
+    if (used + size > maxUploadBytes) {
+      result.skipped++;
+      continue;
+    }
+    const data = entry.getData();
+    if (!isAllowedImportImage(data)) {
+      result.rejected++;
+      continue;
+    }
+    const filename = crypto.randomBytes(16).toString('hex');
+    fs.writeFileSync(path.join(uploadDir, filename), data);
+    await pool.query('INSERT INTO uploads(wiki_id, user_id, filename, size) VALUES ($1, $2, $3, $4)', [wikiId, userId, filename, data.length]);
+    used += data.length;
+    result.renamed.set(file, filename);
+    result.added++;
+  }
+  return result;
+};
+
+// 本文中の /uploads/<元の名前> を取り込んだ後の名前に置き換える
+const rewriteUploadReferences = (content, renamed) => renamed.size
+  ? content.replace(UPLOAD_REFERENCE_PATTERN, (match, file) => renamed.has(file) ? `/uploads/${renamed.get(file)}` : match)
+  : content;
+
+// --- API Tokens ---
+// REST API (/api/v1) 用の個人トークン。平文は作成時に一度だけ表示し、DBには SHA-256 ハッシュだけを保存する
+const API_TOKEN_PREFIX = 'rwk_';
+const API_TOKEN_ACCESS = ['read', 'write'];
+const API_TOKEN_EXPIRY_DAYS = [30, 90, 365]; // 0 = 無期限
+const MAX_API_TOKENS_PER_USER = 20;
+const MAX_API_TOKEN_NAME_LENGTH = 100;
+
+const hashApiToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createApiToken = async (userId, { name, access, wikiIds, expiresInDays }) => {
+  const token = API_TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+  const expiresAt = expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null;
+  await pool.query(
+    'INSERT INTO api_tokens(user_id, name, token_hash, token_prefix, access, wiki_ids, expires_at) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+    [userId, name, hashApiToken(token), token.slice(0, API_TOKEN_PREFIX.length + 6), access, wikiIds, expiresAt]
+  );
+  return token;
+};
+
+const apiTokensFor = async (userId) => {
+  const res = await pool.query(`
+    SELECT t.id, t.name, t.token_prefix, t.access, t.wiki_ids, t.expires_at, t.last_used_at, t.created_at,
+      (SELECT array_agg(w.address ORDER BY w.address) FROM wikis w WHERE w.id = ANY(t.wiki_ids)) AS wiki_addresses
+    FROM api_tokens t
+    WHERE t.user_id = $1
+    ORDER BY t.created_at DESC
+  `, [userId]);
+  return res.rows;
+};
+
+// Authorization: Bearer <token> を検証して req.apiToken / req.apiUserId を設定する（セッションは使わない）
+const authenticateApiToken = async (req, res, next) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  if (!match) return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: 'API token required' });
+  const tokenRes = await pool.query('SELECT * FROM api_tokens WHERE token_hash = $1', [hashApiToken(match[1])]);
+  const token = tokenRes.rows[0];
+  if (!token || (token.expires_at && new Date(token.expires_at) <= new Date())) {
+    return res.status(401).set('WWW-Authenticate', 'Bearer error="invalid_token"').json({ error: 'Invalid or expired API token' });
+  }
+  const suspRes = await pool.query('SELECT 1 FROM user_suspensions WHERE user_id = $1 AND (expires_at IS NULL OR expires_at > NOW()) LIMIT 1', [token.user_id]);
+  req.apiToken = token;
+  req.apiUserId = token.user_id;
+  req.apiSuspended = suspRes.rows.length > 0;
+  pool.query('UPDATE api_tokens SET last_used_at = NOW() WHERE id = $1', [token.id]).catch(err => console.error('API token usage update failed:', err));
+  next();
+};
+
+// :address のWikiを読み込み、トークンの対象Wikiと read/write を確認する。書き込みは停止中のアカウントでは拒否する
+const ensureApiWikiAccess = (access) => async (req, res, next) => {
+  const wiki = await wikiByAddress(req.params.address);
+  if (!wiki) return res.status(404).json({ error: 'Wiki not found' });
+  const token = req.apiToken;
+  if (token.wiki_ids && !token.wiki_ids.includes(wiki.id)) return res.status(403).json({ error: 'This token is not valid for this wiki' });
+  if (access === 'write') {
+    if (token.access !== 'write') return res.status(403).json({ error: 'This token is read-only' });
+    if (req.apiSuspended) return res.status(403).json({ error: 'Account suspended' });
+  }
+  req.wiki = wiki;
+  next();
+};
+
+const protectionLevelName = (page) => {
+  const level = activeProtectionLevel(page);
+  return Object.keys(PROTECTION_LEVELS).find(key => PROTECTION_LEVELS[key] === level) || 'none';
+};
+
+const apiPageJson = (wiki, page) => ({
+  name: page.name,
+  url: `${BASE_URL}/${wiki.address}/${encodeURIComponent(page.name)}`,
+  tags: tagsOf(page),
+  protection: protectionLevelName(page),
+  updated_at: page.updated_at
+});
+
+const apiRevisionJson = (rev) => ({
+  id: rev.id,
+  editor_id: rev.editor_id,
+  created_at: rev.created_at,
+  summary: rev.summary || '',
+  minor: !!rev.is_minor,
+  ...(rev.size !== undefined ? { size: Number(rev.size) } : {}),
+  ...(rev.content !== undefined ? { content: rev.content } : {})
+});
+
+// --- Search Helpers ---
+const SEARCH_PER_PAGE = 20;
+// OFFSET に巨大な値を渡すと Postgres がエラーを返すので、ページ番号に上限を設ける
+const MAX_SEARCH_PAGE = 1000;
+// 全Wiki検索 (/api/search) の skip の上限
+const MAX_SEARCH_SKIP = 10000;
+
+const likePattern = (text) => `%${String(text).replace(/[\\%_]/g, '\\$&')}%`;
+
+// websearch 構文の除外語(-word)や引用符を取り除いたハイライト対象語
+const searchTerms = (query) => String(query || '')
+  .split(/\s+/)
+  .filter(term => term && !term.startsWith('-') && term.toLowerCase() !== 'or')
+  .map(term => term.replace(/"/g, ''))
+  .filter(Boolean);
+
+// 最初に一致した語の前後を切り出し、一致箇所を <mark> で囲んだエスケープ済みHTMLを返す
+const buildSnippet = (content, query, radius = 80) => {
+  const text = String(content || '').replace(/\s+/g, ' ').trim();
+  const terms = searchTerms(query);
+  const lower = text.toLowerCase();
+  let pos = -1;
+  for (const term of terms) {
+    const i = lower.indexOf(term.toLowerCase());
+    if (i >= 0 && (pos < 0 || i < pos)) pos = i;
+  }
+  const start = Math.max(0, pos - radius);
+  const end = Math.min(text.length, Math.max(pos, 0) + radius * 2);
+  const snippet = text.slice(start, end);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  if (!terms.length) return prefix + escapeHtml(snippet) + suffix;
+
+  const termPattern = new RegExp(`(${terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+  const highlighted = snippet.split(termPattern)
+    .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+  return prefix + highlighted + suffix;
+};
+
+// Wiki内のページ名・本文を検索（全文検索インデックス + 日本語向けの部分一致）
+const searchWikiPages = async (wiki, query, page = 1) => {
+  const q = String(query || '').trim();
+  const currentPage = Math.min(MAX_SEARCH_PAGE, Math.max(1, parseInt(page, 10) || 1));
+  if (!q) return { query: q, page: currentPage, perPage: SEARCH_PER_PAGE, total: 0, results: [] };
+
+  const result = await pool.query(`
+    SELECT p.id, p.name, p.content, p.updated_at,
+      ts_rank(p.search_vector, query) + (CASE WHEN p.name ILIKE $3 THEN 1 ELSE 0 END) AS rank,
+      COUNT(*) OVER() AS total
+    FROM pages p, websearch_to_tsquery('simple', $2) query
+    WHERE p.wiki_id = $1 AND p.deleted_at IS NULL
+      AND (p.search_vector @@ query OR p.name ILIKE $3 OR p.content ILIKE $3)
+    ORDER BY rank DESC, p.updated_at DESC
+    LIMIT $4 OFFSET $5
+  `, [wiki.id, q, likePattern(q), SEARCH_PER_PAGE, (currentPage - 1) * SEARCH_PER_PAGE]);
+
+  return {
+    query: q,
+    page: currentPage,
+    perPage: SEARCH_PER_PAGE,
+    total: result.rows.length ? parseInt(result.rows[0].total, 10) : 0,
+    results: result.rows.map(r => ({
+      name: r.name,
+      url: `/${wiki.address}/${encodeURIComponent(r.name)}`,
+      snippet: buildSnippet(r.content, q),
+      rank: Number(r.rank),
+      updated_at: r.updated_at
+    }))
+  };
+};
+
+// 全Wiki横断検索。検索非掲載・招待制(メンバー以外)・削除済みのWiki/ページは除外し、Wiki単位でまとめて返す
+const SEARCH_PAGES_PER_WIKI = 3;
+
+const searchAllWikis = async (query, viewerId, { skip = 0, limit = 10 } = {}) => {
+  const q = String(query || '').trim();
+  if (!q) return { query: q, wikis: [], count: 0 };
+  const pattern = likePattern(q);
+  const viewerIsAdmin = !!viewerId && ADMIN_USERS.includes(viewerId);
+
+  const wikisRes = await pool.query(`
+    WITH visible AS (
+      SELECT w.id, w.name, w.address, w.favicon, w.description, w.views, w.created_at
+      FROM wikis w
+      LEFT JOIN wiki_settings ws ON ws.wiki_id = w.id
+      WHERE w.deleted_at IS NULL
+        AND (ws.is_searchable = 1 OR ws.is_searchable IS NULL)
+        AND (COALESCE(ws.mode, 'loggedin') <> 'invite' OR $3::boolean OR w.owner_id = $2
+          OR EXISTS (SELECT 1 FROM wiki_permissions wp WHERE wp.wiki_id = w.id AND wp.editor_id = $2))
+    ),
+    page_hits AS (
+      SELECT p.wiki_id, COUNT(*) AS hits,
+        MAX(ts_rank(p.search_vector, query) + (CASE WHEN p.name ILIKE $4 THEN 1 ELSE 0 END)) AS rank
+      FROM pages p, websearch_to_tsquery('simple', $1) query
+      WHERE p.wiki_id IN (SELECT id FROM visible) AND p.deleted_at IS NULL
+        AND (p.search_vector @@ query OR p.name ILIKE $4 OR p.content ILIKE $4)
+      GROUP BY p.wiki_id
+    )
+    SELECT v.*, COALESCE(ph.hits, 0) AS page_hits,
+      (CASE WHEN v.name ILIKE $4 OR v.address ILIKE $4 THEN 2 ELSE 0 END)
+        + (CASE WHEN v.description ILIKE $4 THEN 1 ELSE 0 END)
+        + COALESCE(ph.rank, 0) AS rank
+    FROM visible v
+    LEFT JOIN page_hits ph ON ph.wiki_id = v.id
+    WHERE v.name ILIKE $4 OR v.address ILIKE $4 OR v.description ILIKE $4 OR ph.hits IS NOT NULL
+    ORDER BY rank DESC, v.views DESC, v.created_at DESC
+    LIMIT $5 OFFSET $6
+  `, [q, viewerId, viewerIsAdmin, pattern, limit, skip]);
+
+  const wikis = wikisRes.rows;
+  if (!wikis.length) return { query: q, wikis: [], count: 0 };
+
+  const pagesRes = await pool.query(`
+    SELECT wiki_id, name, content FROM (
+      SELECT p.wiki_id, p.name, p.content,
+        ROW_NUMBER() OVER (
+          PARTITION BY p.wiki_id
+          ORDER BY ts_rank(p.search_vector, query) + (CASE WHEN p.name ILIKE $3 THEN 1 ELSE 0 END) DESC, p.updated_at DESC
+        ) AS rn
+      FROM pages p, websearch_to_tsquery('simple', $1) query
+      WHERE p.wiki_id = ANY($2::int[]) AND p.deleted_at IS NULL
+        AND (p.search_vector @@ query OR p.name ILIKE $3 OR p.content ILIKE $3)
+    ) ranked
+    WHERE rn <= $4
+    ORDER BY wiki_id, rn
+  `, [q, wikis.map(w => w.id), pattern, SEARCH_PAGES_PER_WIKI]);
+
+  return {
+    query: q,
+    count: wikis.length,
+    wikis: wikis.map(w => ({
+      id: w.id,
+      name: w.name,
+      address: w.address,
+      favicon: w.favicon,
+      description: w.description,
+      views: w.views,
+      pageHits: parseInt(w.page_hits, 10),
+      pages: pagesRes.rows.filter(p => p.wiki_id === w.id).map(p => ({
+        name: p.name,
+        url: `/${w.address}/${encodeURIComponent(p.name)}`,
+        snippet: buildSnippet(p.content, q)
+      }))
+    }))
+  };
+};
+
+const getText = (key, lang = 'ja') => i18n[lang] && i18n[lang][key] ? i18n[lang][key] : i18n.ja[key] || key;
+
+const renderLayout = (title, body, favicon = null, lang = 'ja', req = null) => {
+    let suspensionBanner = '';
+    if (req && req.isSuspended) {
+        const details = req.suspensionDetails;
+        suspensionBanner = `
+          <div class="card" style="background-color: var(--danger-color); color: white; margin-bottom: 20px; border-color: var(--danger-color);">
+            <h3 style="margin-top:0; color: white;">${lang === 'ja' ? 'アカウントが停止されています' : 'Account Suspended'}</h3>
+            <p style="margin-bottom:0;">${lang === 'ja' ? '理由' : 'Reason'}: ${details.reason}</p>
+          </div>
+        `;
+    }
+    // 変更: デフォルトファビコンの設定
+    const faviconTag = favicon ? `<link rel="icon" href="${favicon}">` : '<link rel="icon" href="/public/Icon.png">';
+
+    return `<!doctype html>
+<html lang="${lang}">
+<head>
+  <meta charset="utf-8">
+  <title>${title || 'Rec Wiki'}</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta property="og:site_name" content="Rec Wiki">
+  <meta property="og:title" content="${title || 'Rec Wiki'}">
+  <meta property="og:description" content="Rec Wikiで作成されたWikiページ">
+  <meta property="og:image" content="/public/RecWikiThumbnation.png">
+  <meta property="og:image:width" content="1200">
+  <meta property="og:image:height" content="630">
+  <meta name="theme-color" content="#3498db">
+  <meta name="twitter:card" content="summary_large_image">
+  ${faviconTag}
+
+    <link rel="manifest" href="/public/manifest.json">
+  <meta name="theme-color" content="#3498db">
+  <script>
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.register('/public/service-worker.js');
+    }
+  </script>
+  
+  <style>
+    :root {
+      --bg-primary: #ffffff;
+      --bg-secondary: #f8f9fa;
+      --text-primary: #2c3e50;
+      --text-secondary: #6c757d;
+      --border-color: #dee2e6;
+      --button-bg: #ffffff;
+      --button-hover: #e9ecef;
+      --card-bg: #ffffff;
+      --code-bg: #f8f9fa;
+      --accent-color: #3498db;
+      --success-color: #27ae60;
+      --danger-color: #e74c3c;
+      --warning-color: #f39c12;
+    }
+    [data-theme="dark"] {
+      --bg-primary: #1a1a1a;
+      --bg-secondary: #2d2d2d;
+      --text-primary: #e1e1e1;
+      --text-secondary: #a0a0a0;
+      --border-color: #404040;
+      --button-bg: #2d2d2d;
+      --button-hover: #404040;
+      --card-bg: #2d2d2d;
+      --code-bg: #1e1e1e;
+      --accent-color: #5dade2;
+      --success-color: #58d68d;
+      --danger-color: #ec7063;
+      --warning-color: #f7dc6f;
+    }
+    * { box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      max-width: 1200px;
+      margin: 0 auto;
+      padding: 20px 20px 80px 20px;
+      line-height: 1.7;
+      background-color: var(--bg-primary);
+      color: var(--text-primary);
+      transition: background-color 0.3s ease, color 0.3s ease;
+    }
+    header {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      gap: 16px;
+      margin-bottom: 32px;
+      padding-bottom: 16px;
+      border-bottom: 2px solid var(--border-color);
+      flex-wrap: wrap;
+    }
+    .header-left, .header-right { 
+      display: flex; 
+      align-items: center; 
+      gap: 12px; 
+      flex: 1;
+    }
+    .desktop-header-items {
+      display: flex;
+      align-items: center;
+      gap: 12px;
+    }
+    .header-center { 
+      flex: 1; 
+      text-align: center; 
+      display: flex;
+      justify-content: center;
+      align-items: center;
+    }
+    .header-right {
+      justify-content: flex-end;
+    }
+    .header-left a, .header-left button { transition: all 0.2s ease; }
+    .desktop-only { display: inline-flex; }
+    .mobile-only { display: none; }
+    .diff-added { background-color: rgba(46, 160, 67, 0.2); text-decoration: none; }
+    .diff-removed { background-color: rgba(248, 81, 73, 0.2); text-decoration: line-through; }
+    .diff-table { width: 100%; border-collapse: collapse; table-layout: fixed; font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace; font-size: 13px; }
+    .diff-table td { padding: 2px 8px; vertical-align: top; white-space: pre-wrap; word-break: break-word; border-bottom: 1px solid var(--border-color); }
+    .diff-table td.ln { width: 48px; text-align: right; color: var(--text-secondary); user-select: none; }
+    .diff-table ins, .diff-table del { border-radius: 3px; }
+    .diff-line-added { background-color: rgba(46, 160, 67, 0.08); }
+    .diff-line-removed { background-color: rgba(248, 81, 73, 0.08); }
+    .blame-table td.blame-info { width: 220px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; font-family: inherit; }
+    .blame-table tr.blame-start td { border-top: 2px solid var(--border-color); }
+    .diff-skip td { text-align: center; color: var(--text-secondary); background-color: var(--bg-secondary); }
+    
+    /* Button Styles */
+    .btn {
+      display: inline-flex;
+      align-items: center;
+      gap: 8px;
+      padding: 10px 16px;
+      border-radius: 8px;
+      border: 1px solid var(--border-color);
+      text-decoration: none;
+      background-color: var(--button-bg);
+      color: var(--text-primary);
+      transition: all 0.2s ease;
+      cursor: pointer;
+      font-size: 14px;
+      font-weight: 500;
+    }
+    .btn:hover { background-color: var(--button-hover); transform: translateY(-1px); }
+    .btn.primary { background-color: var(--accent-color); color: white; border-color: var(--accent-color); }
+    .btn.primary:hover { background-color: #2980b9; border-color: #2980b9; }
+    .btn.success { background-color: var(--success-color); color: white; border-color: var(--success-color); }
+    .btn.danger { background-color: var(--danger-color); color: white; border-color: var(--danger-color); }
+    .btn.warning { background-color: var(--warning-color); color: white; border-color: var(--warning-color); }
+    .btn.disabled, a.btn.disabled {
+      pointer-events: none;
+      cursor: not-allowed;
+      opacity: 0.6;
+    }
+    
+    /* Language Dropdown Styles */
+    .language-dropdown {
+      position: relative;
+      display: inline-block;
+    }
+    .language-button {
+      background: none;
+      border: 1px solid var(--border-color);
+      color: var(--text-primary);
+      padding: 10px 16px;
+      border-radius: 8px;
+      cursor: pointer;
+      transition: all 0.2s ease;
+      font-size: 14px;
+      font-weight: 500;
+      display: flex;
+      align-items: center;
+      gap: 8px;
+    }
+    .language-button:hover { background-color: var(--button-hover); }
+    .language-menu {
+      position: absolute;
+      top: 100%;
+      right: 0;
+      margin-top: 4px;
+      min-width: 140px;
+      background: var(--card-bg);
+      border: 1px solid var(--border-color);
+      border-radius: 8px;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.1);
+      display: none;
+      z-index: 1000;
+      overflow: hidden;
+    }
+    .language-menu.show { display: block; }
+    .language-option {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 12px 16px;
+      color: var(--text-primary);
+      text-decoration: none;
+      font-size: 14px;
+      transition: background-color 0.2s ease;
+      border: none;
+      background: none;
+      width: 100%;
+      cursor: pointer;
+    }
+    .language-option:hover { background-color: var(--button-hover); }
+    .language-option.active { background-color: var(--accent-color); color: white; }
+    
+    /* Mobile Drawer Styles */
+    .mobile-drawer-button {
+      background: none;
+      border: 1px solid var(--border-color);
+      color: var(--text-primary);
+      padding: 8px;
+      border-radius: 6px;
+      cursor: pointer;
+      transition: all 0.2s ease;
+      font-size: 18px;
+    }
+    .mobile-drawer-button:hover { background-color: var(--button-hover); }
+    .mobile-drawer {
+      position: fixed;
+      top: 0;
+      left: -300px;
+      width: 300px;
+      height: 100vh;
+      background: var(--card-bg);
+      border-right: 1px solid var(--border-color);
+      z-index: 2000;
+      transition: left 0.3s ease;
+      box-shadow: 2px 0 12px rgba(0,0,0,0.1);
+    }
+    .mobile-drawer.open { left: 0; }
+    .drawer-overlay {
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100vw;
+      height: 100vh;
+      background: rgba(0,0,0,0.5);
+      z-index: 1999;
+      display: none;
+    }
+    .drawer-overlay.show { display: block; }
+    .drawer-header {
+      padding: 20px;
+      border-bottom: 1px solid var(--border-color);
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+    }
+    .drawer-close {
+      background: none;
+      border: none;
+      font-size: 24px;
+      cursor: pointer;
+      color: var(--text-primary);
+    }
+    .drawer-content {
+      padding: 20px;
+    }
+    .drawer-section {
+      margin-bottom: 24px;
+    }
+    .drawer-section h3 {
+      margin: 0 0 12px 0;
+      font-size: 16px;
+      color: var(--text-primary);
+    }
+    .drawer-option {
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      padding: 12px;
+      margin: 8px 0;
+      border-radius: 8px;
+      color: var(--text-primary);
+      text-decoration: none;
+      background-color: var(--button-bg);
+      border: 1px solid var(--border-color);
+      transition: all 0.2s ease;
+      cursor: pointer;
+      font-size: 14px;
+    }
+    .drawer-option:hover { background-color: var(--button-hover); }
+    .drawer-option.active { background-color: var(--accent-color); color: white; border-color: var(--accent-color); }
+
+    .bottom-nav {
+      position: fixed;
+      bottom: 0;
+      left: 0;
+      right: 0;
+      background: var(--card-bg);
+      border-top: 1px solid var(--border-color);
+      display: none;
+      justify-content: space-around;
+      align-items: center;
+      padding: 12px 0;
+      z-index: 1000;
+    }
+    .nav-item {
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      text-decoration: none;
+      color: var(--text-secondary);
+      font-size: 12px;
+      transition: color 0.2s ease;
+    }
+    .nav-item:hover, .nav-item.active { color: var(--accent-color); }
+    .nav-icon { font-size: 20px; margin-bottom: 4px; }
+    input, textarea, select { width: 100%; padding: 12px; border: 1px solid var(--border-color); border-radius: 8px; background-color: var(--card-bg); color: var(--text-primary); font-size: 14px; transition: border-color 0.2s ease; }
+    input:focus, textarea:focus, select:focus { outline: none; border-color: var(--accent-color); box-shadow: 0 0 0 3px rgba(52, 152, 219, 0.1); }
+    textarea { min-height: 400px; font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace; resize: vertical; }
+    .form-group { margin-bottom: 20px; }
+    label { display: block; margin-bottom: 6px; font-weight: 500; color: var(--text-primary); }
+    .form-help { font-size: 12px; color: var(--text-secondary); margin-top: 4px; }
+    .row { display: grid; grid-template-columns: repeat(auto-fit, minmax(250px, 1fr)); gap: 20px; }
+    .muted { color: var(--text-secondary); }
+    .card { border: 1px solid var(--border-color); padding: 24px; border-radius: 12px; background-color: var(--card-bg); box-shadow: 0 2px 4px rgba(0,0,0,0.05); margin-bottom: 20px; }
+    .chip { padding: 6px 12px; border: 1px solid var(--border-color); border-radius: 20px; background-color: var(--button-bg); color: var(--text-primary); text-decoration: none; font-size: 13px; transition: all 0.2s ease; }
+    .chip:hover { background-color: var(--button-hover); transform: translateY(-1px); }
+    .upload-zone { border: 2px dashed var(--border-color); border-radius: 8px; padding: 20px; text-align: center; background-color: var(--bg-secondary); transition: all 0.2s ease; cursor: pointer; margin-bottom: 16px; }
+    .preview-images { display: grid; grid-template-columns: repeat(auto-fill, minmax(150px, 1fr)); gap: 12px; margin-top: 16px; }
+    .preview-item { position: relative; border: 1px solid var(--border-color); border-radius: 8px; overflow: hidden; background-color: var(--card-bg); }
+    .preview-item img { width: 100%; height: 100px; object-fit: cover; }
+    pre { background-color: var(--code-bg); padding: 16px; border-radius: 8px; overflow-x: auto; border: 1px solid var(--border-color); }
+    code { background-color: var(--code-bg); padding: 2px 6px; border-radius: 4px; font-size: 13px; border: 1px solid var(--border-color); }
+    .content img { max-width: 100%; height: auto; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.1); }
+    .content a.wikilink { color: var(--accent-color); }
+    .content a.wikilink-new { color: var(--danger-color); text-decoration: underline dotted; }
+    .editor-split { display: grid; grid-template-columns: 1fr 1fr; gap: 16px; }
+    .editor-split textarea { height: 100%; }
+    .editor-preview { border: 1px solid var(--border-color); border-radius: 8px; padding: 16px; min-height: 400px; max-height: 70vh; overflow-y: auto; background-color: var(--bg-secondary); }
+    .breadcrumb { margin-bottom: 20px; font-size: 14px; }
+    .breadcrumb a { color: var(--accent-color); text-decoration: none; }
+    .fade-in { animation: fadeIn 0.3s ease-in; }
+    @keyframes fadeIn { from { opacity: 0; transform: translateY(20px); } to { opacity: 1; transform: translateY(0); } }
+    
+    @media (max-width: 768px) {
+      body { padding: 16px 16px 80px 16px; }
+      header {
+        flex-direction: row;
+        justify-content: space-between;
+      }
+      .header-center { order: 0; text-align: center; }
+      .header-left { order: -1; }
+      .header-right { order: 1; }
+      .desktop-only { display: none; }
+      .mobile-only { display: inline-flex; }
+      .row { grid-template-columns: 1fr; }
+      .editor-split { grid-template-columns: 1fr; }
+      .card { padding: 16px; }
+      .bottom-nav { display: flex; }
+    }
+  </style>
+</head>
+<body data-theme="light" class="fade-in">
+${suspensionBanner}
+<header>
+  <div class="header-left">
+    <a class="btn desktop-only" href="/">🏠 ${getText('home', lang)}</a>
+    <div class="mobile-only">
+      <button class="mobile-drawer-button" onclick="toggleMobileDrawer()">☰</button>
+    </div>
+  </div>
+  <div class="header-center">
+    <h1 style="margin: 0; font-size: 1.5rem;"><a href="/" style="text-decoration: none; color: var(--text-primary);">Rec Wiki</a></h1>
+  </div>
+  <div class="header-right">
+    <div class="desktop-only desktop-header-items">
+      <div class="language-dropdown">
+        <button class="language-button" onclick="toggleLanguageDropdown()">
+          ${lang === 'ja' ? '🇯🇵 日本語' : '🇺🇸 English'} ▼
+        </button>
+        <div class="language-menu" id="language-menu">
+          <a href="/lang/ja" class="language-option ${lang === 'ja' ? 'active' : ''}">
+            🇯🇵 日本語
+          </a>
+          <a href="/lang/en" class="language-option ${lang === 'en' ? 'active' : ''}">
+            🇺🇸 English
+          </a>
+        </div>
+      </div>
+      <button class="btn" onclick="toggleTheme()" title="テーマ切替">🌓</button>
+    </div>
+    <div id="auth"></div>
+  </div>
+</header>
+
+<div class="drawer-overlay" id="drawer-overlay" onclick="closeMobileDrawer()"></div>
+<div class="mobile-drawer" id="mobile-drawer">
+  <div class="drawer-header">
+    <h3 style="margin: 0;">設定</h3>
+    <button class="drawer-close" onclick="closeMobileDrawer()">×</button>
+  </div>
+  <div class="drawer-content">
+    <div class="drawer-section">
+      <h3>🌓 テーマ</h3>
+      <button class="drawer-option" onclick="toggleTheme(); closeMobileDrawer();">
+        <span id="theme-icon">🌙</span> 
+        <span id="theme-text">ダークモード</span>
+      </button>
+    </div>
+    <div class="drawer-section">
+      <h3>🌐 言語</h3>
+      <a href="/lang/ja" class="drawer-option ${lang === 'ja' ? 'active' : ''}">
+        🇯🇵 日本語
+      </a>
+      <a href="/lang/en" class="drawer-option ${lang === 'en' ? 'active' : ''}">
+        🇺🇸 English
+      </a>
+    </div>
+  </div>
+</div>
+
+${body}
+<nav class="bottom-nav">
+  <a href="/" class="nav-item">
+    <div class="nav-icon">🏠</div>
+    <div>${getText('home', lang)}</div>
+  </a>
+  <a href="/create-wiki" class="nav-item">
+    <div class="nav-icon">➕</div>
+    <div>${getText('createWiki', lang)}</div>
+  </a>
+  <a href="/dashboard" class="nav-item">
+    <div class="nav-icon">📊</div>
+    <div>${getText('dashboard', lang)}</div>
+  </a>
+  <a href="/admin" class="nav-item" id="admin-nav" style="display: none;">
+    <div class="nav-icon">⚙️</div>
+    <div>${getText('admin', lang)}</div>
+  </a>
+  <a href="/profile" class="nav-item">
+    <div class="nav-icon">👤</div>
+    <div>${getText('profile', lang)}</div>
+  </a>
+</nav>
+
+<script>
+// Theme Toggle Function
+function toggleTheme() {
+  const body = document.body;
+  const newTheme = body.getAttribute('data-theme') === 'dark' ? 'light' : 'dark';
+  body.setAttribute('data-theme', newTheme);
+  localStorage.setItem('theme', newTheme);
+  updateThemeText();
+}
+
+function updateThemeText() {
+  const isDark = document.body.getAttribute('data-theme') === 'dark';
+  const themeIcon = document.getElementById('theme-icon');
+  const themeText = document.getElementById('theme-text');
+  if (themeIcon && themeText) {
+    themeIcon.textContent = isDark ? '☀️' : '🌙';
+    themeText.textContent = isDark ? 'ライトモード' : 'ダークモード';
+  }
+}
+
+// Language Dropdown Functions
+function toggleLanguageDropdown() {
+  const menu = document.getElementById('language-menu');
+  menu.classList.toggle('show');
+}
+
+// Mobile Drawer Functions
+function toggleMobileDrawer() {
+  const drawer = document.getElementById('mobile-drawer');
+  const overlay = document.getElementById('drawer-overlay');
+  drawer.classList.toggle('open');
+  overlay.classList.toggle('show');
+}
+
+function closeMobileDrawer() {
+  const drawer = document.getElementById('mobile-drawer');
+  const overlay = document.getElementById('drawer-overlay');
+  drawer.classList.remove('open');
+  overlay.classList.remove('show');
+}
+
+// Initialize theme
+document.body.setAttribute('data-theme', localStorage.getItem('theme') || 'light');
+updateThemeText();
+
+// Close dropdowns when clicking outside
+document.addEventListener('click', function(event) {
+  const languageDropdown = document.querySelector('.language-dropdown');
+  const languageMenu = document.getElementById('language-menu');
+  const userMenu = document.querySelector('.user-menu');
+  const userDropdown = document.getElementById('user-dropdown');
+  
+  if (languageMenu && languageDropdown && !languageDropdown.contains(event.target)) {
+    languageMenu.classList.remove('show');
+  }
+  
+  if (userDropdown && userMenu && !userMenu.contains(event.target)) {
+    userDropdown.style.display = 'none';
+  }
+});
+
+// Authentication handling
+fetch('/api/me').then(r => r.json()).then(me => {
+  const el = document.getElementById('auth');
+  const adminNav = document.getElementById('admin-nav');
+  if (!el) return;
+  if (me.loggedIn) {
+    el.innerHTML = \`
+      <div style="display: flex; align-items: center; gap: 8px;">
+      <a class="btn" href="/notifications" title="${lang === 'ja' ? '通知' : 'Notifications'}" style="position: relative;">🔔\${me.unreadNotifications ? \`<span style="position: absolute; top: -6px; right: -6px; min-width: 18px; padding: 0 5px; border-radius: 9px; background: var(--danger-color); color: white; font-size: 11px; line-height: 18px; text-align: center;">\${me.unreadNotifications > 99 ? '99+' : me.unreadNotifications}</span>\` : ''}</a>
+      <div class="user-menu" style="position: relative;">
+        <img src="\${me.avatar}" alt="avatar" style="width:36px;height:36px;border-radius:50%;cursor:pointer;" onclick="toggleUserMenu()">
+        <div id="user-dropdown" style="position: absolute; top: 100%; right: 0; margin-top: 8px; min-width: 220px; background: var(--card-bg); border: 1px solid var(--border-color); border-radius: 8px; box-shadow: 0 4px 12px rgba(0,0,0,0.1); display: none; z-index: 1000;">
+          <div style="padding: 12px; border-bottom: 1px solid var(--border-color);">
+            <div style="font-weight: 500; color: var(--text-primary);">\${me.username}</div>
+            <div style="font-size: 12px; color: var(--text-secondary);">#\${me.discriminator}</div>
+            <div style="font-size: 12px; color: var(--text-secondary);">ID: \${me.id}</div>
+          </div>
+          <div style="padding: 8px;">
+            <a href="/user/\${me.id}" class="dropdown-item" style="display: flex; align-items: center; gap: 8px; padding: 8px 12px; color: var(--text-primary); text-decoration: none; border-radius: 4px; transition: background-color 0.2s ease;">👤 ${getText('profile', '${lang}')}</a>
+            <a href="/dashboard" class="dropdown-item" style="display: flex; align-items: center; gap: 8px; padding: 8px 12px; color: var(--text-primary); text-decoration: none; border-radius: 4px; transition: background-color 0.2s ease;">📊 ${getText('dashboard', '${lang}')}</a>
+            \${me.isAdmin ? '<a href="/admin" class="dropdown-item" style="display: flex; align-items: center; gap: 8px; padding: 8px 12px; color: var(--text-primary); text-decoration: none; border-radius: 4px; transition: background-color 0.2s ease;">⚙️ ${getText('admin', '${lang}')}</a>' : ''}
+            <a href="/logout" class="dropdown-item" style="display: flex; align-items: center; gap: 8px; padding: 8px 12px; color: var(--text-primary); text-decoration: none; border-radius: 4px; transition: background-color 0.2s ease;">🚪 ${getText('logout', '${lang}')}</a>
+          </div>
+        </div>
+      </div>
+      </div>
+    \`;
+    
+    // Add hover effect to dropdown items
+    setTimeout(() => {
+      const dropdownItems = document.querySelectorAll('.dropdown-item');
+      dropdownItems.forEach(item => {
+        item.addEventListener('mouseenter', () => {
+          item.style.backgroundColor = 'var(--button-hover)';
+        });
+        item.addEventListener('mouseleave', () => {
+          item.style.backgroundColor = 'transparent';
+        });
+      });
+    }, 100);
+    
+    if (me.isAdmin && adminNav) {
+      adminNav.style.display = 'flex';
+    }
+  } else {
+    // Desktop: Discord icon with text, Mobile: Discord icon only
+    const isMobile = window.innerWidth <= 768;
+    if (isMobile) {
+      el.innerHTML = '<a class="btn primary" href="/auth/discord" title="Discordでログイン"><svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor"><path d="M20.317 4.3698a19.7913 19.7913 0 00-4.8851-1.5152.0741.0741 0 00-.0785.0371c-.211.3753-.4447.8648-.6083 1.2495-1.8447-.2762-3.68-.2762-5.4868 0-.1636-.3933-.4058-.8742-.6177-1.2495a.077.077 0 00-.0785-.037 19.7363 19.7363 0 00-4.8852 1.515.0699.0699 0 00-.0321.0277C.5334 9.0458-.319 13.5799.0992 18.0578a.0824.0824 0 00.0312.0561c2.0528 1.5076 4.0413 2.4228 5.9929 3.0294a.0777.0777 0 00.0842-.0276c.4616-.6304.8731-1.2952 1.226-1.9942a.076.076 0 00-.0416-.1057c-.6528-.2476-1.2743-.5495-1.8722-.8923a.077.077 0 01-.0076-.1277c.1258-.0943.2517-.1923.3718-.2914a.0743.0743 0 01.0776-.0105c3.9278 1.7933 8.18 1.7933 12.0614 0a.0739.0739 0 01.0785.0095c.1202.099.246.1981.3728.2924a.077.077 0 01-.0066.1276 12.2986 12.2986 0 01-1.873.8914.0766.0766 0 00-.0407.1067c.3604.698.7719 1.3628 1.225 1.9932a.076.076 0 00.0842.0286c1.961-.6067 3.9495-1.5219 6.0023-3.0294a.077.077 0 00.0313-.0552c.5004-5.177-.8382-9.6739-3.5485-13.6604a.061.061 0 00-.0312-.0286zM8.02 15.3312c-1.1825 0-2.1569-1.0857-2.1569-2.419 0-1.3332.9555-2.4189 2.157-2.4189 1.2108 0 2.1757 1.0952 2.1568 2.419-.0190 1.3332-.9555 2.4189-2.1569 2.4189zm7.9748 0c-1.1825 0-2.1569-1.0857-2.1569-2.419 0-1.3332.9554-2.4189 2.1569-2.4189 1.2108 0 2.1757 1.0952 2.1568 2.419 0 1.3332-.9555 2.4189-2.1568 2.4189Z"/></svg></a>';
+    } else {
+      el.innerHTML = '<a class="btn primary" href="/auth/discord"><svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor" style="margin-right: 8px;"><path d="M20.317 4.3698a19.7913 19.7913 0 00-4.8851-1.5152.0741.0741 0 00-.0785.0371c-.211.3753-.4447.8648-.6083 1.2495-1.8447-.2762-3.68-.2762-5.4868 0-.1636-.3933-.4058-.8742-.6177-1.2495a.077.077 0 00-.0785-.037 19.7363 19.7363 0 00-4.8852 1.515.0699.0699 0 00-.0321.0277C.5334 9.0458-.319 13.5799.0992 18.0578a.0824.0824 0 00.0312.0561c2.0528 1.5076 4.0413 2.4228 5.9929 3.0294a.0777.0777 0 00.0842-.0276c.4616-.6304.8731-1.2952 1.226-1.9942a.076.076 0 00-.0416-.1057c-.6528-.2476-1.2743-.5495-1.8722-.8923a.077.077 0 01-.0076-.1277c.1258-.0943.2517-.1923.3718-.2914a.0743.0743 0 01.0776-.0105c3.9278 1.7933 8.18 1.7933 12.0614 0a.0739.0739 0 01.0785.0095c.1202.099.246.1981.3728.2924a.077.077 0 01-.0066.1276 12.2986 12.2986 0 01-1.873.8914.0766.0766 0 00-.0407.1067c.3604.698.7719 1.3628 1.225 1.9932a.076.076 0 00.0842.0286c1.961-.6067 3.9495-1.5219 6.0023-3.0294a.077.077 0 00.0313-.0552c.5004-5.177-.8382-9.6739-3.5485-13.6604a.061.061 0 00-.0312-.0286zM8.02 15.3312c-1.1825 0-2.1569-1.0857-2.1569-2.419 0-1.3332.9555-2.4189 2.157-2.4189 1.2108 0 2.1757 1.0952 2.1568 2.419-.0190 1.3332-.9555 2.4189-2.1569 2.4189zm7.9748 0c-1.1825 0-2.1569-1.0857-2.1569-2.419 0-1.3332.9554-2.4189 2.1569-2.4189 1.2108 0 2.1757 1.0952 2.1568 2.419 0 1.3332-.9555 2.4189-2.1568 2.4189Z"/></svg>${getText('login', lang)}</a>';
+    }
+  }
+}).catch(err => console.warn('Authentication status check failed:', err));
+
+function toggleUserMenu() {
+  const dropdown = document.getElementById('user-dropdown');
+  if (!dropdown) return;
+  dropdown.style.display = dropdown.style.display === 'none' ? 'block' : 'none';
+}
+</script>
+</body>
+</html>`;
+}
+
+// --- Language Routes ---
+// --- 修正後のコード ---
+app.get('/lang/:lang', async (req, res) => { // asyncを追加
+  const { lang } = req.params;
+  if (!['ja', 'en'].includes(lang)) {
+    return res.redirect('/');
+  }
+  
+  if (req.isAuthenticated()) {
+    // PostgreSQL用のUPSERT構文に変更
+    await pool.query(`
+      INSERT INTO user_languages(user_id, language) 
+      VALUES ($1, $2) 
+      ON CONFLICT(user_id) DO UPDATE SET language = $2
+    `, [req.user.id, lang]);
+  } else {
+    req.session.language = lang;
+  }
+  
+  res.redirect(req.get('Referer') || '/');
+});
+
+// --- Auth routes ---
+app.get('/auth/discord', passport.authenticate('discord'));
+app.get(
+  '/auth/discord/callback',
+  passport.authenticate('discord', { failureRedirect: '/' }),
+  (req, res) => res.redirect('/create-wiki')
+);
+app.get('/logout', (req, res) => {
+  req.logout(() => {});
+  res.redirect('/');
+});
+
+// --- API: current user ---
+app.get('/api/me', async (req, res) => {
+  if (!req.isAuthenticated()) return res.json({ loggedIn: false });
+  const { id, username, discriminator, avatar } = req.user;
+  const ext = avatar && avatar.startsWith('a_') ? 'gif' : 'png';
+  const avatarUrl = avatar
+    ? `https://cdn.discordapp.com/avatars/${id}/${avatar}.${ext}?size=128`
+    : `https://cdn.discordapp.com/embed/avatars/${Number(discriminator) % 5}.png`;
+  const isAdmin = ADMIN_USERS.includes(id);
+  const unreadNotifications = await unreadNotificationCount(id);
+  res.json({ loggedIn: true, id, username, discriminator, avatar: avatarUrl, isAdmin, unreadNotifications });
+});
+
+// --- Admin Dashboard ---
+app.get('/admin', ensureAdmin, (req, res) => {
+  const lang = req.userLang;
+  const body = `
+    <div class="breadcrumb"><a href="/">🏠 ${getText('home', lang)}</a> > ⚙️ ${getText('admin', lang)}</div>
+    <h1>⚙️ ${getText('admin', lang)} Dashboard</h1>
+    
+    <div class="row">
+      <div class="card">
+        <h3>📊 ${getText('stats', lang)}</h3>
+        <div id="admin-stats">Loading...</div>
+      </div>
+      <div class="card">
+        <h3>👥 ${getText('users', lang)} Management</h3>
+        <div class="form-group">
+          <label>Search User by Discord ID</label>
+          <input type="text" id="user-search" placeholder="Enter Discord ID">
+          <button class="btn primary" onclick="searchUser()">Search</button>
+        </div>
+        <div id="user-search-results"></div>
+      </div>
+    </div>
+
+    <div class="row">
+      <div class="card">
+        <h3>📚 ${getText('wikis', lang)} Management</h3>
+        <div id="wiki-management">Loading...</div>
+      </div>
+      <div class="card">
+        <h3>📝 Recent Activities</h3>
+        <div id="recent-activities">Loading...</div>
+      </div>
+    </div>
+
+    <div class="row">
+      <div class="card">
+        <h3>🕶️ ${lang === 'ja' ? '匿名編集者のブロック' : 'Anonymous Editor Blocks'}</h3>
+        <div class="form-group">
+          <label>${lang === 'ja' ? '匿名ID' : 'Anonymous ID'}</label>
+          <input type="text" id="anon-block-id" placeholder="anon-xxxxxxxxxxxx">
+          <button class="btn danger" onclick="blockAnonymous()">${lang === 'ja' ? 'ブロック' : 'Block'}</button>
+        </div>
+        <div id="anonymous-blocks">Loading...</div>
+      </div>
+    </div>
+
+    <script>
+      const escapeText = (text) => String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+      // Load admin stats
+      fetch('/api/admin/stats').then(r => r.json()).then(data => {
+        document.getElementById('admin-stats').innerHTML = \`
+          <p><strong>Total Wikis:</strong> \${data.totalWikis}</p>
+          <p><strong>Total Pages:</strong> \${data.totalPages}</p>
+          <p><strong>Total Users:</strong> \${data.totalUsers}</p>
+          <p><strong>Total Revisions:</strong> \${data.totalRevisions}</p>
+        \`;
+      });
+
+      // Load wikis for management
+      fetch('/api/admin/wikis').then(r => r.json()).then(data => {
+        const html = data.wikis.map(w => \`
+          <div class="card" style="margin-bottom: 12px;">
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
+              <h4 style="margin: 0;">\${w.name}</h4>
+              <div>
+                <button class="btn" onclick="editWiki('\${w.id}')">Edit</button>
+                <button class="btn danger" onclick="deleteWiki('\${w.id}', '\${w.name}')">Delete</button>
+              </div>
+            </div>
+            <p class="muted">Address: \${w.address} • Views: \${w.views} • Pages: \${w.pageCount}</p>
+            <p class="muted">Owner: \${w.owner_id} • Created: \${new Date(w.created_at).toLocaleDateString()}</p>
+          </div>
+        \`).join('');
+        document.getElementById('wiki-management').innerHTML = html || '<p class="muted">No wikis found.</p>';
+      });
+
+      // Load recent activities
+      fetch('/api/admin/activities').then(r => r.json()).then(data => {
+        const html = data.activities.map(a => \`
+          <div style="margin-bottom: 12px; padding: 12px; background: var(--bg-secondary); border-radius: 8px;">
+            <strong>\${a.type}</strong> by \${a.user_id}
+            <div class="muted">\${escapeText(a.details)} • \${new Date(a.created_at).toLocaleString()}</div>
+          </div>
+        \`).join('');
+        document.getElementById('recent-activities').innerHTML = html || '<p class="muted">No recent activities.</p>';
+      });
+
+      // Load anonymous blocks
+      function loadAnonymousBlocks() {
+        fetch('/api/admin/anonymous-blocks').then(r => r.json()).then(data => {
+          const html = data.blocks.map(b => \`
+            <div style="display: flex; justify-content: space-between; align-items: center; gap: 8px; margin-bottom: 8px;">
+              <div>
+                <strong class="mono">\${b.anon_id}</strong>
+                <div class="muted">\${b.reason} (by \${b.issued_by}\${b.expires_at ? ', until ' + new Date(b.expires_at).toLocaleString() : ''})</div>
+              </div>
+              <button class="btn" onclick="unblockAnonymous('\${b.anon_id}')">${lang === 'ja' ? '解除' : 'Unblock'}</button>
+            </div>
+          \`).join('');
+          document.getElementById('anonymous-blocks').innerHTML = html || '<p class="muted">No active blocks.</p>';
+        });
+      }
+      loadAnonymousBlocks();
+
+      function blockAnonymous() {
+        const anonId = document.getElementById('anon-block-id').value.trim();
+        if (!anonId) return;
+        const reason = prompt('Block reason:');
+        if (!reason) return;
+        const days = prompt('Days to block (leave empty for permanent):');
+
+        fetch('/api/admin/anonymous-blocks', {
+          method: 'POST',
+          headers: {'Content-Type': 'application/json'},
+          body: JSON.stringify({ anonId, reason, days: days ? parseInt(days) : null })
+        }).then(r => r.json()).then(data => {
+          if (data.success) {
+            document.getElementById('anon-block-id').value = '';
+            loadAnonymousBlocks();
+          } else {
+            alert(data.error || 'Failed to block');
+          }
+        });
+      }
+
+      function unblockAnonymous(anonId) {
+        fetch(\`/api/admin/anonymous-blocks/\${encodeURIComponent(anonId)}\`, {
+          method: 'DELETE'
+        }).then(r => r.json()).then(data => {
+          if (data.success) loadAnonymousBlocks();
+          else alert('Failed to unblock');
+        });
+      }
+
+      function searchUser() {
+        const userId = document.getElementById('user-search').value.trim();
+        if (!userId) return;
+        
+        fetch(\`/api/admin/user/\${userId}\`).then(r => r.json()).then(data => {
+          const resultsEl = document.getElementById('user-search-results');
+          if (data.error) {
+            resultsEl.innerHTML = \`<p class="danger">\${data.error}</p>\`;
+            return;
+          }
+          
+          let userInfoHtml = \`<h4>User ID: \${userId}</h4>\`;
+          if (data.discordUser) {
+            const { global_name, username, id, email } = data.discordUser;
+            userInfoHtml = \`
+              <h4>\${global_name || username} (\${username || 'N/A'})</h4>
+              <p class="muted">\${id}</p>
+              \${email ? \`<p class="muted">Email: \${email}</p>\` : ''}
+            \`;
+          }
+
+          const warnings = data.warnings.map(w => \`
+            <div>⚠️ \${w.reason} (by \${w.issued_by}, \${new Date(w.created_at).toLocaleDateString()})</div>
+          \`).join('') || '<div class="muted">No warnings</div>';
+          
+          const suspension = data.suspension ? \`
+            <div class="danger">🚫 \${data.suspension.type === 'permanent' ? 'Permanently banned' : 'Temporarily suspended'}: \${data.suspension.reason}</div>
+          \` : '<div class="muted">Not suspended</div>';
+          
+          resultsEl.innerHTML = \`
+            <div class="card">
+              \${userInfoHtml}
+              <hr style="margin: 16px 0;">
+              <p><strong>Warnings:</strong></p>
+              \${warnings}
+              <p><strong>Suspension Status:</strong></p>
+              \${suspension}
+              <div style="margin-top: 16px; display: flex; gap: 8px;">
+                <button class="btn warning" onclick="warnUser('\${userId}')">警告</button>
+                <button class="btn danger" onclick="suspendUser('\${userId}')">一時停止</button>
+                <button class="btn danger" onclick="banUser('\${userId}')">永久停止</button>
+              </div>
+            </div>
+          \`;
+        });
+      }
+
+      function warnUser(userId) {
+        const reason = prompt('Warning reason:');
+        if (!reason) return;
+        
+        fetch(\`/api/admin/user/\${userId}/warn\`, {
+          method: 'POST',
+          headers: {'Content-Type': 'application/json'},
+          body: JSON.stringify({ reason })
+        }).then(r => r.json()).then(data => {
+          if (data.success) {
+            alert('Warning issued');
+            searchUser();
+          } else {
+            alert('Failed to issue warning');
+          }
+        });
+      }
+
+      function suspendUser(userId) {
+        const reason = prompt('Suspension reason:');
+        if (!reason) return;
+        const days = prompt('Days to suspend (leave empty for permanent):');
+        
+        fetch(\`/api/admin/user/\${userId}/suspend\`, {
+          method: 'POST',
+          headers: {'Content-Type': 'application/json'},
+          body: JSON.stringify({ reason, days: days ? parseInt(days) : null })
+        }).then(r => r.json()).then(data => {
+          if (data.success) {
+            alert('User suspended');
+            searchUser();
+          } else {
+            alert('Failed to suspend user');
+          }
+        });
+      }
+
+      function banUser(userId) {
+        const reason = prompt('Ban reason:');
+        if (!reason) return;
+        if (!confirm('Permanently ban this user?')) return;
+        
+        fetch(\`/api/admin/user/\${userId}/ban\`, {
+          method: 'POST',
+          headers: {'Content-Type': 'application/json'},
+          body: JSON.stringify({ reason })
+        }).then(r => r.json()).then(data => {
+          if (data.success) {
+            alert('User banned permanently');
+            searchUser();
+          } else {
+            alert('Failed to ban user');
+          }
+        });
+      }
+
+      function editWiki(wikiId) {
+        // Implement wiki editing modal or redirect
+        alert('Wiki editing feature - to be implemented');
+      }
+
+      function deleteWiki(wikiId, wikiName) {
+        if (!confirm(\`Delete wiki "\${wikiName}"? This cannot be undone.\`)) return;
+        
+        fetch(\`/api/admin/wiki/\${wikiId}\`, {
+          method: 'DELETE'
+        }).then(r => r.json()).then(data => {
+          if (data.success) {
+            alert('Wiki deleted');
+            location.reload();
+          } else {
+            alert('Failed to delete wiki');
+          }
+        });
+      }
+    </script>
+  `;
+  res.send(renderLayout(`${getText('admin', lang)} Dashboard`, body, null, lang, req));
+});
+
+// --- Admin API Routes ---
+app.get('/api/admin/stats', ensureAdmin, async (req, res) => {
+  const w = await pool.query('SELECT COUNT(*) as count FROM wikis WHERE deleted_at IS NULL');
+  const p = await pool.query('SELECT COUNT(*) as count FROM pages WHERE deleted_at IS NULL');
+  const u = await pool.query('SELECT COUNT(DISTINCT editor_id) as count FROM revisions');
+  const r = await pool.query('SELECT COUNT(*) as count FROM revisions');
+  res.json({ 
+      totalWikis: parseInt(w.rows[0].count), 
+      totalPages: parseInt(p.rows[0].count), 
+      totalUsers: parseInt(u.rows[0].count), 
+      totalRevisions: parseInt(r.rows[0].count) 
+  });
+});
+
+app.get('/api/admin/wikis', ensureAdmin, async (req, res) => {
+  const result = await pool.query(`
+    SELECT w.*, COUNT(p.id) as pageCount 
+    FROM wikis w 
+    LEFT JOIN pages p ON w.id = p.wiki_id AND p.deleted_at IS NULL 
+    WHERE w.deleted_at IS NULL 
+    GROUP BY w.id 
+    ORDER BY w.views DESC, w.created_at DESC
+  `);
+  res.json({ wikis: result.rows });
+});
+
+app.get('/api/admin/activities', ensureAdmin, async (req, res) => { // Added async
+  const result = await pool.query(`
+    SELECT 'revision' as type, editor_id as user_id, COALESCE(NULLIF(summary, ''), 'Edited page') as details, created_at
+    FROM revisions
+    ORDER BY created_at DESC
+    LIMIT 20
+  `);
+  
+  res.json({ activities: result.rows });
+});
+
+app.get('/api/admin/user/:userId', ensureAdmin, async (req, res) => {
+  const { userId } = req.params;
+  const warnings = await pool.query('SELECT * FROM user_warnings WHERE user_id = $1 ORDER BY created_at DESC', [userId]);
+  const suspension = await pool.query('SELECT * FROM user_suspensions WHERE user_id = $1 AND (expires_at IS NULL OR expires_at > NOW()) ORDER BY created_at DESC LIMIT 1', [userId]);
+  
+  let discordUser = { id: userId, username: 'Unknown' };
+  try {
+      if (process.env.DISCORD_BOT_TOKEN) {
+          const dRes = await axios.get(`https://discord.com/api/v10/users/${userId}`, { headers: { 'Authorization': `Bot ${process.env.DISCORD_BOT_TOKEN}` }});
+          discordUser = dRes.data;
+      }
+  } catch (e) {}
+
+  res.json({ warnings: warnings.rows, suspension: suspension.rows[0], discordUser });
+});
+
+app.post('/api/admin/user/:userId/warn', ensureAdmin, async (req, res) => {
+  const { userId } = req.params;
+  const { reason } = req.body;
+  if (!reason) return res.status(400).json({ error: 'Reason required' });
+  await pool.query('INSERT INTO user_warnings(user_id, reason, issued_by) VALUES ($1,$2,$3)', [userId, reason, req.user.id]);
+  await notify(userId, 'warning', { reason });
+  res.json({ success: true });
+});
+
+app.post('/api/admin/user/:userId/suspend', ensureAdmin, async (req, res) => {
+  const { userId } = req.params;
+  const { reason, days } = req.body;
+  let expiresAt = null;
+  let type = 'permanent';
+  if (days && days > 0) {
+    const d = new Date(); d.setDate(d.getDate() + parseInt(days));
+    expiresAt = d;
+    type = 'temporary';
+  }
+  await pool.query('INSERT INTO user_suspensions(user_id, type, reason, issued_by, expires_at) VALUES ($1,$2,$3,$4,$5)', [userId, type, reason, req.user.id, expiresAt]);
+  await notify(userId, 'suspension', { reason, expiresAt });
+  res.json({ success: true });
+});
+
+app.post('/api/admin/user/:userId/ban', ensureAdmin, async (req, res) => {
+  const { userId } = req.params;
+  const { reason } = req.body;
+  await pool.query('INSERT INTO user_suspensions(user_id, type, reason, issued_by, expires_at) VALUES ($1,$2,$3,$4,NULL)', [userId, 'permanent', reason, req.user.id]);
+  await notify(userId, 'suspension', { reason, expiresAt: null });
+  res.json({ success: true });
+});
+
+app.get('/api/admin/anonymous-blocks', ensureAdmin, async (req, res) => {
+  const result = await pool.query('SELECT * FROM anonymous_blocks WHERE expires_at IS NULL OR expires_at > NOW() ORDER BY created_at DESC');
+  res.json({ blocks: result.rows });
+});
+
+app.post('/api/admin/anonymous-blocks', ensureAdmin, async (req, res) => {
+  const anonId = (req.body.anonId || '').toString().trim();
+  const { reason, days } = req.body;
+  if (!isAnonymousId(anonId)) return res.status(400).json({ error: 'Invalid anonymous ID' });
+  if (!reason) return res.status(400).json({ error: 'Reason required' });
+  let expiresAt = null;
+  if (days && days > 0) {
+    const d = new Date(); d.setDate(d.getDate() + parseInt(days));
+    expiresAt = d;
+  }
+  await pool.query(`
+    INSERT INTO anonymous_blocks(anon_id, reason, issued_by, expires_at) VALUES ($1,$2,$3,$4)
+    ON CONFLICT(anon_id) DO UPDATE SET reason = excluded.reason, issued_by = excluded.issued_by, expires_at = excluded.expires_at, created_at = NOW()
+  `, [anonId, reason, req.user.id, expiresAt]);
+  res.json({ success: true });
+});
+
+app.delete('/api/admin/anonymous-blocks/:anonId', ensureAdmin, async (req, res) => {
+  await pool.query('DELETE FROM anonymous_blocks WHERE anon_id = $1', [req.params.anonId]);
+  res.json({ success: true });
+});
+
+app.delete('/api/admin/wiki/:wikiId', ensureAdmin, async (req, res) => {
+  const { wikiId } = req.params;
+  await pool.query('UPDATE wikis SET deleted_at = NOW() WHERE id = $1', [wikiId]);
+  await pool.query('UPDATE pages SET deleted_at = NOW(), search_vector = NULL WHERE wiki_id = $1', [wikiId]);
+  res.json({ success: true });
+});
+
+// --- API: Image Upload ---
+const imageUpload = multer({
+  dest: uploadDir,
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed'));
+    }
+  }
+});
+
+app.post('/api/upload-image', ensureAuth, imageUpload.single('image'), async (req, res) => {
+  const lang = req.userLang;
+  const discard = () => { if (req.file) fs.unlink(req.file.path, () => {}); };
+  if (req.isSuspended) { discard(); return res.status(403).json({ error: 'Account suspended' }); }
+  if (!req.file) return res.status(400).json({ error: 'No file was uploaded' });
+
+  // アップロードは必ずWikiに紐づけ、そのWikiの編集権限とアップロード容量を確認する
+  if (!req.body.wiki) { discard(); return res.status(400).json({ error: 'wiki is required' }); }
+  const wiki = await wikiByAddress(req.body.wiki);
+  if (!wiki) { discard(); return res.status(404).json({ error: 'Wiki not found' }); }
+  if (!(await canEditWiki(wiki, req.user.id))) { discard(); return res.status(403).json({ error: 'No edit permission' }); }
+  const settings = await getWikiSettings(wiki.id);
+  const used = await wikiUploadVolume(wiki.id);
+  if (used + req.file.size > settings.max_upload_bytes) {
+    discard();
+    return res.status(413).json({
+      error: lang === 'ja'
+        ? `このWikiのアップロード容量の上限（${formatBytes(settings.max_upload_bytes)}）を超えています。`
+        : `This wiki's upload limit (${formatBytes(settings.max_upload_bytes)}) would be exceeded.`
+    });
+  }
+
+  await pool.query('INSERT INTO uploads(wiki_id, user_id, filename, size) VALUES ($1, $2, $3, $4)', [wiki.id, req.user.id, req.file.filename, req.file.size]);
+  const fileUrl = `/uploads/${req.file.filename}`;
+  res.json({ filename: req.file.filename, url: fileUrl, size: req.file.size });
+});
+
+// --- API: get paginated wikis ---
+app.get('/api/wikis', async (req, res) => {
+  const skip = parseInt(req.query.skip || '0', 10);
+  const limit = Math.min(50, Math.max(1, parseInt(req.query.limit || '10', 10)));
+  const result = await pool.query(`
+    SELECT w.id, w.name, w.address, w.favicon, w.created_at, w.views 
+    FROM wikis w
+    LEFT JOIN wiki_settings ws ON w.id = ws.wiki_id
+    WHERE w.deleted_at IS NULL AND (ws.is_searchable = 1 OR ws.is_searchable IS NULL)
+    ORDER BY w.views DESC, w.created_at DESC 
+    LIMIT $1 OFFSET $2
+  `, [limit, skip]);
+  res.json({ wikis: result.rows, count: result.rows.length });
+});
+
+// --- API: search across all wikis ---
+app.get('/api/search', async (req, res) => {
+  const skip = Number(req.query.skip || 0);
+  if (!Number.isSafeInteger(skip) || skip < 0 || skip > MAX_SEARCH_SKIP) {
+    return res.status(400).json({ error: `skip must be an integer between 0 and ${MAX_SEARCH_SKIP}` });
+  }
+  const limit = Math.min(50, Math.max(1, parseInt(req.query.limit || '10', 10) || 10));
+  const viewerId = req.isAuthenticated() ? req.user.id : null;
+  res.json(await searchAllWikis(req.query.q, viewerId, { skip, limit }));
+});
+
+// --- API: search pages in a wiki ---
+app.get('/api/wiki/:address/search', async (req, res) => {
+  const wiki = await wikiByAddress(req.params.address);
+  if (!wiki) return res.status(404).json({ error: 'Wiki not found' });
+  res.json(await searchWikiPages(wiki, req.query.q, req.query.page));
+});
+
+// --- API: pages by tag ---
+// GET /api/wiki/:address/pages?tags=a,b&match=all  (match は any(既定) / all)
+app.get('/api/wiki/:address/pages', async (req, res) => {
+  const wiki = await wikiByAddress(req.params.address);
+  if (!wiki) return res.status(404).json({ error: 'Wiki not found' });
+  const tags = parseTags(req.query.tags);
+  if (!tags.length) return res.status(400).json({ error: 'tags required' });
+  const matchAll = req.query.match === 'all';
+  const pages = await pagesByTags(wiki.id, tags, matchAll);
+  res.json({
+    tags,
+    match: matchAll ? 'all' : 'any',
+    pages: pages.map(p => ({ name: p.name, url: `/${wiki.address}/${encodeURIComponent(p.name)}`, tags: tagsOf(p), updated_at: p.updated_at }))
+  });
+});
+
+// --- REST API v1 (API トークン認証) ---
+// 権限はWeb版と同じ: 編集は canEditWiki + ページ保護、削除は canAdministerWiki
+app.get('/api/v1/wikis/:address/pages', authenticateApiToken, ensureApiWikiAccess('read'), async (req, res) => {
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+  const offset = Number(req.query.offset || 0);
+  if (!Number.isSafeInteger(offset) || offset < 0 || offset > MAX_INT4) {
+    return res.status(400).json({ error: `offset must be an integer between 0 and ${MAX_INT4}` });
+  }
+  const tags = parseTags(req.query.tag);
+  const params = [req.wiki.id];
+  let tagFilter = '';
+  if (tags.length) {
+    params.push(tags);
+    tagFilter = `AND string_to_array(tags, ',') @> $${params.length}::text[]`;
+  }
+  const countRes = await pool.query(`SELECT COUNT(*) AS count FROM pages WHERE wiki_id = $1 AND deleted_at IS NULL ${tagFilter}`, params);
+  const pagesRes = await pool.query(`
+    SELECT name, tags, is_locked, lock_expires_at, updated_at FROM pages
+    WHERE wiki_id = $1 AND deleted_at IS NULL ${tagFilter}
+    ORDER BY name ASC
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `, [...params, limit, offset]);
+  res.json({
+    total: parseInt(countRes.rows[0].count, 10),
+    limit,
+    offset,
+    pages: pagesRes.rows.map(p => apiPageJson(req.wiki, p))
+  });
+});
+
+app.get('/api/v1/wikis/:address/pages/:page', authenticateApiToken, ensureApiWikiAccess('read'), async (req, res) => {
+  const pg = await pageByWikiAndName(req.wiki.id, req.params.page);
+  if (!pg) return res.status(404).json({ error: 'Page not found' });
+  const rev = await latestRevision(pg.id);
+  res.json({ ...apiPageJson(req.wiki, pg), revision_id: rev ? rev.id : null, content: pg.content || '' });
+});
+
+app.get('/api/v1/wikis/:address/pages/:page/rendered', authenticateApiToken, ensureApiWikiAccess('read'), async (req, res) => {
+  const pg = await pageByWikiAndName(req.wiki.id, req.params.page);
+  if (!pg) return res.status(404).json({ error: 'Page not found' });
+  const rev = await latestRevision(pg.id);
+  const html = await renderWikiContent(req.wiki, pg.content || '', {
+    isAdmin: await canAdministerWiki(req.wiki, req.apiUserId),
+    isSiteAdmin: ADMIN_USERS.includes(req.apiUserId),
+    lang: req.query.lang === 'en' ? 'en' : 'ja'
+  });
+  res.json({ ...apiPageJson(req.wiki, pg), revision_id: rev ? rev.id : null, html });
+});
+
+// 作成・更新。base_revision_id を送ると、Web版の編集と同じく間の変更を三方向マージする
+app.put('/api/v1/wikis/:address/pages/:page', authenticateApiToken, ensureApiWikiAccess('write'), async (req, res) => {
+  const { wiki } = req;
+  const name = req.params.page;
+  const userId = req.apiUserId;
+  const body = req.body || {};
+  if (typeof body.content !== 'string') return res.status(400).json({ error: 'content (string) is required' });
+  let content = body.content;
+
+  if (!(await canEditWiki(wiki, userId))) return res.status(403).json({ error: 'No edit permission' });
+  const pg = await pageByWikiAndName(wiki.id, name);
+  if (pg && !(await canEditProtectedPage(wiki, pg, userId))) return res.status(403).json({ error: 'This page is protected' });
+  if (!pg && isReservedPageName(name)) return res.status(400).json({ error: reservedPageNameMessage('en') });
+  if (!pg && await trashedPageByWikiAndName(wiki.id, name)) {
+    return res.status(409).json({ error: 'This page was deleted and is in the trash' });
+  }
+
+  let merged = false;
+  if (pg && body.base_revision_id !== undefined) {
+    const baseRevisionId = parseIdParam(body.base_revision_id);
+    const current = await latestRevision(pg.id);
+    if (current && current.id !== baseRevisionId) {
+      const baseRes = await pool.query('SELECT content FROM revisions WHERE id = $1 AND page_id = $2', [baseRevisionId, pg.id]);
+      if (!baseRes.rows[0]) return res.status(409).json({ error: 'Base revision not found for this page', current_revision_id: current.id });
+      const mergedContent = mergeThreeWay(baseRes.rows[0].content, pg.content || '', content);
+      if (mergedContent === null) return res.status(409).json({ error: 'Edit conflict', current_revision_id: current.id });
+      merged = mergedContent !== content;
+      content = mergedContent;
+    }
+  } else if (!pg && parseInt(body.base_revision_id, 10) > 0) {
+    return res.status(409).json({ error: 'This page was moved or deleted' });
+  }
+
+  const settings = await getWikiSettings(wiki.id);
+  const contentSize = Buffer.byteLength(content, 'utf8');
+  if (contentSize > settings.max_page_size) {
+    return res.status(413).json({ error: `The page is too large (${formatBytes(contentSize)}). This wiki allows up to ${formatBytes(settings.max_page_size)}.` });
+  }
+  if (!pg && await countWikiPages(wiki.id) >= settings.max_pages) {
+    return res.status(403).json({ error: `This wiki has reached its page limit (${settings.max_pages})` });
+  }
+
+  const revisionInfo = parseEditSummary({ summary: body.summary, is_minor: body.minor === true });
+  let pageId;
+  let revisionId;
+  if (pg) {
+    revisionId = await updatePageContent(wiki.id, pg.id, content, userId, revisionInfo);
+    pageId = pg.id;
+  } else {
+    pageId = await createPage(wiki.id, name, content, userId, revisionInfo);
+    revisionId = (await latestRevision(pageId)).id;
+  }
+  await notifyWatchers(wiki, { id: pageId, name }, userId, 'page_edit', {
+    revisionId: pg ? revisionId : null, summary: revisionInfo.summary, isMinor: revisionInfo.isMinor, created: !pg
+  });
+  await emitWikiEvent(wiki, pg ? 'page.edited' : 'page.created', userId, {
+    page: webhookPage(wiki, name), revision_id: revisionId, summary: revisionInfo.summary, minor: revisionInfo.isMinor
+  });
+  if (body.tags !== undefined) {
+    await setPageTags(pageId, parseTags(Array.isArray(body.tags) ? body.tags.join(',') : body.tags));
+  }
+
+  const saved = await pageByWikiAndName(wiki.id, name);
+  res.status(pg ? 200 : 201).json({ ...apiPageJson(wiki, saved), revision_id: revisionId, created: !pg, merged });
+});
+
+// ゴミ箱へ移動（Web版と同じく理由が必須）
+app.delete('/api/v1/wikis/:address/pages/:page', authenticateApiToken, ensureApiWikiAccess('write'), async (req, res) => {
+  if (!(await canAdministerWiki(req.wiki, req.apiUserId))) return res.status(403).json({ error: 'You do not have administrative permissions for this wiki' });
+  const pg = await pageByWikiAndName(req.wiki.id, req.params.page);
+  if (!pg) return res.status(404).json({ error: 'Page not found' });
+  const reason = String((req.body && req.body.reason) || req.query.reason || '').trim().slice(0, 500);
+  if (!reason) return res.status(400).json({ error: 'reason is required' });
+  await trashPage(pg.id, req.apiUserId, reason);
+  await emitWikiEvent(req.wiki, 'page.deleted', req.apiUserId, { page: webhookPage(req.wiki, pg.name), reason });
+  res.json({ deleted: true, name: pg.name, restorable_days: TRASH_RETENTION_DAYS });
+});
+
+// 新しい順。?before=<revision id> で次のページを取得する
+app.get('/api/v1/wikis/:address/pages/:page/revisions', authenticateApiToken, ensureApiWikiAccess('read'), async (req, res) => {
+  const pg = await pageByWikiAndName(req.wiki.id, req.params.page);
+  if (!pg) return res.status(404).json({ error: 'Page not found' });
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 50));
+  const before = req.query.before ? parseIdParam(req.query.before) : null;
+  if (before === 0) return res.status(400).json({ error: `before must be an integer between 1 and ${MAX_INT4}` });
+  const revsRes = await pool.query(`
+    SELECT id, editor_id, created_at, summary, is_minor, OCTET_LENGTH(content) AS size FROM revisions
+    WHERE page_id = $1 AND ($2::int IS NULL OR id < $2)
+    ORDER BY id DESC
+    LIMIT $3
+  `, [pg.id, before, limit]);
+  const revisions = revsRes.rows.map(apiRevisionJson);
+  res.json({
+    name: pg.name,
+    revisions,
+    next_before: revisions.length === limit ? revisions[revisions.length - 1].id : null
+  });
+});
+
+app.get('/api/v1/wikis/:address/pages/:page/revisions/:revId', authenticateApiToken, ensureApiWikiAccess('read'), async (req, res) => {
+  const pg = await pageByWikiAndName(req.wiki.id, req.params.page);
+  if (!pg) return res.status(404).json({ error: 'Page not found' });
+  const revId = parseIdParam(req.params.revId);
+  if (!revId) return res.status(400).json({ error: `Revision ids are integers between 1 and ${MAX_INT4}` });
+  const revRes = await pool.query('SELECT id, editor_id, created_at, summary, is_minor, content FROM revisions WHERE id = $1 AND page_id = $2', [revId, pg.id]);
+  if (!revRes.rows[0]) return res.status(404).json({ error: 'Revision not found' });
+  res.json({ name: pg.name, ...apiRevisionJson(revRes.rows[0]) });
+});
+
+// 未定義の /api/v1 パスは汎用のページルートに落とさず JSON で返す
+app.use('/api/v1', (req, res) => res.status(404).json({ error: 'Not found' }));
+
+// --- Home ---
+app.get('/', (req, res) => {
+  const lang = req.userLang;
+  const isSuspended = !!req.isSuspended;
+  const disabledClass = isSuspended ? 'disabled' : '';
+
+  const body = `
+    <div class="breadcrumb">🏠 ${getText('home', lang)}</div>
+
+    <div id="guidelines-banner" class="card" style="background-color: var(--accent-color); color: white; margin-bottom: 24px; border-color: var(--accent-color); display: none;">
+      <div style="display: flex; justify-content: space-between; align-items: center; gap: 16px;">
+        <p style="margin: 0;">利用の前に、コミュニティガイドラインとプライバシーポリシーをご確認ください</p>
+        <div style="display: flex; gap: 8px;">
+          <a class="btn" href="https://wiki.rec877.com/rules/home" target="_blank" style="background-color: white; color: var(--accent-color); border-color: white;">📖 閲覧</a>
+          <button class="btn" onclick="dismissGuidelines()" style="background-color: rgba(255,255,255,0.2); color: white; border-color: rgba(255,255,255,0.3);">×</button>
+        </div>
+      </div>
+    </div>
+
+    <div style="text-align: center; margin-bottom: 24px;">
+      <h2>Welcome to Rec Wiki</h2>
+      <p class="muted">${lang === 'ja' ? 'Discord連携済み & 許可ユーザーのみWikiを新規作成できます。' : 'Only authorized users with linked Discord accounts can create new wikis.'}</p>
+      <a class="btn primary ${disabledClass}" href="/create-wiki">🆕 ${getText('createWiki', lang)}</a>
+    </div>
+
+    <form id="global-search-form" class="card" style="display: flex; gap: 8px;">
+      <input name="q" placeholder="${lang === 'ja' ? 'Wiki名・説明・全Wikiのページを検索' : 'Search wiki names, descriptions and pages across all wikis'}" required>
+      <button class="btn primary" type="submit">🔍 ${lang === 'ja' ? '検索' : 'Search'}</button>
+    </form>
+
+    <div class="card" id="search-card" style="display:none;">
+      <div style="display: flex; justify-content: space-between; align-items: center;">
+        <h3>🔍 ${lang === 'ja' ? '検索結果' : 'Search Results'}</h3>
+        <button id="clear-search" class="btn" type="button">× ${lang === 'ja' ? 'クリア' : 'Clear'}</button>
+      </div>
+      <div id="search-results"></div>
+      <div style="text-align:center; margin-top:12px;">
+        <button id="search-load-more" class="btn" style="display:none;">${lang === 'ja' ? 'もっと見る' : 'Load More'}</button>
+      </div>
+    </div>
+
+    <div class="card" id="popular-card">
+      <h3>📚 ${getText('popularWikis', lang)}</h3>
+      <div id="wiki-list">Loading...</div>
+      <div style="text-align:center; margin-top:12px;">
+        <button id="load-more" class="btn" style="display:none;">${lang === 'ja' ? 'もっと見る' : 'Load More'}</button>
+      </div>
+    </div>
+
+    <script>
+      // ガイドラインバナーの表示・非表示制御
+      if (!localStorage.getItem('guidelines-dismissed')) {
+        document.getElementById('guidelines-banner').style.display = 'block';
+      }
+
+      function dismissGuidelines() {
+        document.getElementById('guidelines-banner').style.display = 'none';
+        localStorage.setItem('guidelines-dismissed', 'true');
+      }
+
+      let skip = 0;
+      const limit = 10;
+      const listEl = document.getElementById('wiki-list');
+      const loadMoreBtn = document.getElementById('load-more');
+      const isSuspended = ${isSuspended};
+      const disabledClass = isSuspended ? 'disabled' : '';
+
+      async function loadWikis() {
+        loadMoreBtn.disabled = true;
+        const res = await fetch('/api/wikis?skip=' + skip + '&limit=' + limit);
+        const data = await res.json();
+        if (!data.wikis.length && skip === 0) {
+          listEl.innerHTML = '<div class="muted">${lang === 'ja' ? 'Wikiがまだありません。' : 'No wikis yet.'}</div>';
+          return;
+        }
+        const html = data.wikis.map(w => \`
+          <div class="card" style="margin-bottom:12px;">
+            <h3 style="margin-top:0;">
+              \${w.favicon ? '<img src="'+w.favicon+'" width="20" height="20" style="vertical-align: middle; margin-right: 8px;">' : '📚'}
+              <a href="/\${w.address}" style="color: var(--accent-color); text-decoration: none;">\${w.name}</a>
+            </h3>
+            <p class="muted">Address: <span class="mono">\${w.address}</span></p>
+            <p class="muted">${lang === 'ja' ? '閲覧数' : 'Views'}: <strong>\${w.views || 0}</strong> • ${lang === 'ja' ? '作成日' : 'Created'}: <span class="mono">\${new Date(w.created_at).toLocaleDateString('${lang === 'ja' ? 'ja-JP' : 'en-US'}')}</span></p>
+            <div style="margin-top: 8px;">
+              <a class="btn" href="/\${w.address}">📖 ${getText('view', lang)}</a>
+              <a class="btn \${disabledClass}" href="/\${w.address}-edit">✏️ ${getText('edit', lang)}</a>
+            </div>
+          </div>
+        \`).join('');
+        if (skip === 0) listEl.innerHTML = html;
+        else listEl.insertAdjacentHTML('beforeend', html);
+
+        if (data.wikis.length === limit) {
+          loadMoreBtn.style.display = 'inline-flex';
+        } else {
+          loadMoreBtn.style.display = 'none';
+        }
+        skip += data.wikis.length;
+        loadMoreBtn.disabled = false;
+      }
+
+      loadMoreBtn.addEventListener('click', loadWikis);
+      loadWikis();
+
+      // 全Wiki横断検索（「もっと見る」と同じ skip/limit 方式）
+      const escapeText = (text) => String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+      const searchForm = document.getElementById('global-search-form');
+      const searchCard = document.getElementById('search-card');
+      const popularCard = document.getElementById('popular-card');
+      const searchResultsEl = document.getElementById('search-results');
+      const searchLoadMoreBtn = document.getElementById('search-load-more');
+      let searchQuery = '';
+      let searchSkip = 0;
+
+      async function loadSearchResults() {
+        searchLoadMoreBtn.disabled = true;
+        const res = await fetch('/api/search?q=' + encodeURIComponent(searchQuery) + '&skip=' + searchSkip + '&limit=' + limit);
+        const data = await res.json();
+        if (!data.wikis.length && searchSkip === 0) {
+          searchResultsEl.innerHTML = '<div class="muted">${lang === 'ja' ? '一致するWikiやページはありません。' : 'No matching wikis or pages.'}</div>';
+          searchLoadMoreBtn.style.display = 'none';
+          return;
+        }
+        const html = data.wikis.map(w => \`
+          <div class="card" style="margin-bottom:12px;">
+            <h3 style="margin-top:0;">
+              \${w.favicon ? '<img src="'+escapeText(w.favicon)+'" width="20" height="20" style="vertical-align: middle; margin-right: 8px;">' : '📚'}
+              <a href="/\${w.address}" style="color: var(--accent-color); text-decoration: none;">\${escapeText(w.name)}</a>
+            </h3>
+            \${w.description ? '<p class="muted">' + escapeText(w.description) + '</p>' : ''}
+            \${w.pages.map(p => \`
+              <div style="margin-bottom: 8px; padding: 8px 12px; background: var(--bg-secondary); border-radius: 8px;">
+                <a href="\${p.url}">📄 \${escapeText(p.name)}</a>
+                <div class="muted" style="font-size: 13px;">\${p.snippet}</div>
+              </div>
+            \`).join('')}
+            \${w.pageHits > w.pages.length ? \`<a href="/\${w.address}/search?q=\${encodeURIComponent(searchQuery)}">${lang === 'ja' ? 'このWikiの結果をすべて見る' : 'See all results in this wiki'} (\${w.pageHits})</a>\` : ''}
+          </div>
+        \`).join('');
+        if (searchSkip === 0) searchResultsEl.innerHTML = html;
+        else searchResultsEl.insertAdjacentHTML('beforeend', html);
+
+        searchLoadMoreBtn.style.display = data.wikis.length === limit ? 'inline-flex' : 'none';
+        searchSkip += data.wikis.length;
+        searchLoadMoreBtn.disabled = false;
+      }
+
+      searchForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        searchQuery = searchForm.q.value.trim();
+        if (!searchQuery) return;
+        searchSkip = 0;
+        searchResultsEl.innerHTML = 'Loading...';
+        searchCard.style.display = 'block';
+        popularCard.style.display = 'none';
+        loadSearchResults();
+      });
+      searchLoadMoreBtn.addEventListener('click', loadSearchResults);
+      document.getElementById('clear-search').addEventListener('click', () => {
+        searchForm.reset();
+        searchCard.style.display = 'none';
+        popularCard.style.display = 'block';
+      });
+    </script>
+  `;
+  res.send(renderLayout('Rec Wiki', body, null, lang, req));
+});
+
+// --- User Dashboard ---
+app.get('/dashboard', ensureAuth, async (req, res) => { // Added async
+  const lang = req.userLang;
+  const userId = req.user.id;
+  const isSuspended = !!req.isSuspended;
+  const disabledClass = isSuspended ? 'disabled' : '';
+  
+  // Use pool.query, change ? to $1, and access .rows
+  const ownedRes = await pool.query('SELECT * FROM wikis WHERE owner_id = $1 AND deleted_at IS NULL ORDER BY created_at DESC', [userId]);
+  const ownedWikis = ownedRes.rows;
+  
+  // Change ? to $1, $2
+  const editableRes = await pool.query(`
+    SELECT w.* FROM wikis w 
+    JOIN wiki_permissions wp ON w.id = wp.wiki_id 
+    WHERE wp.editor_id = $1 AND w.owner_id != $2 AND w.deleted_at IS NULL
+  `, [userId, userId]);
+  const editableWikis = editableRes.rows;
+  
+  const hideMinor = req.query.hideMinor === '1';
+  const recentRes = await pool.query(`
+    SELECT p.name as page_name, w.name as wiki_name, w.address as wiki_address, r.created_at, r.summary, r.is_minor
+    FROM revisions r
+    JOIN pages p ON r.page_id = p.id 
+    JOIN wikis w ON p.wiki_id = w.id
+    WHERE r.editor_id = $1 AND w.deleted_at IS NULL AND p.deleted_at IS NULL
+      AND ($2::boolean = false OR COALESCE(r.is_minor, 0) = 0)
+    ORDER BY r.created_at DESC LIMIT 10
+  `, [userId, hideMinor]);
+  const recentEdits = recentRes.rows;
+
+  const body = `
+    <div class="breadcrumb"><a href="/">🏠 ${getText('home', lang)}</a> > 📊 ${getText('dashboard', lang)}</div>
+    <h1>📊 ${getText('dashboard', lang)}</h1>
+    
+    <div class="row">
+      <div class="card">
+        <h3>📚 ${lang === 'ja' ? '所有Wiki' : 'Owned Wikis'}</h3>
+        ${ownedWikis.length ? ownedWikis.map(w => `
+          <div style="margin-bottom: 12px; padding: 12px; background: var(--bg-secondary); border-radius: 8px;">
+            <h4 style="margin: 0;"><a href="/${w.address}">${w.name}</a></h4>
+            <p class="muted">${w.address} • ${lang === 'ja' ? '閲覧数' : 'Views'}: ${w.views || 0}</p>
+            <a class="btn ${disabledClass}" href="/${w.address}-edit">${getText('edit', lang)}</a>
+          </div>
+        `).join('') : `<p class="muted">${lang === 'ja' ? '所有Wikiがありません。' : 'No owned wikis.'}</p>`}
+      </div>
+      
+      <div class="card">
+        <h3>✏️ ${lang === 'ja' ? '編集可能Wiki' : 'Editable Wikis'}</h3>
+        ${editableWikis.length ? editableWikis.map(w => `
+          <div style="margin-bottom: 12px; padding: 12px; background: var(--bg-secondary); border-radius: 8px;">
+            <h4 style="margin: 0;"><a href="/${w.address}">${w.name}</a></h4>
+            <p class="muted">${w.address}</p>
+            <a class="btn ${disabledClass}" href="/${w.address}-edit">${getText('edit', lang)}</a>
+          </div>
+        `).join('') : `<p class="muted">${lang === 'ja' ? '編集可能Wikiがありません。' : 'No editable wikis.'}</p>`}
+      </div>
+    </div>
+
+    <div class="card">
+      <div style="display: flex; justify-content: space-between; align-items: center; gap: 8px; flex-wrap: wrap;">
+        <h3>📝 ${getText('recentEdits', lang)}</h3>
+        <a class="chip" href="/dashboard${hideMinor ? '' : '?hideMinor=1'}">${hideMinor ? (lang === 'ja' ? '細部の編集を表示' : 'Show minor edits') : (lang === 'ja' ? '細部の編集を隠す' : 'Hide minor edits')}</a>
+      </div>
+      ${recentEdits.length ? recentEdits.map(e => `
+        <div style="margin-bottom: 12px; padding: 12px; background: var(--bg-secondary); border-radius: 8px;">
+          <a href="/${e.wiki_address}/${encodeURIComponent(e.page_name)}">📄 ${e.page_name}</a> 
+          ${lang === 'ja' ? 'in' : 'in'} 
+          <a href="/${e.wiki_address}">📚 ${e.wiki_name}</a>
+          ${revisionSummaryHtml(e, lang)}
+          <div class="muted">${new Date(e.created_at).toLocaleString(lang === 'ja' ? 'ja-JP' : 'en-US')}</div>
+        </div>
+      `).join('') : `<p class="muted">${lang === 'ja' ? '最近の編集がありません。' : 'No recent edits.'}</p>`}
+    </div>
+  `;
+  
+  res.send(renderLayout(`${getText('dashboard', lang)}`, body, null, lang, req));
+});
+
+// --- Profile redirect ---
+app.get('/profile', ensureAuth, (req, res) => {
+  res.redirect(`/user/${req.user.id}`);
+});
+
+// --- Create wiki form ---
+app.get('/create-wiki', ensureCanCreate, (req, res) => {
+  const lang = req.userLang;
+  const body = `
+    <div class="breadcrumb"><a href="/">🏠 ${getText('home', lang)}</a> > 🆕 ${getText('createWiki', lang)}</div>
+    <h1>🆕 ${lang === 'ja' ? '新しいWikiを作成' : 'Create a New Wiki'}</h1>
+    <p class="muted">${lang === 'ja' ? 'Wiki名とアドレスは一意である必要があります。' : 'The Wiki Name and Address must be unique.'}</p>
+    <form action="/create-wiki" method="post" enctype="multipart/form-data" class="card">
+      <div class="form-group">
+        <label>📝 ${lang === 'ja' ? 'Wiki名（表示名、一意）' : 'Wiki Name (Display Name, Unique)'}</label>
+        <input name="name" required placeholder="e.g., MyTeamWiki" maxlength="100">
+        <div class="form-help">${lang === 'ja' ? '他のユーザーに表示される名前' : 'The name displayed to other users'}</div>
+      </div>
+      <div class="form-group">
+        <label>🔗 ${lang === 'ja' ? 'アドレス（URL用、一意、英数字とハイフンのみ）' : 'Address (For URL, Unique, Alphanumeric & Hyphens only)'}</label>
+        <input name="address" required pattern="[a-zA-Z0-9-]{2,64}" placeholder="e.g., my-team-wiki" maxlength="64">
+        <div class="form-help mono">${lang === 'ja' ? '結果URL' : 'Resulting URL'}: ${BASE_URL}/<span id="preview">my-team-wiki</span></div>
+      </div>
+      <div class="row">
+        <div class="form-group">
+          <label>🌐 ${lang === 'ja' ? 'ファビコンURL（オプション）' : 'Favicon URL (Optional)'}</label>
+          <input name="faviconUrl" placeholder="https://.../favicon.png">
+          <div class="form-help">${lang === 'ja' ? '外部URLからファビコンを設定' : 'Set a favicon from an external URL'}</div>
+        </div>
+        <div class="form-group">
+          <label>📎 ${lang === 'ja' ? 'ファビコンアップロード（オプション）' : 'Upload Favicon (Optional)'}</label>
+          <input type="file" name="faviconFile" accept="image/*">
+          <div class="form-help">${lang === 'ja' ? 'ローカルファイルをアップロード' : 'Upload a local file'}</div>
+        </div>
+      </div>
+      <div class="form-group">
+        <label>🔒 ${lang === 'ja' ? '初期公開設定' : 'Initial Access Setting'}</label>
+        <select name="initialMode">
+          <option value="loggedin" selected>${lang === 'ja' ? 'ログインユーザーのみ（デフォルト）' : 'Logged-in users only (Default)'}</option>
+          <option value="anyone">${lang === 'ja' ? '誰でも（公開編集）' : 'Anyone (Public editing)'}</option>
+          <option value="invite">${lang === 'ja' ? '招待のみ（オーナーが招待）' : 'Invite only (Owner invites)'}</option>
+        </select>
+        <div class="form-help">${lang === 'ja' ? '後から変更できます。' : 'Can be changed later.'}</div>
+      </div>
+
+      <div class="form-group">
+        ${turnstileWidget()}
+      </div>
+
+      <button class="btn success" type="submit">🚀 ${lang === 'ja' ? '作成' : 'Create'}</button>
+    </form>
+    <script src="https://challenges.cloudflare.com/turnstile/v0/api.js" async defer></script>
+    <script>
+      document.querySelector('input[name="address"]').addEventListener('input', (e) => {
+        document.getElementById('preview').textContent = e.target.value || 'my-team-wiki';
+      });
+    </script>
+  `;
+  res.send(renderLayout(`${getText('createWiki', lang)}`, body, null, lang, req));
+});
+
+// Cloudflare Turnstile のトークン検証（検証サーバーへの通信失敗時は例外）
+const verifyTurnstile = async (req) => {
+  const token = req.body['cf-turnstile-response'];
+  const ip = clientIp(req);
+
+  const formData = new URLSearchParams();
+  formData.append('secret', process.env.TURNSTILE_SECRET_KEY);
+  formData.append('response', token);
+  formData.append('remoteip', ip);
+
+  const result = await axios.post('https://challenges.cloudflare.com/turnstile/v0/siteverify', formData);
+  return !!result.data.success;
+};
+
+const turnstileWidget = () => `<div class="cf-turnstile" data-sitekey="${process.env.TURNSTILE_SITE_KEY || '1x00000000000000000000AA'}"></div>`;
+
+// --- Create wiki handler ---
+const upload = multer({ dest: uploadDir });
+// 変更: Cloudflare Turnstileとレートリミットを導入
+// 変更: Cloudflare Turnstileとレートリミットを導入（一時的にレートリミットは無効化）
+app.post('/create-wiki', ensureCanCreate, upload.single('faviconFile'), async (req, res) => {
+  const lang = req.userLang;
+
+  // 1. レートリミットチェック (5分に1回) - 一時的に無効化
+  // TODO: user_profiles テーブルに last_wiki_created_at カラムを追加してから有効化
+  /*
+  const userProfile = db.prepare('SELECT last_wiki_created_at FROM user_profiles WHERE user_id = ?').get(req.user.id);
+  if (userProfile && userProfile.last_wiki_created_at) {
+    const lastCreation = new Date(userProfile.last_wiki_created_at).getTime();
+    const fiveMinutes = 5 * 60 * 1000;
+    if (Date.now() - lastCreation < fiveMinutes) {
+      return res.status(429).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${lang === 'ja' ? 'Wikiの作成は5分に1回までです。しばらく待ってから再度お試しください。' : 'You can only create a wiki once every 5 minutes. Please try again later.'}</p><a class="btn" href="/create-wiki">🔙 ${lang === 'ja' ? '戻る' : 'Back'}</a></div>`, null, lang, req));
     }
-  </style>
-</head>
-<body data-theme="light" class="fade-in">
-${suspensionBanner}
-<header>
-  <div class="header-left">
-    <a class="btn desktop-only" href="/">🏠 ${getText('home', lang)}</a>
-    <div class="mobile-only">
-      <button class="mobile-drawer-button" onclick="toggleMobileDrawer()">☰</button>
-    </div>
-  </div>
-  <div class="header-center">
-    <h1 style="margin: 0; font-size: 1.5rem;"><a href="/" style="text-decoration: none; color: var(--text-primary);">Rec Wiki</a></h1>
-  </div>
-  <div class="header-right">
-    <div class="desktop-only desktop-header-items">
-      <div class="language-dropdown">
-        <button class="language-button" onclick="toggleLanguageDropdown()">
-          ${lang === 'ja' ? '🇯🇵 日本語' : '🇺🇸 English'} ▼
-        </button>
-        <div class="language-menu" id="language-menu">
-          <a href="/lang/ja" class="language-option ${lang === 'ja' ? 'active' : ''}">
-            🇯🇵 日本語
-          </a>
-          <a href="/lang/en" class="language-option ${lang === 'en' ? 'active' : ''}">
-            🇺🇸 English
-          </a>
-        </div>
-      </div>
-      <button class="btn" onclick="toggleTheme()" title="テーマ切替">🌓</button>
-    </div>
-    <div id="auth"></div>
-  </div>
-</header>
+  }
+  */
 
-<div class="drawer-overlay" id="drawer-overlay" onclick="closeMobileDrawer()"></div>
-<div class="mobile-drawer" id="mobile-drawer">
-  <div class="drawer-header">
-    <h3 style="margin: 0;">設定</h3>
-    <button class="drawer-close" onclick="closeMobileDrawer()">×</button>
-  </div>
-  <div class="drawer-content">
-    <div class="drawer-section">
-      <h3>🌓 テーマ</h3>
-      <button class="drawer-option" onclick="toggleTheme(); closeMobileDrawer();">
-        <span id="theme-icon">🌙</span> 
-        <span id="theme-text">ダークモード</span>
-      </button>
-    </div>
-    <div class="drawer-section">
-      <h3>🌐 言語</h3>
-      <a href="/lang/ja" class="drawer-option ${lang === 'ja' ? 'active' : ''}">
-        🇯🇵 日本語
-      </a>
-      <a href="/lang/en" class="drawer-option ${lang === 'en' ? 'active' : ''}">
-        🇺🇸 English
-      </a>
-    </div>
-  </div>
-</div>
+  // 2. Cloudflare Turnstile 認証
+  try {
+    if (!(await verifyTurnstile(req))) {
+      return res.status(403).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${lang === 'ja' ? '認証に失敗しました。ページを更新してもう一度お試しください。' : 'Authentication failed. Please refresh the page and try again.'}</p></div>`, null, lang, req));
+    }
+  } catch (error) {
+    console.error('Turnstile verification request failed:', error.message);
+    return res.status(500).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${lang === 'ja' ? '認証サーバーでエラーが発生しました。' : 'An error occurred with the authentication server.'}</p></div>`, null, lang, req));
+  }
+  
+  // 3. 既存のWiki作成処理
+  const { name, address, faviconUrl, initialMode } = req.body;
+  const slug = (address || '').trim();
+  const wname = (name || '').trim();
 
-${body}
-<nav class="bottom-nav">
-  <a href="/" class="nav-item">
-    <div class="nav-icon">🏠</div>
-    <div>${getText('home', lang)}</div>
-  </a>
-  <a href="/create-wiki" class="nav-item">
-    <div class="nav-icon">➕</div>
-    <div>${getText('createWiki', lang)}</div>
-  </a>
-  <a href="/dashboard" class="nav-item">
-    <div class="nav-icon">📊</div>
-    <div>${getText('dashboard', lang)}</div>
-  </a>
-  <a href="/admin" class="nav-item" id="admin-nav" style="display: none;">
-    <div class="nav-icon">⚙️</div>
-    <div>${getText('admin', lang)}</div>
-  </a>
-  <a href="/profile" class="nav-item">
-    <div class="nav-icon">👤</div>
-    <div>${getText('profile', lang)}</div>
-  </a>
-</nav>
+  if (!/^[a-zA-Z0-9-]{2,64}$/.test(slug)) {
+    return res.status(400).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${lang === 'ja' ? '無効なアドレス形式です。2-64文字の英数字とハイフンを使用してください。' : 'Invalid address format. Please use 2-64 alphanumeric characters and hyphens.'}</p><a class="btn" href="/create-wiki">🔙 ${lang === 'ja' ? '戻る' : 'Back'}</a></div>`, null, lang, req));
+  }
+  if (!wname) {
+    return res.status(400).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${lang === 'ja' ? 'Wiki名は必須です。' : 'Wiki name is required.'}</p><a class="btn" href="/create-wiki">🔙 ${lang === 'ja' ? '戻る' : 'Back'}</a></div>`, null, lang, req));
+  }
 
-<script>
-// Theme Toggle Function
-function toggleTheme() {
-  const body = document.body;
-  const newTheme = body.getAttribute('data-theme') === 'dark' ? 'light' : 'dark';
-  body.setAttribute('data-theme', newTheme);
-  localStorage.setItem('theme', newTheme);
-  updateThemeText();
-}
+  const existsRes = await pool.query('SELECT 1 FROM wikis WHERE name = $1 OR address = $2', [wname, slug]);
+  if (existsRes.rows.length > 0) {
+    return res.status(409).send(renderLayout('Duplicate', `<div class="card"><p class="danger">❌ ${lang === 'ja' ? 'Wiki名またはアドレスが既に使用されています。' : 'The Wiki Name or Address is already in use.'}</p><a class="btn" href="/create-wiki">🔙 ${lang === 'ja' ? '戻る' : 'Back'}</a></div>`, null, lang, req));
+  }
 
-function updateThemeText() {
-  const isDark = document.body.getAttribute('data-theme') === 'dark';
-  const themeIcon = document.getElementById('theme-icon');
-  const themeText = document.getElementById('theme-text');
-  if (themeIcon && themeText) {
-    themeIcon.textContent = isDark ? '☀️' : '🌙';
-    themeText.textContent = isDark ? 'ライトモード' : 'ダークモード';
+  let faviconPath = (faviconUrl && /^https?:\/\//.test(faviconUrl)) ? faviconUrl.trim() : null;
+  if (req.file) {
+    faviconPath = `/uploads/${req.file.filename}`;
   }
-}
 
-// Language Dropdown Functions
-function toggleLanguageDropdown() {
-  const menu = document.getElementById('language-menu');
-  menu.classList.toggle('show');
-}
+  const now = new Date().toISOString();
 
-// Mobile Drawer Functions
-function toggleMobileDrawer() {
-  const drawer = document.getElementById('mobile-drawer');
-  const overlay = document.getElementById('drawer-overlay');
-  drawer.classList.toggle('open');
-  overlay.classList.toggle('show');
-}
+  try {
+    await pool.query('BEGIN'); // トランザクション開始
 
-function closeMobileDrawer() {
-  const drawer = document.getElementById('mobile-drawer');
-  const overlay = document.getElementById('drawer-overlay');
-  drawer.classList.remove('open');
-  overlay.classList.remove('show');
+    // Wiki作成 (RETURNING id でIDを取得)
+    const wikiRes = await pool.query(
+      'INSERT INTO wikis(name, address, favicon, owner_id, created_at) VALUES ($1, $2, $3, $4, $5) RETURNING id', 
+      [wname, slug, faviconPath, req.user.id, now]
+    );
+    const wikiId = wikiRes.rows[0].id;
+
+    const welcomeText = lang === 'ja' ? 
+      `# ${wname}\n\n🎉 このWikiへようこそ！\n\n## はじめに\nこのページを編集してWikiを構築しましょう。\n\n## 機能\n- 📝 Markdownでページ作成\n- 🖼️ 画像アップロード対応\n- 🌓 ダークテーマ切替\n- 📱 レスポンシブデザイン\n- 📚 改訂履歴` :
+      `# ${wname}\n\n🎉 Welcome to this Wiki!\n\n## Getting Started\nEdit this page to start building your wiki.\n\n## Features\n- 📝 Create pages with Markdown\n- 🖼️ Image upload support\n- 🌓 Dark theme toggle\n- 📱 Responsive design\n- 📚 Revision history`;
+
+    // ホームページ作成
+    await pool.query(
+      'INSERT INTO pages(wiki_id, name, content, updated_at) VALUES ($1, $2, $3, $4)',
+      [wikiId, 'home', welcomeText, now]
+    );
+
+    // 設定保存
+    const mode = ['anyone', 'loggedin', 'invite'].includes(initialMode) ? initialMode : 'loggedin';
+    await pool.query(
+      'INSERT INTO wiki_settings(wiki_id, mode) VALUES ($1, $2)',
+      [wikiId, mode]
+    );
+
+    // 権限設定
+    await pool.query(
+      'INSERT INTO wiki_permissions(wiki_id, editor_id, role) VALUES ($1, $2, $3)',
+      [wikiId, req.user.id, 'admin']
+    );
+
+    await pool.query('COMMIT'); // コミット
+    res.redirect(`/${slug}-edit`);
+
+  } catch (err) {
+    await pool.query('ROLLBACK');
+    console.error(err);
+    res.status(500).send("Database Error");
+  }
+});
+
+// Helper: check if user can edit wiki
+// --- 修正後のコード ---
+// owner / サイト管理者 / 明示的な権限 / wiki_settings.mode の順に判定
+const canEditWiki = async (wiki, userId) => {
+  // owner -> allowed
+  if (wiki.owner_id === userId) return true;
+  
+  // admin -> allowed
+  if (ADMIN_USERS.includes(userId)) return true;
+
+  // explicit permission
+  const permRes = await pool.query('SELECT * FROM wiki_permissions WHERE wiki_id = $1 AND editor_id = $2', [wiki.id, userId]);
+  if (permRes.rows.length > 0) return true;
+
+  // check wiki_settings
+  const settingRes = await pool.query('SELECT mode FROM wiki_settings WHERE wiki_id = $1', [wiki.id]);
+  const setting = settingRes.rows[0];
+  const mode = setting ? setting.mode : 'loggedin';
+
+  return mode === 'anyone' || mode === 'loggedin';
+};
+
+const ensureCanEdit = async (req, res, next) => { // asyncを追加
+  if (!req.isAuthenticated()) return res.redirect('/auth/discord');
+  if (req.isSuspended) return res.status(403).send(createSuspensionBlock(req));
+  const address = req.params.address;
+  const wiki = await wikiByAddress(address); // awaitが必要
+  if (!wiki) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ ${req.userLang === 'ja' ? 'Wikiが見つかりません' : 'Wiki not found'}.</p></div>`, null, req.userLang, req));
+
+  if (!(await canEditWiki(wiki, req.user.id))) {
+    return res.status(403).send(renderLayout('Forbidden', `<div class="card"><p class="danger">❌ ${req.userLang === 'ja' ? '編集権限がありません' : 'No edit permission'}.</p><a class="btn" href="/${wiki.address}">${req.userLang === 'ja' ? '戻る' : 'Back'}</a></div>`, null, req.userLang, req));
+  }
+
+  // ページ単位のルートは保護レベルも確認
+  if (req.params.page) {
+    const pg = await pageByWikiAndName(wiki.id, req.params.page);
+    if (pg && !(await canEditProtectedPage(wiki, pg, req.user.id))) {
+      return res.status(403).send(createProtectionBlock(req, wiki, pg));
+    }
+  }
+  return next();
+};
+
+// 匿名編集者はIPのハッシュで識別する（IPそのものは保存しない）
+// 本番環境で秘密鍵がないときは推測できる ID になるので、匿名編集を受け付けない
+const ANON_ID_SECRET = process.env.ANON_ID_SECRET || process.env.SESSION_SECRET || (process.env.NODE_ENV === 'production' ? '' : 'change_me');
+if (!ANON_ID_SECRET) {
+  console.warn('ANON_ID_SECRET も SESSION_SECRET も設定されていないため、匿名編集を無効にします。');
 }
+const anonymousIdFor = (req) => {
+  const ip = clientIp(req);
+  return 'anon-' + crypto.createHmac('sha256', ANON_ID_SECRET).update(ip).digest('hex').slice(0, 12);
+};
 
-// Initialize theme
-document.body.setAttribute('data-theme', localStorage.getItem('theme') || 'light');
-updateThemeText();
+const isAnonymousId = (editorId) => typeof editorId === 'string' && editorId.startsWith('anon-');
 
-// Close dropdowns when clicking outside
-document.addEventListener('click', function(event) {
-  const languageDropdown = document.querySelector('.language-dropdown');
-  const languageMenu = document.getElementById('language-menu');
-  const userMenu = document.querySelector('.user-menu');
-  const userDropdown = document.getElementById('user-dropdown');
+const activeAnonymousBlock = async (anonId) => {
+  const res = await pool.query('SELECT * FROM anonymous_blocks WHERE anon_id = $1 AND (expires_at IS NULL OR expires_at > NOW())', [anonId]);
+  return res.rows[0];
+};
+
+// ページ編集ルート用: ログイン中は ensureCanEdit と同じ。
+// 未ログインでも mode が anyone かつ allow_anonymous_edit が有効なら匿名編集を許可する
+const ensureCanEditPage = async (req, res, next) => {
+  if (req.isAuthenticated()) return ensureCanEdit(req, res, next);
+
+  const wiki = await wikiByAddress(req.params.address);
+  if (!wiki) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ ${req.userLang === 'ja' ? 'Wikiが見つかりません' : 'Wiki not found'}.</p></div>`, null, req.userLang, req));
+
+  const settings = await getWikiSettings(wiki.id);
+  if (settings.mode !== 'anyone' || !settings.allow_anonymous_edit || !ANON_ID_SECRET) return res.redirect('/auth/discord');
+
+  req.anonId = anonymousIdFor(req);
+  const block = await activeAnonymousBlock(req.anonId);
+  if (block) return res.status(403).send(createAnonymousBlock(req, block));
+
+  const pg = await pageByWikiAndName(wiki.id, req.params.page);
+  if (pg && !(await canEditProtectedPage(wiki, pg, null))) {
+    return res.status(403).send(createProtectionBlock(req, wiki, pg));
+  }
+  return next();
+};
+
+// --- Edit dashboard ---
+app.get('/:address-edit', ensureCanEdit, async (req, res) => { // asyncを追加
+  const lang = req.userLang;
+  const wiki = await wikiByAddress(req.params.address); // await
+  if (!wiki) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ ${getText('wikiNotFound', lang)}.</p><a class="btn" href="/">🏠 ${getText('home', lang)}</a></div>`, null, lang, req));
+
+  // pages
+  const pagesRes = await pool.query('SELECT name FROM pages WHERE wiki_id = $1 AND deleted_at IS NULL ORDER BY name ASC', [wiki.id]);
+  const pages = pagesRes.rows;
+  const allPages = pages.map(p => `<a class="chip" href="/${wiki.address}/${encodeURIComponent(p.name)}/edit">📄 ${p.name}</a>`).join('');
+  const canAdminister = await canAdministerWiki(wiki, req.user.id);
   
-  if (languageMenu && languageDropdown && !languageDropdown.contains(event.target)) {
-    languageMenu.classList.remove('show');
+  let protectionHtml = '';
+  if (canAdminister) {
+    const protectedRes = await pool.query(`
+      SELECT name, is_locked, lock_expires_at, lock_reason FROM pages
+      WHERE wiki_id = $1 AND deleted_at IS NULL AND is_locked > 0 AND (lock_expires_at IS NULL OR lock_expires_at > NOW())
+      ORDER BY name ASC
+    `, [wiki.id]);
+    const protectedList = protectedRes.rows.map(p => `
+      <div style="display: flex; justify-content: space-between; align-items: center; gap: 8px; margin-bottom: 8px;">
+        <div>
+          <strong>🔒 <a href="/${wiki.address}/${encodeURIComponent(p.name)}">${escapeHtml(p.name)}</a></strong> — <span class="muted">${protectionLabel(p.is_locked, lang)}</span>
+          ${p.lock_expires_at ? `<small class="muted">(${lang === 'ja' ? '期限' : 'until'} ${new Date(p.lock_expires_at).toLocaleString(lang === 'ja' ? 'ja-JP' : 'en-US')})</small>` : ''}
+          ${p.lock_reason ? `<div class="muted" style="font-size: 12px;">${escapeHtml(p.lock_reason)}</div>` : ''}
+        </div>
+        <form method="post" action="/${wiki.address}/protect">
+          <input type="hidden" name="page" value="${escapeHtml(p.name)}">
+          <input type="hidden" name="level" value="none">
+          <button class="btn" type="submit">🔓 ${lang === 'ja' ? '解除' : 'Unprotect'}</button>
+        </form>
+      </div>
+    `).join('');
+    protectionHtml = `
+      <div class="row">
+        <div class="card">
+          <h3>🔒 ${lang === 'ja' ? 'ページ保護' : 'Page Protection'}</h3>
+          ${protectedList || `<div class="muted">${lang === 'ja' ? '保護中のページはありません' : 'No protected pages'}</div>`}
+          <form method="post" action="/${wiki.address}/protect" style="margin-top: 16px;">
+            <div class="form-group">
+              <label>${lang === 'ja' ? 'ページ名' : 'Page name'}</label>
+              <input name="page" required list="protect-page-list" maxlength="100">
+              <datalist id="protect-page-list">${pages.map(p => `<option value="${escapeHtml(p.name)}">`).join('')}</datalist>
+            </div>
+            <div class="form-group">
+              <label>${lang === 'ja' ? '保護レベル' : 'Protection level'}</label>
+              <select name="level">
+                <option value="editors">${protectionLabel(PROTECTION_LEVELS.editors, lang)}</option>
+                <option value="admins">${protectionLabel(PROTECTION_LEVELS.admins, lang)}</option>
+                <option value="none">${lang === 'ja' ? '保護しない' : 'No protection'}</option>
+              </select>
+            </div>
+            <div class="form-group">
+              <label>${lang === 'ja' ? '期間（日数、空欄で無期限）' : 'Duration in days (empty = indefinite)'}</label>
+              <input name="days" type="number" min="1" max="3650">
+            </div>
+            <div class="form-group">
+              <label>${lang === 'ja' ? '理由' : 'Reason'}</label>
+              <input name="reason" maxlength="500">
+            </div>
+            <button class="btn" type="submit">${getText('save', lang)}</button>
+          </form>
+        </div>
+      </div>
+    `;
   }
-  
-  if (userDropdown && userMenu && !userMenu.contains(event.target)) {
-    userDropdown.style.display = 'none';
+
+  let noticesHtml = '';
+  if (canAdminister) {
+    const notices = await noticesForWiki(wiki.id);
+    const noticeList = Object.entries(notices).map(([key, n]) => `
+      <div style="display: flex; justify-content: space-between; align-items: center; gap: 8px; margin-bottom: 8px;">
+        <div>
+          <strong style="color: ${NOTICE_COLOR_PATTERN.test(n.color) ? n.color : 'inherit'};">${escapeHtml(n.icon || '')} <code>[stab:${escapeHtml(key)}]</code></strong>
+          — ${escapeHtml((lang === 'en' ? n.title.en || n.title.ja : n.title.ja || n.title.en) || '')}
+          ${n.siteAdminOnly
+            ? `<span class="muted">(${lang === 'ja' ? 'サイト管理者のみ' : 'site admins only'})</span>`
+            : n.adminOnly ? `<span class="muted">(${lang === 'ja' ? '管理者のみ' : 'admins only'})</span>` : ''}
+          ${n.id ? '' : `<span class="muted">(${lang === 'ja' ? 'サイト既定' : 'site default'})</span>`}
+        </div>
+        ${n.id ? `
+        <form method="post" action="/${wiki.address}/notices/${n.id}/delete" onsubmit="return confirm('${lang === 'ja' ? 'この通知ボックスを削除しますか？' : 'Delete this notice box?'}')">
+          <button class="btn danger" type="submit">${getText('delete', lang)}</button>
+        </form>` : ''}
+      </div>
+    `).join('');
+    noticesHtml = `
+      <div class="row">
+        <div class="card">
+          <h3>📢 ${lang === 'ja' ? '通知ボックス' : 'Notice Boxes'}</h3>
+          <p class="muted">${lang === 'ja' ? '本文に <code>[stab:種類]</code> と書くと表示されます。サイト既定の種類名は予約されていて使えません。' : 'Shown where a page contains <code>[stab:type]</code>. The site default type names are reserved.'}</p>
+          ${noticeList}
+          <form method="post" action="/${wiki.address}/notices" style="margin-top: 16px;">
+            <div class="row">
+              <div class="form-group">
+                <label>${lang === 'ja' ? '種類名' : 'Type name'}</label>
+                <input name="key" required maxlength="50" placeholder="${lang === 'ja' ? '例: 要出典' : 'e.g., citation-needed'}">
+              </div>
+              <div class="form-group">
+                <label>${lang === 'ja' ? 'アイコン' : 'Icon'}</label>
+                <input name="icon" maxlength="8" value="⚠️">
+              </div>
+              <div class="form-group">
+                <label>${lang === 'ja' ? '色' : 'Colour'}</label>
+                <input name="color" type="color" value="#f39c12">
+              </div>
+            </div>
+            <div class="row">
+              <div class="form-group">
+                <label>${lang === 'ja' ? 'タイトル（日本語）' : 'Title (Japanese)'}</label>
+                <input name="title_ja" maxlength="200">
+              </div>
+              <div class="form-group">
+                <label>${lang === 'ja' ? 'タイトル（英語）' : 'Title (English)'}</label>
+                <input name="title_en" maxlength="200">
+              </div>
+            </div>
+            <div class="row">
+              <div class="form-group">
+                <label>${lang === 'ja' ? '本文（日本語）' : 'Body (Japanese)'}</label>
+                <textarea name="body_ja" maxlength="2000" style="min-height: 80px;"></textarea>
+              </div>
+              <div class="form-group">
+                <label>${lang === 'ja' ? '本文（英語）' : 'Body (English)'}</label>
+                <textarea name="body_en" maxlength="2000" style="min-height: 80px;"></textarea>
+              </div>
+            </div>
+            <div class="form-group">
+              <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
+                <input type="checkbox" name="admin_only">
+                <span>${lang === 'ja' ? 'Wiki管理者にのみ表示する' : 'Only show to wiki admins'}</span>
+              </label>
+            </div>
+            <button class="btn" type="submit">${getText('save', lang)}</button>
+          </form>
+        </div>
+      </div>
+    `;
   }
-});
 
-// Authentication handling
-fetch('/api/me').then(r => r.json()).then(me => {
-  const el = document.getElementById('auth');
-  const adminNav = document.getElementById('admin-nav');
-  if (!el) return;
-  if (me.loggedIn) {
-    el.innerHTML = \`
-      <div class="user-menu" style="position: relative;">
-        <img src="\${me.avatar}" alt="avatar" style="width:36px;height:36px;border-radius:50%;cursor:pointer;" onclick="toggleUserMenu()">
-        <div id="user-dropdown" style="position: absolute; top: 100%; right: 0; margin-top: 8px; min-width: 220px; background: var(--card-bg); border: 1px solid var(--border-color); border-radius: 8px; box-shadow: 0 4px 12px rgba(0,0,0,0.1); display: none; z-index: 1000;">
-          <div style="padding: 12px; border-bottom: 1px solid var(--border-color);">
-            <div style="font-weight: 500; color: var(--text-primary);">\${me.username}</div>
-            <div style="font-size: 12px; color: var(--text-secondary);">#\${me.discriminator}</div>
-            <div style="font-size: 12px; color: var(--text-secondary);">ID: \${me.id}</div>
+  let webhooksHtml = '';
+  if (canAdminister) {
+    const hooksRes = await pool.query('SELECT * FROM webhooks WHERE wiki_id = $1 ORDER BY id ASC', [wiki.id]);
+    const deliveriesRes = await pool.query(`
+      SELECT d.id, d.event, d.status, d.attempts, d.next_attempt_at, d.response_status, d.response_body, d.last_error, d.created_at, w.url
+      FROM webhook_deliveries d
+      JOIN webhooks w ON w.id = d.webhook_id
+      WHERE w.wiki_id = $1
+      ORDER BY d.id DESC
+      LIMIT 20
+    `, [wiki.id]);
+    const formatTime = (value) => new Date(value).toLocaleString(lang === 'ja' ? 'ja-JP' : 'en-US');
+    const hookList = hooksRes.rows.map(h => `
+      <div style="display: flex; justify-content: space-between; align-items: flex-start; gap: 8px; margin-bottom: 12px;">
+        <div style="min-width: 0;">
+          <strong class="mono" style="word-break: break-all;">${escapeHtml(h.url)}</strong>
+          ${h.is_active ? '' : `<span class="muted">(${lang === 'ja' ? '停止中' : 'disabled'})</span>`}
+          <div class="muted" style="font-size: 12px;">${h.events.split(',').map(e => `<code>${escapeHtml(e)}</code>`).join(' ')}</div>
+          <details style="font-size: 12px;">
+            <summary class="muted">${lang === 'ja' ? '署名シークレット' : 'Signing secret'}</summary>
+            <code>${escapeHtml(h.secret)}</code>
+          </details>
+        </div>
+        <div style="display: flex; gap: 4px; flex-shrink: 0;">
+          <form method="post" action="/${wiki.address}/webhooks/${h.id}/test">
+            <button class="btn" type="submit" ${h.is_active ? '' : 'disabled'}>📨 ${lang === 'ja' ? 'テスト送信' : 'Send test event'}</button>
+          </form>
+          <form method="post" action="/${wiki.address}/webhooks/${h.id}/toggle">
+            <button class="btn" type="submit">${h.is_active ? `⏸️ ${lang === 'ja' ? '停止' : 'Disable'}` : `▶️ ${lang === 'ja' ? '再開' : 'Enable'}`}</button>
+          </form>
+          <form method="post" action="/${wiki.address}/webhooks/${h.id}/delete" onsubmit="return confirm('${lang === 'ja' ? 'このWebhookを削除しますか？' : 'Delete this webhook?'}')">
+            <button class="btn danger" type="submit">${getText('delete', lang)}</button>
+          </form>
+        </div>
+      </div>
+    `).join('');
+    const statusLabel = (d) => {
+      if (d.status === 'success') return `<span style="color: var(--success-color);">✅ ${lang === 'ja' ? '成功' : 'Delivered'}</span>`;
+      if (d.status === 'failed') return `<span class="danger">❌ ${lang === 'ja' ? '失敗' : 'Failed'}</span>`;
+      return `<span class="muted">⏳ ${d.attempts ? `${lang === 'ja' ? '再試行待ち' : 'Retrying'} (${formatTime(d.next_attempt_at)})` : (lang === 'ja' ? '送信待ち' : 'Pending')}</span>`;
+    };
+    const deliveryRows = deliveriesRes.rows.map(d => `
+      <tr>
+        <td>${formatTime(d.created_at)}</td>
+        <td><code>${escapeHtml(d.event)}</code><div class="muted mono" style="font-size: 11px; word-break: break-all;">${escapeHtml(d.url)}</div></td>
+        <td>
+          ${statusLabel(d)}
+          <div class="muted" style="font-size: 12px;">${d.attempts}/${WEBHOOK_MAX_ATTEMPTS} ${lang === 'ja' ? '回' : 'attempts'}${d.response_status ? ` · HTTP ${d.response_status}` : ''}${d.last_error ? ` · ${escapeHtml(d.last_error)}` : ''}</div>
+          ${d.response_body ? `<details style="font-size: 12px;"><summary class="muted">${lang === 'ja' ? '応答' : 'Response'}</summary><pre style="white-space: pre-wrap;">${escapeHtml(d.response_body)}</pre></details>` : ''}
+        </td>
+        <td>${d.status === 'failed' ? `
+          <form method="post" action="/${wiki.address}/webhooks/deliveries/${d.id}/redeliver">
+            <button class="btn" type="submit">🔁 ${lang === 'ja' ? '再送' : 'Redeliver'}</button>
+          </form>` : ''}</td>
+      </tr>
+    `).join('');
+    webhooksHtml = `
+      <div class="card" id="webhooks">
+        <h3>🪝 Webhooks</h3>
+        <p class="muted">${lang === 'ja'
+          ? `ページの作成・編集・移動・巻き戻し・削除・復元や権限の変更を、登録したURLへ JSON で POST します。リクエストボディの HMAC-SHA256 が <code>X-RecWiki-Signature: sha256=…</code> ヘッダーに付くので、シークレットで検証してください。失敗した配信は間隔を空けて最大 ${WEBHOOK_MAX_ATTEMPTS} 回まで送ります。`
+          : `Page creates, edits, moves, rollbacks, deletions and restores and permission changes are POSTed as JSON to the URLs below. Each request carries an HMAC-SHA256 of the body in an <code>X-RecWiki-Signature: sha256=…</code> header; verify it with the secret. Failed deliveries are retried with increasing delays, up to ${WEBHOOK_MAX_ATTEMPTS} attempts.`}</p>
+        ${hookList || `<div class="muted" style="margin-bottom: 12px;">${lang === 'ja' ? 'Webhookはまだありません' : 'No webhooks yet'}</div>`}
+        ${hooksRes.rows.length < MAX_WEBHOOKS_PER_WIKI ? `
+        <form method="post" action="/${wiki.address}/webhooks">
+          <div class="form-group">
+            <label>URL</label>
+            <input name="url" type="url" required maxlength="2000" placeholder="https://example.com/hooks/wiki">
           </div>
-          <div style="padding: 8px;">
-            <a href="/user/\${me.id}" class="dropdown-item" style="display: flex; align-items: center; gap: 8px; padding: 8px 12px; color: var(--text-primary); text-decoration: none; border-radius: 4px; transition: background-color 0.2s ease;">👤 ${getText('profile', '${lang}')}</a>
-            <a href="/dashboard" class="dropdown-item" style="display: flex; align-items: center; gap: 8px; padding: 8px 12px; color: var(--text-primary); text-decoration: none; border-radius: 4px; transition: background-color 0.2s ease;">📊 ${getText('dashboard', '${lang}')}</a>
-            \${me.isAdmin ? '<a href="/admin" class="dropdown-item" style="display: flex; align-items: center; gap: 8px; padding: 8px 12px; color: var(--text-primary); text-decoration: none; border-radius: 4px; transition: background-color 0.2s ease;">⚙️ ${getText('admin', '${lang}')}</a>' : ''}
-            <a href="/logout" class="dropdown-item" style="display: flex; align-items: center; gap: 8px; padding: 8px 12px; color: var(--text-primary); text-decoration: none; border-radius: 4px; transition: background-color 0.2s ease;">🚪 ${getText('logout', '${lang}')}</a>
+          <div class="form-group">
+            <label>${lang === 'ja' ? 'イベント' : 'Events'}</label>
+            ${WEBHOOK_EVENTS.map(e => `
+            <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
+              <input type="checkbox" name="events" value="${e}" checked style="width: auto;">
+              <code>${e}</code>
+            </label>`).join('')}
           </div>
-        </div>
+          <button class="btn" type="submit">➕ ${lang === 'ja' ? 'Webhookを追加' : 'Add webhook'}</button>
+        </form>` : ''}
+        <h4>${lang === 'ja' ? '最近の配信' : 'Recent deliveries'}</h4>
+        ${deliveryRows ? `
+        <table class="diff-table" style="table-layout: auto; font-family: inherit;">
+          <tr><th>${lang === 'ja' ? '日時' : 'Time'}</th><th>${lang === 'ja' ? 'イベント' : 'Event'}</th><th>${lang === 'ja' ? '結果' : 'Result'}</th><th></th></tr>
+          ${deliveryRows}
+        </table>` : `<div class="muted">${lang === 'ja' ? '配信はまだありません' : 'No deliveries yet'}</div>`}
       </div>
-    \`;
-    
-    // Add hover effect to dropdown items
-    setTimeout(() => {
-      const dropdownItems = document.querySelectorAll('.dropdown-item');
-      dropdownItems.forEach(item => {
-        item.addEventListener('mouseenter', () => {
-          item.style.backgroundColor = 'var(--button-hover)';
-        });
-        item.addEventListener('mouseleave', () => {
-          item.style.backgroundColor = 'transparent';
-        });
-      });
-    }, 100);
-    
-    if (me.isAdmin && adminNav) {
-      adminNav.style.display = 'flex';
-    }
-  } else {
-    // Desktop: Discord icon with text, Mobile: Discord icon only
-    const isMobile = window.innerWidth <= 768;
-    if (isMobile) {
-      el.innerHTML = '<a class="btn primary" href="/auth/discord" title="Discordでログイン"><svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor"><path d="M20.317 4.3698a19.7913 19.7913 0 00-4.8851-1.5152.0741.0741 0 00-.0785.0371c-.211.3753-.4447.8648-.6083 1.2495-1.8447-.2762-3.68-.2762-5.4868 0-.1636-.3933-.4058-.8742-.6177-1.2495a.077.077 0 00-.0785-.037 19.7363 19.7363 0 00-4.8852 1.515.0699.0699 0 00-.0321.0277C.5334 9.0458-.319 13.5799.0992 18.0578a.0824.0824 0 00.0312.0561c2.0528 1.5076 4.0413 2.4228 5.9929 3.0294a.0777.0777 0 00.0842-.0276c.4616-.6304.8731-1.2952 1.226-1.9942a.076.076 0 00-.0416-.1057c-.6528-.2476-1.2743-.5495-1.8722-.8923a.077.077 0 01-.0076-.1277c.1258-.0943.2517-.1923.3718-.2914a.0743.0743 0 01.0776-.0105c3.9278 1.7933 8.18 1.7933 12.0614 0a.0739.0739 0 01.0785.0095c.1202.099.246.1981.3728.2924a.077.077 0 01-.0066.1276 12.2986 12.2986 0 01-1.873.8914.0766.0766 0 00-.0407.1067c.3604.698.7719 1.3628 1.225 1.9932a.076.076 0 00.0842.0286c1.961-.6067 3.9495-1.5219 6.0023-3.0294a.077.077 0 00.0313-.0552c.5004-5.177-.8382-9.6739-3.5485-13.6604a.061.061 0 00-.0312-.0286zM8.02 15.3312c-1.1825 0-2.1569-1.0857-2.1569-2.419 0-1.3332.9555-2.4189 2.157-2.4189 1.2108 0 2.1757 1.0952 2.1568 2.419-.0190 1.3332-.9555 2.4189-2.1569 2.4189zm7.9748 0c-1.1825 0-2.1569-1.0857-2.1569-2.419 0-1.3332.9554-2.4189 2.1569-2.4189 1.2108 0 2.1757 1.0952 2.1568 2.419 0 1.3332-.9555 2.4189-2.1568 2.4189Z"/></svg></a>';
-    } else {
-      el.innerHTML = '<a class="btn primary" href="/auth/discord"><svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor" style="margin-right: 8px;"><path d="M20.317 4.3698a19.7913 19.7913 0 00-4.8851-1.5152.0741.0741 0 00-.0785.0371c-.211.3753-.4447.8648-.6083 1.2495-1.8447-.2762-3.68-.2762-5.4868 0-.1636-.3933-.4058-.8742-.6177-1.2495a.077.077 0 00-.0785-.037 19.7363 19.7363 0 00-4.8852 1.515.0699.0699 0 00-.0321.0277C.5334 9.0458-.319 13.5799.0992 18.0578a.0824.0824 0 00.0312.0561c2.0528 1.5076 4.0413 2.4228 5.9929 3.0294a.0777.0777 0 00.0842-.0276c.4616-.6304.8731-1.2952 1.226-1.9942a.076.076 0 00-.0416-.1057c-.6528-.2476-1.2743-.5495-1.8722-.8923a.077.077 0 01-.0076-.1277c.1258-.0943.2517-.1923.3718-.2914a.0743.0743 0 01.0776-.0105c3.9278 1.7933 8.18 1.7933 12.0614 0a.0739.0739 0 01.0785.0095c.1202.099.246.1981.3728.2924a.077.077 0 01-.0066.1276 12.2986 12.2986 0 01-1.873.8914.0766.0766 0 00-.0407.1067c.3604.698.7719 1.3628 1.225 1.9932a.076.076 0 00.0842.0286c1.961-.6067 3.9495-1.5219 6.0023-3.0294a.077.077 0 00.0313-.0552c.5004-5.177-.8382-9.6739-3.5485-13.6604a.061.061 0 00-.0312-.0286zM8.02 15.3312c-1.1825 0-2.1569-1.0857-2.1569-2.419 0-1.3332.9555-2.4189 2.157-2.4189 1.2108 0 2.1757 1.0952 2.1568 2.419-.0190 1.3332-.9555 2.4189-2.1569 2.4189zm7.9748 0c-1.1825 0-2.1569-1.0857-2.1569-2.419 0-1.3332.9554-2.4189 2.1569-2.4189 1.2108 0 2.1757 1.0952 2.1568 2.419 0 1.3332-.9555 2.4189-2.1568 2.4189Z"/></svg>${getText('login', lang)}</a>';
-    }
+    `;
   }
-}).catch(err => console.warn('Authentication status check failed:', err));
 
-function toggleUserMenu() {
-  const dropdown = document.getElementById('user-dropdown');
-  if (!dropdown) return;
-  dropdown.style.display = dropdown.style.display === 'none' ? 'block' : 'none';
-}
-</script>
-</body>
-</html>`;
-}
+  const tags = await tagCounts(wiki.id);
+  const maxTagCount = Math.max(1, ...tags.map(t => t.count));
+  const tagCloudHtml = tags.map(t => `<a class="chip" href="/${wiki.address}/tag/${encodeURIComponent(t.tag)}" style="font-size: ${12 + Math.round((t.count / maxTagCount) * 10)}px;" title="${t.count}">🏷️ ${escapeHtml(t.tag)}</a>`).join(' ');
 
-// --- Language Routes ---
-// --- 修正後のコード ---
-app.get('/lang/:lang', async (req, res) => { // asyncを追加
-  const { lang } = req.params;
-  if (!['ja', 'en'].includes(lang)) {
-    return res.redirect('/');
-  }
+  const settings = await getWikiSettings(wiki.id);
   
-  if (req.isAuthenticated()) {
-    // PostgreSQL用のUPSERT構文に変更
-    await pool.query(`
-      INSERT INTO user_languages(user_id, language) 
-      VALUES ($1, $2) 
-      ON CONFLICT(user_id) DO UPDATE SET language = $2
-    `, [req.user.id, lang]);
-  } else {
-    req.session.language = lang;
-  }
+  const permsRes = await pool.query('SELECT editor_id, role FROM wiki_permissions WHERE wiki_id = $1', [wiki.id]);
+  const permsHtml = permsRes.rows.map(p => `<div><strong>${p.editor_id}</strong> — <span class="muted">${p.role}</span></div>`).join('') || `<div class="muted">${lang === 'ja' ? '明示的な編集者なし' : 'No explicit editors'}</div>`;
   
-  res.redirect(req.get('Referer') || '/');
-});
+  const invitesRes = await pool.query('SELECT id, invited_tag, invited_id, role, created_at FROM wiki_invites WHERE wiki_id = $1 ORDER BY created_at DESC', [wiki.id]);
+  const invitesHtml = invitesRes.rows.map(i => `<div><strong>${i.invited_tag || (i.invited_id || '—')}</strong> — <span class="muted">${i.role}</span> <small class="muted">(${new Date(i.created_at).toLocaleString()})</small></div>`).join('') || `<div class="muted">${lang === 'ja' ? '保留中の招待なし' : 'No pending invites'}</div>`;
+  
+  // 変更: ユーザーが管理者かWikiオーナーかを確認
+  const isOwner = wiki.owner_id === req.user.id;
+  const isAdmin = ADMIN_USERS.includes(req.user.id);
+  const canChangeAdvancedSettings = isOwner || isAdmin;
 
-// --- Auth routes ---
-app.get('/auth/discord', passport.authenticate('discord'));
-app.get(
-  '/auth/discord/callback',
-  passport.authenticate('discord', { failureRedirect: '/' }),
-  (req, res) => res.redirect('/create-wiki')
-);
-app.get('/logout', (req, res) => {
-  req.logout(() => {});
-  res.redirect('/');
-});
+  // 変更: 管理者とオーナーのみに表示する設定HTMLを生成
+  let advancedSettingsHtml = '';
+  if (canChangeAdvancedSettings) {
+      advancedSettingsHtml = `
+        <hr style="margin:16px 0;">
+        <h3>🔍 ${lang === 'ja' ? '検索掲載' : 'Search Indexing'}</h3>
+        <div class="form-group">
+            <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
+                <input type="checkbox" name="is_searchable" ${settings.is_searchable ? 'checked' : ''} form="perm-form">
+                <span>${lang === 'ja' ? '検索エンジンやWiki一覧に掲載する' : 'Allow listing in search engines and wiki lists'}</span>
+            </label>
+            <div class="form-help">${lang === 'ja' ? 'オフにすると、このWikiがポータルの一覧などに表示されにくくなります。' : 'Turning this off will make this wiki less visible in public lists.'}</div>
+        </div>
 
-// --- API: current user ---
-app.get('/api/me', (req, res) => {
-  if (!req.isAuthenticated()) return res.json({ loggedIn: false });
-  const { id, username, discriminator, avatar } = req.user;
-  const ext = avatar && avatar.startsWith('a_') ? 'gif' : 'png';
-  const avatarUrl = avatar
-    ? `https://cdn.discordapp.com/avatars/${id}/${avatar}.${ext}?size=128`
-    : `https://cdn.discordapp.com/embed/avatars/${Number(discriminator) % 5}.png`;
-  const isAdmin = ADMIN_USERS.includes(id);
-  res.json({ loggedIn: true, id, username, discriminator, avatar: avatarUrl, isAdmin });
-});
+        <hr style="margin:16px 0;">
+        <h3>🕶️ ${lang === 'ja' ? '匿名編集' : 'Anonymous Editing'}</h3>
+        <div class="form-group">
+            <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
+                <input type="checkbox" name="allow_anonymous_edit" ${settings.allow_anonymous_edit ? 'checked' : ''} form="perm-form">
+                <span>${lang === 'ja' ? 'ログインしていない訪問者の編集を許可する' : 'Allow logged-out visitors to edit'}</span>
+            </label>
+            <div class="form-help">${lang === 'ja' ? '編集モードが「誰でも」のときのみ有効です。編集はIPアドレスから生成した匿名IDで記録され、Turnstile認証が必要になります。' : 'Only applies when the edit mode is "anyone". Edits are attributed to an anonymous ID derived from the IP address and require a Turnstile check.'}</div>
+        </div>
 
-// --- Admin Dashboard ---
-app.get('/admin', ensureAdmin, (req, res) => {
-  const lang = req.userLang;
-  const body = `
-    <div class="breadcrumb"><a href="/">🏠 ${getText('home', lang)}</a> > ⚙️ ${getText('admin', lang)}</div>
-    <h1>⚙️ ${getText('admin', lang)} Dashboard</h1>
-    
-    <div class="row">
-      <div class="card">
-        <h3>📊 ${getText('stats', lang)}</h3>
-        <div id="admin-stats">Loading...</div>
-      </div>
-      <div class="card">
-        <h3>👥 ${getText('users', lang)} Management</h3>
+        <hr style="margin:16px 0;">
+        <h3>📏 ${lang === 'ja' ? '容量制限' : 'Content Limits'}</h3>
         <div class="form-group">
-          <label>Search User by Discord ID</label>
-          <input type="text" id="user-search" placeholder="Enter Discord ID">
-          <button class="btn primary" onclick="searchUser()">Search</button>
+            <label>${lang === 'ja' ? '1ページの最大サイズ (KB)' : 'Max page size (KB)'}</label>
+            <input type="number" name="max_page_size_kb" min="1" value="${Math.round(settings.max_page_size / 1024)}" form="perm-form">
         </div>
-        <div id="user-search-results"></div>
-      </div>
+        <div class="form-group">
+            <label>${lang === 'ja' ? '最大ページ数' : 'Max number of pages'} <span class="muted">(${lang === 'ja' ? '現在' : 'now'}: ${pages.length})</span></label>
+            <input type="number" name="max_pages" min="1" value="${settings.max_pages}" form="perm-form">
+        </div>
+        <div class="form-group">
+            <label>${lang === 'ja' ? 'アップロード容量 (MB)' : 'Upload volume (MB)'} <span class="muted">(${lang === 'ja' ? '使用中' : 'used'}: ${formatBytes(await wikiUploadVolume(wiki.id))})</span></label>
+            <input type="number" name="max_upload_mb" min="1" value="${Math.round(settings.max_upload_bytes / (1024 * 1024))}" form="perm-form">
+            <div class="form-help">${isAdmin
+              ? (lang === 'ja' ? 'サイト管理者は上限を超えて設定できます。' : 'Site admins may set values above the standard caps.')
+              : (lang === 'ja' ? `上限: ${formatBytes(WIKI_LIMIT_CAPS.max_page_size)} / ${WIKI_LIMIT_CAPS.max_pages}ページ / ${formatBytes(WIKI_LIMIT_CAPS.max_upload_bytes)}` : `Caps: ${formatBytes(WIKI_LIMIT_CAPS.max_page_size)} / ${WIKI_LIMIT_CAPS.max_pages} pages / ${formatBytes(WIKI_LIMIT_CAPS.max_upload_bytes)}`)}</div>
+        </div>
+      `;
+  }
+  
+  const body = `
+    <div class="breadcrumb"><a href="/">🏠 ${getText('home', lang)}</a> > <a href="/${wiki.address}">📚 ${wiki.name}</a> > ✏️ ${getText('edit', lang)} Dashboard</div>
+    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 24px; flex-wrap: wrap; gap: 16px;">
+      <h1>✏️ ${wiki.name} Dashboard</h1>
+      <a class="btn primary" href="/${wiki.address}">👁️ ${getText('view', lang)} Wiki</a>
     </div>
-
     <div class="row">
       <div class="card">
-        <h3>📚 ${getText('wikis', lang)} Management</h3>
-        <div id="wiki-management">Loading...</div>
+        <h2>📄 ${getText('pages', lang)} (${pages.length})</h2>
+        <form action="/${wiki.address}/search" method="get" style="display: flex; gap: 8px; margin-bottom: 16px;">
+          <input name="q" placeholder="${lang === 'ja' ? 'ページ名・本文を検索' : 'Search page names and content'}">
+          <button class="btn" type="submit">🔍</button>
+        </form>
+        <div class="list" style="margin-bottom: 20px;">${allPages || `<span class="muted">${lang === 'ja' ? 'ページがまだありません' : 'No pages yet'}.</span>`}</div>
+        <form onsubmit="event.preventDefault(); location.href='/${wiki.address}/'+encodeURIComponent(this.page.value)+'/edit'">
+          <div class="form-group">
+            <label>📝 ${lang === 'ja' ? '新規または既存のページ名' : 'New or Existing Page Name'}</label>
+            <input name="page" required placeholder="e.g., getting-started" maxlength="100">
+            <div class="form-help">${lang === 'ja' ? '英数字、ハイフン、アンダースコアが推奨されます。' : 'Alphanumeric, hyphens, and underscores are recommended.'}</div>
+          </div>
+          <button class="btn success" type="submit">🚀 ${lang === 'ja' ? 'エディターを開く' : 'Open Editor'}</button>
+        </form>
+
+        <hr style="margin:16px 0;">
+        <h3>🏷️ ${lang === 'ja' ? 'タグ' : 'Tags'}</h3>
+        <div style="display: flex; gap: 6px; flex-wrap: wrap; align-items: center;">${tagCloudHtml || `<span class="muted">${lang === 'ja' ? 'タグはまだありません' : 'No tags yet'}.</span>`}</div>
       </div>
+
       <div class="card">
-        <h3>📝 Recent Activities</h3>
-        <div id="recent-activities">Loading...</div>
+        <h2>📊 Wiki ${lang === 'ja' ? '情報' : 'Info'}</h2>
+        <p><strong>📝 ${lang === 'ja' ? 'アドレス' : 'Address'}:</strong> <span class="mono">${wiki.address}</span></p>
+        <p><strong>🔗 URL:</strong> <a href="${BASE_URL}/${wiki.address}" target="_blank" class="mono">${BASE_URL}/${wiki.address}</a></p>
+        <p><strong>📅 ${lang === 'ja' ? '作成日' : 'Created'}:</strong> ${new Date(wiki.created_at).toLocaleDateString(lang === 'ja' ? 'ja-JP' : 'en-US')}</p>
+        <p><strong>👁️ ${lang === 'ja' ? '閲覧数' : 'Views'}:</strong> ${wiki.views || 0}</p>
+        <p><strong>📄 ${getText('pages', lang)}:</strong> ${pages.length}</p>
+        <p><a href="/${wiki.address}/recent-changes">🕒 ${lang === 'ja' ? '最近の更新' : 'Recent changes'}</a></p>
+        ${canAdminister ? `<p><a href="/${wiki.address}/trash">🗑️ ${lang === 'ja' ? 'ゴミ箱' : 'Trash'}</a></p>` : ''}
+
+        <hr style="margin:16px 0;">
+
+        <h3>🌐 Favicon</h3>
+        <form action="/${wiki.address}/favicon" method="post" enctype="multipart/form-data">
+          <div class="form-group">
+            <label>Favicon URL</label>
+            <input type="text" name="faviconUrl" placeholder="https://.../favicon.png">
+          </div>
+          <div class="form-group">
+            <label>${lang === 'ja' ? 'ファビコンアップロード' : 'Upload Favicon'}</label>
+            <input type="file" name="faviconFile" accept="image/*">
+          </div>
+          <button class="btn" type="submit">${lang === 'ja' ? '更新' : 'Update'}</button>
+        </form>
+
+        <hr style="margin:16px 0;">
+        <h3>🔒 ${lang === 'ja' ? '権限設定' : 'Permission Settings'}</h3>
+        <form id="perm-form" action="/${wiki.address}/settings" method="post">
+          <div class="form-group">
+            <label>${lang === 'ja' ? '公開モード' : 'Access Mode'}</label>
+            <select name="mode">
+              <option value="anyone" ${settings.mode === 'anyone' ? 'selected' : ''}>${lang === 'ja' ? '誰でも（公開編集）' : 'Anyone (Public editing)'}</option>
+              <option value="loggedin" ${settings.mode === 'loggedin' ? 'selected' : ''}>${lang === 'ja' ? 'ログインユーザー（デフォルト）' : 'Logged-in users (Default)'}</option>
+              <option value="invite" ${settings.mode === 'invite' ? 'selected' : ''}>${lang === 'ja' ? '招待のみ' : 'Invite only'}</option>
+            </select>
+            <div class="form-help">${lang === 'ja' ? 'ここでモードを切り替えられます。招待モードでは下の招待機能を使ってください。' : 'You can switch modes here. For invite mode, use the invite function below.'}</div>
+          </div>
+          
+          ${advancedSettingsHtml}
+
+          <button class="btn" type="submit">${getText('save', lang)}</button>
+        </form>
       </div>
     </div>
 
-    <script>
-      // Load admin stats
-      fetch('/api/admin/stats').then(r => r.json()).then(data => {
-        document.getElementById('admin-stats').innerHTML = \`
-          <p><strong>Total Wikis:</strong> \${data.totalWikis}</p>
-          <p><strong>Total Pages:</strong> \${data.totalPages}</p>
-          <p><strong>Total Users:</strong> \${data.totalUsers}</p>
-          <p><strong>Total Revisions:</strong> \${data.totalRevisions}</p>
-        \`;
-      });
-
-      // Load wikis for management
-      fetch('/api/admin/wikis').then(r => r.json()).then(data => {
-        const html = data.wikis.map(w => \`
-          <div class="card" style="margin-bottom: 12px;">
-            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
-              <h4 style="margin: 0;">\${w.name}</h4>
-              <div>
-                <button class="btn" onclick="editWiki('\${w.id}')">Edit</button>
-                <button class="btn danger" onclick="deleteWiki('\${w.id}', '\${w.name}')">Delete</button>
-              </div>
+    <div class="row">
+      <div class="card">
+        <h3>👥 ${lang === 'ja' ? '編集者リスト' : 'Editors List'}</h3>
+        ${permsHtml}
+        <div style="margin-top:12px;">
+          <form id="add-perm" onsubmit="event.preventDefault(); addPermission();">
+            <div class="form-group">
+              <label>Discord ID${lang === 'ja' ? '（直接指定して付与）' : ' (Direct assignment)'}</label>
+              <input name="editor_id" placeholder="123456789012345678">
             </div>
-            <p class="muted">Address: \${w.address} • Views: \${w.views} • Pages: \${w.pageCount}</p>
-            <p class="muted">Owner: \${w.owner_id} • Created: \${new Date(w.created_at).toLocaleDateString()}</p>
-          </div>
-        \`).join('');
-        document.getElementById('wiki-management').innerHTML = html || '<p class="muted">No wikis found.</p>';
-      });
+            <div class="form-group">
+              <label>${lang === 'ja' ? '役割' : 'Role'}</label>
+              <input name="role" placeholder="editor / admin">
+            </div>
+            <button class="btn" type="submit">${lang === 'ja' ? '追加' : 'Add'}</button>
+          </form>
+        </div>
+      </div>
 
-      // Load recent activities
-      fetch('/api/admin/activities').then(r => r.json()).then(data => {
-        const html = data.activities.map(a => \`
-          <div style="margin-bottom: 12px; padding: 12px; background: var(--bg-secondary); border-radius: 8px;">
-            <strong>\${a.type}</strong> by \${a.user_id}
-            <div class="muted">\${a.details} • \${new Date(a.created_at).toLocaleString()}</div>
+      <div class="card">
+        <h3>✉️ ${lang === 'ja' ? '招待 (Username#1234で招待)' : 'Invites (Invite by Username#1234)'}</h3>
+        ${invitesHtml}
+        <form id="invite-form" onsubmit="event.preventDefault(); sendInvite();">
+          <div class="form-group">
+            <label>Discord Tag (${lang === 'ja' ? '例' : 'e.g.'}: Banana#1234)</label>
+            <input name="invited_tag" placeholder="Username#1234">
           </div>
-        \`).join('');
-        document.getElementById('recent-activities').innerHTML = html || '<p class="muted">No recent activities.</p>';
-      });
+          <div class="form-group">
+            <label>${lang === 'ja' ? '役割' : 'Role'}</label>
+            <input name="role" placeholder="editor">
+          </div>
+          <button class="btn" type="submit">${lang === 'ja' ? '招待を作成' : 'Create Invite'}</button>
+        </form>
+        <p class="muted" style="margin-top:8px;">${lang === 'ja' ? '相手がDiscordでログインすると、受諾できるUIが表示されます（受諾すると権限リストに自動追加）。' : 'When the recipient logs in with Discord, they will see a UI to accept the invite (acceptance automatically adds them to the permissions list).'}</p>
+      </div>
+    </div>
 
-      function searchUser() {
-        const userId = document.getElementById('user-search').value.trim();
-        if (!userId) return;
-        
-        fetch(\`/api/admin/user/\${userId}\`).then(r => r.json()).then(data => {
-          const resultsEl = document.getElementById('user-search-results');
-          if (data.error) {
-            resultsEl.innerHTML = \`<p class="danger">\${data.error}</p>\`;
-            return;
-          }
-          
-          let userInfoHtml = \`<h4>User ID: \${userId}</h4>\`;
-          if (data.discordUser) {
-            const { global_name, username, id, email } = data.discordUser;
-            userInfoHtml = \`
-              <h4>\${global_name || username} (\${username || 'N/A'})</h4>
-              <p class="muted">\${id}</p>
-              \${email ? \`<p class="muted">Email: \${email}</p>\` : ''}
-            \`;
-          }
+    ${protectionHtml}
+    ${noticesHtml}
+    ${webhooksHtml}
+    ${canAdminister ? `
+    <div class="card">
+      <h3>📦 ${lang === 'ja' ? 'エクスポート' : 'Export'}</h3>
+      <p class="muted">${lang === 'ja' ? 'Wikiの内容をZIPファイルとしてダウンロードします。本文から参照されている画像も含まれます。' : 'Download the wiki as a ZIP file, including images referenced from pages.'}</p>
+      <form method="get" action="/${wiki.address}/export" style="margin-bottom: 16px;">
+        <input type="hidden" name="format" value="markdown">
+        <label style="display: flex; align-items: center; gap: 8px; cursor: pointer; margin-bottom: 8px;">
+          <input type="checkbox" name="history" value="1" style="width: auto;">
+          <span>${lang === 'ja' ? '全リビジョンの履歴を JSON で含める' : 'Include full revision history as JSON'}</span>
+        </label>
+        <button class="btn" type="submit">📝 ${lang === 'ja' ? 'Markdown アーカイブ' : 'Markdown archive'}</button>
+      </form>
+      <form method="get" action="/${wiki.address}/export">
+        <input type="hidden" name="format" value="html">
+        <button class="btn" type="submit">🌐 ${lang === 'ja' ? '静的 HTML サイト' : 'Static HTML site'}</button>
+        <span class="muted">${lang === 'ja' ? 'オフラインで閲覧・ホスティングできる形式です。' : 'Can be browsed or hosted offline.'}</span>
+      </form>
+    </div>
+    <div class="card">
+      <h3>📥 ${lang === 'ja' ? 'インポート' : 'Import'}</h3>
+      <p class="muted">${lang === 'ja' ? 'Markdown の ZIP や MediaWiki の XML ダンプからページをまとめて取り込みます。' : 'Bring in pages from a ZIP of Markdown files or a MediaWiki XML dump.'}</p>
+      <a class="btn" href="/${wiki.address}/import">📥 ${lang === 'ja' ? 'インポート' : 'Import'}</a>
+    </div>` : ''}
 
-          const warnings = data.warnings.map(w => \`
-            <div>⚠️ \${w.reason} (by \${w.issued_by}, \${new Date(w.created_at).toLocaleDateString()})</div>
-          \`).join('') || '<div class="muted">No warnings</div>';
-          
-          const suspension = data.suspension ? \`
-            <div class="danger">🚫 \${data.suspension.type === 'permanent' ? 'Permanently banned' : 'Temporarily suspended'}: \${data.suspension.reason}</div>
-          \` : '<div class="muted">Not suspended</div>';
-          
-          resultsEl.innerHTML = \`
-            <div class="card">
-              \${userInfoHtml}
-              <hr style="margin: 16px 0;">
-              <p><strong>Warnings:</strong></p>
-              \${warnings}
-              <p><strong>Suspension Status:</strong></p>
-              \${suspension}
-              <div style="margin-top: 16px; display: flex; gap: 8px;">
-                <button class="btn warning" onclick="warnUser('\${userId}')">警告</button>
-                <button class="btn danger" onclick="suspendUser('\${userId}')">一時停止</button>
-                <button class="btn danger" onclick="banUser('\${userId}')">永久停止</button>
-              </div>
-            </div>
-          \`;
-        });
+    <script>
+      async function addPermission() {
+        const form = document.getElementById('add-perm');
+        const editor_id = form.editor_id.value.trim();
+        const role = form.role.value.trim() || 'editor';
+        if (!editor_id) return alert('${lang === 'ja' ? 'Discord IDを入力してください' : 'Please enter Discord ID'}');
+        const res = await fetch('/${wiki.address}/permissions', { method: 'POST', headers: {'Content-Type':'application/json'}, body: JSON.stringify({ editor_id, role })});
+        if (res.ok) location.reload();
+        else alert('Failed to add permission');
       }
 
-      function warnUser(userId) {
-        const reason = prompt('Warning reason:');
-        if (!reason) return;
-        
-        fetch(\`/api/admin/user/\${userId}/warn\`, {
-          method: 'POST',
-          headers: {'Content-Type': 'application/json'},
-          body: JSON.stringify({ reason })
-        }).then(r => r.json()).then(data => {
-          if (data.success) {
-            alert('Warning issued');
-            searchUser();
-          } else {
-            alert('Failed to issue warning');
-          }
-        });
+      async function sendInvite() {
+        const form = document.getElementById('invite-form');
+        const invited_tag = form.invited_tag.value.trim();
+        const role = form.role.value.trim() || 'editor';
+        if (!invited_tag) return alert('${lang === 'ja' ? 'Discord Tagを入力してください' : 'Please enter Discord Tag'}');
+        const res = await fetch('/${wiki.address}/invite', { method: 'POST', headers: {'Content-Type':'application/json'}, body: JSON.stringify({ invited_tag, role })});
+        if (res.ok) { alert('${lang === 'ja' ? '招待を作成しました' : 'Invite created'}'); location.reload(); }
+        else { alert('${lang === 'ja' ? '招待に失敗しました' : 'Invite failed'}'); }
       }
+    </script>
+  `;
+  res.send(renderLayout(`${wiki.name} ${getText('edit', lang)}`, body, wiki.favicon, lang, req));
+});
 
-      function suspendUser(userId) {
-        const reason = prompt('Suspension reason:');
-        if (!reason) return;
-        const days = prompt('Days to suspend (leave empty for permanent):');
-        
-        fetch(\`/api/admin/user/\${userId}/suspend\`, {
-          method: 'POST',
-          headers: {'Content-Type': 'application/json'},
-          body: JSON.stringify({ reason, days: days ? parseInt(days) : null })
-        }).then(r => r.json()).then(data => {
-          if (data.success) {
-            alert('User suspended');
-            searchUser();
-          } else {
-            alert('Failed to suspend user');
-          }
-        });
-      }
+// --- Remaining routes with full implementation ---
+app.post('/:address/favicon', ensureCanAdministerWiki, upload.single('faviconFile'), async (req, res) => { // async
+  const wiki = await wikiByAddress(req.params.address);
+  if (!wiki) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ Wiki not found.</p></div>`, null, req.userLang, req));
 
-      function banUser(userId) {
-        const reason = prompt('Ban reason:');
-        if (!reason) return;
-        if (!confirm('Permanently ban this user?')) return;
-        
-        fetch(\`/api/admin/user/\${userId}/ban\`, {
-          method: 'POST',
-          headers: {'Content-Type': 'application/json'},
-          body: JSON.stringify({ reason })
-        }).then(r => r.json()).then(data => {
-          if (data.success) {
-            alert('User banned permanently');
-            searchUser();
-          } else {
-            alert('Failed to ban user');
-          }
-        });
-      }
+  let faviconPath = req.body.faviconUrl || null;
+  if (req.file) faviconPath = `/uploads/${req.file.filename}`;
+  await pool.query('UPDATE wikis SET favicon = $1 WHERE id = $2', [faviconPath, wiki.id]); // $1, $2
+  res.redirect(`/${wiki.address}-edit`);
+});
 
-      function editWiki(wikiId) {
-        // Implement wiki editing modal or redirect
-        alert('Wiki editing feature - to be implemented');
-      }
+app.post('/:address/settings', ensureCanAdministerWiki, async (req, res) => { // async
+  const wiki = await wikiByAddress(req.params.address);
+  if (!wiki) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ Wiki not found.</p></div>`, null, req.userLang, req));
+  
+  const mode = ['anyone', 'loggedin', 'invite'].includes(req.body.mode) ? req.body.mode : 'loggedin';
+  const isSearchable = req.body.is_searchable === 'on' ? 1 : 0;
+  const allowAnonymousEdit = req.body.allow_anonymous_edit === 'on' ? 1 : 0;
+  const isOwner = wiki.owner_id === req.user.id;
+  const isAdmin = ADMIN_USERS.includes(req.user.id);
+  const current = await getWikiSettings(wiki.id);
 
-      function deleteWiki(wikiId, wikiName) {
-        if (!confirm(\`Delete wiki "\${wikiName}"? This cannot be undone.\`)) return;
-        
-        fetch(\`/api/admin/wiki/\${wikiId}\`, {
-          method: 'DELETE'
-        }).then(r => r.json()).then(data => {
-          if (data.success) {
-            alert('Wiki deleted');
-            location.reload();
-          } else {
-            alert('Failed to delete wiki');
-          }
-        });
-      }
-    </script>
-  `;
-  res.send(renderLayout(`${getText('admin', lang)} Dashboard`, body, null, lang, req));
+  if (isOwner || isAdmin) {
+    // 容量制限: オーナーは WIKI_LIMIT_CAPS まで、サイト管理者は無制限に設定できる。
+    // フォームに表示した値のまま送られてきた項目は変更しない（サイト管理者が上限を超えて設定した値を消さない）
+    const parseLimit = (value, unit, key) => {
+      if (Number(value) === Math.round(current[key] / unit)) return current[key];
+      const n = Math.floor(Number(value) * unit);
+      if (!Number.isFinite(n) || n <= 0) return current[key];
+      return Math.min(n, isAdmin ? 2147483647 : WIKI_LIMIT_CAPS[key]);
+    };
+    const maxPageSize = parseLimit(req.body.max_page_size_kb, 1024, 'max_page_size');
+    const maxPages = parseLimit(req.body.max_pages, 1, 'max_pages');
+    const maxUploadBytes = parseLimit(req.body.max_upload_mb, 1024 * 1024, 'max_upload_bytes');
+
+    // ON CONFLICT 構文
+    await pool.query(`
+      INSERT INTO wiki_settings (wiki_id, mode, is_searchable, allow_anonymous_edit, max_page_size, max_pages, max_upload_bytes) 
+      VALUES ($1, $2, $3, $4, $5, $6, $7) 
+      ON CONFLICT(wiki_id) DO UPDATE SET 
+        mode = excluded.mode, 
+        is_searchable = excluded.is_searchable,
+        allow_anonymous_edit = excluded.allow_anonymous_edit,
+        max_page_size = excluded.max_page_size,
+        max_pages = excluded.max_pages,
+        max_upload_bytes = excluded.max_upload_bytes
+    `, [wiki.id, mode, isSearchable, allowAnonymousEdit, maxPageSize, maxPages, maxUploadBytes]);
+  } else {
+    await pool.query('UPDATE wiki_settings SET mode = $1 WHERE wiki_id = $2', [mode, wiki.id]);
+  }
+  // 匿名編集はオーナーとサイト管理者だけが変更できる
+  const anonymousEdit = (isOwner || isAdmin) ? allowAnonymousEdit : current.allow_anonymous_edit;
+  if (mode !== current.mode || anonymousEdit !== current.allow_anonymous_edit) {
+    await emitWikiEvent(wiki, 'permissions.changed', req.user.id, { mode, previous_mode: current.mode, allow_anonymous_edit: !!anonymousEdit, via: 'settings' });
+  }
+  res.redirect(`/${wiki.address}-edit`);
 });
 
-// --- Admin API Routes ---
-app.get('/api/admin/stats', ensureAdmin, async (req, res) => {
-  const w = await pool.query('SELECT COUNT(*) as count FROM wikis WHERE deleted_at IS NULL');
-  const p = await pool.query('SELECT COUNT(*) as count FROM pages WHERE deleted_at IS NULL');
-  const u = await pool.query('SELECT COUNT(DISTINCT editor_id) as count FROM revisions');
-  const r = await pool.query('SELECT COUNT(*) as count FROM revisions');
-  res.json({ 
-      totalWikis: parseInt(w.rows[0].count), 
-      totalPages: parseInt(p.rows[0].count), 
-      totalUsers: parseInt(u.rows[0].count), 
-      totalRevisions: parseInt(r.rows[0].count) 
-  });
+app.post('/:address/notices', ensureCanAdministerWiki, async (req, res) => {
+  const lang = req.userLang;
+  const wiki = await wikiByAddress(req.params.address);
+  if (!wiki) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ Wiki not found.</p></div>`, null, lang, req));
+
+  const field = (name, max) => (req.body[name] || '').toString().trim().slice(0, max);
+  const key = field('key', 50);
+  const titleJa = field('title_ja', 200);
+  const titleEn = field('title_en', 200);
+  const bodyJa = field('body_ja', 2000);
+  const bodyEn = field('body_en', 2000);
+  const color = NOTICE_COLOR_PATTERN.test(req.body.color) ? req.body.color : '#f39c12';
+  const icon = field('icon', 8);
+  const adminOnly = req.body.admin_only === 'on' ? 1 : 0;
+
+  const backButton = `<a class="btn" href="javascript:history.back()">🔙 ${lang === 'ja' ? '戻る' : 'Back'}</a>`;
+  if (!NOTICE_KEY_PATTERN.test(key)) {
+    return res.status(400).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${lang === 'ja' ? '種類名は1〜50文字で、[ ] < > & " \' は使えません。' : 'Type names must be 1-50 characters and cannot contain [ ] < > & " \'.'}</p>${backButton}</div>`, wiki.favicon, lang, req));
+  }
+  if (isReservedNoticeKey(key)) {
+    return res.status(400).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${lang === 'ja' ? `「${escapeHtml(key)}」はサイト既定の種類名のため使えません。` : `"${escapeHtml(key)}" is a site default type name and cannot be used.`}</p>${backButton}</div>`, wiki.favicon, lang, req));
+  }
+  if (!titleJa && !titleEn) {
+    return res.status(400).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${lang === 'ja' ? 'タイトルを日本語か英語のどちらかで入力してください。' : 'Enter a title in Japanese or English.'}</p>${backButton}</div>`, wiki.favicon, lang, req));
+  }
+
+  await pool.query(`
+    INSERT INTO wiki_notices(wiki_id, key, title_ja, title_en, body_ja, body_en, color, icon, admin_only)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    ON CONFLICT(wiki_id, key) DO UPDATE SET
+      title_ja = excluded.title_ja, title_en = excluded.title_en,
+      body_ja = excluded.body_ja, body_en = excluded.body_en,
+      color = excluded.color, icon = excluded.icon, admin_only = excluded.admin_only
+  `, [wiki.id, key, titleJa || null, titleEn || null, bodyJa || null, bodyEn || null, color, icon, adminOnly]);
+  res.redirect(`/${wiki.address}-edit`);
 });
 
-app.get('/api/admin/wikis', ensureAdmin, async (req, res) => {
-  const result = await pool.query(`
-    SELECT w.*, COUNT(p.id) as pageCount 
-    FROM wikis w 
-    LEFT JOIN pages p ON w.id = p.wiki_id AND p.deleted_at IS NULL 
-    WHERE w.deleted_at IS NULL 
-    GROUP BY w.id 
-    ORDER BY w.views DESC, w.created_at DESC
-  `);
-  res.json({ wikis: result.rows });
+app.post('/:address/notices/:noticeId/delete', ensureCanAdministerWiki, async (req, res) => {
+  const wiki = await wikiByAddress(req.params.address);
+  if (!wiki) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ Wiki not found.</p></div>`, null, req.userLang, req));
+  await pool.query('DELETE FROM wiki_notices WHERE id = $1 AND wiki_id = $2', [parseIdParam(req.params.noticeId), wiki.id]);
+  res.redirect(`/${wiki.address}-edit`);
 });
 
-app.get('/api/admin/activities', ensureAdmin, async (req, res) => { // Added async
-  const result = await pool.query(`
-    SELECT 'revision' as type, editor_id as user_id, 'Edited page' as details, created_at
-    FROM revisions
-    ORDER BY created_at DESC
-    LIMIT 20
-  `);
-  
-  res.json({ activities: result.rows });
+app.post('/:address/webhooks', ensureCanAdministerWiki, async (req, res) => {
+  const lang = req.userLang;
+  const wiki = await wikiByAddress(req.params.address);
+  const backButton = `<a class="btn" href="/${wiki.address}-edit#webhooks">🔙 ${lang === 'ja' ? '戻る' : 'Back'}</a>`;
+  const url = (req.body.url || '').toString().trim();
+  const events = [].concat(req.body.events || []).filter(e => WEBHOOK_EVENTS.includes(e));
+  if (!isValidWebhookUrl(url) || url.length > 2000) {
+    return res.status(400).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${lang === 'ja' ? 'http:// または https:// で始まるURLを入力してください。ローカルやプライベートネットワークのアドレスには送信できません。' : 'Enter a URL starting with http:// or https://. Local and private network addresses cannot be used.'}</p>${backButton}</div>`, wiki.favicon, lang, req));
+  }
+  if (!events.length) {
+    return res.status(400).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${lang === 'ja' ? 'イベントを1つ以上選んでください。' : 'Choose at least one event.'}</p>${backButton}</div>`, wiki.favicon, lang, req));
+  }
+  const countRes = await pool.query('SELECT COUNT(*) AS count FROM webhooks WHERE wiki_id = $1', [wiki.id]);
+  if (parseInt(countRes.rows[0].count, 10) >= MAX_WEBHOOKS_PER_WIKI) {
+    return res.status(400).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${lang === 'ja' ? `Webhookは1つのWikiにつき${MAX_WEBHOOKS_PER_WIKI}個までです。` : `A wiki can have up to ${MAX_WEBHOOKS_PER_WIKI} webhooks.`}</p>${backButton}</div>`, wiki.favicon, lang, req));
+  }
+  await pool.query(
+    'INSERT INTO webhooks(wiki_id, url, secret, events, created_by) VALUES ($1, $2, $3, $4, $5)',
+    [wiki.id, url, `whsec_${crypto.randomBytes(24).toString('hex')}`, events.join(','), req.user.id]
+  );
+  res.redirect(`/${wiki.address}-edit#webhooks`);
 });
 
-app.get('/api/admin/user/:userId', ensureAdmin, async (req, res) => {
-  const { userId } = req.params;
-  const warnings = await pool.query('SELECT * FROM user_warnings WHERE user_id = $1 ORDER BY created_at DESC', [userId]);
-  const suspension = await pool.query('SELECT * FROM user_suspensions WHERE user_id = $1 AND (expires_at IS NULL OR expires_at > NOW()) ORDER BY created_at DESC LIMIT 1', [userId]);
-  
-  let discordUser = { id: userId, username: 'Unknown' };
-  try {
-      if (process.env.DISCORD_BOT_TOKEN) {
-          const dRes = await axios.get(`https://discord.com/api/v10/users/${userId}`, { headers: { 'Authorization': `Bot ${process.env.DISCORD_BOT_TOKEN}` }});
-          discordUser = dRes.data;
-      }
-  } catch (e) {}
+app.post('/:address/webhooks/:webhookId/toggle', ensureCanAdministerWiki, async (req, res) => {
+  const wiki = await wikiByAddress(req.params.address);
+  await pool.query('UPDATE webhooks SET is_active = 1 - is_active WHERE id = $1 AND wiki_id = $2', [parseIdParam(req.params.webhookId), wiki.id]);
+  res.redirect(`/${wiki.address}-edit#webhooks`);
+});
 
-  res.json({ warnings: warnings.rows, suspension: suspension.rows[0], discordUser });
+app.post('/:address/webhooks/:webhookId/delete', ensureCanAdministerWiki, async (req, res) => {
+  const wiki = await wikiByAddress(req.params.address);
+  await pool.query('DELETE FROM webhooks WHERE id = $1 AND wiki_id = $2', [parseIdParam(req.params.webhookId), wiki.id]);
+  res.redirect(`/${wiki.address}-edit#webhooks`);
 });
 
-app.post('/api/admin/user/:userId/warn', ensureAdmin, async (req, res) => {
-  const { userId } = req.params;
-  const { reason } = req.body;
-  if (!reason) return res.status(400).json({ error: 'Reason required' });
-  await pool.query('INSERT INTO user_warnings(user_id, reason, issued_by) VALUES ($1,$2,$3)', [userId, reason, req.user.id]);
-  res.json({ success: true });
+// 購読イベントに関係なく ping を1件送る。結果は配信ログに出る
+app.post('/:address/webhooks/:webhookId/test', ensureCanAdministerWiki, async (req, res) => {
+  const wiki = await wikiByAddress(req.params.address);
+  const hookRes = await pool.query('SELECT id FROM webhooks WHERE id = $1 AND wiki_id = $2 AND is_active = 1', [parseIdParam(req.params.webhookId), wiki.id]);
+  if (hookRes.rows[0]) {
+    await enqueueWebhookDelivery(hookRes.rows[0].id, 'ping', webhookPayload(wiki, 'ping', req.user.id, { message: 'This is a test event.' }));
+    startWebhookWorker(hookRes.rows[0].id);
+  }
+  res.redirect(`/${wiki.address}-edit#webhooks`);
 });
 
-app.post('/api/admin/user/:userId/suspend', ensureAdmin, async (req, res) => {
-  const { userId } = req.params;
-  const { reason, days } = req.body;
-  let expiresAt = null;
-  let type = 'permanent';
-  if (days && days > 0) {
-    const d = new Date(); d.setDate(d.getDate() + parseInt(days));
-    expiresAt = d;
-    type = 'temporary';
+app.post('/:address/webhooks/deliveries/:deliveryId/redeliver', ensureCanAdministerWiki, async (req, res) => {
+  const wiki = await wikiByAddress(req.params.address);
+  const redeliverRes = await pool.query(`
+    UPDATE webhook_deliveries d SET status = 'pending', attempts = 0, next_attempt_at = NOW(), last_error = NULL
+    FROM webhooks w
+    WHERE d.id = $1 AND w.id = d.webhook_id AND w.wiki_id = $2 AND d.status = 'failed'
+    RETURNING d.webhook_id
+  `, [parseIdParam(req.params.deliveryId), wiki.id]);
+  if (redeliverRes.rows[0]) startWebhookWorker(redeliverRes.rows[0].webhook_id);
+  res.redirect(`/${wiki.address}-edit#webhooks`);
+});
+
+app.post('/:address/protect', ensureCanAdministerWiki, async (req, res) => {
+  const lang = req.userLang;
+  const wiki = await wikiByAddress(req.params.address);
+  if (!wiki) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ Wiki not found.</p></div>`, null, lang, req));
+
+  const pg = await pageByWikiAndName(wiki.id, (req.body.page || '').toString().trim());
+  if (!pg) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ ${getText('pageNotFound', lang)}.</p><a class="btn" href="/${wiki.address}-edit">🔙 ${lang === 'ja' ? '戻る' : 'Back'}</a></div>`, null, lang, req));
+
+  const level = Object.hasOwn(PROTECTION_LEVELS, req.body.level) ? PROTECTION_LEVELS[req.body.level] : PROTECTION_LEVELS.none;
+  if (level === PROTECTION_LEVELS.none) {
+    await pool.query('UPDATE pages SET is_locked = 0, lock_expires_at = NULL, lock_reason = NULL, locked_by = NULL WHERE id = $1', [pg.id]);
+  } else {
+    const days = parseInt(req.body.days, 10);
+    let expiresAt = null;
+    if (days > 0) {
+      const d = new Date(); d.setDate(d.getDate() + Math.min(days, 3650));
+      expiresAt = d;
+    }
+    const reason = (req.body.reason || '').toString().trim().slice(0, 500) || null;
+    await pool.query('UPDATE pages SET is_locked = $1, lock_expires_at = $2, lock_reason = $3, locked_by = $4 WHERE id = $5', [level, expiresAt, reason, req.user.id, pg.id]);
   }
-  await pool.query('INSERT INTO user_suspensions(user_id, type, reason, issued_by, expires_at) VALUES ($1,$2,$3,$4,$5)', [userId, type, reason, req.user.id, expiresAt]);
-  res.json({ success: true });
+  res.redirect(`/${wiki.address}-edit`);
 });
 
-app.post('/api/admin/user/:userId/ban', ensureAdmin, async (req, res) => {
-  const { userId } = req.params;
-  const { reason } = req.body;
-  await pool.query('INSERT INTO user_suspensions(user_id, type, reason, issued_by, expires_at) VALUES ($1,$2,$3,$4,NULL)', [userId, 'permanent', reason, req.user.id]);
+app.post('/:address/permissions', ensureCanAdministerWiki, async (req, res) => { // async
+  const wiki = await wikiByAddress(req.params.address);
+  if (!wiki) return res.status(404).json({ error: 'not found' });
+  const { editor_id, role } = req.body;
+  if (!editor_id) return res.status(400).json({ error: 'missing editor_id' });
+  
+  // INSERT OR REPLACE -> INSERT ... ON CONFLICT
+  await pool.query(`
+    INSERT INTO wiki_permissions(wiki_id, editor_id, role) 
+    VALUES ($1, $2, $3)
+    ON CONFLICT(wiki_id, editor_id) DO UPDATE SET role = $3
+  `, [wiki.id, editor_id, role || 'editor']);
+  await emitWikiEvent(wiki, 'permissions.changed', req.user.id, { user_id: editor_id, role: role || 'editor', via: 'admin' });
   res.json({ success: true });
 });
 
-app.delete('/api/admin/wiki/:wikiId', ensureAdmin, async (req, res) => {
-  const { wikiId } = req.params;
-  await pool.query('UPDATE wikis SET deleted_at = NOW() WHERE id = $1', [wikiId]);
-  await pool.query('UPDATE pages SET deleted_at = NOW() WHERE wiki_id = $1', [wikiId]);
+app.post('/:address/invite', ensureCanAdministerWiki, async (req, res) => { // async
+  const wiki = await wikiByAddress(req.params.address);
+  if (!wiki) return res.status(404).json({ error: 'not found' });
+  const { invited_tag, role } = req.body;
+  if (!invited_tag) return res.status(400).json({ error: 'missing invited_tag' });
+  const now = new Date().toISOString();
+  await pool.query('INSERT INTO wiki_invites(wiki_id, invited_tag, role, created_at) VALUES ($1, $2, $3, $4)', [wiki.id, invited_tag, role || 'editor', now]);
+  // 一度でもログインしたユーザーならタグからIDが分かるので通知する
+  const inviteeRes = await pool.query('SELECT user_id FROM user_profiles WHERE discord_tag = $1', [invited_tag]);
+  for (const { user_id: inviteeId } of inviteeRes.rows) {
+    await notify(inviteeId, 'invite', { wikiAddress: wiki.address, wikiName: wiki.name, role: role || 'editor' });
+  }
   res.json({ success: true });
 });
 
-// --- API: Image Upload ---
-const imageUpload = multer({
-  dest: uploadDir,
-  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed'));
+// --- API: list invites for logged in user ---
+app.get('/api/my-invites', ensureAuth, async (req, res) => { // async
+  const tag = `${req.user.username}#${req.user.discriminator}`;
+  // 配列をawait処理する必要があるためロジック微修正
+  const invitesRes = await pool.query('SELECT id, wiki_id, invited_tag, role, created_at FROM wiki_invites WHERE invited_tag = $1 AND invited_id IS NULL', [tag]);
+  
+  const detailed = [];
+  for (const i of invitesRes.rows) {
+    const wRes = await pool.query('SELECT id, name, address FROM wikis WHERE id = $1 AND deleted_at IS NULL', [i.wiki_id]);
+    const w = wRes.rows[0];
+    if (w) {
+      detailed.push({ inviteId: i.id, wiki: w, role: i.role, created_at: i.created_at });
     }
   }
+  res.json({ invites: detailed });
 });
 
-app.post('/api/upload-image', ensureAuth, imageUpload.single('image'), (req, res) => {
+app.post('/invite/:inviteId/accept', ensureAuth, async (req, res) => { // async
   if (req.isSuspended) return res.status(403).json({ error: 'Account suspended' });
-  if (!req.file) return res.status(400).json({ error: 'No file was uploaded' });
-  const fileUrl = `/uploads/${req.file.filename}`;
-  res.json({ filename: req.file.filename, url: fileUrl, size: req.file.size });
+  const inviteId = parseInt(req.params.inviteId, 10);
+  const inviteRes = await pool.query('SELECT * FROM wiki_invites WHERE id = $1', [inviteId]);
+  const invite = inviteRes.rows[0];
+  if (!invite) return res.status(404).json({ error: 'invite not found' });
+
+  const tag = `${req.user.username}#${req.user.discriminator}`;
+  if (invite.invited_tag !== tag) return res.status(403).json({ error: 'tag mismatch' });
+
+  await pool.query('BEGIN');
+  try {
+    await pool.query('UPDATE wiki_invites SET invited_id = $1 WHERE id = $2', [req.user.id, inviteId]);
+    await pool.query(`
+      INSERT INTO wiki_permissions(wiki_id, editor_id, role) 
+      VALUES ($1, $2, $3)
+      ON CONFLICT(wiki_id, editor_id) DO UPDATE SET role = $3
+    `, [invite.wiki_id, req.user.id, invite.role || 'editor']);
+    await pool.query('COMMIT');
+  } catch (e) {
+    await pool.query('ROLLBACK');
+    return res.status(500).json({ error: 'Database error' });
+  }
+  const wikiRes = await pool.query('SELECT * FROM wikis WHERE id = $1', [invite.wiki_id]);
+  await emitWikiEvent(wikiRes.rows[0], 'permissions.changed', req.user.id, { user_id: req.user.id, role: invite.role || 'editor', via: 'invite' });
+  res.json({ success: true });
 });
 
-// --- API: get paginated wikis ---
-app.get('/api/wikis', async (req, res) => {
-  const skip = parseInt(req.query.skip || '0', 10);
-  const limit = Math.min(50, Math.max(1, parseInt(req.query.limit || '10', 10)));
-  const result = await pool.query(`
-    SELECT w.id, w.name, w.address, w.favicon, w.created_at, w.views 
-    FROM wikis w
-    LEFT JOIN wiki_settings ws ON w.id = ws.wiki_id
-    WHERE w.deleted_at IS NULL AND (ws.is_searchable = 1 OR ws.is_searchable IS NULL)
-    ORDER BY w.views DESC, w.created_at DESC 
-    LIMIT $1 OFFSET $2
-  `, [limit, skip]);
-  res.json({ wikis: result.rows, count: result.rows.length });
+// --- User Profile API and Page ---
+app.get('/api/user/:userId', async (req, res) => { // async
+  const { userId } = req.params;
+  const profileRes = await pool.query('SELECT user_id, display_name, bio, avatar_url, created_at FROM user_profiles WHERE user_id = $1', [userId]);
+  const badgesRes = await pool.query('SELECT * FROM user_badges WHERE user_id = $1 ORDER BY created_at DESC', [userId]);
+  const editCountRes = await pool.query('SELECT COUNT(*) as count FROM revisions WHERE editor_id = $1', [userId]);
+  const recentEditsRes = await pool.query(`
+    SELECT p.name as page_name, w.name as wiki_name, w.address as wiki_address, r.summary, r.is_minor, r.created_at
+    FROM revisions r
+    JOIN pages p ON r.page_id = p.id 
+    JOIN wikis w ON p.wiki_id = w.id
+    WHERE r.editor_id = $1 AND w.deleted_at IS NULL AND p.deleted_at IS NULL
+      AND ($2::boolean = false OR COALESCE(r.is_minor, 0) = 0)
+    ORDER BY r.created_at DESC LIMIT 5
+  `, [userId, req.query.hideMinor === '1']);
+
+  res.json({
+    profile: profileRes.rows[0] || { user_id: userId, display_name: null, bio: null },
+    badges: badgesRes.rows,
+    stats: { editCount: parseInt(editCountRes.rows[0].count) },
+    recentEdits: recentEditsRes.rows
+  });
 });
 
-// --- Home ---
-app.get('/', (req, res) => {
+// --- Invites Display for Users ---
+app.get('/invites', ensureAuth, (req, res) => {
   const lang = req.userLang;
   const isSuspended = !!req.isSuspended;
   const disabledClass = isSuspended ? 'disabled' : '';
-
   const body = `
-    <div class="breadcrumb">🏠 ${getText('home', lang)}</div>
-
-    <div id="guidelines-banner" class="card" style="background-color: var(--accent-color); color: white; margin-bottom: 24px; border-color: var(--accent-color); display: none;">
-      <div style="display: flex; justify-content: space-between; align-items: center; gap: 16px;">
-        <p style="margin: 0;">利用の前に、コミュニティガイドラインとプライバシーポリシーをご確認ください</p>
-        <div style="display: flex; gap: 8px;">
-          <a class="btn" href="https://wiki.rec877.com/rules/home" target="_blank" style="background-color: white; color: var(--accent-color); border-color: white;">📖 閲覧</a>
-          <button class="btn" onclick="dismissGuidelines()" style="background-color: rgba(255,255,255,0.2); color: white; border-color: rgba(255,255,255,0.3);">×</button>
-        </div>
-      </div>
-    </div>
-
-    <div style="text-align: center; margin-bottom: 24px;">
-      <h2>Welcome to Rec Wiki</h2>
-      <p class="muted">${lang === 'ja' ? 'Discord連携済み & 許可ユーザーのみWikiを新規作成できます。' : 'Only authorized users with linked Discord accounts can create new wikis.'}</p>
-      <a class="btn primary ${disabledClass}" href="/create-wiki">🆕 ${getText('createWiki', lang)}</a>
-    </div>
-
-    <div class="card">
-      <h3>📚 ${getText('popularWikis', lang)}</h3>
-      <div id="wiki-list">Loading...</div>
-      <div style="text-align:center; margin-top:12px;">
-        <button id="load-more" class="btn" style="display:none;">${lang === 'ja' ? 'もっと見る' : 'Load More'}</button>
-      </div>
+    <div class="breadcrumb"><a href="/">🏠 ${getText('home', lang)}</a> > ✉️ ${lang === 'ja' ? '招待' : 'Invites'}</div>
+    <h1>✉️ ${lang === 'ja' ? 'あなたへの招待' : 'Your Invites'}</h1>
+    
+    <div id="invites-container">
+      <div class="card">Loading...</div>
     </div>
-
+    
     <script>
-      // ガイドラインバナーの表示・非表示制御
-      if (!localStorage.getItem('guidelines-dismissed')) {
-        document.getElementById('guidelines-banner').style.display = 'block';
-      }
-
-      function dismissGuidelines() {
-        document.getElementById('guidelines-banner').style.display = 'none';
-        localStorage.setItem('guidelines-dismissed', 'true');
-      }
-
-      let skip = 0;
-      const limit = 10;
-      const listEl = document.getElementById('wiki-list');
-      const loadMoreBtn = document.getElementById('load-more');
-      const isSuspended = ${isSuspended};
-      const disabledClass = isSuspended ? 'disabled' : '';
-
-      async function loadWikis() {
-        loadMoreBtn.disabled = true;
-        const res = await fetch('/api/wikis?skip=' + skip + '&limit=' + limit);
-        const data = await res.json();
-        if (!data.wikis.length && skip === 0) {
-          listEl.innerHTML = '<div class="muted">${lang === 'ja' ? 'Wikiがまだありません。' : 'No wikis yet.'}</div>';
+      fetch('/api/my-invites').then(r => r.json()).then(data => {
+        const container = document.getElementById('invites-container');
+        
+        if (!data.invites.length) {
+          container.innerHTML = '<div class="card"><p class="muted">${lang === 'ja' ? '招待がありません' : 'No pending invites'}.</p></div>';
           return;
         }
-        const html = data.wikis.map(w => \`
-          <div class="card" style="margin-bottom:12px;">
-            <h3 style="margin-top:0;">
-              \${w.favicon ? '<img src="'+w.favicon+'" width="20" height="20" style="vertical-align: middle; margin-right: 8px;">' : '📚'}
-              <a href="/\${w.address}" style="color: var(--accent-color); text-decoration: none;">\${w.name}</a>
-            </h3>
-            <p class="muted">Address: <span class="mono">\${w.address}</span></p>
-            <p class="muted">${lang === 'ja' ? '閲覧数' : 'Views'}: <strong>\${w.views || 0}</strong> • ${lang === 'ja' ? '作成日' : 'Created'}: <span class="mono">\${new Date(w.created_at).toLocaleDateString('${lang === 'ja' ? 'ja-JP' : 'en-US'}')}</span></p>
-            <div style="margin-top: 8px;">
-              <a class="btn" href="/\${w.address}">📖 ${getText('view', lang)}</a>
-              <a class="btn \${disabledClass}" href="/\${w.address}-edit">✏️ ${getText('edit', lang)}</a>
+        
+        const invitesHtml = data.invites.map(invite => \`
+          <div class="card">
+            <h3>📚 \${invite.wiki.name}</h3>
+            <p class="muted">Role: \${invite.role}</p>
+            <p class="muted">${lang === 'ja' ? '招待日' : 'Invited'}: \${new Date(invite.created_at).toLocaleDateString('${lang === 'ja' ? 'ja-JP' : 'en-US'}')}</p>
+            <div style="margin-top: 16px;">
+              <button class="btn success ${disabledClass}" onclick="acceptInvite(\${invite.inviteId})">${lang === 'ja' ? '承認' : 'Accept'}</button>
+              <a class="btn" href="/\${invite.wiki.address}">${getText('view', '${lang}')}</a>
             </div>
           </div>
         \`).join('');
-        if (skip === 0) listEl.innerHTML = html;
-        else listEl.insertAdjacentHTML('beforeend', html);
-
-        if (data.wikis.length === limit) {
-          loadMoreBtn.style.display = 'inline-flex';
+        
+        container.innerHTML = invitesHtml;
+      });
+      
+      async function acceptInvite(inviteId) {
+        if (${isSuspended}) {
+            alert('${lang === 'ja' ? 'アカウントが停止されているため、この操作は実行できません。' : 'Your account is suspended, you cannot perform this action.'}');
+            return;
+        }
+        const res = await fetch(\`/invite/\${inviteId}/accept\`, { method: 'POST' });
+        if (res.ok) {
+          alert('${lang === 'ja' ? '招待を承認しました！' : 'Invite accepted!'}');
+          location.reload();
         } else {
-          loadMoreBtn.style.display = 'none';
+          alert('${lang === 'ja' ? '承認に失敗しました' : 'Failed to accept invite'}');
         }
-        skip += data.wikis.length;
-        loadMoreBtn.disabled = false;
       }
-
-      loadMoreBtn.addEventListener('click', loadWikis);
-      loadWikis();
     </script>
   `;
-  res.send(renderLayout('Rec Wiki', body, null, lang, req));
+  
+  res.send(renderLayout(`${lang === 'ja' ? '招待' : 'Invites'}`, body, null, lang, req));
 });
 
-// --- User Dashboard ---
-app.get('/dashboard', ensureAuth, async (req, res) => { // Added async
+// --- Notifications (generic /:address より前に定義) ---
+const NOTIFICATION_PAGE_SIZE = 50;
+
+app.get('/notifications', ensureAuth, async (req, res) => {
   const lang = req.userLang;
-  const userId = req.user.id;
-  const isSuspended = !!req.isSuspended;
-  const disabledClass = isSuspended ? 'disabled' : '';
-  
-  // Use pool.query, change ? to $1, and access .rows
-  const ownedRes = await pool.query('SELECT * FROM wikis WHERE owner_id = $1 AND deleted_at IS NULL ORDER BY created_at DESC', [userId]);
-  const ownedWikis = ownedRes.rows;
-  
-  // Change ? to $1, $2
-  const editableRes = await pool.query(`
-    SELECT w.* FROM wikis w 
-    JOIN wiki_permissions wp ON w.id = wp.wiki_id 
-    WHERE wp.editor_id = $1 AND w.owner_id != $2 AND w.deleted_at IS NULL
-  `, [userId, userId]);
-  const editableWikis = editableRes.rows;
-  
-  const recentRes = await pool.query(`
-    SELECT p.name as page_name, w.name as wiki_name, w.address as wiki_address, r.created_at
-    FROM revisions r
-    JOIN pages p ON r.page_id = p.id 
-    JOIN wikis w ON p.wiki_id = w.id
-    WHERE r.editor_id = $1 AND w.deleted_at IS NULL AND p.deleted_at IS NULL
-    ORDER BY r.created_at DESC LIMIT 10
-  `, [userId]);
-  const recentEdits = recentRes.rows;
+  const notificationsRes = await pool.query(
+    'SELECT id, type, data, is_read, created_at FROM notifications WHERE user_id = $1 ORDER BY created_at DESC, id DESC LIMIT $2',
+    [req.user.id, NOTIFICATION_PAGE_SIZE]
+  );
+  const watchesRes = await pool.query(`
+    SELECT w.address, w.name AS wiki_name, p.name AS page_name
+    FROM watches wa
+    JOIN wikis w ON w.id = wa.wiki_id
+    LEFT JOIN pages p ON p.id = wa.page_id
+    WHERE wa.user_id = $1 AND w.deleted_at IS NULL AND (wa.page_id IS NULL OR p.deleted_at IS NULL)
+    ORDER BY w.name, p.name NULLS FIRST
+  `, [req.user.id]);
+
+  const hasUnread = notificationsRes.rows.some(n => !n.is_read);
+  const notificationsHtml = notificationsRes.rows.map(n => {
+    const { icon, text, link } = describeNotification(n, lang);
+    const time = new Date(n.created_at).toLocaleString(lang === 'ja' ? 'ja-JP' : 'en-US');
+    return `
+      <div style="display: flex; gap: 12px; align-items: flex-start; padding: 10px 12px; border-bottom: 1px solid var(--border-color); ${n.is_read ? '' : 'background: var(--bg-secondary); border-left: 3px solid var(--accent-color);'}">
+        <span style="font-size: 18px;">${icon}</span>
+        <div style="flex: 1;">
+          <div>${link ? `<a href="/notifications/${n.id}/open">${text}</a>` : text}</div>
+          <small class="muted">${time}</small>
+        </div>
+        ${n.is_read ? '' : `<form method="post" action="/notifications/${n.id}/read"><button class="btn" type="submit" title="${lang === 'ja' ? '既読にする' : 'Mark as read'}">✓</button></form>`}
+      </div>`;
+  }).join('');
+
+  const watchesHtml = watchesRes.rows.map(w => {
+    const target = w.page_name
+      ? `<a href="/${w.address}/${encodeURIComponent(w.page_name)}">📄 ${escapeHtml(w.page_name)}</a> <span class="muted">(${escapeHtml(w.wiki_name)})</span>`
+      : `<a href="/${w.address}">📚 ${escapeHtml(w.wiki_name)}</a> <span class="muted">(${lang === 'ja' ? 'Wiki全体' : 'entire wiki'})</span>`;
+    const action = w.page_name ? `/${w.address}/${encodeURIComponent(w.page_name)}/watch` : `/${w.address}/watch`;
+    return `
+      <div style="display: flex; justify-content: space-between; align-items: center; padding: 6px 0;">
+        <span>${target}</span>
+        <form method="post" action="${action}"><input type="hidden" name="back" value="notifications"><button class="btn" type="submit">${lang === 'ja' ? 'ウォッチ解除' : 'Unwatch'}</button></form>
+      </div>`;
+  }).join('');
 
   const body = `
-    <div class="breadcrumb"><a href="/">🏠 ${getText('home', lang)}</a> > 📊 ${getText('dashboard', lang)}</div>
-    <h1>📊 ${getText('dashboard', lang)}</h1>
-    
-    <div class="row">
-      <div class="card">
-        <h3>📚 ${lang === 'ja' ? '所有Wiki' : 'Owned Wikis'}</h3>
-        ${ownedWikis.length ? ownedWikis.map(w => `
-          <div style="margin-bottom: 12px; padding: 12px; background: var(--bg-secondary); border-radius: 8px;">
-            <h4 style="margin: 0;"><a href="/${w.address}">${w.name}</a></h4>
-            <p class="muted">${w.address} • ${lang === 'ja' ? '閲覧数' : 'Views'}: ${w.views || 0}</p>
-            <a class="btn ${disabledClass}" href="/${w.address}-edit">${getText('edit', lang)}</a>
-          </div>
-        `).join('') : `<p class="muted">${lang === 'ja' ? '所有Wikiがありません。' : 'No owned wikis.'}</p>`}
-      </div>
-      
-      <div class="card">
-        <h3>✏️ ${lang === 'ja' ? '編集可能Wiki' : 'Editable Wikis'}</h3>
-        ${editableWikis.length ? editableWikis.map(w => `
-          <div style="margin-bottom: 12px; padding: 12px; background: var(--bg-secondary); border-radius: 8px;">
-            <h4 style="margin: 0;"><a href="/${w.address}">${w.name}</a></h4>
-            <p class="muted">${w.address}</p>
-            <a class="btn ${disabledClass}" href="/${w.address}-edit">${getText('edit', lang)}</a>
-          </div>
-        `).join('') : `<p class="muted">${lang === 'ja' ? '編集可能Wikiがありません。' : 'No editable wikis.'}</p>`}
-      </div>
+    <div class="breadcrumb"><a href="/">🏠 ${getText('home', lang)}</a> > 🔔 ${lang === 'ja' ? '通知' : 'Notifications'}</div>
+    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 24px; flex-wrap: wrap; gap: 16px;">
+      <h1>🔔 ${lang === 'ja' ? '通知' : 'Notifications'}</h1>
+      ${hasUnread ? `<form method="post" action="/notifications/read-all"><button class="btn" type="submit">✓ ${lang === 'ja' ? 'すべて既読にする' : 'Mark all as read'}</button></form>` : ''}
+    </div>
+    <div class="card" style="padding: 0;">
+      ${notificationsHtml || `<p class="muted" style="padding: 16px;">${lang === 'ja' ? '通知はありません。' : 'No notifications.'}</p>`}
     </div>
-
     <div class="card">
-      <h3>📝 ${getText('recentEdits', lang)}</h3>
-      ${recentEdits.length ? recentEdits.map(e => `
-        <div style="margin-bottom: 12px; padding: 12px; background: var(--bg-secondary); border-radius: 8px;">
-          <a href="/${e.wiki_address}/${encodeURIComponent(e.page_name)}">📄 ${e.page_name}</a> 
-          ${lang === 'ja' ? 'in' : 'in'} 
-          <a href="/${e.wiki_address}">📚 ${e.wiki_name}</a>
-          <div class="muted">${new Date(e.created_at).toLocaleString(lang === 'ja' ? 'ja-JP' : 'en-US')}</div>
-        </div>
-      `).join('') : `<p class="muted">${lang === 'ja' ? '最近の編集がありません。' : 'No recent edits.'}</p>`}
+      <h3 style="margin-top: 0;">👀 ${lang === 'ja' ? 'ウォッチリスト' : 'Watchlist'}</h3>
+      ${watchesHtml || `<p class="muted">${lang === 'ja' ? 'ウォッチしているページはありません。ページの「ウォッチ」ボタンから追加できます。' : 'You are not watching anything. Use the Watch button on a page to add it.'}</p>`}
     </div>
   `;
-  
-  res.send(renderLayout(`${getText('dashboard', lang)}`, body, null, lang, req));
+  res.send(renderLayout(lang === 'ja' ? '通知' : 'Notifications', body, null, lang, req));
 });
 
-// --- Profile redirect ---
-app.get('/profile', ensureAuth, (req, res) => {
-  res.redirect(`/user/${req.user.id}`);
+// 既読にしてから通知のリンク先へ移動する
+app.get('/notifications/:id/open', ensureAuth, async (req, res) => {
+  const result = await pool.query(
+    'UPDATE notifications SET is_read = 1 WHERE id = $1 AND user_id = $2 RETURNING type, data',
+    [parseIdParam(req.params.id), req.user.id]
+  );
+  if (!result.rows.length) return res.redirect('/notifications');
+  const { link } = describeNotification(result.rows[0], req.userLang);
+  res.redirect(link || '/notifications');
 });
 
-// --- Create wiki form ---
-app.get('/create-wiki', ensureCanCreate, (req, res) => {
-  const lang = req.userLang;
-  const body = `
-    <div class="breadcrumb"><a href="/">🏠 ${getText('home', lang)}</a> > 🆕 ${getText('createWiki', lang)}</div>
-    <h1>🆕 ${lang === 'ja' ? '新しいWikiを作成' : 'Create a New Wiki'}</h1>
-    <p class="muted">${lang === 'ja' ? 'Wiki名とアドレスは一意である必要があります。' : 'The Wiki Name and Address must be unique.'}</p>
-    <form action="/create-wiki" method="post" enctype="multipart/form-data" class="card">
-      <div class="form-group">
-        <label>📝 ${lang === 'ja' ? 'Wiki名（表示名、一意）' : 'Wiki Name (Display Name, Unique)'}</label>
-        <input name="name" required placeholder="e.g., MyTeamWiki" maxlength="100">
-        <div class="form-help">${lang === 'ja' ? '他のユーザーに表示される名前' : 'The name displayed to other users'}</div>
-      </div>
-      <div class="form-group">
-        <label>🔗 ${lang === 'ja' ? 'アドレス（URL用、一意、英数字とハイフンのみ）' : 'Address (For URL, Unique, Alphanumeric & Hyphens only)'}</label>
-        <input name="address" required pattern="[a-zA-Z0-9-]{2,64}" placeholder="e.g., my-team-wiki" maxlength="64">
-        <div class="form-help mono">${lang === 'ja' ? '結果URL' : 'Resulting URL'}: ${BASE_URL}/<span id="preview">my-team-wiki</span></div>
-      </div>
-      <div class="row">
-        <div class="form-group">
-          <label>🌐 ${lang === 'ja' ? 'ファビコンURL（オプション）' : 'Favicon URL (Optional)'}</label>
-          <input name="faviconUrl" placeholder="https://.../favicon.png">
-          <div class="form-help">${lang === 'ja' ? '外部URLからファビコンを設定' : 'Set a favicon from an external URL'}</div>
-        </div>
-        <div class="form-group">
-          <label>📎 ${lang === 'ja' ? 'ファビコンアップロード（オプション）' : 'Upload Favicon (Optional)'}</label>
-          <input type="file" name="faviconFile" accept="image/*">
-          <div class="form-help">${lang === 'ja' ? 'ローカルファイルをアップロード' : 'Upload a local file'}</div>
-        </div>
-      </div>
-      <div class="form-group">
-        <label>🔒 ${lang === 'ja' ? '初期公開設定' : 'Initial Access Setting'}</label>
-        <select name="initialMode">
-          <option value="loggedin" selected>${lang === 'ja' ? 'ログインユーザーのみ（デフォルト）' : 'Logged-in users only (Default)'}</option>
-          <option value="anyone">${lang === 'ja' ? '誰でも（公開編集）' : 'Anyone (Public editing)'}</option>
-          <option value="invite">${lang === 'ja' ? '招待のみ（オーナーが招待）' : 'Invite only (Owner invites)'}</option>
-        </select>
-        <div class="form-help">${lang === 'ja' ? '後から変更できます。' : 'Can be changed later.'}</div>
-      </div>
+app.post('/notifications/read-all', ensureAuth, async (req, res) => {
+  await pool.query('UPDATE notifications SET is_read = 1 WHERE user_id = $1 AND is_read = 0', [req.user.id]);
+  res.redirect('/notifications');
+});
 
-      <div class="form-group">
-        <div class="cf-turnstile" data-sitekey="${process.env.TURNSTILE_SITE_KEY || '1x00000000000000000000AA'}"></div>
-      </div>
+app.post('/notifications/:id/read', ensureAuth, async (req, res) => {
+  await pool.query('UPDATE notifications SET is_read = 1 WHERE id = $1 AND user_id = $2', [parseIdParam(req.params.id), req.user.id]);
+  res.redirect('/notifications');
+});
 
-      <button class="btn success" type="submit">🚀 ${lang === 'ja' ? '作成' : 'Create'}</button>
-    </form>
-    <script src="https://challenges.cloudflare.com/turnstile/v0/api.js" async defer></script>
-    <script>
-      document.querySelector('input[name="address"]').addEventListener('input', (e) => {
-        document.getElementById('preview').textContent = e.target.value || 'my-team-wiki';
-      });
-    </script>
-  `;
-  res.send(renderLayout(`${getText('createWiki', lang)}`, body, null, lang, req));
+// --- Email preferences & unsubscribe ---
+app.post('/profile/email-preferences', ensureAuth, async (req, res) => {
+  const frequency = EMAIL_FREQUENCIES.includes(req.body.email_frequency) ? req.body.email_frequency : 'immediate';
+  await pool.query(`
+    UPDATE user_profiles SET email_notifications = $2, email_frequency = $3, email_watch_edits = $4, email_invites = $5, email_moderation = $6
+    WHERE user_id = $1
+  `, [
+    req.user.id,
+    req.body.email_notifications === 'on' ? 1 : 0,
+    frequency,
+    req.body.email_watch_edits === 'on' ? 1 : 0,
+    req.body.email_invites === 'on' ? 1 : 0,
+    req.body.email_moderation === 'on' ? 1 : 0
+  ]);
+  res.redirect(`/user/${encodeURIComponent(req.user.id)}?emailSaved=1#email-preferences`);
 });
 
-// --- Create wiki handler ---
-const upload = multer({ dest: uploadDir });
-// 変更: Cloudflare Turnstileとレートリミットを導入
-// 変更: Cloudflare Turnstileとレートリミットを導入（一時的にレートリミットは無効化）
-app.post('/create-wiki', ensureCanCreate, upload.single('faviconFile'), async (req, res) => {
+// メール内リンクからはログインなしで開ける。GET は確認画面のみで、リンクの先読みで解除されないよう実際の解除は POST で行う
+app.get('/email/unsubscribe', (req, res) => {
   const lang = req.userLang;
-
-  // 1. レートリミットチェック (5分に1回) - 一時的に無効化
-  // TODO: user_profiles テーブルに last_wiki_created_at カラムを追加してから有効化
-  /*
-  const userProfile = db.prepare('SELECT last_wiki_created_at FROM user_profiles WHERE user_id = ?').get(req.user.id);
-  if (userProfile && userProfile.last_wiki_created_at) {
-    const lastCreation = new Date(userProfile.last_wiki_created_at).getTime();
-    const fiveMinutes = 5 * 60 * 1000;
-    if (Date.now() - lastCreation < fiveMinutes) {
-      return res.status(429).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${lang === 'ja' ? 'Wikiの作成は5分に1回までです。しばらく待ってから再度お試しください。' : 'You can only create a wiki once every 5 minutes. Please try again later.'}</p><a class="btn" href="/create-wiki">🔙 ${lang === 'ja' ? '戻る' : 'Back'}</a></div>`, null, lang, req));
-    }
-  }
-  */
-
-  // 2. Cloudflare Turnstile 認証
-  try {
-    const token = req.body['cf-turnstile-response'];
-    const ip = req.headers['cf-connecting-ip'] || req.ip;
-
-    const formData = new URLSearchParams();
-    formData.append('secret', process.env.TURNSTILE_SECRET_KEY);
-    formData.append('response', token);
-    formData.append('remoteip', ip);
-
-    const result = await axios.post('https://challenges.cloudflare.com/turnstile/v0/siteverify', formData);
-    if (!result.data.success) {
-      return res.status(403).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${lang === 'ja' ? '認証に失敗しました。ページを更新してもう一度お試しください。' : 'Authentication failed. Please refresh the page and try again.'}</p></div>`, null, lang, req));
-    }
-  } catch (error) {
-    console.error('Turnstile verification request failed:', error.message);
-    return res.status(500).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${lang === 'ja' ? '認証サーバーでエラーが発生しました。' : 'An error occurred with the authentication server.'}</p></div>`, null, lang, req));
-  }
-  
-  // 3. 既存のWiki作成処理
-  const { name, address, faviconUrl, initialMode } = req.body;
-  const slug = (address || '').trim();
-  const wname = (name || '').trim();
-
-  if (!/^[a-zA-Z0-9-]{2,64}$/.test(slug)) {
-    return res.status(400).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${lang === 'ja' ? '無効なアドレス形式です。2-64文字の英数字とハイフンを使用してください。' : 'Invalid address format. Please use 2-64 alphanumeric characters and hyphens.'}</p><a class="btn" href="/create-wiki">🔙 ${lang === 'ja' ? '戻る' : 'Back'}</a></div>`, null, lang, req));
-  }
-  if (!wname) {
-    return res.status(400).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${lang === 'ja' ? 'Wiki名は必須です。' : 'Wiki name is required.'}</p><a class="btn" href="/create-wiki">🔙 ${lang === 'ja' ? '戻る' : 'Back'}</a></div>`, null, lang, req));
-  }
-
-  const existsRes = await pool.query('SELECT 1 FROM wikis WHERE name = $1 OR address = $2', [wname, slug]);
-  if (existsRes.rows.length > 0) {
-    return res.status(409).send(renderLayout('Duplicate', `<div class="card"><p class="danger">❌ ${lang === 'ja' ? 'Wiki名またはアドレスが既に使用されています。' : 'The Wiki Name or Address is already in use.'}</p><a class="btn" href="/create-wiki">🔙 ${lang === 'ja' ? '戻る' : 'Back'}</a></div>`, null, lang, req));
+  const userId = String(req.query.u || '');
+  const token = String(req.query.t || '');
+  if (!isValidUnsubscribeToken(userId, token)) {
+    return res.status(400).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${lang === 'ja' ? '配信停止リンクが無効です。' : 'This unsubscribe link is invalid.'}</p></div>`, null, lang, req));
   }
+  const body = `
+    <div class="card" style="text-align: center;">
+      <h1>📭 ${lang === 'ja' ? 'メール通知の配信停止' : 'Unsubscribe from email notifications'}</h1>
+      <p class="muted">${lang === 'ja' ? 'すべての通知メールを停止します。アプリ内の通知は引き続き届きます。' : 'You will stop receiving all notification emails. In-app notifications will continue.'}</p>
+      <form method="post" action="/email/unsubscribe?u=${encodeURIComponent(userId)}&t=${encodeURIComponent(token)}">
+        <button class="btn primary" type="submit">${lang === 'ja' ? '配信を停止する' : 'Unsubscribe'}</button>
+      </form>
+    </div>
+  `;
+  res.send(renderLayout(lang === 'ja' ? '配信停止' : 'Unsubscribe', body, null, lang, req));
+});
 
-  let faviconPath = (faviconUrl && /^https?:\/\//.test(faviconUrl)) ? faviconUrl.trim() : null;
-  if (req.file) {
-    faviconPath = `/uploads/${req.file.filename}`;
+// List-Unsubscribe-Post によるメールクライアントからのワンクリック解除もここに届く
+app.post('/email/unsubscribe', async (req, res) => {
+  const lang = req.userLang;
+  const userId = String(req.query.u || '');
+  if (!isValidUnsubscribeToken(userId, req.query.t)) {
+    return res.status(400).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${lang === 'ja' ? '配信停止リンクが無効です。' : 'This unsubscribe link is invalid.'}</p></div>`, null, lang, req));
   }
+  await pool.query('UPDATE user_profiles SET email_notifications = 0 WHERE user_id = $1', [userId]);
+  await pool.query('DELETE FROM email_queue WHERE user_id = $1 AND sent_at IS NULL', [userId]);
+  const body = `
+    <div class="card" style="text-align: center;">
+      <h1>✅ ${lang === 'ja' ? '配信を停止しました' : 'You have been unsubscribed'}</h1>
+      <p class="muted">${lang === 'ja' ? 'プロフィールページのメール設定からいつでも再開できます。' : 'You can turn emails back on at any time from the email preferences on your profile page.'}</p>
+    </div>
+  `;
+  res.send(renderLayout(lang === 'ja' ? '配信停止' : 'Unsubscribe', body, null, lang, req));
+});
 
-  const now = new Date().toISOString();
-
-  try {
-    await pool.query('BEGIN'); // トランザクション開始
-
-    // Wiki作成 (RETURNING id でIDを取得)
-    const wikiRes = await pool.query(
-      'INSERT INTO wikis(name, address, favicon, owner_id, created_at) VALUES ($1, $2, $3, $4, $5) RETURNING id', 
-      [wname, slug, faviconPath, req.user.id, now]
-    );
-    const wikiId = wikiRes.rows[0].id;
-
-    const welcomeText = lang === 'ja' ? 
-      `# ${wname}\n\n🎉 このWikiへようこそ！\n\n## はじめに\nこのページを編集してWikiを構築しましょう。\n\n## 機能\n- 📝 Markdownでページ作成\n- 🖼️ 画像アップロード対応\n- 🌓 ダークテーマ切替\n- 📱 レスポンシブデザイン\n- 📚 改訂履歴` :
-      `# ${wname}\n\n🎉 Welcome to this Wiki!\n\n## Getting Started\nEdit this page to start building your wiki.\n\n## Features\n- 📝 Create pages with Markdown\n- 🖼️ Image upload support\n- 🌓 Dark theme toggle\n- 📱 Responsive design\n- 📚 Revision history`;
+const renderEmailPreferences = (prefs, lang, saved) => {
+  const ja = lang === 'ja';
+  const checkbox = (name, label) => `
+      <label style="display: flex; align-items: center; gap: 8px; cursor: pointer; margin-bottom: 8px;">
+        <input type="checkbox" name="${name}" ${prefs[name] ? 'checked' : ''} style="width: auto;">
+        <span>${label}</span>
+      </label>`;
+  return `
+    <div class="card" id="email-preferences">
+      <h3 style="margin-top: 0;">📧 ${ja ? 'メール通知' : 'Email notifications'}</h3>
+      ${saved ? `<p style="color: var(--success-color);">✅ ${ja ? '保存しました。' : 'Saved.'}</p>` : ''}
+      ${!mailTransport ? `<p class="muted">${ja ? 'このサーバーではメール送信が設定されていません。' : 'Email delivery is not configured on this server.'}</p>` : ''}
+      <p class="muted">${prefs.email ? `${ja ? '送信先' : 'Sent to'}: <span class="mono">${escapeHtml(prefs.email)}</span> (${ja ? 'Discordのメールアドレス' : 'your Discord email'})` : (ja ? 'Discordアカウントにメールアドレスがないため送信できません。' : 'Your Discord account has no email address, so nothing can be sent.')}</p>
+      <form method="post" action="/profile/email-preferences">
+        ${checkbox('email_notifications', ja ? 'メール通知を受け取る' : 'Receive email notifications')}
+        <div style="margin-left: 24px;">
+          ${checkbox('email_watch_edits', ja ? 'ウォッチ中のページの編集・巻き戻し・移動・復元' : 'Edits, rollbacks, moves and restores on watched pages')}
+          ${checkbox('email_invites', ja ? 'Wikiへの招待' : 'Wiki invites')}
+          ${checkbox('email_moderation', ja ? '警告・アカウント停止' : 'Warnings and suspensions')}
+        </div>
+        <div class="form-group">
+          <label>${ja ? '配信タイミング' : 'Delivery'}</label>
+          <select name="email_frequency">
+            <option value="immediate" ${prefs.email_frequency !== 'daily' ? 'selected' : ''}>${ja ? '即時（1件ずつ）' : 'Immediately (one email per notification)'}</option>
+            <option value="daily" ${prefs.email_frequency === 'daily' ? 'selected' : ''}>${ja ? '1日1回のまとめ' : 'Daily digest'}</option>
+          </select>
+        </div>
+        <button class="btn primary" type="submit">💾 ${getText('save', lang)}</button>
+      </form>
+    </div>`;
+};
 
-    // ホームページ作成
-    await pool.query(
-      'INSERT INTO pages(wiki_id, name, content, updated_at) VALUES ($1, $2, $3, $4)',
-      [wikiId, 'home', welcomeText, now]
-    );
+const renderApiTokens = (tokens, lang, newToken) => {
+  const ja = lang === 'ja';
+  const formatDate = (value) => new Date(value).toLocaleString(ja ? 'ja-JP' : 'en-US');
+  const rows = tokens.map(t => {
+    const expired = t.expires_at && new Date(t.expires_at) <= new Date();
+    return `
+      <div style="display: flex; justify-content: space-between; align-items: center; gap: 12px; padding: 8px 0; border-bottom: 1px solid var(--border-color);">
+        <div>
+          <strong>${escapeHtml(t.name)}</strong> <span class="mono muted">${escapeHtml(t.token_prefix)}…</span>
+          <span class="chip">${t.access === 'write' ? (ja ? '読み書き' : 'Read & write') : (ja ? '読み取りのみ' : 'Read only')}</span>
+          <div class="muted" style="font-size: 13px;">
+            ${t.wiki_ids ? `${ja ? '対象' : 'Wikis'}: ${(t.wiki_addresses || []).map(a => escapeHtml(a)).join(', ') || '—'}` : (ja ? 'すべてのWiki' : 'All wikis')}
+            · ${t.expires_at ? `${expired ? (ja ? '期限切れ' : 'Expired') : (ja ? '期限' : 'Expires')} ${formatDate(t.expires_at)}` : (ja ? '無期限' : 'No expiry')}
+            · ${t.last_used_at ? `${ja ? '最終使用' : 'Last used'} ${formatDate(t.last_used_at)}` : (ja ? '未使用' : 'Never used')}
+          </div>
+        </div>
+        <form method="post" action="/profile/api-tokens/${t.id}/revoke" onsubmit="return confirm('${ja ? 'このトークンを無効にしますか？' : 'Revoke this token?'}')">
+          <button class="btn danger" type="submit">${ja ? '無効化' : 'Revoke'}</button>
+        </form>
+      </div>`;
+  }).join('');
+  return `
+    <div class="card" id="api-tokens">
+      <h3 style="margin-top: 0;">🔑 ${ja ? 'APIトークン' : 'API tokens'}</h3>
+      <p class="muted">${ja
+        ? 'REST API (<span class="mono">/api/v1</span>) から、あなたの権限の範囲でページの一覧・閲覧・編集・削除ができます。リクエストには <span class="mono">Authorization: Bearer &lt;トークン&gt;</span> ヘッダーを付けてください。'
+        : 'Use the REST API (<span class="mono">/api/v1</span>) to list, read, edit and delete pages with your own permissions. Send the token in an <span class="mono">Authorization: Bearer &lt;token&gt;</span> header.'}</p>
+      ${newToken ? `
+      <div class="card" style="border-left: 4px solid var(--success-color);">
+        <p style="margin-top: 0;">✅ ${ja ? 'トークンを作成しました。この画面を離れると二度と表示されないので、今すぐコピーしてください。' : 'Token created. Copy it now — it will not be shown again.'}</p>
+        <input class="mono" readonly value="${escapeHtml(newToken)}" onclick="this.select()">
+      </div>` : ''}
+      ${rows || `<p class="muted">${ja ? 'トークンはまだありません。' : 'You have no tokens yet.'}</p>`}
+      <form method="post" action="/profile/api-tokens" style="margin-top: 16px;">
+        <div class="form-group">
+          <label>${ja ? '名前' : 'Name'}</label>
+          <input name="name" required maxlength="${MAX_API_TOKEN_NAME_LENGTH}" placeholder="${ja ? '例: 同期スクリプト' : 'e.g. Sync script'}">
+        </div>
+        <div class="form-group">
+          <label>${ja ? '権限' : 'Access'}</label>
+          <select name="access">
+            <option value="read">${ja ? '読み取りのみ' : 'Read only'}</option>
+            <option value="write">${ja ? '読み書き' : 'Read & write'}</option>
+          </select>
+        </div>
+        <div class="form-group">
+          <label>${ja ? '対象Wiki（アドレスをカンマ区切り。空欄ならすべて）' : 'Wikis (comma-separated addresses; leave empty for all)'}</label>
+          <input name="wikis" placeholder="my-wiki, another-wiki">
+        </div>
+        <div class="form-group">
+          <label>${ja ? '有効期限' : 'Expiry'}</label>
+          <select name="expires_in_days">
+            ${API_TOKEN_EXPIRY_DAYS.map(days => `<option value="${days}" ${days === 90 ? 'selected' : ''}>${ja ? `${days}日` : `${days} days`}</option>`).join('')}
+            <option value="0">${ja ? '無期限' : 'No expiry'}</option>
+          </select>
+        </div>
+        <button class="btn primary" type="submit">🔑 ${ja ? 'トークンを作成' : 'Create token'}</button>
+      </form>
+    </div>`;
+};
 
-    // 設定保存
-    const mode = ['anyone', 'loggedin', 'invite'].includes(initialMode) ? initialMode : 'loggedin';
-    await pool.query(
-      'INSERT INTO wiki_settings(wiki_id, mode) VALUES ($1, $2)',
-      [wikiId, mode]
-    );
+// --- API tokens ---
+app.post('/profile/api-tokens', ensureAuth, async (req, res) => {
+  const lang = req.userLang;
+  const fail = (message) => res.status(400).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${message}</p><a class="btn" href="/user/${encodeURIComponent(req.user.id)}#api-tokens">🔙 ${lang === 'ja' ? '戻る' : 'Back'}</a></div>`, null, lang, req));
+
+  const name = (req.body.name || '').toString().replace(/\s+/g, ' ').trim().slice(0, MAX_API_TOKEN_NAME_LENGTH);
+  if (!name) return fail(lang === 'ja' ? '名前を入力してください。' : 'Please enter a name.');
+  const access = API_TOKEN_ACCESS.includes(req.body.access) ? req.body.access : 'read';
+  const expiresInDays = parseInt(req.body.expires_in_days, 10);
+  if (expiresInDays !== 0 && !API_TOKEN_EXPIRY_DAYS.includes(expiresInDays)) return fail(lang === 'ja' ? '有効期限が正しくありません。' : 'Invalid expiry.');
+
+  const addresses = [...new Set((req.body.wikis || '').toString().split(/[,、，\s]+/).filter(Boolean))];
+  let wikiIds = null;
+  if (addresses.length) {
+    const wikisRes = await pool.query('SELECT id, address FROM wikis WHERE address = ANY($1::text[]) AND deleted_at IS NULL', [addresses]);
+    const missing = addresses.filter(a => !wikisRes.rows.some(w => w.address === a));
+    if (missing.length) return fail(`${lang === 'ja' ? 'Wikiが見つかりません' : 'Wiki not found'}: ${missing.map(a => escapeHtml(a)).join(', ')}`);
+    wikiIds = wikisRes.rows.map(w => w.id);
+  }
 
-    // 権限設定
-    await pool.query(
-      'INSERT INTO wiki_permissions(wiki_id, editor_id, role) VALUES ($1, $2, $3)',
-      [wikiId, req.user.id, 'admin']
-    );
+  const countRes = await pool.query('SELECT COUNT(*) AS count FROM api_tokens WHERE user_id = $1', [req.user.id]);
+  if (parseInt(countRes.rows[0].count, 10) >= MAX_API_TOKENS_PER_USER) {
+    return fail(lang === 'ja' ? `トークンは${MAX_API_TOKENS_PER_USER}個までです。不要なトークンを無効化してください。` : `You can have up to ${MAX_API_TOKENS_PER_USER} tokens. Revoke one you no longer need.`);
+  }
 
-    await pool.query('COMMIT'); // コミット
-    res.redirect(`/${slug}-edit`);
+  // 平文は一度だけ表示するので、リダイレクト先に渡すためセッションに一時的に置く
+  req.session.newApiToken = await createApiToken(req.user.id, { name, access, wikiIds, expiresInDays });
+  res.redirect(`/user/${encodeURIComponent(req.user.id)}#api-tokens`);
+});
 
-  } catch (err) {
-    await pool.query('ROLLBACK');
-    console.error(err);
-    res.status(500).send("Database Error");
+app.post('/profile/api-tokens/:id/revoke', ensureAuth, async (req, res) => {
+  await pool.query('DELETE FROM api_tokens WHERE id = $1 AND user_id = $2', [parseIdParam(req.params.id), req.user.id]);
+  res.redirect(`/user/${encodeURIComponent(req.user.id)}#api-tokens`);
+});
+
+// --- User Profile Page (Moved before generic routes) ---
+app.get('/user/:userId', async (req, res) => {
+  const { userId } = req.params;
+  const lang = req.userLang;
+  let emailPreferencesHtml = '';
+  let apiTokensHtml = '';
+  if (req.isAuthenticated() && req.user.id === userId) {
+    const prefsRes = await pool.query('SELECT email, email_notifications, email_frequency, email_watch_edits, email_invites, email_moderation FROM user_profiles WHERE user_id = $1', [userId]);
+    if (prefsRes.rows[0]) emailPreferencesHtml = renderEmailPreferences(prefsRes.rows[0], lang, req.query.emailSaved === '1');
+    apiTokensHtml = renderApiTokens(await apiTokensFor(userId), lang, req.session.newApiToken);
+    delete req.session.newApiToken;
   }
+  const body = `
+    <div class="breadcrumb"><a href="/">🏠 ${getText('home', lang)}</a> > 👤 ${lang === 'ja' ? 'ユーザープロフィール' : 'User Profile'}</div>
+    <div id="user-profile-container"><div class="card">Loading...</div></div>
+    ${emailPreferencesHtml}
+    ${apiTokensHtml}
+    <script>
+      const escapeText = (text) => String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+      function loadProfile(hideMinor) {
+        fetch('/api/user/${userId}' + (hideMinor ? '?hideMinor=1' : '')).then(r => r.json()).then(data => {
+          const container = document.getElementById('user-profile-container');
+          const { profile, badges, stats, recentEdits } = data;
+          const displayName = profile.display_name || 'User ' + '${userId}'.slice(-4);
+          container.innerHTML = \`
+            <div class="card" style="text-align: center;">
+              <div style="width: 80px; height: 80px; border-radius: 50%; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); display: inline-flex; align-items: center; justify-content: center; color: white; font-size: 24px; font-weight: bold; margin: 0 auto 16px;">\${displayName.charAt(0).toUpperCase()}</div>
+              <h2 style="margin: 0;">\${displayName}</h2>
+              <p class="muted mono" style="font-size: 12px;">ID: ${userId}</p>
+              \${profile.bio ? \`<p style="font-style: italic; color: var(--text-secondary);">\${profile.bio}</p>\` : ''}
+              <div class="list" style="justify-content: center; margin-top: 16px;">
+                \${badges.map(b => \`<span class="chip" style="background-color: \${b.badge_color}; color: white; border-color: \${b.badge_color};">🏆 \${b.badge_name}</span>\`).join('')}
+              </div>
+            </div>
+            <div class="row">
+              <div class="card"><h3>📊 ${getText('stats', lang)}</h3><p>\${stats.editCount} ${lang === 'ja' ? '編集総数' : 'Total Edits'}</p></div>
+              <div class="card"><h3>📝 ${getText('recentEdits', lang)}</h3>
+                <label style="display: flex; align-items: center; gap: 8px; cursor: pointer; margin-bottom: 8px;">
+                  <input type="checkbox" id="hide-minor" \${hideMinor ? 'checked' : ''} onchange="loadProfile(this.checked)">
+                  <span>${lang === 'ja' ? '細部の編集を隠す' : 'Hide minor edits'}</span>
+                </label>
+                \${recentEdits.length ? recentEdits.map(e => \`<div><a href="/\${e.wiki_address}/\${encodeURIComponent(e.page_name)}">📄 \${e.page_name}</a> in 📚 \${e.wiki_name}\${e.is_minor ? ' <strong class="muted">${lang === 'ja' ? '細' : 'm'}</strong>' : ''}\${e.summary ? ' <em class="muted">(' + escapeText(e.summary) + ')</em>' : ''}</div>\`).join('') : '<p class="muted">${lang === 'ja' ? '最近の編集なし' : 'No recent edits'}.</p>'}
+              </div>
+            </div>
+          \`;
+        }).catch(err => {
+          document.getElementById('user-profile-container').innerHTML = \`<div class="card"><p class="danger">Error: ${lang === 'ja' ? 'ユーザープロフィールを読み込めませんでした' : 'Could not load user profile'}.</p></div>\`;
+        });
+      }
+      loadProfile(false);
+    </script>
+  `;
+  res.send(renderLayout(`${lang === 'ja' ? 'ユーザープロフィール' : 'User Profile'}`, body, null, lang, req));
 });
 
-// Helper: check if user can edit wiki
-// --- 修正後のコード ---
-const ensureCanEdit = async (req, res, next) => { // asyncを追加
-  if (!req.isAuthenticated()) return res.redirect('/auth/discord');
-  if (req.isSuspended) return res.status(403).send(createSuspensionBlock(req));
-  const address = req.params.address;
-  const wiki = await wikiByAddress(address); // awaitが必要
-  if (!wiki) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ ${req.userLang === 'ja' ? 'Wikiが見つかりません' : 'Wiki not found'}.</p></div>`, null, req.userLang, req));
+// --- Wiki search ---
+app.get('/:address/search', async (req, res) => {
+  const lang = req.userLang;
+  const wiki = await wikiByAddress(req.params.address);
+  if (!wiki) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ ${getText('wikiNotFound', lang)}.</p></div>`, null, lang, req));
 
-  // owner -> allowed
-  if (wiki.owner_id === req.user.id) return next();
-  
-  // admin -> allowed
-  if (ADMIN_USERS.includes(req.user.id)) return next();
+  const search = await searchWikiPages(wiki, req.query.q, req.query.page);
+  const totalPages = Math.ceil(search.total / search.perPage);
+  const pageUrl = (n) => `/${wiki.address}/search?q=${encodeURIComponent(search.query)}&page=${n}`;
 
-  // explicit permission
-  const permRes = await pool.query('SELECT * FROM wiki_permissions WHERE wiki_id = $1 AND editor_id = $2', [wiki.id, req.user.id]);
-  if (permRes.rows.length > 0) return next();
+  const resultsHtml = search.results.map(r => `
+    <div class="card">
+      <h3 style="margin-top: 0;"><a href="${r.url}" style="color: var(--accent-color); text-decoration: none;">📄 ${escapeHtml(r.name)}</a></h3>
+      <p style="margin: 0 0 8px 0;">${r.snippet}</p>
+      <span class="muted mono" style="font-size: 12px;">${new Date(r.updated_at).toLocaleString(lang === 'ja' ? 'ja-JP' : 'en-US')}</span>
+    </div>
+  `).join('');
 
-  // check wiki_settings
-  const settingRes = await pool.query('SELECT mode FROM wiki_settings WHERE wiki_id = $1', [wiki.id]);
-  const setting = settingRes.rows[0];
-  const mode = setting ? setting.mode : 'loggedin';
+  const pagerHtml = totalPages > 1 ? `
+    <div style="display: flex; justify-content: center; align-items: center; gap: 12px;">
+      ${search.page > 1 ? `<a class="btn" href="${pageUrl(search.page - 1)}">← ${lang === 'ja' ? '前へ' : 'Prev'}</a>` : ''}
+      <span class="muted">${search.page} / ${totalPages}</span>
+      ${search.page < totalPages ? `<a class="btn" href="${pageUrl(search.page + 1)}">${lang === 'ja' ? '次へ' : 'Next'} →</a>` : ''}
+    </div>
+  ` : '';
 
-  if (mode === 'anyone') return next();
-  if (mode === 'loggedin') return next(); 
-  
-  return res.status(403).send(renderLayout('Forbidden', `<div class="card"><p class="danger">❌ ${req.userLang === 'ja' ? '編集権限がありません' : 'No edit permission'}.</p><a class="btn" href="/${wiki.address}">${req.userLang === 'ja' ? '戻る' : 'Back'}</a></div>`, null, req.userLang, req));
-};
+  let summaryHtml = '';
+  if (search.query) {
+    summaryHtml = search.total
+      ? `<p class="muted">${lang === 'ja' ? `${search.total} 件見つかりました` : `${search.total} result(s) found`}</p>`
+      : `<div class="card"><p class="muted">${lang === 'ja' ? '一致するページはありません。' : 'No matching pages.'}</p></div>`;
+  }
 
-// --- Edit dashboard ---
-app.get('/:address-edit', ensureCanEdit, async (req, res) => { // asyncを追加
-  const lang = req.userLang;
-  const wiki = await wikiByAddress(req.params.address); // await
-  if (!wiki) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ ${getText('wikiNotFound', lang)}.</p><a class="btn" href="/">🏠 ${getText('home', lang)}</a></div>`, null, lang, req));
+  const body = `
+    <div class="breadcrumb"><a href="/">🏠 ${getText('home', lang)}</a> > <a href="/${wiki.address}">📚 ${wiki.name}</a> > 🔍 ${lang === 'ja' ? '検索' : 'Search'}</div>
+    <h1>🔍 ${lang === 'ja' ? `${wiki.name} 内を検索` : `Search ${wiki.name}`}</h1>
+    <form action="/${wiki.address}/search" method="get" class="card" style="display: flex; gap: 8px;">
+      <input name="q" value="${escapeHtml(search.query)}" placeholder="${lang === 'ja' ? 'キーワード' : 'Keywords'}" required>
+      <button class="btn primary" type="submit">🔍 ${lang === 'ja' ? '検索' : 'Search'}</button>
+    </form>
+    ${summaryHtml}
+    ${resultsHtml}
+    ${pagerHtml}
+  `;
+  res.send(renderLayout(`${wiki.name} ${lang === 'ja' ? '検索' : 'Search'}`, body, wiki.favicon, lang, req));
+});
 
-  // pages
-  const pagesRes = await pool.query('SELECT name FROM pages WHERE wiki_id = $1 AND deleted_at IS NULL ORDER BY name ASC', [wiki.id]);
-  const pages = pagesRes.rows;
-  const allPages = pages.map(p => `<a class="chip" href="/${wiki.address}/${encodeURIComponent(p.name)}/edit">📄 ${p.name}</a>`).join('');
-  
-  const settingsRes = await pool.query('SELECT mode, is_searchable FROM wiki_settings WHERE wiki_id = $1', [wiki.id]);
-  const settings = settingsRes.rows[0] || { mode: 'loggedin', is_searchable: 1 };
-  
-  const permsRes = await pool.query('SELECT editor_id, role FROM wiki_permissions WHERE wiki_id = $1', [wiki.id]);
-  const permsHtml = permsRes.rows.map(p => `<div><strong>${p.editor_id}</strong> — <span class="muted">${p.role}</span></div>`).join('') || `<div class="muted">${lang === 'ja' ? '明示的な編集者なし' : 'No explicit editors'}</div>`;
-  
-  const invitesRes = await pool.query('SELECT id, invited_tag, invited_id, role, created_at FROM wiki_invites WHERE wiki_id = $1 ORDER BY created_at DESC', [wiki.id]);
-  const invitesHtml = invitesRes.rows.map(i => `<div><strong>${i.invited_tag || (i.invited_id || '—')}</strong> — <span class="muted">${i.role}</span> <small class="muted">(${new Date(i.created_at).toLocaleString()})</small></div>`).join('') || `<div class="muted">${lang === 'ja' ? '保留中の招待なし' : 'No pending invites'}</div>`;
-  
-  // 変更: ユーザーが管理者かWikiオーナーかを確認
-  const isOwner = wiki.owner_id === req.user.id;
-  const isAdmin = ADMIN_USERS.includes(req.user.id);
-  const canChangeAdvancedSettings = isOwner || isAdmin;
+// --- Tag listing ---
+app.get('/:address/tag/:tag', async (req, res) => {
+  const lang = req.userLang;
+  const wiki = await wikiByAddress(req.params.address);
+  if (!wiki) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ ${getText('wikiNotFound', lang)}.</p></div>`, null, lang, req));
 
-  // 変更: 管理者とオーナーのみに表示する設定HTMLを生成
-  let advancedSettingsHtml = '';
-  if (canChangeAdvancedSettings) {
-      advancedSettingsHtml = `
-        <hr style="margin:16px 0;">
-        <h3>🔍 ${lang === 'ja' ? '検索掲載' : 'Search Indexing'}</h3>
-        <div class="form-group">
-            <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
-                <input type="checkbox" name="is_searchable" ${settings.is_searchable ? 'checked' : ''} form="perm-form">
-                <span>${lang === 'ja' ? '検索エンジンやWiki一覧に掲載する' : 'Allow listing in search engines and wiki lists'}</span>
-            </label>
-            <div class="form-help">${lang === 'ja' ? 'オフにすると、このWikiがポータルの一覧などに表示されにくくなります。' : 'Turning this off will make this wiki less visible in public lists.'}</div>
-        </div>
-      `;
-  }
-  
-  const body = `
-    <div class="breadcrumb"><a href="/">🏠 ${getText('home', lang)}</a> > <a href="/${wiki.address}">📚 ${wiki.name}</a> > ✏️ ${getText('edit', lang)} Dashboard</div>
-    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 24px; flex-wrap: wrap; gap: 16px;">
-      <h1>✏️ ${wiki.name} Dashboard</h1>
-      <a class="btn primary" href="/${wiki.address}">👁️ ${getText('view', lang)} Wiki</a>
+  const [tag] = parseTags(req.params.tag);
+  const pages = tag ? await pagesByTags(wiki.id, [tag]) : [];
+  const rows = pages.map(p => `
+    <div class="card">
+      <h3 style="margin-top: 0;"><a href="/${wiki.address}/${encodeURIComponent(p.name)}" style="color: var(--accent-color); text-decoration: none;">📄 ${escapeHtml(p.name)}</a></h3>
+      <div style="display: flex; gap: 6px; flex-wrap: wrap;">${tagsOf(p).map(t => `<a class="chip" href="/${wiki.address}/tag/${encodeURIComponent(t)}">🏷️ ${escapeHtml(t)}</a>`).join('')}</div>
     </div>
-    <div class="row">
-      <div class="card">
-        <h2>📄 ${getText('pages', lang)} (${pages.length})</h2>
-        <div class="list" style="margin-bottom: 20px;">${allPages || `<span class="muted">${lang === 'ja' ? 'ページがまだありません' : 'No pages yet'}.</span>`}</div>
-        <form onsubmit="event.preventDefault(); location.href='/${wiki.address}/'+encodeURIComponent(this.page.value)+'/edit'">
-          <div class="form-group">
-            <label>📝 ${lang === 'ja' ? '新規または既存のページ名' : 'New or Existing Page Name'}</label>
-            <input name="page" required placeholder="e.g., getting-started" maxlength="100">
-            <div class="form-help">${lang === 'ja' ? '英数字、ハイフン、アンダースコアが推奨されます。' : 'Alphanumeric, hyphens, and underscores are recommended.'}</div>
-          </div>
-          <button class="btn success" type="submit">🚀 ${lang === 'ja' ? 'エディターを開く' : 'Open Editor'}</button>
-        </form>
-      </div>
+  `).join('');
 
-      <div class="card">
-        <h2>📊 Wiki ${lang === 'ja' ? '情報' : 'Info'}</h2>
-        <p><strong>📝 ${lang === 'ja' ? 'アドレス' : 'Address'}:</strong> <span class="mono">${wiki.address}</span></p>
-        <p><strong>🔗 URL:</strong> <a href="${BASE_URL}/${wiki.address}" target="_blank" class="mono">${BASE_URL}/${wiki.address}</a></p>
-        <p><strong>📅 ${lang === 'ja' ? '作成日' : 'Created'}:</strong> ${new Date(wiki.created_at).toLocaleDateString(lang === 'ja' ? 'ja-JP' : 'en-US')}</p>
-        <p><strong>👁️ ${lang === 'ja' ? '閲覧数' : 'Views'}:</strong> ${wiki.views || 0}</p>
-        <p><strong>📄 ${getText('pages', lang)}:</strong> ${pages.length}</p>
+  const body = `
+    <div class="breadcrumb"><a href="/">🏠 ${getText('home', lang)}</a> > <a href="/${wiki.address}">📚 ${wiki.name}</a> > 🏷️ ${escapeHtml(tag || '')}</div>
+    <h1>🏷️ ${escapeHtml(tag || '')}</h1>
+    <p class="muted">${lang === 'ja' ? `${pages.length} ページ` : `${pages.length} page(s)`}</p>
+    ${rows || `<div class="card"><p class="muted">${lang === 'ja' ? 'このタグのページはありません。' : 'No pages with this tag.'}</p></div>`}
+  `;
+  res.send(renderLayout(`${wiki.name} 🏷️ ${tag || ''}`, body, wiki.favicon, lang, req));
+});
 
-        <hr style="margin:16px 0;">
+// --- Recent changes ---
+app.get('/:address/recent-changes', ensureAuth, async (req, res) => {
+  if (req.isSuspended) return res.status(403).send(createSuspensionBlock(req));
+  const lang = req.userLang;
+  const wiki = await wikiByAddress(req.params.address);
+  if (!wiki) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ ${getText('wikiNotFound', lang)}.</p></div>`, null, lang, req));
 
-        <h3>🌐 Favicon</h3>
-        <form action="/${wiki.address}/favicon" method="post" enctype="multipart/form-data">
-          <div class="form-group">
-            <label>Favicon URL</label>
-            <input type="text" name="faviconUrl" placeholder="https://.../favicon.png">
-          </div>
-          <div class="form-group">
-            <label>${lang === 'ja' ? 'ファビコンアップロード' : 'Upload Favicon'}</label>
-            <input type="file" name="faviconFile" accept="image/*">
-          </div>
-          <button class="btn" type="submit">${lang === 'ja' ? '更新' : 'Update'}</button>
-        </form>
+  const filters = parseRecentChangesFilters(req.query);
+  const hideMine = filters.hideMine && req.isAuthenticated();
+  const changes = await recentChanges(wiki.id, { ...filters, excludeEditor: hideMine ? req.user.id : null });
+
+  // 日付ごとに見出しを付けて並べる
+  const dateLocale = lang === 'ja' ? 'ja-JP' : 'en-US';
+  const groups = [];
+  for (const change of changes) {
+    const day = new Date(change.created_at).toLocaleDateString(dateLocale, { year: 'numeric', month: 'long', day: 'numeric' });
+    if (!groups.length || groups[groups.length - 1].day !== day) groups.push({ day, changes: [] });
+    groups[groups.length - 1].changes.push(change);
+  }
+  const rowsHtml = groups.map(group => `
+    <div class="card">
+      <h3 style="margin-top: 0;">📅 ${group.day}</h3>
+      ${group.changes.map(c => {
+        const pageUrl = `/${wiki.address}/${encodeURIComponent(c.page_name)}`;
+        const created = c.parent_id === null;
+        return `
+        <div style="padding: 4px 0; border-bottom: 1px solid var(--border-color);">
+          <span class="mono muted">${new Date(c.created_at).toLocaleTimeString(dateLocale, { hour: '2-digit', minute: '2-digit' })}</span>
+          <a ${created ? 'class="muted" ' : ''}href="${pageUrl}/compare?to=${c.id}">${created ? (lang === 'ja' ? '版' : 'rev') : (lang === 'ja' ? '差分' : 'diff')}</a>
+          | <a href="${pageUrl}/revisions">${lang === 'ja' ? '履歴' : 'hist'}</a>
+          ${created ? `<strong title="${lang === 'ja' ? '新規作成' : 'New page'}">${lang === 'ja' ? '新' : 'N'}</strong>` : ''}
+          <a href="${pageUrl}"><strong>${escapeHtml(c.page_name)}</strong></a>
+          ${sizeDeltaHtml(c.size_delta)}
+          · <a class="muted" href="/${wiki.address}/recent-changes?editor=${encodeURIComponent(c.editor_id)}">${escapeHtml(c.editor_id)}</a>
+          ${revisionSummaryHtml(c, lang)}
+        </div>`;
+      }).join('')}
+    </div>
+  `).join('');
 
-        <hr style="margin:16px 0;">
-        <h3>🔒 ${lang === 'ja' ? '権限設定' : 'Permission Settings'}</h3>
-        <form id="perm-form" action="/${wiki.address}/settings" method="post">
-          <div class="form-group">
-            <label>${lang === 'ja' ? '公開モード' : 'Access Mode'}</label>
-            <select name="mode">
-              <option value="anyone" ${settings.mode === 'anyone' ? 'selected' : ''}>${lang === 'ja' ? '誰でも（公開編集）' : 'Anyone (Public editing)'}</option>
-              <option value="loggedin" ${settings.mode === 'loggedin' ? 'selected' : ''}>${lang === 'ja' ? 'ログインユーザー（デフォルト）' : 'Logged-in users (Default)'}</option>
-              <option value="invite" ${settings.mode === 'invite' ? 'selected' : ''}>${lang === 'ja' ? '招待のみ' : 'Invite only'}</option>
-            </select>
-            <div class="form-help">${lang === 'ja' ? 'ここでモードを切り替えられます。招待モードでは下の招待機能を使ってください。' : 'You can switch modes here. For invite mode, use the invite function below.'}</div>
-          </div>
-          
-          ${advancedSettingsHtml}
+  const feedQuery = new URLSearchParams();
+  if (filters.page) feedQuery.set('page', filters.page);
+  if (filters.editor) feedQuery.set('editor', filters.editor);
+  if (filters.hideMinor) feedQuery.set('hideMinor', '1');
+  const feedSuffix = feedQuery.toString() ? `?${feedQuery}` : '';
 
-          <button class="btn" type="submit">${getText('save', lang)}</button>
-        </form>
+  const body = `
+    <div class="breadcrumb"><a href="/">🏠 ${getText('home', lang)}</a> > <a href="/${wiki.address}">📚 ${wiki.name}</a> > 🕒 ${lang === 'ja' ? '最近の更新' : 'Recent changes'}</div>
+    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 24px; flex-wrap: wrap; gap: 16px;">
+      <h1>🕒 ${lang === 'ja' ? '最近の更新' : 'Recent changes'}</h1>
+      <div style="display: flex; gap: 8px;">
+        <a class="btn" href="/${wiki.address}/recent-changes.rss${feedSuffix}">📡 RSS</a>
+        <a class="btn" href="/${wiki.address}/recent-changes.atom${feedSuffix}">📡 Atom</a>
       </div>
     </div>
-
-    <div class="row">
-      <div class="card">
-        <h3>👥 ${lang === 'ja' ? '編集者リスト' : 'Editors List'}</h3>
-        ${permsHtml}
-        <div style="margin-top:12px;">
-          <form id="add-perm" onsubmit="event.preventDefault(); addPermission();">
-            <div class="form-group">
-              <label>Discord ID${lang === 'ja' ? '（直接指定して付与）' : ' (Direct assignment)'}</label>
-              <input name="editor_id" placeholder="123456789012345678">
-            </div>
-            <div class="form-group">
-              <label>${lang === 'ja' ? '役割' : 'Role'}</label>
-              <input name="role" placeholder="editor / admin">
-            </div>
-            <button class="btn" type="submit">${lang === 'ja' ? '追加' : 'Add'}</button>
-          </form>
+    <form method="get" action="/${wiki.address}/recent-changes" class="card">
+      <div style="display: flex; gap: 12px; flex-wrap: wrap; align-items: flex-end;">
+        <div class="form-group" style="margin: 0;">
+          <label>${lang === 'ja' ? 'ページ名' : 'Page'}</label>
+          <input name="page" value="${escapeHtml(filters.page || '')}">
+        </div>
+        <div class="form-group" style="margin: 0;">
+          <label>${lang === 'ja' ? '編集者ID' : 'Editor ID'}</label>
+          <input name="editor" value="${escapeHtml(filters.editor || '')}">
+        </div>
+        <div class="form-group" style="margin: 0;">
+          <label>${lang === 'ja' ? '開始日' : 'From'}</label>
+          <input type="date" name="from" value="${filters.from || ''}">
+        </div>
+        <div class="form-group" style="margin: 0;">
+          <label>${lang === 'ja' ? '終了日' : 'To'}</label>
+          <input type="date" name="to" value="${filters.to || ''}">
+        </div>
+        <div class="form-group" style="margin: 0;">
+          <label>${lang === 'ja' ? '表示件数' : 'Show'}</label>
+          <select name="limit">${RECENT_CHANGES_LIMITS.map(n => `<option value="${n}" ${n === filters.limit ? 'selected' : ''}>${n}</option>`).join('')}</select>
         </div>
       </div>
-
-      <div class="card">
-        <h3>✉️ ${lang === 'ja' ? '招待 (Username#1234で招待)' : 'Invites (Invite by Username#1234)'}</h3>
-        ${invitesHtml}
-        <form id="invite-form" onsubmit="event.preventDefault(); sendInvite();">
-          <div class="form-group">
-            <label>Discord Tag (${lang === 'ja' ? '例' : 'e.g.'}: Banana#1234)</label>
-            <input name="invited_tag" placeholder="Username#1234">
-          </div>
-          <div class="form-group">
-            <label>${lang === 'ja' ? '役割' : 'Role'}</label>
-            <input name="role" placeholder="editor">
-          </div>
-          <button class="btn" type="submit">${lang === 'ja' ? '招待を作成' : 'Create Invite'}</button>
-        </form>
-        <p class="muted" style="margin-top:8px;">${lang === 'ja' ? '相手がDiscordでログインすると、受諾できるUIが表示されます（受諾すると権限リストに自動追加）。' : 'When the recipient logs in with Discord, they will see a UI to accept the invite (acceptance automatically adds them to the permissions list).'}</p>
+      <div style="display: flex; gap: 16px; flex-wrap: wrap; align-items: center; margin-top: 12px;">
+        ${req.isAuthenticated() ? `
+        <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
+          <input type="checkbox" name="hideMine" value="1" ${hideMine ? 'checked' : ''} style="width: auto;">
+          <span>${lang === 'ja' ? '自分の編集を隠す' : 'Hide my edits'}</span>
+        </label>` : ''}
+        <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
+          <input type="checkbox" name="hideMinor" value="1" ${filters.hideMinor ? 'checked' : ''} style="width: auto;">
+          <span>${lang === 'ja' ? '細部の編集を隠す' : 'Hide minor edits'}</span>
+        </label>
+        <button class="btn primary" type="submit">🔍 ${lang === 'ja' ? '絞り込み' : 'Filter'}</button>
+        <a class="btn" href="/${wiki.address}/recent-changes">${lang === 'ja' ? 'リセット' : 'Reset'}</a>
       </div>
-    </div>
+    </form>
+    ${rowsHtml || `<div class="card"><p class="muted">${lang === 'ja' ? '条件に一致する更新はありません。' : 'No changes match these filters.'}</p></div>`}
+  `;
+  res.send(renderLayout(`${wiki.name} ${lang === 'ja' ? '最近の更新' : 'Recent changes'}`, body, wiki.favicon, lang, req));
+});
 
-    <script>
-      async function addPermission() {
-        const form = document.getElementById('add-perm');
-        const editor_id = form.editor_id.value.trim();
-        const role = form.role.value.trim() || 'editor';
-        if (!editor_id) return alert('${lang === 'ja' ? 'Discord IDを入力してください' : 'Please enter Discord ID'}');
-        const res = await fetch('/${wiki.address}/permissions', { method: 'POST', headers: {'Content-Type':'application/json'}, body: JSON.stringify({ editor_id, role })});
-        if (res.ok) location.reload();
-        else alert('Failed to add permission');
-      }
+// フィードリーダーはログインできないので、ページの閲覧と同じく誰でも読める
+app.get('/:address/recent-changes.:format(rss|atom)', async (req, res) => {
+  const lang = req.userLang;
+  const wiki = await wikiByAddress(req.params.address);
+  if (!wiki) return res.status(404).send('Wiki not found');
+  const filters = parseRecentChangesFilters(req.query);
+  const changes = await recentChanges(wiki.id, { page: filters.page, editor: filters.editor, hideMinor: filters.hideMinor, limit: FEED_ITEM_LIMIT });
+  sendFeed(res, req.params.format, {
+    title: `${wiki.name} - ${lang === 'ja' ? '最近の更新' : 'Recent changes'}`,
+    link: `${BASE_URL}/${wiki.address}/recent-changes`,
+    selfUrl: `${BASE_URL}${req.originalUrl}`,
+    lang,
+    items: revisionFeedItems(wiki, changes, lang)
+  });
+});
 
-      async function sendInvite() {
-        const form = document.getElementById('invite-form');
-        const invited_tag = form.invited_tag.value.trim();
-        const role = form.role.value.trim() || 'editor';
-        if (!invited_tag) return alert('${lang === 'ja' ? 'Discord Tagを入力してください' : 'Please enter Discord Tag'}');
-        const res = await fetch('/${wiki.address}/invite', { method: 'POST', headers: {'Content-Type':'application/json'}, body: JSON.stringify({ invited_tag, role })});
-        if (res.ok) { alert('${lang === 'ja' ? '招待を作成しました' : 'Invite created'}'); location.reload(); }
-        else { alert('${lang === 'ja' ? '招待に失敗しました' : 'Invite failed'}'); }
-      }
-    </script>
-  `;
-  res.send(renderLayout(`${wiki.name} ${getText('edit', lang)}`, body, wiki.favicon, lang, req));
+// --- Export ---
+app.get('/:address/export', ensureCanAdministerWiki, async (req, res) => {
+  const lang = req.userLang;
+  const wiki = await wikiByAddress(req.params.address);
+  const format = req.query.format === 'html' ? 'html' : 'markdown';
+  let archive;
+  try {
+    archive = format === 'html'
+      ? await buildStaticSiteExport(wiki, lang)
+      : await buildMarkdownExport(wiki, { includeHistory: req.query.history === '1', lang });
+  } catch (err) {
+    if (err.code !== 'EXPORT_TOO_LARGE') {
+      console.error(err);
+      return res.status(500).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${lang === 'ja' ? 'エクスポートに失敗しました。' : 'The export failed.'}</p><a class="btn" href="/${wiki.address}-edit">🔙 ${lang === 'ja' ? '戻る' : 'Back'}</a></div>`, wiki.favicon, lang, req));
+    }
+    return res.status(413).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${escapeHtml(err.message)}</p><a class="btn" href="/${wiki.address}-edit">🔙 ${lang === 'ja' ? '戻る' : 'Back'}</a></div>`, wiki.favicon, lang, req));
+  }
+  const date = new Date().toISOString().slice(0, 10);
+  res.attachment(`${wiki.address}-${format}-${date}.zip`);
+  res.type('application/zip');
+  res.send(archive);
 });
 
-// --- Remaining routes with full implementation ---
-app.post('/:address/favicon', ensureCanAdministerWiki, upload.single('faviconFile'), async (req, res) => { // async
+// --- Import ---
+app.get('/:address/import', ensureCanAdministerWiki, async (req, res) => {
+  const lang = req.userLang;
   const wiki = await wikiByAddress(req.params.address);
-  if (!wiki) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ Wiki not found.</p></div>`, null, req.userLang, req));
-
-  let faviconPath = req.body.faviconUrl || null;
-  if (req.file) faviconPath = `/uploads/${req.file.filename}`;
-  await pool.query('UPDATE wikis SET favicon = $1 WHERE id = $2', [faviconPath, wiki.id]); // $1, $2
-  res.redirect(`/${wiki.address}-edit`);
+  const body = `
+    <div class="breadcrumb"><a href="/">🏠 ${getText('home', lang)}</a> > <a href="/${wiki.address}">📚 ${wiki.name}</a> > 📥 ${lang === 'ja' ? 'インポート' : 'Import'}</div>
+    <h1>📥 ${lang === 'ja' ? 'ページのインポート' : 'Import pages'}</h1>
+    <form method="post" action="/${wiki.address}/import" enctype="multipart/form-data" class="card">
+      <p>${lang === 'ja' ? '次のいずれかのファイルをアップロードしてください。取り込む前に、作成・衝突・スキップされるページの一覧を確認できます。' : 'Upload one of the following. You can review which pages will be created, conflict or be skipped before anything is imported.'}</p>
+      <ul>
+        <li>${lang === 'ja' ? 'Markdown ファイル (.md) をまとめた ZIP。ZIP 内のパスがページ名になります。Rec Wiki のエクスポートなら履歴・タグ・画像も復元されます。' : 'A ZIP of Markdown files (.md). The path inside the ZIP becomes the page name. Rec Wiki exports also restore history, tags and images.'}</li>
+        <li>${lang === 'ja' ? 'MediaWiki の XML ダンプ（特別:データ書き出し）。記法は Markdown に変換され、全リビジョンが元の日時で取り込まれます。' : 'A MediaWiki XML dump (Special:Export). Markup is converted to Markdown and every revision is imported with its original timestamp.'}</li>
+      </ul>
+      <div class="form-group">
+        <label>${lang === 'ja' ? 'ファイル' : 'File'} (${lang === 'ja' ? '最大' : 'max'} ${formatBytes(MAX_IMPORT_BYTES)})</label>
+        <input type="file" name="file" accept=".zip,.xml" required>
+      </div>
+      <button class="btn primary" type="submit">🔍 ${lang === 'ja' ? '内容を確認' : 'Review import'}</button>
+      <a class="btn" href="/${wiki.address}-edit">${getText('cancel', lang)}</a>
+    </form>
+  `;
+  res.send(renderLayout(`${wiki.name} ${lang === 'ja' ? 'インポート' : 'Import'}`, body, wiki.favicon, lang, req));
 });
 
-app.post('/:address/settings', ensureCanAdministerWiki, async (req, res) => { // async
+app.post('/:address/import', ensureCanAdministerWiki, importUpload.single('file'), async (req, res) => {
+  const lang = req.userLang;
   const wiki = await wikiByAddress(req.params.address);
-  if (!wiki) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ Wiki not found.</p></div>`, null, req.userLang, req));
-  
-  const mode = ['anyone', 'loggedin', 'invite'].includes(req.body.mode) ? req.body.mode : 'loggedin';
-  const isSearchable = req.body.is_searchable === 'on' ? 1 : 0;
-  const isOwner = wiki.owner_id === req.user.id;
-  const isAdmin = ADMIN_USERS.includes(req.user.id);
+  const fail = (message) => {
+    if (req.file) fs.rm(req.file.path, { force: true }, () => {});
+    return res.status(400).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${escapeHtml(message)}</p><a class="btn" href="/${wiki.address}/import">🔙 ${lang === 'ja' ? '戻る' : 'Back'}</a></div>`, wiki.favicon, lang, req));
+  };
+  if (!req.file) return fail(lang === 'ja' ? 'ファイルを選択してください。' : 'Please choose a file.');
+  purgeStaleImportFiles();
 
-  if (isOwner || isAdmin) {
-    // ON CONFLICT 構文
-    await pool.query(`
-      INSERT INTO wiki_settings (wiki_id, mode, is_searchable) 
-      VALUES ($1, $2, $3) 
-      ON CONFLICT(wiki_id) DO UPDATE SET 
-        mode = excluded.mode, 
-        is_searchable = excluded.is_searchable
-    `, [wiki.id, mode, isSearchable]);
-  } else {
-    await pool.query('UPDATE wiki_settings SET mode = $1 WHERE wiki_id = $2', [mode, wiki.id]);
+  let parsed;
+  let archive = null;
+  try {
+    const isXml = /\.xml$/i.test(req.file.originalname) || fs.readFileSync(req.file.path).subarray(0, 100).toString('utf8').trimStart().startsWith('<');
+    if (isXml) {
+      parsed = parseMediaWikiExport(fs.readFileSync(req.file.path, 'utf8'), lang);
+    } else {
+      parsed = parseMarkdownArchive(new AdmZip(req.file.path), lang);
+      // 画像は確定時にZIPから取り出すので、そのときまで残しておく
+      if (parsed.uploads && parsed.uploads.length) archive = req.file.filename;
+    }
+  } catch (err) {
+    return fail(`${lang === 'ja' ? 'ファイルを読み込めませんでした' : 'Could not read the file'}: ${err.message}`);
   }
-  res.redirect(`/${wiki.address}-edit`);
+  if (!archive) fs.rm(req.file.path, { force: true }, () => {});
+  if (!parsed.pages.length && !parsed.skipped.length) return fail(lang === 'ja' ? '取り込めるページが見つかりませんでした。' : 'No pages were found in the file.');
+
+  const settings = await getWikiSettings(wiki.id);
+  const plan = saveImportPlan(parsed, { wiki, userId: req.user.id, archive, maxPageSize: settings.max_page_size, lang });
+  res.redirect(`/${wiki.address}/import/${plan.token}`);
 });
 
-app.post('/:address/permissions', ensureCanAdministerWiki, async (req, res) => { // async
+app.get('/:address/import/:token', ensureCanAdministerWiki, async (req, res) => {
+  const lang = req.userLang;
   const wiki = await wikiByAddress(req.params.address);
-  if (!wiki) return res.status(404).json({ error: 'not found' });
-  const { editor_id, role } = req.body;
-  if (!editor_id) return res.status(400).json({ error: 'missing editor_id' });
-  
-  // INSERT OR REPLACE -> INSERT ... ON CONFLICT
-  await pool.query(`
-    INSERT INTO wiki_permissions(wiki_id, editor_id, role) 
-    VALUES ($1, $2, $3)
-    ON CONFLICT(wiki_id, editor_id) DO UPDATE SET role = $3
-  `, [wiki.id, editor_id, role || 'editor']);
-  res.json({ success: true });
+  const plan = loadImportPlan(req.params.token);
+  if (!plan || plan.wikiId !== wiki.id || plan.userId !== req.user.id) {
+    return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ ${lang === 'ja' ? 'インポートが見つからないか、期限切れです。' : 'This import was not found or has expired.'}</p><a class="btn" href="/${wiki.address}/import">🔙 ${lang === 'ja' ? '戻る' : 'Back'}</a></div>`, wiki.favicon, lang, req));
+  }
+
+  const conflicts = await importConflicts(wiki.id, plan);
+  const settings = await getWikiSettings(wiki.id);
+  const remainingPages = Math.max(0, settings.max_pages - await countWikiPages(wiki.id));
+  const newCount = plan.pages.filter(p => !conflicts.has(p.name)).length;
+  const sourceLabel = { markdown: 'Markdown ZIP', 'rec-wiki': 'Rec Wiki export', mediawiki: 'MediaWiki XML' }[plan.source];
+
+  const pageRows = plan.pages.map(page => {
+    const existing = conflicts.get(page.name);
+    let status;
+    if (!existing) {
+      status = `<span style="color: var(--success-color);">🆕 ${lang === 'ja' ? '新規作成' : 'New page'}</span>`;
+    } else if (existing.deleted_at) {
+      status = `<span class="danger">🗑️ ${lang === 'ja' ? '削除済みのページが名前を使用しているためスキップ' : 'Skipped: the name is used by a deleted page'}</span>`;
+    } else {
+      status = `
+        <label style="display: inline-flex; align-items: center; gap: 6px; cursor: pointer;">
+          <input type="checkbox" name="overwrite" value="${escapeHtml(page.name)}" style="width: auto;">
+          <span>⚠️ ${lang === 'ja' ? '既存のページ — 上書きする（履歴の後ろに追加）' : 'Existing page — overwrite (appended to its history)'}</span>
+        </label>`;
+    }
+    return `
+      <tr>
+        <td>${existing && !existing.deleted_at ? `<a href="/${wiki.address}/${encodeURIComponent(page.name)}" target="_blank">${escapeHtml(page.name)}</a>` : escapeHtml(page.name)}</td>
+        <td class="mono">${page.revisions.length}</td>
+        <td>${status}</td>
+      </tr>`;
+  }).join('');
+  const skippedRows = plan.skipped.map(s => `<li><strong>${escapeHtml(s.name || '—')}</strong> — <span class="muted">${escapeHtml(s.reason)}</span></li>`).join('');
+
+  const body = `
+    <div class="breadcrumb"><a href="/">🏠 ${getText('home', lang)}</a> > <a href="/${wiki.address}">📚 ${wiki.name}</a> > <a href="/${wiki.address}/import">📥 ${lang === 'ja' ? 'インポート' : 'Import'}</a> > 🔍 ${lang === 'ja' ? '確認' : 'Review'}</div>
+    <h1>🔍 ${lang === 'ja' ? 'インポートの確認' : 'Review import'}</h1>
+    <div class="card">
+      <p><strong>${lang === 'ja' ? '形式' : 'Format'}:</strong> ${sourceLabel}</p>
+      <p>${lang === 'ja'
+        ? `${plan.pages.length} ページ（新規 ${newCount}、既存 ${plan.pages.length - newCount}）、スキップ ${plan.skipped.length} 件${plan.uploads.length ? `、画像 ${plan.uploads.length} 件` : ''}`
+        : `${plan.pages.length} page(s) (${newCount} new, ${plan.pages.length - newCount} existing), ${plan.skipped.length} skipped${plan.uploads.length ? `, ${plan.uploads.length} image(s)` : ''}`}</p>
+      ${newCount > remainingPages ? `<p class="danger">⚠️ ${lang === 'ja' ? `このWikiに作成できるページはあと ${remainingPages} ページです。上限を超えた分はスキップされます。` : `Only ${remainingPages} more page(s) can be created on this wiki. Pages beyond the limit will be skipped.`}</p>` : ''}
+    </div>
+    <form method="post" action="/${wiki.address}/import/${plan.token}/commit">
+      <div class="card">
+        <h3 style="margin-top: 0;">📄 ${lang === 'ja' ? '取り込むページ' : 'Pages to import'}</h3>
+        ${pageRows ? `
+        <table class="diff-table">
+          <tr><th>${lang === 'ja' ? 'ページ名' : 'Page'}</th><th>${lang === 'ja' ? '版' : 'Revisions'}</th><th>${lang === 'ja' ? '状態' : 'Status'}</th></tr>
+          ${pageRows}
+        </table>` : `<p class="muted">${lang === 'ja' ? '取り込めるページはありません。' : 'There are no pages to import.'}</p>`}
+      </div>
+      ${skippedRows ? `
+      <div class="card">
+        <h3 style="margin-top: 0;">⏭️ ${lang === 'ja' ? 'スキップされるページ' : 'Skipped pages'}</h3>
+        <ul>${skippedRows}</ul>
+      </div>` : ''}
+      <button class="btn primary" type="submit" ${pageRows ? '' : 'disabled'}>📥 ${lang === 'ja' ? 'インポートを実行' : 'Run import'}</button>
+      <button class="btn" type="submit" formaction="/${wiki.address}/import/${plan.token}/cancel">${getText('cancel', lang)}</button>
+    </form>
+  `;
+  res.send(renderLayout(`${wiki.name} ${lang === 'ja' ? 'インポートの確認' : 'Review import'}`, body, wiki.favicon, lang, req));
 });
 
-app.post('/:address/invite', ensureCanAdministerWiki, async (req, res) => { // async
+app.post('/:address/import/:token/cancel', ensureCanAdministerWiki, async (req, res) => {
   const wiki = await wikiByAddress(req.params.address);
-  if (!wiki) return res.status(404).json({ error: 'not found' });
-  const { invited_tag, role } = req.body;
-  if (!invited_tag) return res.status(400).json({ error: 'missing invited_tag' });
-  const now = new Date().toISOString();
-  await pool.query('INSERT INTO wiki_invites(wiki_id, invited_tag, role, created_at) VALUES ($1, $2, $3, $4)', [wiki.id, invited_tag, role || 'editor', now]);
-  res.json({ success: true });
+  const plan = loadImportPlan(req.params.token);
+  if (plan && plan.wikiId === wiki.id && plan.userId === req.user.id) discardImportPlan(plan);
+  res.redirect(`/${wiki.address}-edit`);
 });
 
-// --- API: list invites for logged in user ---
-app.get('/api/my-invites', ensureAuth, async (req, res) => { // async
-  const tag = `${req.user.username}#${req.user.discriminator}`;
-  // 配列をawait処理する必要があるためロジック微修正
-  const invitesRes = await pool.query('SELECT id, wiki_id, invited_tag, role, created_at FROM wiki_invites WHERE invited_tag = $1 AND invited_id IS NULL', [tag]);
-  
-  const detailed = [];
-  for (const i of invitesRes.rows) {
-    const wRes = await pool.query('SELECT id, name, address FROM wikis WHERE id = $1 AND deleted_at IS NULL', [i.wiki_id]);
-    const w = wRes.rows[0];
-    if (w) {
-      detailed.push({ inviteId: i.id, wiki: w, role: i.role, created_at: i.created_at });
+app.post('/:address/import/:token/commit', ensureCanAdministerWiki, async (req, res) => {
+  const lang = req.userLang;
+  const wiki = await wikiByAddress(req.params.address);
+  const plan = loadImportPlan(req.params.token);
+  if (!plan || plan.wikiId !== wiki.id || plan.userId !== req.user.id) {
+    return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ ${lang === 'ja' ? 'インポートが見つからないか、期限切れです。' : 'This import was not found or has expired.'}</p><a class="btn" href="/${wiki.address}/import">🔙 ${lang === 'ja' ? '戻る' : 'Back'}</a></div>`, wiki.favicon, lang, req));
+  }
+  // 二重送信で同じ計画が二度取り込まれないよう、先に計画を消す
+  fs.rmSync(importPlanPath(plan.token), { force: true });
+
+  const overwrite = new Set([].concat(req.body.overwrite || []));
+  const settings = await getWikiSettings(wiki.id);
+  const conflicts = await importConflicts(wiki.id, plan);
+  let pageCount = await countWikiPages(wiki.id);
+  const created = [];
+  const updated = [];
+  const skipped = [...plan.skipped];
+  // 画像を先に取り込み、ページ本文の参照を新しいファイル名に書き換える
+  const uploads = await importArchiveUploads(plan, wiki.id, req.user.id, settings.max_upload_bytes);
+
+  for (const page of plan.pages) {
+    page.revisions = page.revisions.map(rev => ({ ...rev, content: rewriteUploadReferences(rev.content, uploads.renamed) }));
+    const existing = conflicts.get(page.name);
+    if (existing && existing.deleted_at) {
+      skipped.push({ name: page.name, reason: lang === 'ja' ? '削除済みのページが名前を使用しています' : 'The name is used by a deleted page' });
+    } else if (existing && !overwrite.has(page.name)) {
+      skipped.push({ name: page.name, reason: lang === 'ja' ? '既存のページ（上書きしない）' : 'Existing page (not overwritten)' });
+    } else if (!existing && pageCount >= settings.max_pages) {
+      skipped.push({ name: page.name, reason: lang === 'ja' ? `ページ数の上限（${settings.max_pages}）` : `Page limit reached (${settings.max_pages})` });
+    } else {
+      const revisionId = await importPageRevisions(wiki.id, existing, page, req.user.id);
+      await emitWikiEvent(wiki, existing ? 'page.edited' : 'page.created', req.user.id, {
+        page: webhookPage(wiki, page.name), revision_id: revisionId, summary: page.revisions[page.revisions.length - 1].summary, minor: false, imported: true
+      });
+      if (existing) {
+        updated.push(page.name);
+      } else {
+        created.push(page.name);
+        pageCount++;
+      }
     }
   }
-  res.json({ invites: detailed });
+  discardImportPlan(plan);
+
+  const pageLinks = (names) => names.map(name => `<a class="chip" href="/${wiki.address}/${encodeURIComponent(name)}">📄 ${escapeHtml(name)}</a>`).join(' ');
+  const body = `
+    <div class="breadcrumb"><a href="/">🏠 ${getText('home', lang)}</a> > <a href="/${wiki.address}">📚 ${wiki.name}</a> > 📥 ${lang === 'ja' ? 'インポート' : 'Import'}</div>
+    <h1>✅ ${lang === 'ja' ? 'インポートが完了しました' : 'Import complete'}</h1>
+    <div class="card">
+      <h3 style="margin-top: 0;">🆕 ${lang === 'ja' ? '作成したページ' : 'Created'} (${created.length})</h3>
+      ${pageLinks(created) || `<p class="muted">—</p>`}
+    </div>
+    <div class="card">
+      <h3 style="margin-top: 0;">✏️ ${lang === 'ja' ? '上書きしたページ' : 'Overwritten'} (${updated.length})</h3>
+      ${pageLinks(updated) || `<p class="muted">—</p>`}
+    </div>
+    ${skipped.length ? `
+    <div class="card">
+      <h3 style="margin-top: 0;">⏭️ ${lang === 'ja' ? 'スキップしたページ' : 'Skipped'} (${skipped.length})</h3>
+      <ul>${skipped.map(s => `<li><strong>${escapeHtml(s.name || '—')}</strong> — <span class="muted">${escapeHtml(s.reason)}</span></li>`).join('')}</ul>
+    </div>` : ''}
+    ${plan.uploads.length ? `<div class="card"><p>🖼️ ${lang === 'ja' ? `画像 ${uploads.added} 件を取り込みました${uploads.skipped ? `（容量の上限により ${uploads.skipped} 件をスキップ）` : ''}${uploads.rejected ? `（対応していない形式・サイズのため ${uploads.rejected} 件をスキップ）` : ''}。` : `Imported ${uploads.added} image(s)${uploads.skipped ? ` (${uploads.skipped} skipped because of the upload limit)` : ''}${uploads.rejected ? ` (${uploads.rejected} skipped because of an unsupported type or size)` : ''}.`}</p></div>` : ''}
+    <a class="btn primary" href="/${wiki.address}/recent-changes">🕒 ${lang === 'ja' ? '最近の更新' : 'Recent changes'}</a>
+    <a class="btn" href="/${wiki.address}-edit">${lang === 'ja' ? 'ダッシュボードに戻る' : 'Back to dashboard'}</a>
+  `;
+  res.send(renderLayout(`${wiki.name} ${lang === 'ja' ? 'インポート' : 'Import'}`, body, wiki.favicon, lang, req));
 });
 
-app.post('/invite/:inviteId/accept', ensureAuth, async (req, res) => { // async
-  if (req.isSuspended) return res.status(403).json({ error: 'Account suspended' });
-  const inviteId = parseInt(req.params.inviteId, 10);
-  const inviteRes = await pool.query('SELECT * FROM wiki_invites WHERE id = $1', [inviteId]);
-  const invite = inviteRes.rows[0];
-  if (!invite) return res.status(404).json({ error: 'invite not found' });
+// --- Trash (deleted pages) ---
+app.get('/:address/trash', ensureCanAdministerWiki, async (req, res) => {
+  const lang = req.userLang;
+  const wiki = await wikiByAddress(req.params.address);
+  if (!wiki) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ ${getText('wikiNotFound', lang)}.</p></div>`, null, lang, req));
 
-  const tag = `${req.user.username}#${req.user.discriminator}`;
-  if (invite.invited_tag !== tag) return res.status(403).json({ error: 'tag mismatch' });
+  const trashRes = await pool.query(`
+    SELECT p.id, p.name, p.deleted_at, p.deleted_by, p.delete_reason,
+      p.deleted_at + make_interval(days => $2) AS purge_at,
+      (SELECT COUNT(*) FROM revisions r WHERE r.page_id = p.id) AS revision_count
+    FROM pages p
+    WHERE p.wiki_id = $1 AND p.deleted_at IS NOT NULL
+    ORDER BY p.deleted_at DESC
+  `, [wiki.id, TRASH_RETENTION_DAYS]);
+  const locale = lang === 'ja' ? 'ja-JP' : 'en-US';
 
-  await pool.query('BEGIN');
-  try {
-    await pool.query('UPDATE wiki_invites SET invited_id = $1 WHERE id = $2', [req.user.id, inviteId]);
-    await pool.query(`
-      INSERT INTO wiki_permissions(wiki_id, editor_id, role) 
-      VALUES ($1, $2, $3)
-      ON CONFLICT(wiki_id, editor_id) DO UPDATE SET role = $3
-    `, [invite.wiki_id, req.user.id, invite.role || 'editor']);
-    await pool.query('COMMIT');
-    res.json({ success: true });
-  } catch (e) {
-    await pool.query('ROLLBACK');
-    res.status(500).json({ error: 'Database error' });
-  }
+  const rows = trashRes.rows.map(p => `
+    <div class="card">
+      <div style="display: flex; justify-content: space-between; align-items: center; gap: 16px; flex-wrap: wrap;">
+        <div>
+          <strong>📄 ${escapeHtml(p.name)}</strong>
+          <span class="muted" style="margin-left: 8px;">(${p.revision_count} ${lang === 'ja' ? 'リビジョン' : 'revisions'})</span>
+          <div class="muted">${lang === 'ja' ? '削除' : 'Deleted'}: ${new Date(p.deleted_at).toLocaleString(locale)}${p.deleted_by ? ` by ${escapeHtml(p.deleted_by)}` : ''}</div>
+          ${p.delete_reason ? `<div class="muted">${lang === 'ja' ? '理由' : 'Reason'}: ${escapeHtml(p.delete_reason)}</div>` : ''}
+          <div class="muted" style="font-size: 12px;">${lang === 'ja' ? '完全削除予定' : 'Purged on'}: ${new Date(p.purge_at).toLocaleDateString(locale)}</div>
+        </div>
+        <form method="post" action="/${wiki.address}/trash/${p.id}/restore">
+          <button class="btn success" type="submit">♻️ ${lang === 'ja' ? '復元' : 'Restore'}</button>
+        </form>
+      </div>
+    </div>
+  `).join('');
+
+  const body = `
+    <div class="breadcrumb"><a href="/">🏠 ${getText('home', lang)}</a> > <a href="/${wiki.address}">📚 ${wiki.name}</a> > <a href="/${wiki.address}-edit">✏️ Dashboard</a> > 🗑️ ${lang === 'ja' ? 'ゴミ箱' : 'Trash'}</div>
+    <h1>🗑️ ${lang === 'ja' ? 'ゴミ箱' : 'Trash'}</h1>
+    <p class="muted">${lang === 'ja' ? `削除されたページは改訂履歴ごと保持され、${TRASH_RETENTION_DAYS}日後に完全に削除されます。` : `Deleted pages are kept with their full revision history and permanently purged after ${TRASH_RETENTION_DAYS} days.`}</p>
+    ${rows || `<div class="card"><p class="muted">${lang === 'ja' ? 'ゴミ箱は空です。' : 'The trash is empty.'}</p></div>`}
+  `;
+  res.send(renderLayout(`${wiki.name} ${lang === 'ja' ? 'ゴミ箱' : 'Trash'}`, body, wiki.favicon, lang, req));
 });
 
-// --- User Profile API and Page ---
-app.get('/api/user/:userId', async (req, res) => { // async
-  const { userId } = req.params;
-  const profileRes = await pool.query('SELECT * FROM user_profiles WHERE user_id = $1', [userId]);
-  const badgesRes = await pool.query('SELECT * FROM user_badges WHERE user_id = $1 ORDER BY created_at DESC', [userId]);
-  const editCountRes = await pool.query('SELECT COUNT(*) as count FROM revisions WHERE editor_id = $1', [userId]);
-  const recentEditsRes = await pool.query(`
-    SELECT p.name as page_name, w.name as wiki_name, w.address as wiki_address
-    FROM revisions r
-    JOIN pages p ON r.page_id = p.id 
-    JOIN wikis w ON p.wiki_id = w.id
-    WHERE r.editor_id = $1 AND w.deleted_at IS NULL AND p.deleted_at IS NULL
-    ORDER BY r.created_at DESC LIMIT 5
-  `, [userId]);
+app.post('/:address/trash/:pageId/restore', ensureCanAdministerWiki, async (req, res) => {
+  const lang = req.userLang;
+  const wiki = await wikiByAddress(req.params.address);
+  if (!wiki) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ ${getText('wikiNotFound', lang)}.</p></div>`, null, lang, req));
 
-  res.json({
-    profile: profileRes.rows[0] || { user_id: userId, display_name: null, bio: null },
-    badges: badgesRes.rows,
-    stats: { editCount: parseInt(editCountRes.rows[0].count) },
-    recentEdits: recentEditsRes.rows
+  const pageRes = await pool.query('SELECT id, name, content FROM pages WHERE id = $1 AND wiki_id = $2 AND deleted_at IS NOT NULL', [parseIdParam(req.params.pageId), wiki.id]);
+  const trashed = pageRes.rows[0];
+  if (!trashed) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ ${getText('pageNotFound', lang)}.</p><a class="btn" href="/${wiki.address}/trash">🔙 ${lang === 'ja' ? '戻る' : 'Back'}</a></div>`, null, lang, req));
+
+  await restorePage(trashed.id);
+  // 復元も履歴に残し、他のページ操作と同じく通知・Webhookを出す
+  const revisionId = await recordRevision(trashed.id, trashed.content, req.user.id, new Date().toISOString(), {
+    summary: lang === 'ja' ? 'ゴミ箱から復元' : 'Restored from the trash'
   });
+  await notifyWatchers(wiki, trashed, req.user.id, 'page_restore', { revisionId });
+  await emitWikiEvent(wiki, 'page.restored', req.user.id, { page: webhookPage(wiki, trashed.name), revision_id: revisionId });
+  res.redirect(`/${wiki.address}/${encodeURIComponent(trashed.name)}`);
 });
 
-// --- Invites Display for Users ---
-app.get('/invites', ensureAuth, (req, res) => {
+// --- Page routes ---
+app.get('/:address/:page/revisions.:format(rss|atom)', async (req, res) => {
   const lang = req.userLang;
-  const isSuspended = !!req.isSuspended;
-  const disabledClass = isSuspended ? 'disabled' : '';
-  const body = `
-    <div class="breadcrumb"><a href="/">🏠 ${getText('home', lang)}</a> > ✉️ ${lang === 'ja' ? '招待' : 'Invites'}</div>
-    <h1>✉️ ${lang === 'ja' ? 'あなたへの招待' : 'Your Invites'}</h1>
-    
-    <div id="invites-container">
-      <div class="card">Loading...</div>
-    </div>
-    
-    <script>
-      fetch('/api/my-invites').then(r => r.json()).then(data => {
-        const container = document.getElementById('invites-container');
-        
-        if (!data.invites.length) {
-          container.innerHTML = '<div class="card"><p class="muted">${lang === 'ja' ? '招待がありません' : 'No pending invites'}.</p></div>';
-          return;
-        }
-        
-        const invitesHtml = data.invites.map(invite => \`
-          <div class="card">
-            <h3>📚 \${invite.wiki.name}</h3>
-            <p class="muted">Role: \${invite.role}</p>
-            <p class="muted">${lang === 'ja' ? '招待日' : 'Invited'}: \${new Date(invite.created_at).toLocaleDateString('${lang === 'ja' ? 'ja-JP' : 'en-US'}')}</p>
-            <div style="margin-top: 16px;">
-              <button class="btn success ${disabledClass}" onclick="acceptInvite(\${invite.inviteId})">${lang === 'ja' ? '承認' : 'Accept'}</button>
-              <a class="btn" href="/\${invite.wiki.address}">${getText('view', '${lang}')}</a>
-            </div>
-          </div>
-        \`).join('');
-        
-        container.innerHTML = invitesHtml;
-      });
-      
-      async function acceptInvite(inviteId) {
-        if (${isSuspended}) {
-            alert('${lang === 'ja' ? 'アカウントが停止されているため、この操作は実行できません。' : 'Your account is suspended, you cannot perform this action.'}');
-            return;
-        }
-        const res = await fetch(\`/invite/\${inviteId}/accept\`, { method: 'POST' });
-        if (res.ok) {
-          alert('${lang === 'ja' ? '招待を承認しました！' : 'Invite accepted!'}');
-          location.reload();
-        } else {
-          alert('${lang === 'ja' ? '承認に失敗しました' : 'Failed to accept invite'}');
-        }
-      }
-    </script>
-  `;
-  
-  res.send(renderLayout(`${lang === 'ja' ? '招待' : 'Invites'}`, body, null, lang, req));
+  const wiki = await wikiByAddress(req.params.address);
+  if (!wiki) return res.status(404).send('Wiki not found');
+  const pg = await pageByWikiAndName(wiki.id, req.params.page);
+  if (!pg) return res.status(404).send('Page not found');
+  const changes = await recentChanges(wiki.id, { page: pg.name, hideMinor: req.query.hideMinor === '1', limit: FEED_ITEM_LIMIT });
+  sendFeed(res, req.params.format, {
+    title: `${wiki.name}/${pg.name} - ${lang === 'ja' ? '改訂履歴' : 'Revision history'}`,
+    link: `${BASE_URL}/${wiki.address}/${encodeURIComponent(pg.name)}/revisions`,
+    selfUrl: `${BASE_URL}${req.originalUrl}`,
+    lang,
+    items: revisionFeedItems(wiki, changes, lang)
+  });
 });
 
-
-// --- User Profile Page (Moved before generic routes) ---
-app.get('/user/:userId', (req, res) => {
-  const { userId } = req.params;
+app.get('/:address/:page/revisions', ensureAuth, async (req, res) => { // async
+  if (req.isSuspended) return res.status(403).send(createSuspensionBlock(req));
+  const { address, page } = req.params;
   const lang = req.userLang;
-  const body = `
-    <div class="breadcrumb"><a href="/">🏠 ${getText('home', lang)}</a> > 👤 ${lang === 'ja' ? 'ユーザープロフィール' : 'User Profile'}</div>
-    <div id="user-profile-container"><div class="card">Loading...</div></div>
-    <script>
-      fetch('/api/user/${userId}').then(r => r.json()).then(data => {
-        const container = document.getElementById('user-profile-container');
-        const { profile, badges, stats, recentEdits } = data;
-        const displayName = profile.display_name || 'User ' + '${userId}'.slice(-4);
-        container.innerHTML = \`
-          <div class="card" style="text-align: center;">
-            <div style="width: 80px; height: 80px; border-radius: 50%; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); display: inline-flex; align-items: center; justify-content: center; color: white; font-size: 24px; font-weight: bold; margin: 0 auto 16px;">\${displayName.charAt(0).toUpperCase()}</div>
-            <h2 style="margin: 0;">\${displayName}</h2>
-            <p class="muted mono" style="font-size: 12px;">ID: ${userId}</p>
-            \${profile.bio ? \`<p style="font-style: italic; color: var(--text-secondary);">\${profile.bio}</p>\` : ''}
-            <div class="list" style="justify-content: center; margin-top: 16px;">
-              \${badges.map(b => \`<span class="chip" style="background-color: \${b.badge_color}; color: white; border-color: \${b.badge_color};">🏆 \${b.badge_name}</span>\`).join('')}
-            </div>
+  const wiki = await wikiByAddress(address);
+  if (!wiki) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ ${getText('wikiNotFound', lang)}.</p></div>`, null, lang, req));
+  const pg = await pageByWikiAndName(wiki.id, page);
+  if (!pg) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ ${getText('pageNotFound', lang)}.</p></div>`, null, lang, req));
+
+  const hideMinor = req.query.hideMinor === '1';
+  const revsRes = await pool.query(`SELECT id, editor_id, created_at, summary, is_minor FROM revisions WHERE page_id = $1 ORDER BY id DESC`, [pg.id]);
+  // 番号は細部の編集を隠しても変わらないように全件で振る
+  const revs = revsRes.rows.map((r, i, all) => ({ ...r, number: all.length - i }));
+  const visibleRevs = revs.filter(r => !(hideMinor && r.is_minor));
+  const rows = visibleRevs.map((r, i) => `
+    <div class="card">
+      <div style="display: flex; justify-content: space-between; align-items: center;">
+        <div style="display: flex; gap: 12px; align-items: center;">
+          <div style="display: flex; flex-direction: column; gap: 4px;" title="${lang === 'ja' ? '比較元 / 比較先' : 'From / To'}">
+            <input type="radio" name="from" value="${r.id}" form="compare-form" ${i === 1 ? 'checked' : ''}>
+            <input type="radio" name="to" value="${r.id}" form="compare-form" ${i === 0 ? 'checked' : ''}>
           </div>
-          <div class="row">
-            <div class="card"><h3>📊 ${getText('stats', lang)}</h3><p>\${stats.editCount} ${lang === 'ja' ? '編集総数' : 'Total Edits'}</p></div>
-            <div class="card"><h3>📝 ${getText('recentEdits', lang)}</h3>
-              \${recentEdits.length ? recentEdits.map(e => \`<div><a href="/\${e.wiki_address}/\${encodeURIComponent(e.page_name)}">📄 \${e.page_name}</a> in 📚 \${e.wiki_name}</div>\`).join('') : '<p class="muted">${lang === 'ja' ? '最近の編集なし' : 'No recent edits'}.</p>'}
-            </div>
+          <div>
+          <strong style="color: var(--accent-color);">${lang === 'ja' ? 'リビジョン' : 'Revision'} #${r.number}</strong>
+          <span class="muted" style="margin-left: 16px;">by ${r.editor_id}</span>
+          ${revisionSummaryHtml(r, lang)}
+          <br>
+          <span class="mono muted">${new Date(r.created_at).toLocaleString(lang === 'ja' ? 'ja-JP' : 'en-US')}</span>
           </div>
-        \`;
-      }).catch(err => {
-        document.getElementById('user-profile-container').innerHTML = \`<div class="card"><p class="danger">Error: ${lang === 'ja' ? 'ユーザープロフィールを読み込めませんでした' : 'Could not load user profile'}.</p></div>\`;
-      });
-    </script>
+        </div>
+        <div style="display: flex; gap: 8px;">
+          <a class="btn" href="/${wiki.address}/${encodeURIComponent(pg.name)}/compare?to=${r.id}">${lang === 'ja' ? '差分' : 'Diff'}</a>
+          <a class="btn" href="/${wiki.address}/${encodeURIComponent(pg.name)}/revision/${r.id}">${getText('view', lang)}</a>
+          ${r.number > 1 ? `
+          <form method="post" action="/${wiki.address}/${encodeURIComponent(pg.name)}/revision/${r.id}/undo" onsubmit="return confirm('${lang === 'ja' ? 'このリビジョンの変更を取り消しますか？' : 'Undo the changes made in this revision?'}')">
+            <button class="btn" type="submit">↩️ ${lang === 'ja' ? '取り消し' : 'Undo'}</button>
+          </form>` : ''}
+        </div>
+      </div>
+    </div>
+  `).join('');
+
+  const body = `
+    <div class="breadcrumb"><a href="/">🏠 ${getText('home', lang)}</a> > <a href="/${wiki.address}">📚 ${wiki.name}</a> > <a href="/${wiki.address}/${encodeURIComponent(pg.name)}">📄 ${pg.name}</a> > 📋 ${lang === 'ja' ? '改訂履歴' : 'Revisions'}</div>
+    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 24px; flex-wrap: wrap; gap: 16px;">
+      <h1>📋 ${lang === 'ja' ? '改訂履歴' : 'Revisions for'} ${pg.name}</h1>
+      <div style="display: flex; gap: 8px; flex-wrap: wrap;">
+        ${visibleRevs.length > 1 ? `
+        <form id="compare-form" method="get" action="/${wiki.address}/${encodeURIComponent(pg.name)}/compare">
+          <button class="btn primary" type="submit">🔍 ${lang === 'ja' ? '選択した版を比較' : 'Compare selected revisions'}</button>
+        </form>` : ''}
+        <a class="btn" href="/${wiki.address}/${encodeURIComponent(pg.name)}/blame">🕵️ ${lang === 'ja' ? '行ごとの変更者' : 'Blame'}</a>
+        <a class="btn" href="/${wiki.address}/${encodeURIComponent(pg.name)}/revisions.atom" title="${lang === 'ja' ? 'このページの履歴フィード' : 'Feed of this page\'s history'}">📡 Atom</a>
+        <a class="btn" href="/${wiki.address}/${encodeURIComponent(pg.name)}/revisions${hideMinor ? '' : '?hideMinor=1'}">${hideMinor ? (lang === 'ja' ? '細部の編集を表示' : 'Show minor edits') : (lang === 'ja' ? '細部の編集を隠す' : 'Hide minor edits')}</a>
+        <a class="btn" href="/${wiki.address}/${encodeURIComponent(pg.name)}">📄 ${lang === 'ja' ? 'ページに戻る' : 'Back to Page'}</a>
+      </div>
+    </div>
+    ${rows || `<div class="card"><p class="muted">${lang === 'ja' ? '改訂履歴がまだありません' : 'No revisions yet'}.</p></div>`}
   `;
-  res.send(renderLayout(`${lang === 'ja' ? 'ユーザープロフィール' : 'User Profile'}`, body, null, lang, req));
+  res.send(renderLayout(`${wiki.name}/${pg.name} ${lang === 'ja' ? '改訂履歴' : 'Revisions'}`, body, wiki.favicon, lang, req));
 });
-
-// --- Page routes ---
-app.get('/:address/:page/revisions', ensureAuth, async (req, res) => { // async
+
+// 任意の2つのリビジョンを比較（from 省略時は to の直前の版、to 省略時は最新版）
+app.get('/:address/:page/compare', ensureAuth, async (req, res) => {
   if (req.isSuspended) return res.status(403).send(createSuspensionBlock(req));
   const { address, page } = req.params;
   const lang = req.userLang;
@@ -2148,31 +6191,118 @@ app.get('/:address/:page/revisions', ensureAuth, async (req, res) => { // async
   const pg = await pageByWikiAndName(wiki.id, page);
   if (!pg) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ ${getText('pageNotFound', lang)}.</p></div>`, null, lang, req));
 
-  const revsRes = await pool.query(`SELECT id, editor_id, created_at FROM revisions WHERE page_id = $1 ORDER BY id DESC`, [pg.id]);
-  const revs = revsRes.rows;
-  const rows = revs.map((r, i) => `
+  const revisionById = async (id) => {
+    const revRes = await pool.query('SELECT * FROM revisions WHERE id = $1 AND page_id = $2', [id, pg.id]);
+    return revRes.rows[0];
+  };
+  // from / to は省略可。指定されていれば int4 の範囲内の正の整数に限る
+  const toId = req.query.to ? parseIdParam(req.query.to) : 0;
+  const fromId = req.query.from ? parseIdParam(req.query.from) : 0;
+  if ((req.query.to && !toId) || (req.query.from && !fromId)) {
+    return res.status(400).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${lang === 'ja' ? 'リビジョンIDが正しくありません' : 'Invalid revision ID'}.</p><a class="btn" href="/${wiki.address}/${encodeURIComponent(pg.name)}/revisions">📋 ${lang === 'ja' ? '履歴' : 'History'}</a></div>`, wiki.favicon, lang, req));
+  }
+  let to = toId ? await revisionById(toId) : await latestRevision(pg.id);
+  let from = null;
+  if (fromId) {
+    from = await revisionById(fromId);
+  } else if (to) {
+    const prevRes = await pool.query('SELECT * FROM revisions WHERE page_id = $1 AND id < $2 ORDER BY id DESC LIMIT 1', [pg.id, to.id]);
+    from = prevRes.rows[0] || null;
+  }
+  if (!to || (fromId && !from)) {
+    return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ ${lang === 'ja' ? 'リビジョンが見つかりません' : 'Revision not found'}.</p><a class="btn" href="/${wiki.address}/${encodeURIComponent(pg.name)}/revisions">📋 ${lang === 'ja' ? '履歴' : 'History'}</a></div>`, wiki.favicon, lang, req));
+  }
+  // 古い版を左（比較元）にそろえる
+  if (from && from.id > to.id) [from, to] = [to, from];
+
+  // 直前の版との差分なら、その変更の取り消しを提示する
+  const parentRes = await pool.query('SELECT id FROM revisions WHERE page_id = $1 AND id < $2 ORDER BY id DESC LIMIT 1', [pg.id, to.id]);
+  const canUndo = !!(from && parentRes.rows[0] && parentRes.rows[0].id === from.id);
+
+  const mode = req.query.mode === 'inline' ? 'inline' : 'side';
+  const rows = buildLineDiff(from ? from.content : '', to.content);
+  const changed = rows.some(r => r.type !== 'same');
+  const locale = lang === 'ja' ? 'ja-JP' : 'en-US';
+  const baseUrl = `/${wiki.address}/${encodeURIComponent(pg.name)}/compare?${from ? `from=${from.id}&` : ''}to=${to.id}`;
+  const revisionHeader = (rev, label) => rev ? `
+    <div>
+      <strong>${label}: <a href="/${wiki.address}/${encodeURIComponent(pg.name)}/revision/${rev.id}">${lang === 'ja' ? 'リビジョン' : 'Revision'} ${rev.id}</a></strong>
+      <div class="muted">by ${rev.editor_id} • <span class="mono">${new Date(rev.created_at).toLocaleString(locale)}</span></div>
+      <div>${revisionSummaryHtml(rev, lang)}</div>
+    </div>` : `<div><strong>${label}:</strong> <span class="muted">${lang === 'ja' ? '（ページ作成前）' : '(before the page was created)'}</span></div>`;
+
+  const body = `
+    <div class="breadcrumb"><a href="/">🏠 ${getText('home', lang)}</a> > <a href="/${wiki.address}">📚 ${wiki.name}</a> > <a href="/${wiki.address}/${encodeURIComponent(pg.name)}">📄 ${escapeHtml(pg.name)}</a> > <a href="/${wiki.address}/${encodeURIComponent(pg.name)}/revisions">📋 ${lang === 'ja' ? '履歴' : 'History'}</a> > 🔍 ${lang === 'ja' ? '比較' : 'Compare'}</div>
+    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 24px; flex-wrap: wrap; gap: 16px;">
+      <h1>🔍 ${lang === 'ja' ? '版の比較' : 'Compare revisions'}: ${escapeHtml(pg.name)}</h1>
+      <div style="display: flex; gap: 8px; flex-wrap: wrap;">
+        <a class="btn ${mode === 'side' ? 'primary' : ''}" href="${baseUrl}&mode=side">${lang === 'ja' ? '左右に並べる' : 'Side by side'}</a>
+        <a class="btn ${mode === 'inline' ? 'primary' : ''}" href="${baseUrl}&mode=inline">${lang === 'ja' ? 'インライン' : 'Inline'}</a>
+        ${canUndo ? `
+        <form method="post" action="/${wiki.address}/${encodeURIComponent(pg.name)}/revision/${to.id}/undo" onsubmit="return confirm('${lang === 'ja' ? 'このリビジョンの変更を取り消しますか？' : 'Undo the changes made in this revision?'}')">
+          <button class="btn" type="submit">↩️ ${lang === 'ja' ? 'この変更を取り消す' : 'Undo this change'}</button>
+        </form>` : ''}
+      </div>
+    </div>
     <div class="card">
-      <div style="display: flex; justify-content: space-between; align-items: center;">
-        <div>
-          <strong style="color: var(--accent-color);">${lang === 'ja' ? 'リビジョン' : 'Revision'} #${revs.length - i}</strong>
-          <span class="muted" style="margin-left: 16px;">by ${r.editor_id}</span>
-          <br>
-          <span class="mono muted">${new Date(r.created_at).toLocaleString(lang === 'ja' ? 'ja-JP' : 'en-US')}</span>
-        </div>
-        <a class="btn" href="/${wiki.address}/${encodeURIComponent(pg.name)}/revision/${r.id}">${getText('view', lang)}</a>
+      <div class="row">
+        ${revisionHeader(from, lang === 'ja' ? '比較元' : 'From')}
+        ${revisionHeader(to, lang === 'ja' ? '比較先' : 'To')}
       </div>
     </div>
-  `).join('');
+    <div class="card" style="overflow-x: auto;">
+      ${changed
+        ? (mode === 'inline' ? renderInlineDiff(rows, lang) : renderSideBySideDiff(rows, lang))
+        : `<p class="muted">${lang === 'ja' ? '2つの版の内容は同じです。' : 'The two revisions are identical.'}</p>`}
+    </div>
+  `;
+  res.send(renderLayout(`${wiki.name}/${pg.name} ${lang === 'ja' ? '比較' : 'Compare'}`, body, wiki.favicon, lang, req));
+});
+
+app.get('/:address/:page/blame', ensureAuth, async (req, res) => {
+  if (req.isSuspended) return res.status(403).send(createSuspensionBlock(req));
+  const { address, page } = req.params;
+  const lang = req.userLang;
+  const wiki = await wikiByAddress(address);
+  if (!wiki) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ ${getText('wikiNotFound', lang)}.</p></div>`, null, lang, req));
+  const pg = await pageByWikiAndName(wiki.id, page);
+  if (!pg) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ ${getText('pageNotFound', lang)}.</p></div>`, null, lang, req));
+
+  // 新しい順に上限まで読み、古い順に並べ直す
+  const revsRes = await pool.query('SELECT id, content, editor_id, created_at, summary FROM revisions WHERE page_id = $1 ORDER BY id DESC LIMIT $2', [pg.id, MAX_BLAME_REVISIONS + 1]);
+  const revisions = [];
+  let totalBytes = 0;
+  for (const rev of revsRes.rows.slice(0, MAX_BLAME_REVISIONS)) {
+    totalBytes += Buffer.byteLength(rev.content || '', 'utf8');
+    if (revisions.length && totalBytes > MAX_BLAME_BYTES) break;
+    revisions.push(rev);
+  }
+  const truncated = revisions.length < revsRes.rows.length;
+  revisions.reverse();
+  // 打ち切った場合は、たどる範囲の直前の版を起点にする
+  const lines = blameLines(truncated ? [revsRes.rows[revisions.length], ...revisions] : revisions, pg.content, { truncated });
+  const locale = lang === 'ja' ? 'ja-JP' : 'en-US';
+  const pageUrl = `/${wiki.address}/${encodeURIComponent(pg.name)}`;
+
+  // 同じリビジョンが続く行は最初の行にだけ帰属情報を表示する
+  const rowsHtml = lines.map(({ line, revision }, i) => {
+    const first = i === 0 || lines[i - 1].revision !== revision;
+    const info = !first ? '' : revision
+      ? `<a href="${pageUrl}/compare?to=${revision.id}" title="${escapeHtml(revision.summary || '')}">#${revision.id}</a> <span class="muted">${escapeHtml(revision.editor_id)} • ${new Date(revision.created_at).toLocaleDateString(locale)}</span>`
+      : `<span class="muted">${lang === 'ja' ? '不明' : 'unknown'}</span>`;
+    return `<tr${first && i > 0 ? ' class="blame-start"' : ''}><td class="blame-info">${info}</td><td class="ln">${i + 1}</td><td>${escapeHtml(line)}</td></tr>`;
+  }).join('');
 
   const body = `
-    <div class="breadcrumb"><a href="/">🏠 ${getText('home', lang)}</a> > <a href="/${wiki.address}">📚 ${wiki.name}</a> > <a href="/${wiki.address}/${encodeURIComponent(pg.name)}">📄 ${pg.name}</a> > 📋 ${lang === 'ja' ? '改訂履歴' : 'Revisions'}</div>
-    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 24px; flex-wrap: wrap; gap: 16px;">
-      <h1>📋 ${lang === 'ja' ? '改訂履歴' : 'Revisions for'} ${pg.name}</h1>
-      <a class="btn" href="/${wiki.address}/${encodeURIComponent(pg.name)}">📄 ${lang === 'ja' ? 'ページに戻る' : 'Back to Page'}</a>
+    <div class="breadcrumb"><a href="/">🏠 ${getText('home', lang)}</a> > <a href="/${wiki.address}">📚 ${wiki.name}</a> > <a href="${pageUrl}">📄 ${escapeHtml(pg.name)}</a> > <a href="${pageUrl}/revisions">📋 ${lang === 'ja' ? '履歴' : 'History'}</a> > 🕵️ ${lang === 'ja' ? '行ごとの変更者' : 'Blame'}</div>
+    <h1>🕵️ ${lang === 'ja' ? '行ごとの変更者' : 'Blame'}: ${escapeHtml(pg.name)}</h1>
+    <p class="muted">${lang === 'ja' ? '各行を最後に変更したリビジョンと編集者です。リビジョン番号をクリックするとその変更の差分を表示します。' : 'Each line is attributed to the revision and editor that last changed it. Click a revision number to see its diff.'}</p>
+    ${truncated ? `<p class="muted">⚠️ ${lang === 'ja' ? `履歴が長いため、直近 ${revisions.length} 件のリビジョンだけをたどっています。それより前に変更された行は「不明」と表示されます。` : `The history is long, so only the latest ${revisions.length} revisions are traced. Lines last changed before them are shown as "unknown".`}</p>` : ''}
+    <div class="card" style="overflow-x: auto;">
+      ${rowsHtml ? `<table class="diff-table blame-table">${rowsHtml}</table>` : `<p class="muted">${lang === 'ja' ? 'このページは空です。' : 'This page is empty.'}</p>`}
     </div>
-    ${rows || `<div class="card"><p class="muted">${lang === 'ja' ? '改訂履歴がまだありません' : 'No revisions yet'}.</p></div>`}
   `;
-  res.send(renderLayout(`${wiki.name}/${pg.name} ${lang === 'ja' ? '改訂履歴' : 'Revisions'}`, body, wiki.favicon, lang, req));
+  res.send(renderLayout(`${wiki.name}/${pg.name} Blame`, body, wiki.favicon, lang, req));
 });
 
 app.get('/:address/:page/revision/:revId', ensureCanAdministerWiki, async (req, res) => { // async
@@ -2202,6 +6332,8 @@ app.get('/:address/:page/revision/:revId', ensureCanAdministerWiki, async (req,
     <h1>${lang === 'ja' ? 'リビジョン' : 'Revision'} from ${new Date(revision.created_at).toLocaleString()}</h1>
     <p>${lang === 'ja' ? 'このリビジョンにページを巻き戻すことができます。' : 'You can roll back the page to this revision.'}</p>
     
+    <p><a class="btn" href="/${wiki.address}/${encodeURIComponent(page)}/compare?to=${revision.id}">🔍 ${lang === 'ja' ? '直前の版との差分' : 'Diff with previous revision'}</a></p>
+
     <form method="post" action="/${wiki.address}/${encodeURIComponent(page)}/revision/${revId}/rollback" onsubmit="return confirm('${lang === 'ja' ? '本当にこのリビジョンに巻き戻しますか？' : 'Are you sure you want to roll back to this revision?'}')">
       <button class="btn danger" type="submit">⏪ ${lang === 'ja' ? 'このバージョンに巻き戻す' : 'Rollback to this Version'}</button>
     </form>
@@ -2227,20 +6359,272 @@ app.post('/:address/:page/revision/:revId/rollback', ensureCanAdministerWiki, as
   const pg = await pageByWikiAndName(wiki.id, page); // ✅ awaitを追加
   if (!pg) return res.status(404).send('Page not found');
 
+  if (!(await canEditProtectedPage(wiki, pg, req.user.id))) return res.status(403).send(createProtectionBlock(req, wiki, pg));
+
   const revisionRes = await pool.query('SELECT * FROM revisions WHERE id = $1 AND page_id = $2', [revId, pg.id]);
   const revision = revisionRes.rows[0];
   if (!revision) return res.status(404).send('Revision not found');
 
+  const rollbackRevisionId = await updatePageContent(wiki.id, pg.id, revision.content, req.user.id, {
+    summary: req.userLang === 'ja' ? `リビジョン ${revision.id} に巻き戻し` : `Rolled back to revision ${revision.id}`
+  });
+  await notifyWatchers(wiki, pg, req.user.id, 'page_rollback', { revisionId: rollbackRevisionId });
+  await emitWikiEvent(wiki, 'page.rolled_back', req.user.id, {
+    page: webhookPage(wiki, pg.name), revision_id: rollbackRevisionId, restored_revision_id: revision.id
+  });
+
+  res.redirect(`/${address}/${encodeURIComponent(page)}`);
+});
+
+// 1つのリビジョンの変更だけを現在の内容から取り消す（以降の編集は残す）
+app.post('/:address/:page/revision/:revId/undo', ensureCanEdit, async (req, res) => {
+  const { address, page } = req.params;
+  const lang = req.userLang;
+  const wiki = await wikiByAddress(address);
+  if (!wiki) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ ${getText('wikiNotFound', lang)}.</p></div>`, null, lang, req));
+  const pg = await pageByWikiAndName(wiki.id, page);
+  if (!pg) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ ${getText('pageNotFound', lang)}.</p></div>`, null, lang, req));
+
+  const historyUrl = `/${wiki.address}/${encodeURIComponent(pg.name)}/revisions`;
+  const fail = (status, message) => res.status(status).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${message}</p><a class="btn" href="${historyUrl}">📋 ${lang === 'ja' ? '履歴に戻る' : 'Back to history'}</a></div>`, wiki.favicon, lang, req));
+
+  const revisionRes = await pool.query('SELECT * FROM revisions WHERE id = $1 AND page_id = $2', [parseIdParam(req.params.revId), pg.id]);
+  const revision = revisionRes.rows[0];
+  if (!revision) return fail(404, lang === 'ja' ? 'リビジョンが見つかりません。' : 'Revision not found.');
+  const parentRes = await pool.query('SELECT content FROM revisions WHERE page_id = $1 AND id < $2 ORDER BY id DESC LIMIT 1', [pg.id, revision.id]);
+  if (!parentRes.rows[0]) return fail(400, lang === 'ja' ? 'ページ作成時のリビジョンは取り消せません。削除を使ってください。' : 'The revision that created the page cannot be undone. Delete the page instead.');
+
+  // revision の変更を逆向きにしたもの（revision → 直前の版）を現在の内容に当てる
+  const undone = mergeThreeWay(revision.content, pg.content || '', parentRes.rows[0].content);
+  if (undone === null) {
+    return fail(409, lang === 'ja' ? 'その後の編集と重なっているため、このリビジョンを自動的に取り消せませんでした。手動で編集してください。' : 'This revision could not be undone automatically because later edits overlap with it. Please edit the page manually.');
+  }
+  if (undone === (pg.content || '')) {
+    return fail(400, lang === 'ja' ? 'このリビジョンの変更は既に現在の内容に残っていません。' : 'The changes from this revision are no longer present in the current content.');
+  }
+
+  const undoSummary = lang === 'ja' ? `${revision.editor_id} によるリビジョン ${revision.id} を取り消し` : `Undo revision ${revision.id} by ${revision.editor_id}`;
+  const undoRevisionId = await updatePageContent(wiki.id, pg.id, undone, req.user.id, { summary: undoSummary });
+  await notifyWatchers(wiki, pg, req.user.id, 'page_edit', { revisionId: undoRevisionId, summary: undoSummary });
+  await emitWikiEvent(wiki, 'page.edited', req.user.id, { page: webhookPage(wiki, pg.name), revision_id: undoRevisionId, summary: undoSummary, minor: false });
+  res.redirect(`/${wiki.address}/${encodeURIComponent(pg.name)}`);
+});
+
+// --- Move (rename) page ---
+app.get('/:address/:page/move', ensureCanEdit, async (req, res) => {
+  const { address, page } = req.params;
+  const lang = req.userLang;
+  const wiki = await wikiByAddress(address);
+  if (!wiki) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ ${getText('wikiNotFound', lang)}.</p></div>`, null, lang, req));
+  const pg = await pageByWikiAndName(wiki.id, page);
+  if (!pg) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ ${getText('pageNotFound', lang)}.</p></div>`, null, lang, req));
+
+  const backlinks = await backlinksFor(wiki.id, pg.name);
+  const body = `
+    <div class="breadcrumb"><a href="/">🏠 ${getText('home', lang)}</a> > <a href="/${wiki.address}">📚 ${wiki.name}</a> > <a href="/${wiki.address}/${encodeURIComponent(pg.name)}">📄 ${escapeHtml(pg.name)}</a> > 🔀 ${lang === 'ja' ? '移動' : 'Move'}</div>
+    <h1>🔀 ${lang === 'ja' ? 'ページの移動（名前の変更）' : 'Move (Rename) Page'}</h1>
+    <form method="post" action="/${wiki.address}/${encodeURIComponent(pg.name)}/move" class="card">
+      <div class="form-group">
+        <label>${lang === 'ja' ? '現在のページ名' : 'Current name'}</label>
+        <input value="${escapeHtml(pg.name)}" disabled>
+      </div>
+      <div class="form-group">
+        <label>📝 ${lang === 'ja' ? '新しいページ名' : 'New name'}</label>
+        <input name="new_name" required maxlength="100" value="${escapeHtml(pg.name)}">
+        <div class="form-help">${lang === 'ja' ? '改訂履歴はそのまま新しい名前に引き継がれます。' : 'The revision history moves with the page.'}</div>
+      </div>
+      <div class="form-group">
+        <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
+          <input type="checkbox" name="leave_redirect" checked style="width: auto;">
+          <span>${lang === 'ja' ? '元の名前にリダイレクトを残す' : 'Leave a redirect behind at the old name'}</span>
+        </label>
+      </div>
+      <div class="form-group">
+        <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
+          <input type="checkbox" name="rewrite_links" style="width: auto;">
+          <span>${lang === 'ja' ? `このページへのリンクを新しい名前に書き換える（${backlinks.length} ページ）` : `Rewrite links to this page (${backlinks.length} page(s))`}</span>
+        </label>
+      </div>
+      <button class="btn primary" type="submit">🔀 ${lang === 'ja' ? '移動' : 'Move'}</button>
+      <a class="btn" href="/${wiki.address}/${encodeURIComponent(pg.name)}">${getText('cancel', lang)}</a>
+    </form>
+  `;
+  res.send(renderLayout(`${wiki.name}/${pg.name} ${lang === 'ja' ? '移動' : 'Move'}`, body, wiki.favicon, lang, req));
+});
+
+app.post('/:address/:page/move', ensureCanEdit, async (req, res) => {
+  const { address, page } = req.params;
+  const lang = req.userLang;
+  const wiki = await wikiByAddress(address);
+  if (!wiki) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ ${getText('wikiNotFound', lang)}.</p></div>`, null, lang, req));
+  const pg = await pageByWikiAndName(wiki.id, page);
+  if (!pg) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ ${getText('pageNotFound', lang)}.</p></div>`, null, lang, req));
+
+  const backUrl = `/${wiki.address}/${encodeURIComponent(pg.name)}/move`;
+  const newName = (req.body.new_name || '').toString().trim();
+  if (!newName || newName.length > 100 || newName === pg.name) {
+    return res.status(400).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${lang === 'ja' ? '新しいページ名が無効です。' : 'Invalid new page name.'}</p><a class="btn" href="${backUrl}">🔙 ${lang === 'ja' ? '戻る' : 'Back'}</a></div>`, null, lang, req));
+  }
+  if (isReservedPageName(newName)) {
+    return res.status(400).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${reservedPageNameMessage(lang)}</p><a class="btn" href="${backUrl}">🔙 ${lang === 'ja' ? '戻る' : 'Back'}</a></div>`, null, lang, req));
+  }
+
+  // 削除済みページも名前を占有している (UNIQUE(wiki_id, name))
+  const takenRes = await pool.query('SELECT deleted_at FROM pages WHERE wiki_id = $1 AND name = $2', [wiki.id, newName]);
+  if (takenRes.rows.length > 0) {
+    const message = takenRes.rows[0].deleted_at
+      ? (lang === 'ja' ? 'その名前は削除済みのページが使用しています。' : 'That name is used by a deleted page.')
+      : (lang === 'ja' ? 'その名前のページは既に存在します。' : 'A page with that name already exists.');
+    return res.status(409).send(renderLayout('Duplicate', `<div class="card"><p class="danger">❌ ${message}</p><a class="btn" href="${backUrl}">🔙 ${lang === 'ja' ? '戻る' : 'Back'}</a></div>`, null, lang, req));
+  }
+
+  // リダイレクトを残すとページが1つ増えるので、編集と同じページ数の上限を確認する
+  const settings = await getWikiSettings(wiki.id);
+  if (req.body.leave_redirect === 'on' && await countWikiPages(wiki.id) >= settings.max_pages) {
+    return res.status(403).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${lang === 'ja' ? `このWikiのページ数の上限（${settings.max_pages}）に達しているため、リダイレクトを残せません。リダイレクトなしで移動してください。` : `This wiki has reached its page limit (${settings.max_pages}), so a redirect cannot be left behind. Move the page without a redirect.`}</p><a class="btn" href="${backUrl}">🔙 ${lang === 'ja' ? '戻る' : 'Back'}</a></div>`, null, lang, req));
+  }
+
+  const oldName = pg.name;
   const now = new Date().toISOString();
-  const rollbackContent = revision.content;
+  await pool.query('UPDATE pages SET name = $1, updated_at = $2 WHERE id = $3', [newName, now, pg.id]);
+  await syncPageIndexes(wiki.id, pg.id, pg.content);
+  // 本文は変わらないが、移動を履歴に残す
+  const moveRevisionId = await recordRevision(pg.id, pg.content, req.user.id, now, {
+    summary: lang === 'ja' ? `[[${oldName}]] から [[${newName}]] へ移動` : `Moved [[${oldName}]] to [[${newName}]]`
+  });
+  await notifyWatchers(wiki, { id: pg.id, name: newName }, req.user.id, 'page_move', { oldName, revisionId: moveRevisionId });
+  await emitWikiEvent(wiki, 'page.moved', req.user.id, { page: webhookPage(wiki, newName), old_name: oldName, revision_id: moveRevisionId });
+
+  // 保護されていて編集できないページ・上限を超えるページはリンクを書き換えず、移動後に一覧で知らせる
+  const skippedLinks = [];
+  if (req.body.rewrite_links === 'on') {
+    const linkingRes = await pool.query(`
+      SELECT p.id, p.name, p.content, p.is_locked, p.lock_expires_at FROM page_links l
+      JOIN pages p ON p.id = l.source_page_id
+      WHERE l.wiki_id = $1 AND l.target_name = $2 AND p.deleted_at IS NULL
+    `, [wiki.id, oldName]);
+    for (const linking of linkingRes.rows) {
+      const rewritten = rewriteWikiLinks(linking.content, oldName, newName);
+      if (rewritten === linking.content) continue;
+      if (!(await canEditProtectedPage(wiki, linking, req.user.id))) {
+        skippedLinks.push({ name: linking.name, reason: lang === 'ja' ? 'ページが保護されています' : 'The page is protected' });
+        continue;
+      }
+      if (Buffer.byteLength(rewritten, 'utf8') > settings.max_page_size) {
+        skippedLinks.push({ name: linking.name, reason: lang === 'ja' ? '書き換えるとページサイズの上限を超えます' : 'Rewriting would exceed the page size limit' });
+        continue;
+      }
+      const summary = lang === 'ja' ? `[[${oldName}]] から [[${newName}]] への移動に合わせてリンクを更新` : `Updated links after moving [[${oldName}]] to [[${newName}]]`;
+      const revisionId = await updatePageContent(wiki.id, linking.id, rewritten, req.user.id, { summary, isMinor: true });
+      await notifyWatchers(wiki, linking, req.user.id, 'page_edit', { revisionId, summary, isMinor: true });
+      await emitWikiEvent(wiki, 'page.edited', req.user.id, { page: webhookPage(wiki, linking.name), revision_id: revisionId, summary, minor: true });
+    }
+  }
 
-  await pool.query('UPDATE pages SET content = $1, updated_at = $2 WHERE id = $3', [rollbackContent, now, pg.id]);
-  await pool.query('INSERT INTO revisions(page_id, content, editor_id, created_at) VALUES ($1, $2, $3, $4)', [pg.id, rollbackContent, req.user.id, now]);
+  if (req.body.leave_redirect === 'on') {
+    const summary = lang === 'ja' ? `[[${newName}]] へのリダイレクト` : `Redirect to [[${newName}]]`;
+    const redirectPageId = await createPage(wiki.id, oldName, `#REDIRECT [[${newName}]]`, req.user.id, { summary });
+    const revisionId = (await latestRevision(redirectPageId)).id;
+    await notifyWatchers(wiki, { id: redirectPageId, name: oldName }, req.user.id, 'page_edit', { revisionId: null, summary, isMinor: false, created: true });
+    await emitWikiEvent(wiki, 'page.created', req.user.id, { page: webhookPage(wiki, oldName), revision_id: revisionId, summary, minor: false });
+  }
 
-  res.redirect(`/${address}/${encodeURIComponent(page)}`);
+  const movedUrl = `/${wiki.address}/${encodeURIComponent(newName)}`;
+  if (skippedLinks.length === 0) return res.redirect(movedUrl);
+  const body = `
+    <div class="breadcrumb"><a href="/">🏠 ${getText('home', lang)}</a> > <a href="/${wiki.address}">📚 ${wiki.name}</a> > <a href="${movedUrl}">📄 ${escapeHtml(newName)}</a></div>
+    <h1>✅ ${lang === 'ja' ? 'ページを移動しました' : 'Page moved'}</h1>
+    <div class="card">
+      <h3 style="margin-top: 0;">⏭️ ${lang === 'ja' ? 'リンクを書き換えなかったページ' : 'Pages whose links were not rewritten'} (${skippedLinks.length})</h3>
+      <ul>${skippedLinks.map(s => `<li><a href="/${wiki.address}/${encodeURIComponent(s.name)}">${escapeHtml(s.name)}</a> — <span class="muted">${escapeHtml(s.reason)}</span></li>`).join('')}</ul>
+    </div>
+    <a class="btn" href="${movedUrl}">📄 ${lang === 'ja' ? '移動したページを開く' : 'Open the moved page'}</a>
+  `;
+  res.send(renderLayout(lang === 'ja' ? 'ページを移動しました' : 'Page moved', body, null, lang, req));
+});
+
+// --- Delete page (move to trash) ---
+app.get('/:address/:page/delete', ensureCanAdministerWiki, async (req, res) => {
+  const { address, page } = req.params;
+  const lang = req.userLang;
+  const wiki = await wikiByAddress(address);
+  if (!wiki) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ ${getText('wikiNotFound', lang)}.</p></div>`, null, lang, req));
+  const pg = await pageByWikiAndName(wiki.id, page);
+  if (!pg) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ ${getText('pageNotFound', lang)}.</p></div>`, null, lang, req));
+
+  const body = `
+    <div class="breadcrumb"><a href="/">🏠 ${getText('home', lang)}</a> > <a href="/${wiki.address}">📚 ${wiki.name}</a> > <a href="/${wiki.address}/${encodeURIComponent(pg.name)}">📄 ${escapeHtml(pg.name)}</a> > 🗑️ ${getText('delete', lang)}</div>
+    <h1>🗑️ ${lang === 'ja' ? 'ページの削除' : 'Delete Page'}</h1>
+    <form method="post" action="/${wiki.address}/${encodeURIComponent(pg.name)}/delete" class="card">
+      <p>${lang === 'ja' ? `「${escapeHtml(pg.name)}」をゴミ箱に移動します。${TRASH_RETENTION_DAYS}日以内ならゴミ箱から改訂履歴ごと復元できます。` : `"${escapeHtml(pg.name)}" will be moved to the trash. It can be restored with its full history within ${TRASH_RETENTION_DAYS} days.`}</p>
+      <div class="form-group">
+        <label>${lang === 'ja' ? '削除理由' : 'Reason'}</label>
+        <input name="reason" required maxlength="500">
+      </div>
+      <button class="btn danger" type="submit">🗑️ ${getText('delete', lang)}</button>
+      <a class="btn" href="/${wiki.address}/${encodeURIComponent(pg.name)}">${getText('cancel', lang)}</a>
+    </form>
+  `;
+  res.send(renderLayout(`${wiki.name}/${pg.name} ${getText('delete', lang)}`, body, wiki.favicon, lang, req));
+});
+
+app.post('/:address/:page/delete', ensureCanAdministerWiki, async (req, res) => {
+  const { address, page } = req.params;
+  const lang = req.userLang;
+  const wiki = await wikiByAddress(address);
+  if (!wiki) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ ${getText('wikiNotFound', lang)}.</p></div>`, null, lang, req));
+  const pg = await pageByWikiAndName(wiki.id, page);
+  if (!pg) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ ${getText('pageNotFound', lang)}.</p></div>`, null, lang, req));
+
+  const reason = (req.body.reason || '').toString().trim().slice(0, 500);
+  if (!reason) {
+    return res.status(400).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${lang === 'ja' ? '削除理由を入力してください。' : 'Please enter a reason.'}</p><a class="btn" href="/${wiki.address}/${encodeURIComponent(pg.name)}/delete">🔙 ${lang === 'ja' ? '戻る' : 'Back'}</a></div>`, null, lang, req));
+  }
+
+  await trashPage(pg.id, req.user.id, reason);
+  await emitWikiEvent(wiki, 'page.deleted', req.user.id, { page: webhookPage(wiki, pg.name), reason });
+  res.redirect(`/${wiki.address}/trash`);
 });
 
-app.get('/:address/:page/edit', ensureCanEdit, async (req, res) => { // async
+// 自動マージできなかったときの競合画面。自分の版を編集して再送すると最新版を基準に保存される
+const renderEditConflict = (req, wiki, page, { current, mine }) => {
+  const lang = req.userLang;
+  const isAnonymous = !req.user;
+  const body = `
+    <div class="breadcrumb"><a href="/">🏠 ${getText('home', lang)}</a> > <a href="/${wiki.address}">📚 ${wiki.name}</a> > <a href="/${wiki.address}/${encodeURIComponent(page)}">📄 ${escapeHtml(page)}</a> > ⚠️ ${lang === 'ja' ? '編集競合' : 'Edit conflict'}</div>
+    <div class="card" style="border-left: 4px solid var(--danger-color);">
+      <h2 style="margin-top: 0;">⚠️ ${lang === 'ja' ? '編集競合' : 'Edit conflict'}</h2>
+      <p>${lang === 'ja'
+        ? 'あなたが編集している間に、他の人がこのページを更新しました。変更が重なっているため自動でマージできませんでした。右側のあなたの版を修正してから保存してください。'
+        : 'Someone else saved this page while you were editing, and the changes overlap so they could not be merged automatically. Adjust your version on the right, then save.'}</p>
+    </div>
+    <form method="post" action="/${wiki.address}/${encodeURIComponent(page)}/edit" class="card">
+      <input type="hidden" name="base_revision_id" value="${current.id}">
+      ${req.body.tags !== undefined ? `<input type="hidden" name="tags" value="${escapeHtml(req.body.tags)}">` : ''}
+      <input type="hidden" name="summary" value="${escapeHtml(req.body.summary || '')}">
+      ${req.body.is_minor ? '<input type="hidden" name="is_minor" value="on">' : ''}
+      <div class="editor-split">
+        <div>
+          <label>🌐 ${lang === 'ja' ? '現在の版' : 'Current version'} (#${current.id})</label>
+          <textarea readonly>${escapeHtml(current.content || '')}</textarea>
+        </div>
+        <div>
+          <label>✏️ ${lang === 'ja' ? 'あなたの版' : 'Your version'}</label>
+          <textarea name="content">${escapeHtml(mine)}</textarea>
+        </div>
+      </div>
+      ${isAnonymous ? `<div class="form-group" style="margin-top: 16px;">${turnstileWidget()}</div>` : ''}
+      <div style="display: flex; gap: 8px; margin-top: 16px;">
+        <button class="btn success" type="submit">💾 ${getText('save', lang)}</button>
+        <a class="btn" href="/${wiki.address}/${encodeURIComponent(page)}">${lang === 'ja' ? '保存せずに戻る' : 'Discard and go back'}</a>
+      </div>
+    </form>
+    ${isAnonymous ? '<script src="https://challenges.cloudflare.com/turnstile/v0/api.js" async defer></script>' : ''}
+  `;
+  return renderLayout(`${wiki.name}/${page} ${lang === 'ja' ? '編集競合' : 'Edit conflict'}`, body, wiki.favicon, lang, req);
+};
+
+app.get('/:address/:page/edit', ensureCanEditPage, async (req, res) => { // async
   const { address, page } = req.params;
   const lang = req.userLang;
   const wiki = await wikiByAddress(address);
@@ -2248,6 +6632,48 @@ app.get('/:address/:page/edit', ensureCanEdit, async (req, res) => { // async
 
   const pg = await pageByWikiAndName(wiki.id, req.params.page); // await
   const content = pg ? (pg.content || '') : '';
+  const baseRevision = pg ? await latestRevision(pg.id) : null;
+  const isAnonymous = !req.user;
+  const currentRevisionId = baseRevision ? baseRevision.id : 0;
+
+  // 保存されていない下書きがあれば復元を提案する
+  const draft = isAnonymous ? null : await draftFor(wiki.id, page, req.user.id);
+  const hasDraft = !!(draft && draft.content !== content);
+  const draftStale = hasDraft && (draft.base_revision_id || 0) !== currentRevisionId;
+  const draftBanner = hasDraft ? `
+      <div id="draft-banner" class="card" style="border-left: 4px solid var(--accent-color); padding: 12px 16px;">
+        💾 ${lang === 'ja' ? `${new Date(draft.updated_at).toLocaleString('ja-JP')} に自動保存された下書きがあります。` : `You have a draft autosaved at ${new Date(draft.updated_at).toLocaleString('en-US')}.`}
+        ${draftStale ? `<div class="danger" style="margin-top: 4px;">⚠️ ${lang === 'ja' ? 'この下書きの作成後にページが更新されています。復元して保存すると、可能な範囲で自動マージされます。' : 'The page has been updated since this draft was started. If you restore and save it, the changes will be merged where possible.'}</div>` : ''}
+        <textarea id="draft-content" hidden>${escapeHtml(draft.content)}</textarea>
+        <div style="display: flex; gap: 8px; margin-top: 8px;">
+          <button class="btn primary" type="button" onclick="restoreDraft(${draft.base_revision_id || 0})">${lang === 'ja' ? '下書きを復元' : 'Restore draft'}</button>
+          <button class="btn" type="button" onclick="discardDraft()">${lang === 'ja' ? '破棄' : 'Discard'}</button>
+        </div>
+      </div>` : '';
+  const templateUsers = page.startsWith(TEMPLATE_PREFIX) ? await pagesUsingTemplate(wiki.id, page) : [];
+  const templateNotice = templateUsers.length ? `
+      <div class="card" style="border-left: 4px solid var(--warning-color); padding: 12px 16px;">
+        🧩 ${lang === 'ja' ? `このテンプレートは ${templateUsers.length} ページで使用されています。編集はそれらすべてに反映されます。` : `This template is used by ${templateUsers.length} page(s). Your edit will affect all of them.`}
+        <a href="/${wiki.address}/${encodeURIComponent(page)}">${lang === 'ja' ? '一覧を見る' : 'See the list'}</a>
+      </div>` : '';
+
+  // 匿名編集では画像アップロードを使えない代わりに Turnstile 認証を求める
+  const uploadHtml = isAnonymous ? `
+      <div class="card" style="background-color: var(--bg-secondary);">
+        <p class="muted" style="margin: 0;">🕶️ ${lang === 'ja'
+          ? `ログインしていません。編集は匿名ID <code>${req.anonId}</code>（IPアドレスから生成）として記録されます。`
+          : `You are not logged in. Your edit will be attributed to the anonymous ID <code>${req.anonId}</code> (derived from your IP address).`}
+          <a href="/auth/discord">${getText('login', lang)}</a></p>
+      </div>` : `
+      <div class="form-group">
+        <label>🖼️ ${lang === 'ja' ? '画像アップロード' : 'Image Upload'}</label>
+        <div id="upload-zone" class="upload-zone">
+          <div>📎 ${lang === 'ja' ? 'ここに画像をドラッグ＆ドロップするか、クリックして選択' : 'Drag & drop images here or click to select'}</div>
+          <div class="muted" style="font-size: 12px;">JPG, PNG, GIF, WebP ${lang === 'ja' ? 'サポート（最大10MB）' : 'supported (Max 10MB)'}</div>
+          <input type="file" id="image-upload" multiple accept="image/*" style="display: none;">
+        </div>
+        <div id="preview-images" class="preview-images"></div>
+      </div>`;
 
   const body = `
     <div class="breadcrumb"><a href="/">🏠 ${getText('home', lang)}</a> > <a href="/${wiki.address}">📚 ${wiki.name}</a> > <a href="/${wiki.address}/${encodeURIComponent(page)}">📄 ${page}</a> > ✏️ ${getText('edit', lang)}</div>
@@ -2258,17 +6684,12 @@ app.get('/:address/:page/edit', ensureCanEdit, async (req, res) => { // async
         <a class="btn" href="/${wiki.address}-edit">🏠 Dashboard</a>
       </div>
     </div>
+    ${templateNotice}
+    ${draftBanner}
     <form method="post" action="/${wiki.address}/${encodeURIComponent(page)}/edit" class="card">
+      <input type="hidden" name="base_revision_id" value="${currentRevisionId}">
       <h2>📝 ${getText('edit', lang)} Content</h2>
-      <div class="form-group">
-        <label>🖼️ ${lang === 'ja' ? '画像アップロード' : 'Image Upload'}</label>
-        <div id="upload-zone" class="upload-zone">
-          <div>📎 ${lang === 'ja' ? 'ここに画像をドラッグ＆ドロップするか、クリックして選択' : 'Drag & drop images here or click to select'}</div>
-          <div class="muted" style="font-size: 12px;">JPG, PNG, GIF, WebP ${lang === 'ja' ? 'サポート（最大10MB）' : 'supported (Max 10MB)'}</div>
-          <input type="file" id="image-upload" multiple accept="image/*" style="display: none;">
-        </div>
-        <div id="preview-images" class="preview-images"></div>
-      </div>
+      ${uploadHtml}
       <details style="margin-bottom: 20px; border: 1px solid var(--border-color); border-radius: 8px; padding: 12px; background-color: var(--bg-secondary);">
         <summary style="cursor: pointer; font-weight: 500;">${lang === 'ja' ? 'Markdown記法サンプル' : 'Markdown Cheatsheet'}</summary>
         <pre style="margin-top: 12px; background-color: var(--card-bg);"><code># 見出し1
@@ -2294,12 +6715,36 @@ function hello() {
 </code></pre>
       </details>
       <div class="form-group">
-        <label>📄 Markdown Content</label>
-        <textarea name="content" placeholder="# Start with a heading!">${content.replace(/</g,'&lt;')}</textarea>
-        <div class="form-help">${lang === 'ja' ? 'Markdownで記述。保存後にプレビューが利用可能です。' : 'Written in Markdown. Preview is available after saving.'}</div>
+        <div class="editor-split">
+          <div>
+            <label>📄 Markdown Content</label>
+            <textarea name="content" placeholder="# Start with a heading!">${content.replace(/</g,'&lt;')}</textarea>
+          </div>
+          <div>
+            <label>👁️ ${lang === 'ja' ? 'プレビュー' : 'Preview'} <span id="preview-status" class="muted" style="font-size: 12px;"></span></label>
+            <div id="editor-preview" class="editor-preview content"></div>
+          </div>
+        </div>
+        <div class="form-help">${lang === 'ja' ? 'Markdownで記述。入力に合わせてプレビューが更新されます（保存はされません）。' : 'Written in Markdown. The preview updates as you type (nothing is saved).'}</div>
+      </div>
+      <div class="form-group">
+        <label>🏷️ ${lang === 'ja' ? 'タグ' : 'Tags'}</label>
+        <input name="tags" value="${escapeHtml(tagsOf(pg).join(', '))}" placeholder="${lang === 'ja' ? '例: ガイド, 初心者向け' : 'e.g., guide, beginner'}" maxlength="1000">
+        <div class="form-help">${lang === 'ja' ? 'カンマ区切りで入力（最大20個）。' : 'Comma-separated (up to 20).'}</div>
+      </div>
+      <div class="form-group">
+        <label>📝 ${lang === 'ja' ? '編集の要約' : 'Edit summary'}</label>
+        <input name="summary" maxlength="${MAX_SUMMARY_LENGTH}" placeholder="${lang === 'ja' ? '例: 誤字を修正' : 'e.g., Fixed typo'}">
+        ${pg && !isAnonymous ? `
+        <label style="display: flex; align-items: center; gap: 8px; cursor: pointer; margin-top: 8px;">
+          <input type="checkbox" name="is_minor">
+          <span>${lang === 'ja' ? 'これは細部の編集です' : 'This is a minor edit'}</span>
+        </label>` : ''}
       </div>
+      ${isAnonymous ? `<div class="form-group">${turnstileWidget()}</div>` : ''}
       <button class="btn success" type="submit">💾 ${getText('save', lang)}</button>
     </form>
+    ${isAnonymous ? '<script src="https://challenges.cloudflare.com/turnstile/v0/api.js" async defer></script>' : ''}
     <script>
       function initImageUpload() {
         const uploadZone = document.getElementById('upload-zone');
@@ -2320,10 +6765,14 @@ function hello() {
         
         async function uploadImage(file) {
           const formData = new FormData();
+          formData.append('wiki', '${wiki.address}');
           formData.append('image', file);
           try {
             const response = await fetch('/api/upload-image', { method: 'POST', body: formData });
-            if (!response.ok) throw new Error('Upload failed');
+            if (!response.ok) {
+              const failure = await response.json().catch(() => ({}));
+              throw new Error(failure.error || 'Upload failed');
+            }
             const result = await response.json();
             uploadedImages.push({ url: result.url, originalName: file.name });
             updatePreview();
@@ -2352,33 +6801,243 @@ function hello() {
       }
       
       document.addEventListener('DOMContentLoaded', initImageUpload);
+
+      function initLivePreview() {
+        const textarea = document.querySelector('textarea[name="content"]');
+        const preview = document.getElementById('editor-preview');
+        const status = document.getElementById('preview-status');
+        if (!textarea || !preview) return;
+
+        let timer = null;
+        let latest = 0;
+        async function refresh() {
+          const seq = ++latest;
+          status.textContent = '${lang === 'ja' ? '更新中…' : 'Updating…'}';
+          try {
+            const response = await fetch('/${wiki.address}/${encodeURIComponent(page)}/preview', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ content: textarea.value })
+            });
+            const result = await response.json().catch(() => ({}));
+            if (seq !== latest) return;
+            if (!response.ok) throw new Error(result.error || response.status);
+            preview.innerHTML = result.html;
+            status.textContent = '';
+          } catch (err) {
+            if (seq === latest) status.textContent = '${lang === 'ja' ? 'プレビューに失敗しました' : 'Preview failed'}: ' + err.message;
+          }
+        }
+        textarea.addEventListener('input', () => {
+          clearTimeout(timer);
+          timer = setTimeout(refresh, 500);
+        });
+        refresh();
+      }
+
+      document.addEventListener('DOMContentLoaded', initLivePreview);
+      ${isAnonymous ? '' : `
+      const draftUrl = '/${wiki.address}/${encodeURIComponent(page)}/draft';
+      let draftBaseRevisionId = ${currentRevisionId};
+
+      function restoreDraft(baseRevisionId) {
+        const textarea = document.querySelector('textarea[name="content"]');
+        textarea.value = document.getElementById('draft-content').value;
+        // 下書きの基準版を引き継ぎ、保存時に編集競合として扱わせる
+        draftBaseRevisionId = baseRevisionId;
+        document.querySelector('input[name="base_revision_id"]').value = baseRevisionId;
+        document.getElementById('draft-banner').remove();
+        textarea.dispatchEvent(new Event('input'));
+      }
+
+      async function discardDraft() {
+        await fetch(draftUrl + '/delete', { method: 'POST' });
+        document.getElementById('draft-banner').remove();
+      }
+
+      function initDraftAutosave() {
+        const textarea = document.querySelector('textarea[name="content"]');
+        const status = document.getElementById('preview-status');
+        if (!textarea) return;
+        let lastSaved = textarea.value;
+        setInterval(async () => {
+          if (textarea.value === lastSaved) return;
+          const content = textarea.value;
+          try {
+            const response = await fetch(draftUrl, {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ content, base_revision_id: draftBaseRevisionId })
+            });
+            if (response.ok) {
+              lastSaved = content;
+              status.textContent = '${lang === 'ja' ? '下書きを保存しました' : 'Draft saved'} ' + new Date().toLocaleTimeString();
+            } else if (response.status === 409) {
+              status.textContent = '${lang === 'ja' ? `下書きが多すぎるため保存できません（上限 ${MAX_DRAFTS_PER_USER} 件）` : `Draft not saved: you have too many drafts (limit ${MAX_DRAFTS_PER_USER})`}';
+            }
+          } catch (err) {}
+        }, 15000);
+      }
+
+      document.addEventListener('DOMContentLoaded', initDraftAutosave);`}
     </script>
   `;
   res.send(renderLayout(`${wiki.name}/${page} ${getText('edit', lang)}`, body, wiki.favicon, lang, req));
 });
 
-app.post('/:address/:page/edit', ensureCanEdit, async (req, res) => { // async
+// 保存せずに描画結果だけを返す（ページ表示と同じ renderWikiContent を通す）
+app.post('/:address/:page/preview', ensureCanEditPage, async (req, res) => {
+  const wiki = await wikiByAddress(req.params.address);
+  if (!wiki) return res.status(404).json({ error: 'Wiki not found' });
+
+  const content = (req.body.content ?? '').toString();
+  const settings = await getWikiSettings(wiki.id);
+  if (Buffer.byteLength(content, 'utf8') > settings.max_page_size) {
+    return res.status(413).json({ error: req.userLang === 'ja' ? `ページが大きすぎます（上限 ${formatBytes(settings.max_page_size)}）` : `The page is too large (limit ${formatBytes(settings.max_page_size)})` });
+  }
+
+  const isWikiAdmin = req.isAuthenticated() && await canAdministerWiki(wiki, req.user.id);
+  const isSiteAdmin = req.isAuthenticated() && ADMIN_USERS.includes(req.user.id);
+  const html = await renderWikiContent(wiki, content, { isAdmin: isWikiAdmin, isSiteAdmin, lang: req.userLang });
+  res.json({ html });
+});
+
+app.post('/:address/:page/draft', ensureCanEdit, async (req, res) => {
+  const wiki = await wikiByAddress(req.params.address);
+  if (!wiki) return res.status(404).json({ error: 'Wiki not found' });
+
+  const content = (req.body.content ?? '').toString();
+  const settings = await getWikiSettings(wiki.id);
+  if (Buffer.byteLength(content, 'utf8') > settings.max_page_size) return res.status(413).json({ error: 'Draft too large' });
+  if (req.params.page.length > 100) return res.status(400).json({ error: 'Invalid page name' });
+
+  // 既存の下書きの上書きは上限に数えない
+  if (!(await draftFor(wiki.id, req.params.page, req.user.id))) {
+    const countRes = await pool.query('SELECT COUNT(*) AS count FROM page_drafts WHERE wiki_id = $1 AND user_id = $2', [wiki.id, req.user.id]);
+    if (Number(countRes.rows[0].count) >= MAX_DRAFTS_PER_USER) return res.status(409).json({ error: 'Too many drafts' });
+  }
+
+  await pool.query(`
+    INSERT INTO page_drafts(wiki_id, page_name, user_id, content, base_revision_id, updated_at)
+    VALUES ($1, $2, $3, $4, $5, NOW())
+    ON CONFLICT(wiki_id, page_name, user_id) DO UPDATE SET
+      content = excluded.content, base_revision_id = excluded.base_revision_id, updated_at = excluded.updated_at
+  `, [wiki.id, req.params.page, req.user.id, content, parseIdParam(req.body.base_revision_id) || null]);
+  res.json({ success: true });
+});
+
+app.post('/:address/:page/draft/delete', ensureCanEdit, async (req, res) => {
+  const wiki = await wikiByAddress(req.params.address);
+  if (!wiki) return res.status(404).json({ error: 'Wiki not found' });
+  await deleteDraft(wiki.id, req.params.page, req.user.id);
+  res.json({ success: true });
+});
+
+// --- Watch toggles ---
+app.post('/:address/watch', ensureAuth, async (req, res) => {
+  const lang = req.userLang;
+  const wiki = await wikiByAddress(req.params.address);
+  if (!wiki) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ ${getText('wikiNotFound', lang)}.</p></div>`, null, lang, req));
+  await toggleWatch(req.user.id, wiki.id);
+  res.redirect(req.body.back === 'notifications' ? '/notifications' : `/${wiki.address}`);
+});
+
+app.post('/:address/:page/watch', ensureAuth, async (req, res) => {
+  const lang = req.userLang;
+  const wiki = await wikiByAddress(req.params.address);
+  if (!wiki) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ ${getText('wikiNotFound', lang)}.</p></div>`, null, lang, req));
+  const pg = await pageByWikiAndName(wiki.id, req.params.page);
+  if (!pg) return res.status(404).send(renderLayout('404', `<div class="card"><p class="danger">❌ ${getText('pageNotFound', lang)}.</p></div>`, null, lang, req));
+  await toggleWatch(req.user.id, wiki.id, pg.id);
+  res.redirect(req.body.back === 'notifications' ? '/notifications' : `/${wiki.address}/${encodeURIComponent(pg.name)}`);
+});
+
+app.post('/:address/:page/edit', ensureCanEditPage, async (req, res) => { // async
   const { address, page } = req.params;
+  const lang = req.userLang;
   const wiki = await wikiByAddress(address);
   if (!wiki) return res.status(404).send(renderLayout('404', 'Wiki not found', null, req.userLang, req));
 
-  const now = new Date().toISOString();
-  const content = (req.body.content ?? '').toString();
+  let content = (req.body.content ?? '').toString();
   const pg = await pageByWikiAndName(wiki.id, page);
+  const editorId = req.user ? req.user.id : req.anonId;
+
+  // 匿名編集は Wiki 作成と同じ Turnstile 認証を通す
+  if (!req.user) {
+    let verified = false;
+    try {
+      verified = await verifyTurnstile(req);
+    } catch (err) {
+      console.error('Turnstile verification error:', err);
+    }
+    if (!verified) {
+      return res.status(403).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${lang === 'ja' ? '認証に失敗しました。もう一度お試しください。' : 'Verification failed. Please try again.'}</p><a class="btn" href="javascript:history.back()">🔙 ${lang === 'ja' ? '戻る' : 'Back'}</a></div>`, wiki.favicon, lang, req));
+    }
+  }
+
+  if (!pg && isReservedPageName(page)) {
+    return res.status(400).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${reservedPageNameMessage(lang)}</p><a class="btn" href="/${wiki.address}">🔙 ${lang === 'ja' ? '戻る' : 'Back'}</a></div>`, wiki.favicon, lang, req));
+  }
+
+  if (!pg && await trashedPageByWikiAndName(wiki.id, page)) {
+    return res.status(409).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${lang === 'ja' ? 'このページは削除されてゴミ箱にあります。Wiki管理者がゴミ箱から復元できます。' : 'This page was deleted and is in the trash. A wiki admin can restore it from the trash.'}</p><a class="btn" href="/${wiki.address}">🔙 ${lang === 'ja' ? '戻る' : 'Back'}</a></div>`, null, lang, req));
+  }
+
+  // 編集競合: 編集開始時のリビジョン以降に他の保存があれば三方向マージを試みる
+  let merged = false;
+  if (pg && req.body.base_revision_id !== undefined) {
+    const baseRevisionId = parseIdParam(req.body.base_revision_id);
+    const current = await latestRevision(pg.id);
+    if (current && current.id !== baseRevisionId) {
+      const baseRes = await pool.query('SELECT content FROM revisions WHERE id = $1 AND page_id = $2', [baseRevisionId, pg.id]);
+      // 編集開始時のリビジョンが見つからなければマージせず競合として扱う
+      const mergedContent = baseRes.rows[0] ? mergeThreeWay(baseRes.rows[0].content, pg.content || '', content) : null;
+      if (mergedContent === null) {
+        return res.status(409).send(renderEditConflict(req, wiki, page, { current, mine: content }));
+      }
+      merged = mergedContent !== content;
+      content = mergedContent;
+    }
+  } else if (!pg && parseInt(req.body.base_revision_id, 10) > 0) {
+    // 編集中に他の人がページを移動・削除した
+    return res.status(409).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${lang === 'ja' ? '編集中にこのページは移動または削除されました。' : 'This page was moved or deleted while you were editing.'}</p><textarea readonly>${escapeHtml(content)}</textarea><a class="btn" href="/${wiki.address}">🔙 ${lang === 'ja' ? '戻る' : 'Back'}</a></div>`, wiki.favicon, lang, req));
+  }
+
+  // Wikiごとの容量制限
+  const settings = await getWikiSettings(wiki.id);
+  const backButton = `<a class="btn" href="javascript:history.back()">🔙 ${lang === 'ja' ? '戻る' : 'Back'}</a>`;
+  const contentSize = Buffer.byteLength(content, 'utf8');
+  if (contentSize > settings.max_page_size) {
+    return res.status(413).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${lang === 'ja' ? `ページが大きすぎます（${formatBytes(contentSize)}）。このWikiの上限は ${formatBytes(settings.max_page_size)} です。` : `The page is too large (${formatBytes(contentSize)}). This wiki allows up to ${formatBytes(settings.max_page_size)}.`}</p>${backButton}</div>`, wiki.favicon, lang, req));
+  }
+  if (!pg && await countWikiPages(wiki.id) >= settings.max_pages) {
+    return res.status(403).send(renderLayout('Error', `<div class="card"><p class="danger">❌ ${lang === 'ja' ? `このWikiのページ数の上限（${settings.max_pages}）に達しているため、新しいページを作成できません。` : `This wiki has reached its page limit (${settings.max_pages}), so no new pages can be created.`}</p>${backButton}</div>`, wiki.favicon, lang, req));
+  }
+
+  // 匿名編集は細部の編集にできない
+  const revisionInfo = parseEditSummary(req.body);
+  if (!req.user) revisionInfo.isMinor = false;
 
   let pageId;
+  let revisionId = null;
   if (pg) {
-    await pool.query('UPDATE pages SET content = $1, updated_at = $2 WHERE id = $3', [content, now, pg.id]);
+    revisionId = await updatePageContent(wiki.id, pg.id, content, editorId, revisionInfo);
     pageId = pg.id;
   } else {
-    // 新規作成時は RETURNING id を使う
-    const newPageRes = await pool.query('INSERT INTO pages(wiki_id, name, content, updated_at) VALUES ($1, $2, $3, $4) RETURNING id', [wiki.id, page, content, now]);
-    pageId = newPageRes.rows[0].id;
+    pageId = await createPage(wiki.id, page, content, editorId, revisionInfo);
   }
+  await notifyWatchers(wiki, { id: pageId, name: page }, editorId, 'page_edit', {
+    revisionId, summary: revisionInfo.summary, isMinor: revisionInfo.isMinor, created: !pg
+  });
+  await emitWikiEvent(wiki, pg ? 'page.edited' : 'page.created', editorId, {
+    page: webhookPage(wiki, page), revision_id: revisionId || (await latestRevision(pageId)).id, summary: revisionInfo.summary, minor: revisionInfo.isMinor
+  });
+  if (req.body.tags !== undefined) {
+    await setPageTags(pageId, parseTags(req.body.tags));
+  }
+  if (req.user) await deleteDraft(wiki.id, page, req.user.id);
   
-  await pool.query('INSERT INTO revisions(page_id, content, editor_id, created_at) VALUES ($1, $2, $3, $4)', [pageId, content, req.user.id, now]);
-  
-  res.redirect(`/${wiki.address}/${encodeURIComponent(page)}`);
+  res.redirect(`/${wiki.address}/${encodeURIComponent(page)}${merged ? '?merged=1' : ''}`);
 });
 
 app.get('/:address/:page', async (req, res) => {
@@ -2389,6 +7048,17 @@ app.get('/:address/:page', async (req, res) => {
 
   const pg = await pageByWikiAndName(wiki.id, page);
   if (!pg) {
+    const trashed = await trashedPageByWikiAndName(wiki.id, page);
+    if (trashed) {
+      return res.status(404).send(renderLayout(`${wiki.name}/${page}`, `
+        <div class="breadcrumb"><a href="/">🏠 ${getText('home', lang)}</a> > <a href="/${wiki.address}">📚 ${wiki.name}</a> > 📄 ${escapeHtml(page)}</div>
+        <div class="card" style="text-align: center;">
+          <h1>🗑️ ${escapeHtml(page)}</h1>
+          <p class="muted">${lang === 'ja' ? 'このページは削除されました。' : 'This page has been deleted.'}</p>
+          ${trashed.delete_reason ? `<p class="muted">${lang === 'ja' ? '理由' : 'Reason'}: ${escapeHtml(trashed.delete_reason)}</p>` : ''}
+        </div>
+      `, wiki.favicon, lang, req));
+    }
     const isSuspended = !!req.isSuspended;
     const disabledClass = isSuspended ? 'disabled' : '';
     return res.status(404).send(renderLayout(`${wiki.name}/${page}`, `
@@ -2400,20 +7070,47 @@ app.get('/:address/:page', async (req, res) => {
     `, wiki.favicon, lang, req));
   }
 
+  // リダイレクトページは1段だけ追従する（?redirect=no でリダイレクトページ自体を表示）
+  const redirectTarget = redirectTargetOf(pg.content);
+  if (redirectTarget && req.query.redirect !== 'no' && !req.query.redirectedFrom) {
+    return res.redirect(`/${wiki.address}/${encodeURIComponent(redirectTarget)}?redirectedFrom=${encodeURIComponent(pg.name)}`);
+  }
+
   try {
     pool.query('UPDATE wikis SET views = COALESCE(views, 0) + 1 WHERE id = $1', [wiki.id]);
   } catch (e) {
     console.warn('views update failed', e.message);
   }
 
-  // ✅ 修正: スタブ処理を適用
-  const isAdmin = req.isAuthenticated() && ADMIN_USERS.includes(req.user.id);
-  const renderedMarkdown = md.render(pg.content || ''); 
-  const sanitizedHtml = sanitize(renderedMarkdown);    
-  const html = processStubs(sanitizedHtml, isAdmin); // これで isAdmin が使えるようになります
+  // ✅ 修正: スタブ処理を適用（管理者限定の通知はWiki管理者とサイト管理者に、削除候補はサイト管理者だけに表示）
+  const isWikiAdmin = req.isAuthenticated() && await canAdministerWiki(wiki, req.user.id);
+  const isSiteAdmin = req.isAuthenticated() && ADMIN_USERS.includes(req.user.id);
+  const html = await renderWikiContent(wiki, pg.content, { isAdmin: isWikiAdmin, isSiteAdmin, lang });
+  const backlinks = await backlinksFor(wiki.id, pg.name);
+  const backlinksHtml = backlinks.map(b => `<a class="chip" href="/${wiki.address}/${encodeURIComponent(b.name)}">📄 ${escapeHtml(b.name)}</a>`).join(' ');
+  const isTemplate = pg.name.startsWith(TEMPLATE_PREFIX);
+  const templateUsers = isTemplate ? await pagesUsingTemplate(wiki.id, pg.name) : [];
+  const templateUsersHtml = templateUsers.map(u => `<a class="chip" href="/${wiki.address}/${encodeURIComponent(u.name)}">📄 ${escapeHtml(u.name)}</a>`).join(' ');
   
+  const redirectedFrom = req.query.redirectedFrom ? String(req.query.redirectedFrom) : null;
+  let redirectNotice = req.query.merged ? `<p class="muted">🔀 ${lang === 'ja' ? '編集中に他の人が行った変更と自動的にマージして保存しました。' : 'Your edit was saved after automatically merging it with changes made by someone else.'}</p>` : '';
+  if (redirectedFrom) {
+    redirectNotice += `<p class="muted">↪️ ${lang === 'ja' ? 'リダイレクト元' : 'Redirected from'} <a href="/${wiki.address}/${encodeURIComponent(redirectedFrom)}?redirect=no">${escapeHtml(redirectedFrom)}</a></p>`;
+  } else if (redirectTarget) {
+    redirectNotice += `<p class="muted">↪️ ${lang === 'ja' ? 'このページは次のページへのリダイレクトです' : 'This page is a redirect to'} <a href="/${wiki.address}/${encodeURIComponent(redirectTarget)}">${escapeHtml(redirectTarget)}</a></p>`;
+  }
+
   const isSuspended = !!req.isSuspended;
   const disabledClass = isSuspended ? 'disabled' : '';
+  const watchingPage = req.isAuthenticated() && await isWatching(req.user.id, wiki.id, pg.id);
+  const watchingWiki = req.isAuthenticated() && await isWatching(req.user.id, wiki.id);
+  const watchButtons = req.isAuthenticated() ? `
+        <form method="post" action="/${wiki.address}/${encodeURIComponent(pg.name)}/watch" style="display: inline;">
+          <button class="btn" type="submit">${watchingPage ? `👁️ ${lang === 'ja' ? 'ウォッチ解除' : 'Unwatch'}` : `👀 ${lang === 'ja' ? 'ウォッチ' : 'Watch'}`}</button>
+        </form>
+        <form method="post" action="/${wiki.address}/watch" style="display: inline;">
+          <button class="btn" type="submit" title="${lang === 'ja' ? 'このWikiのすべてのページの変更を通知' : 'Get notified about changes to every page in this wiki'}">${watchingWiki ? `📚 ${lang === 'ja' ? 'Wikiのウォッチ解除' : 'Unwatch wiki'}` : `📚 ${lang === 'ja' ? 'Wikiをウォッチ' : 'Watch wiki'}`}</button>
+        </form>` : '';
   const body = `
     <div class="breadcrumb"><a href="/">🏠 ${getText('home', lang)}</a> > <a href="/${wiki.address}">📚 ${wiki.name}</a> > 📄 ${pg.name}</div>
     <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 24px; flex-wrap: wrap; gap: 16px;">
@@ -2421,10 +7118,31 @@ app.get('/:address/:page', async (req, res) => {
       <div style="display: flex; gap: 8px; flex-wrap: wrap;">
         <a class="btn ${disabledClass}" href="/${wiki.address}/${encodeURIComponent(pg.name)}/edit">✏️ ${getText('edit', lang)}</a>
         <a class="btn ${disabledClass}" href="/${wiki.address}/${encodeURIComponent(pg.name)}/revisions">📋 ${lang === 'ja' ? '履歴' : 'History'}</a>
+        <a class="btn" href="/${wiki.address}/recent-changes">🕒 ${lang === 'ja' ? '最近の更新' : 'Recent changes'}</a>
+        <a class="btn ${disabledClass}" href="/${wiki.address}/${encodeURIComponent(pg.name)}/move">🔀 ${lang === 'ja' ? '移動' : 'Move'}</a>
+        ${isWikiAdmin ? `<a class="btn danger ${disabledClass}" href="/${wiki.address}/${encodeURIComponent(pg.name)}/delete">🗑️ ${getText('delete', lang)}</a>` : ''}
+        ${watchButtons}
+        <form action="/${wiki.address}/search" method="get" style="display: flex; gap: 8px;">
+          <input name="q" placeholder="${lang === 'ja' ? 'Wiki内を検索' : 'Search this wiki'}" style="width: 180px; padding: 8px 12px;">
+          <button class="btn" type="submit">🔍</button>
+        </form>
       </div>
     </div>
+    ${redirectNotice}
+    ${protectionNotice(pg, lang)}
     <div class="card content">${html}</div>
+    ${tagsOf(pg).length ? `<div style="display: flex; gap: 6px; flex-wrap: wrap; margin-bottom: 20px;">${tagsOf(pg).map(t => `<a class="chip" href="/${wiki.address}/tag/${encodeURIComponent(t)}">🏷️ ${escapeHtml(t)}</a>`).join('')}</div>` : ''}
     <div class="card"><p class="muted">📅 ${lang === 'ja' ? '最終更新' : 'Last Updated'}: <span class="mono">${new Date(pg.updated_at).toLocaleString(lang === 'ja' ? 'ja-JP' : 'en-US')}</span></p></div>
+    <div class="card">
+      <h3 style="margin-top: 0;">🔗 ${lang === 'ja' ? 'リンク元' : 'What links here'}</h3>
+      ${backlinksHtml || `<p class="muted">${lang === 'ja' ? 'このページへのリンクはありません。' : 'No pages link here.'}</p>`}
+    </div>
+    ${isTemplate ? `
+    <div class="card">
+      <h3 style="margin-top: 0;">🧩 ${lang === 'ja' ? 'このテンプレートを使用しているページ' : 'Pages using this template'} (${templateUsers.length})</h3>
+      <p class="muted">${lang === 'ja' ? `<code>{{${escapeHtml(pg.name.slice(TEMPLATE_PREFIX.length))}|引数=値}}</code> で埋め込めます。` : `Transclude with <code>{{${escapeHtml(pg.name.slice(TEMPLATE_PREFIX.length))}|param=value}}</code>.`}</p>
+      ${templateUsersHtml || `<p class="muted">${lang === 'ja' ? 'このテンプレートを使用しているページはありません。' : 'No pages use this template.'}</p>`}
+    </div>` : ''}
   `;
   res.send(renderLayout(`${wiki.name}/${pg.name}`, body, wiki.favicon, lang, req));
 });
@@ -2453,12 +7171,15 @@ app.post('/api/user/:userId/badge', ensureAdmin, async (req, res) => { // async
 // --- Admin Page Delete Route ---
 app.delete('/api/admin/page/:pageId', ensureAdmin, async (req, res) => { // async
   const { pageId } = req.params;
-  const now = new Date().toISOString();
-  const result = await pool.query('UPDATE pages SET deleted_at = $1 WHERE id = $2', [now, pageId]);
+  const trashed = await trashPage(pageId, req.user.id, req.body && req.body.reason ? String(req.body.reason) : null);
   
-  if (result.rowCount === 0) { // changes ではなく rowCount
+  if (!trashed) {
     return res.status(404).json({ error: 'Page not found' });
   }
+  const trashedRes = await pool.query('SELECT name, wiki_id, delete_reason FROM pages WHERE id = $1', [pageId]);
+  const trashedPage = trashedRes.rows[0];
+  const wikiRes = await pool.query('SELECT * FROM wikis WHERE id = $1', [trashedPage.wiki_id]);
+  await emitWikiEvent(wikiRes.rows[0], 'page.deleted', req.user.id, { page: webhookPage(wikiRes.rows[0], trashedPage.name), reason: trashedPage.delete_reason });
   res.json({ success: true });
 });
 
@@ -2474,6 +7195,25 @@ app.get('/api/admin/pages', ensureAdmin, async (req, res) => { // async
   res.json({ pages: pagesRes.rows });
 });
 
+// --- Trash retention job ---
+const TRASH_PURGE_INTERVAL = 6 * 60 * 60 * 1000; // 6 hours
+setInterval(() => {
+  purgeExpiredTrash().catch(err => console.error('❌ Trash purge failed:', err.message));
+}, TRASH_PURGE_INTERVAL);
+
+// --- Email queue job ---
+const EMAIL_QUEUE_INTERVAL = 60 * 1000; // 1 minute
+setInterval(() => {
+  processEmailQueue().catch(err => console.error('❌ Email delivery failed:', err.message));
+}, EMAIL_QUEUE_INTERVAL);
+
+// --- Webhook delivery job ---
+// 即時送信に失敗した配信の再試行と、再起動で取り残された配信の送信
+const WEBHOOK_QUEUE_INTERVAL = 30 * 1000; // 30 seconds
+setInterval(() => {
+  processWebhookQueue().catch(err => console.error('❌ Webhook delivery failed:', err.message));
+}, WEBHOOK_QUEUE_INTERVAL);
+
 // --- Start server ---
 app.listen(PORT, () => {
   console.log(`🚀 Rec Wiki running on ${BASE_URL}`);